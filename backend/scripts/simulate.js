@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+'use strict';
+
+const { BID_RESTRICTION_TARGETS } = require('../src/modules/gameLogic/bidding');
+const {
+  CARD_PROGRESSIONS,
+  BLIND_ROUND_MODES,
+  DECK_VARIANTS,
+  MANILHA_MODES,
+  CANCELLED_TRICK_RULES,
+} = require('../src/modules/gameLogic/rounds');
+const {
+  runSimulations,
+  formatSimulationCsv,
+  DEFAULT_SIMULATION,
+} = require('../src/modules/gameLogic/simulator');
+
+const USAGE = `Usage: node scripts/simulate.js [options]
+
+Plays bot-vs-bot games in-process and prints aggregate statistics.
+
+Options:
+  --games <n>             Games to play (default ${DEFAULT_SIMULATION.games})
+  --players <list|n>      Bot difficulty per seat, e.g. easy,medium,hard,
+                          or a number of medium bots (default ${DEFAULT_SIMULATION.players.length})
+  --lives <n>             Starting lives (default ${DEFAULT_SIMULATION.startingLives})
+  --max-rounds <n>        Stop a game after this many rounds (default ${DEFAULT_SIMULATION.maxRounds})
+  --progression <mode>    ascending | up-down | descending
+  --max-cards <n>         Cap on cards per player
+  --blind-rounds <mode>   first | single-card | none
+  --deck <variant>        full | clean
+  --manilhas <mode>       vira | fixed
+  --cancelled-tricks <rule>
+                          nobody | lead-player | carry-over | last-card
+  --bid-restriction <who> last-bidder | dealer | none
+  --bid-tolerance <n>     0 | 1
+  --seed <text>           Seed for the shuffles and bots (default: random)
+  --format <json|csv>     Output format (default json)
+  --help                  Show this message
+`;
+
+// Accepts `--name value` and `--name=value`.
+const parseArgs = (argv) => {
+  const args = {};
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const token = argv[index];
+    if (!token.startsWith('--')) {
+      throw new Error(`Unexpected argument "${token}".`);
+    }
+
+    const [name, inline] = token.slice(2).split(/=(.*)/s);
+    if (name === 'help') {
+      args.help = true;
+    } else if (inline !== undefined) {
+      args[name] = inline;
+    } else if (index + 1 < argv.length && !argv[index + 1].startsWith('--')) {
+      args[name] = argv[index + 1];
+      index += 1;
+    } else {
+      throw new Error(`Missing value for --${name}.`);
+    }
+  }
+
+  return args;
+};
+
+const KNOWN_OPTIONS = [
+  'help',
+  'games',
+  'players',
+  'lives',
+  'max-rounds',
+  'progression',
+  'max-cards',
+  'blind-rounds',
+  'deck',
+  'manilhas',
+  'cancelled-tricks',
+  'bid-restriction',
+  'bid-tolerance',
+  'seed',
+  'format',
+];
+
+const CHOICES = {
+  progression: CARD_PROGRESSIONS,
+  'blind-rounds': BLIND_ROUND_MODES,
+  deck: DECK_VARIANTS,
+  manilhas: MANILHA_MODES,
+  'cancelled-tricks': CANCELLED_TRICK_RULES,
+  'bid-restriction': BID_RESTRICTION_TARGETS,
+  format: ['json', 'csv'],
+};
+
+const toSimulationOptions = (args) => {
+  const unknown = Object.keys(args).filter((name) => !KNOWN_OPTIONS.includes(name));
+  if (unknown.length) {
+    throw new Error(`Unknown option --${unknown[0]}.`);
+  }
+
+  // The rule modules quietly fall back to defaults; a typo here should not.
+  Object.entries(CHOICES).forEach(([name, choices]) => {
+    if (args[name] !== undefined && !choices.includes(args[name])) {
+      throw new Error(`--${name} must be one of ${choices.join(', ')}.`);
+    }
+  });
+
+  const players =
+    args.players === undefined
+      ? undefined
+      : /^\d+$/.test(args.players)
+        ? Number(args.players)
+        : args.players.split(',').map((entry) => entry.trim());
+
+  return {
+    games: args.games,
+    players,
+    startingLives: args.lives,
+    maxRounds: args['max-rounds'],
+    ruleSet: {
+      progression: args.progression,
+      maxCards: args['max-cards'],
+      blindRounds: args['blind-rounds'],
+      deck: args.deck,
+      manilhas: args.manilhas,
+      cancelledTricks: args['cancelled-tricks'],
+    },
+    bidRules: {
+      restriction: args['bid-restriction'],
+      tolerance: args['bid-tolerance'],
+    },
+    seed: args.seed,
+  };
+};
+
+const main = () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  const summary = runSimulations(toSimulationOptions(args));
+  const output =
+    args.format === 'csv' ? formatSimulationCsv(summary) : JSON.stringify(summary, null, 2);
+  process.stdout.write(`${output}\n`);
+};
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  console.error('Run with --help for the available options.');
+  process.exitCode = 1;
+}
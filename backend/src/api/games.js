@@ -0,0 +1,37 @@
+'use strict';
+
+const express = require('express');
+
+const { stateManager } = require('../modules/stateManager');
+
+const router = express.Router();
+
+// Replays hold every player's hand, so they are only served once the game
+// has finished.
+router.get('/:gameId/replay', async (req, res, next) => {
+  try {
+    const replay = await stateManager.loadReplay(req.params.gameId);
+
+    if (!replay) {
+      res.status(404).json({
+        error: 'replay_not_found',
+        message: `Replay for game ${req.params.gameId} was not found`,
+      });
+      return;
+    }
+
+    if (!replay.completedAt) {
+      res.status(409).json({
+        error: 'replay_not_ready',
+        message: `Game ${req.params.gameId} is still in progress`,
+      });
+      return;
+    }
+
+    res.json(replay);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,46 @@
+'use strict';
+
+const express = require('express');
+
+const { accountManager, DEFAULT_LEADERBOARD_LIMIT } = require('../modules/accountManager');
+const { roomManager, DEFAULT_ROOMS } = require('../modules/roomManager');
+
+const MAX_LEADERBOARD_LIMIT = 100;
+
+const router = express.Router();
+
+const parseLimit = (value) => {
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    return DEFAULT_LEADERBOARD_LIMIT;
+  }
+
+  return Math.min(parsed, MAX_LEADERBOARD_LIMIT);
+};
+
+router.get('/', (req, res) => {
+  res.json({
+    scope: 'global',
+    entries: accountManager.listLeaderboard({ limit: parseLimit(req.query.limit) }),
+  });
+});
+
+router.get('/rooms/:roomId', (req, res) => {
+  const { roomId } = req.params;
+
+  if (!DEFAULT_ROOMS.some((room) => room.roomId === roomId) && !roomManager.getRoom(roomId)) {
+    res.status(404).json({
+      error: 'room_not_found',
+      message: `Room ${roomId} was not found`,
+    });
+    return;
+  }
+
+  res.json({
+    scope: 'room',
+    roomId,
+    entries: accountManager.listLeaderboard({ roomId, limit: parseLimit(req.query.limit) }),
+  });
+});
+
+module.exports = router;
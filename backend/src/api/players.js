@@ -0,0 +1,23 @@
+'use strict';
+
+const express = require('express');
+
+const { accountManager } = require('../modules/accountManager');
+
+const router = express.Router();
+
+router.get('/:accountId/stats', (req, res) => {
+  const account = accountManager.getAccount(req.params.accountId);
+
+  if (!account) {
+    res.status(404).json({
+      error: 'player_not_found',
+      message: `Player ${req.params.accountId} was not found`,
+    });
+    return;
+  }
+
+  res.json(account);
+});
+
+module.exports = router;
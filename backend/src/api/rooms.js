@@ -3,10 +3,17 @@
 const express = require('express');
 
 const { stateManager } = require('../modules/stateManager');
-const { roomManager, DEFAULT_ROOMS, MAX_PLAYERS } = require('../modules/roomManager');
+const { roomManager, RoomManagerError, MAX_PLAYERS, describeRoomAccess } = require('../modules/roomManager');
+const { validateRoomId, validateRoomName } = require('../modules/security/inputValidator');
 
 const router = express.Router();
 
+// Invited names are only shared with the people inside the room.
+const mapRoomAccess = (room) => {
+  const { hasPassword, inviteOnly, spectators } = describeRoomAccess(room.access);
+  return { hasPassword, inviteOnly, spectators };
+};
+
 const mapRoomSummary = (room) => {
   const playerCount = Array.isArray(room.players) ? room.players.length : 0;
   const spectatorCount = Array.isArray(room.spectators) ? room.spectators.length : 0;
@@ -20,6 +27,7 @@ const mapRoomSummary = (room) => {
     maxPlayers: MAX_PLAYERS,
     gameStatus,
     canJoin: gameStatus !== 'playing' && playerCount < MAX_PLAYERS,
+    access: mapRoomAccess(room),
   };
 };
 
@@ -51,6 +59,9 @@ const mapRoomDetails = (room) => {
     players,
     spectatorCount,
     hostSettings: { ...room.hostSettings },
+    isPrivate: Boolean(room.isPrivate),
+    inviteCode: room.inviteCode ?? null,
+    access: mapRoomAccess(room),
     currentRound,
     gamePhase,
     gameStatus: room.status ?? 'waiting',
@@ -62,17 +73,47 @@ router.get('/', (req, res) => {
 
   const rooms = stateManager.listRooms();
   const payload = rooms
-    .filter((room) => DEFAULT_ROOMS.some((entry) => entry.roomId === room.roomId))
+    .filter((room) => !room.isPrivate)
     .map(mapRoomSummary)
     .sort((a, b) => a.displayName.localeCompare(b.displayName));
 
   res.json(payload);
 });
 
+// Private tables are created on demand and only reachable through their
+// invite code, which doubles as the roomId.
+router.post('/', (req, res) => {
+  const nameCheck = validateRoomName(req.body?.displayName);
+
+  if (!nameCheck.valid) {
+    res.status(400).json({
+      error: 'invalid_room_name',
+      message: nameCheck.error,
+    });
+    return;
+  }
+
+  try {
+    const room = roomManager.createPrivateRoom({ displayName: nameCheck.normalized });
+    res.status(201).json(mapRoomDetails(room));
+  } catch (error) {
+    if (error instanceof RoomManagerError && error.code === 'ROOM_LIMIT_REACHED') {
+      res.status(503).json({
+        error: 'room_limit_reached',
+        message: error.message,
+      });
+      return;
+    }
+
+    throw error;
+  }
+});
+
 router.get('/:roomId', (req, res) => {
   roomManager.ensureDefaultRooms();
 
-  const room = stateManager.getRoom(req.params.roomId);
+  const roomCheck = validateRoomId(req.params.roomId);
+  const room = roomCheck.valid ? stateManager.getRoom(roomCheck.normalized) : null;
 
   if (!room) {
     res.status(404).json({
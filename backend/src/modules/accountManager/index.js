@@ -0,0 +1,360 @@
+'use strict';
+
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { randomBytes, randomUUID, scrypt, timingSafeEqual } = require('node:crypto');
+const { promisify } = require('node:util');
+
+const baseLogger = require('../../config/logger');
+const { stateManager: defaultStateManager } = require('../stateManager');
+const { DEFAULT_RATING, calculateRatingChanges } = require('../gameLogic/ratings');
+const { AttemptLockout } = require('../security/attemptLockout');
+
+const PIN_HASH_BYTES = 32;
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCKOUT_MS = 5 * 60 * 1000;
+const DEFAULT_LEADERBOARD_LIMIT = 20;
+
+class AccountManagerError extends Error {
+  constructor(message, code = 'ACCOUNT_MANAGER_ERROR', metadata = {}) {
+    super(message);
+    this.name = 'AccountManagerError';
+    this.code = code;
+    this.metadata = metadata;
+  }
+}
+
+const normalizeName = (value) => (typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : '');
+
+const createEmptyStats = () => ({
+  gamesPlayed: 0,
+  wins: 0,
+  roundsPlayed: 0,
+  exactBids: 0,
+  livesLost: 0,
+  manilhasHeld: 0,
+});
+
+const createEmptyRatings = () => ({
+  global: { rating: DEFAULT_RATING, games: 0 },
+  rooms: {},
+});
+
+const cloneRatings = (ratings = createEmptyRatings()) => ({
+  global: { ...ratings.global },
+  rooms: Object.fromEntries(Object.entries(ratings.rooms).map(([roomId, entry]) => [roomId, { ...entry }])),
+});
+
+const scryptAsync = promisify(scrypt);
+
+const hashPin = async (pin, salt) => (await scryptAsync(String(pin), salt, PIN_HASH_BYTES)).toString('hex');
+
+const describeStats = (stats = createEmptyStats()) => ({
+  ...stats,
+  bidAccuracy: stats.roundsPlayed > 0 ? stats.exactBids / stats.roundsPlayed : null,
+  averageLivesLostPerRound: stats.roundsPlayed > 0 ? stats.livesLost / stats.roundsPlayed : null,
+});
+
+const toPublicAccount = (account) => ({
+  accountId: account.accountId,
+  displayName: account.displayName,
+  createdAt: account.createdAt,
+  lastPlayedAt: account.lastPlayedAt,
+  stats: describeStats(account.stats),
+  ratings: cloneRatings(account.ratings),
+});
+
+// Accounts are a display name protected by a PIN: the first join with a PIN
+// claims the name, later joins must present the same PIN. They are stored in
+// `accounts.json` next to the state snapshot. After MAX_PIN_ATTEMPTS wrong
+// PINs the account, and the client that sent them, are locked out for
+// PIN_LOCKOUT_MS.
+class AccountManager {
+  constructor({ stateManager = defaultStateManager, logger = baseLogger, filePath = null } = {}) {
+    this.filePath = filePath ?? path.join(stateManager.snapshotDir, 'accounts.json');
+    this.logger = typeof logger?.child === 'function' ? logger.child({ module: 'accountManager' }) : logger;
+
+    this.accounts = new Map();
+    this.accountIdsByName = new Map();
+    this.unclaimedAccounts = new WeakMap();
+    this.pinLockout = new AttemptLockout({ maxAttempts: MAX_PIN_ATTEMPTS, lockoutMs: PIN_LOCKOUT_MS });
+    this.pendingWrite = null;
+    this.isInitialized = false;
+  }
+
+  async init() {
+    if (this.isInitialized) {
+      return;
+    }
+
+    try {
+      const parsed = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      (Array.isArray(parsed.accounts) ? parsed.accounts : []).forEach((account) => this.index(account));
+      this.logger.info('accounts.loaded', { path: this.filePath, accounts: this.accounts.size });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    this.isInitialized = true;
+  }
+
+  index(account) {
+    const ratings = createEmptyRatings();
+    const record = {
+      ...account,
+      stats: { ...createEmptyStats(), ...(account.stats || {}) },
+      ratings: {
+        global: { ...ratings.global, ...(account.ratings?.global || {}) },
+        rooms: { ...(account.ratings?.rooms || {}) },
+      },
+    };
+    this.accounts.set(record.accountId, record);
+    this.accountIdsByName.set(normalizeName(record.displayName).toLowerCase(), record.accountId);
+    return record;
+  }
+
+  // Resolves with `created: false` for the account holding `displayName`, or
+  // `created: true` and an account that is only stored once passed to `claim`.
+  // `attemptKey` identifies the client for the PIN lockout.
+  async authenticate({ displayName, pin, attemptKey = null }) {
+    const normalizedName = normalizeName(displayName);
+    if (!normalizedName) {
+      throw new AccountManagerError('displayName is required for an account', 'DISPLAY_NAME_REQUIRED');
+    }
+
+    const existingId = this.accountIdsByName.get(normalizedName.toLowerCase());
+    if (existingId) {
+      const attemptKeys = [`account:${existingId}`, ...(attemptKey ? [`client:${attemptKey}`] : [])];
+      this.assertNotLockedOut(attemptKeys, normalizedName);
+
+      const account = this.accounts.get(existingId);
+      const expected = Buffer.from(account.pinHash, 'hex');
+      const provided = Buffer.from(await hashPin(pin, account.pinSalt), 'hex');
+
+      if (!timingSafeEqual(expected, provided)) {
+        this.pinLockout.recordFailure(attemptKeys);
+        throw new AccountManagerError('Incorrect PIN for this display name', 'INVALID_PIN', {
+          displayName: normalizedName,
+        });
+      }
+
+      this.pinLockout.clear(attemptKeys);
+      return { account: toPublicAccount(account), created: false };
+    }
+
+    const pinSalt = randomBytes(16).toString('hex');
+    const record = {
+      accountId: randomUUID(),
+      displayName: normalizedName,
+      pinSalt,
+      pinHash: await hashPin(pin, pinSalt),
+      createdAt: new Date().toISOString(),
+      lastPlayedAt: null,
+      stats: createEmptyStats(),
+      ratings: createEmptyRatings(),
+    };
+    const account = toPublicAccount(record);
+    this.unclaimedAccounts.set(account, record);
+
+    return { account, created: true };
+  }
+
+  // Throws unless `account` (from `authenticate`) can still be claimed: another
+  // join may have taken the name while the PIN was hashing.
+  assertClaimable(account) {
+    const record = this.unclaimedAccounts.get(account);
+    if (!record) {
+      throw new AccountManagerError('Account is not waiting to be claimed', 'ACCOUNT_NOT_FOUND');
+    }
+
+    if (this.accountIdsByName.has(normalizeName(record.displayName).toLowerCase())) {
+      throw new AccountManagerError('Display name was just claimed by another account', 'NAME_TAKEN', {
+        displayName: record.displayName,
+      });
+    }
+
+    return record;
+  }
+
+  claim(account) {
+    const record = this.index(this.assertClaimable(account));
+    this.unclaimedAccounts.delete(account);
+
+    this.logger.info('accounts.created', { accountId: record.accountId });
+
+    return toPublicAccount(record);
+  }
+
+  assertNotLockedOut(attemptKeys, displayName) {
+    const retryAfterMs = this.pinLockout.remainingLockMs(attemptKeys);
+
+    if (retryAfterMs > 0) {
+      throw new AccountManagerError('Too many incorrect PINs. Try again later.', 'PIN_LOCKED', {
+        displayName,
+        retryAfterMs,
+      });
+    }
+  }
+
+  getAccount(accountId) {
+    const account = this.accounts.get(accountId);
+    return account ? toPublicAccount(account) : null;
+  }
+
+  findAccountByName(displayName) {
+    const accountId = this.accountIdsByName.get(normalizeName(displayName).toLowerCase());
+    return accountId ? this.getAccount(accountId) : null;
+  }
+
+  recordGame(accountId, { won = false, roundsPlayed = 0, exactBids = 0, livesLost = 0, manilhasHeld = 0 } = {}) {
+    const account = this.accounts.get(accountId);
+    if (!account) {
+      return null;
+    }
+
+    account.stats = {
+      gamesPlayed: account.stats.gamesPlayed + 1,
+      wins: account.stats.wins + (won ? 1 : 0),
+      roundsPlayed: account.stats.roundsPlayed + roundsPlayed,
+      exactBids: account.stats.exactBids + exactBids,
+      livesLost: account.stats.livesLost + livesLost,
+      manilhasHeld: account.stats.manilhasHeld + manilhasHeld,
+    };
+    account.lastPlayedAt = new Date().toISOString();
+
+    return toPublicAccount(account);
+  }
+
+  // `standings` is the game's finishing order (`{ playerId, accountId,
+  // placement, livesRemaining }`). Only account holders are rated, against each other,
+  // both globally and for the room the game was played in.
+  recordRatedGame({ roomId, standings = [] } = {}) {
+    const rated = [];
+    const seen = new Set();
+
+    standings.forEach((entry) => {
+      if (!entry?.accountId || seen.has(entry.accountId) || !this.accounts.has(entry.accountId)) {
+        return;
+      }
+
+      seen.add(entry.accountId);
+      rated.push({
+        playerId: entry.accountId,
+        placement: entry.placement,
+        livesRemaining: entry.livesRemaining,
+        sourceId: entry.playerId,
+      });
+    });
+
+    if (rated.length < 2) {
+      return {};
+    }
+
+    const rate = (scopeOf) =>
+      calculateRatingChanges({
+        standings: rated,
+        ratings: Object.fromEntries(
+          rated.map(({ playerId }) => [playerId, scopeOf(this.accounts.get(playerId))?.rating ?? DEFAULT_RATING]),
+        ),
+      });
+
+    const globalChanges = rate((account) => account.ratings.global);
+    const roomChanges = roomId ? rate((account) => account.ratings.rooms[roomId]) : {};
+
+    return Object.fromEntries(
+      rated.map(({ playerId: accountId, sourceId }) => {
+        const account = this.accounts.get(accountId);
+        const globalChange = globalChanges[accountId];
+
+        account.ratings.global = { rating: globalChange.after, games: account.ratings.global.games + 1 };
+
+        const change = { accountId, rating: globalChange.after, delta: globalChange.delta };
+
+        if (roomId) {
+          const roomChange = roomChanges[accountId];
+          const previous = account.ratings.rooms[roomId];
+
+          account.ratings.rooms[roomId] = { rating: roomChange.after, games: (previous?.games ?? 0) + 1 };
+          change.roomRating = roomChange.after;
+          change.roomDelta = roomChange.delta;
+        }
+
+        return [sourceId, change];
+      }),
+    );
+  }
+
+  listLeaderboard({ roomId = null, limit = DEFAULT_LEADERBOARD_LIMIT } = {}) {
+    return Array.from(this.accounts.values())
+      .map((account) => ({
+        account,
+        entry: roomId ? account.ratings.rooms[roomId] : account.ratings.global,
+      }))
+      .filter(({ entry }) => entry?.games > 0)
+      .sort(
+        (left, right) =>
+          right.entry.rating - left.entry.rating ||
+          left.account.displayName.localeCompare(right.account.displayName),
+      )
+      .slice(0, limit)
+      .map(({ account, entry }, index) => ({
+        rank: index + 1,
+        accountId: account.accountId,
+        displayName: account.displayName,
+        rating: entry.rating,
+        games: entry.games,
+      }));
+  }
+
+  clear() {
+    this.accounts.clear();
+    this.accountIdsByName.clear();
+    this.pinLockout.reset();
+  }
+
+  async persist() {
+    if (this.pendingWrite) {
+      await this.pendingWrite.catch(() => undefined);
+    }
+
+    const promise = this.writeFile().finally(() => {
+      if (this.pendingWrite === promise) {
+        this.pendingWrite = null;
+      }
+    });
+
+    this.pendingWrite = promise;
+    return promise;
+  }
+
+  async writeFile() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.${Date.now()}.tmp`;
+    const payload = { version: 1, savedAt: new Date().toISOString(), accounts: Array.from(this.accounts.values()) };
+
+    await fs.writeFile(tempPath, JSON.stringify(payload, null, 2), 'utf8');
+    await fs.rename(tempPath, this.filePath);
+
+    this.logger.debug('accounts.persisted', { path: this.filePath, accounts: this.accounts.size });
+  }
+}
+
+const createAccountManager = (options = {}) => new AccountManager(options);
+
+const accountManager = new AccountManager({
+  stateManager: defaultStateManager,
+  logger: baseLogger,
+});
+
+module.exports = {
+  DEFAULT_LEADERBOARD_LIMIT,
+  MAX_PIN_ATTEMPTS,
+  PIN_LOCKOUT_MS,
+  AccountManager,
+  AccountManagerError,
+  createAccountManager,
+  accountManager,
+};
@@ -16,6 +16,22 @@ const SUIT_STRENGTH = {
 
 const RANK_ORDER = ['4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A', '2', '3'];
 
+// A rule set's `deck` is the full 52 cards or the clean 40-card deck without
+// 8s, 9s and 10s. Its `manilhas` come from the vira, or are the four fixed
+// "manilha velha" cards (strongest first) and no vira is turned.
+const DECK_VARIANTS = ['full', 'clean'];
+const MANILHA_MODES = ['vira', 'fixed'];
+const CLEAN_RANK_ORDER = RANK_ORDER.filter((rank) => !['8', '9', '10'].includes(rank));
+const FIXED_MANILHAS = [
+  { rank: '4', suit: 'clubs' },
+  { rank: '7', suit: 'hearts' },
+  { rank: 'A', suit: 'spades' },
+  { rank: '7', suit: 'diamonds' },
+];
+
+const findFixedManilha = (rank, suit) =>
+  FIXED_MANILHAS.findIndex((manilha) => manilha.rank === rank && manilha.suit === suit);
+
 class Card {
   constructor(rank, suit) {
     if (!RANK_ORDER.includes(rank)) {
@@ -32,19 +48,13 @@ class Card {
     this.strength = Card.getBaseStrength(rank);
   }
 
-  applyVira(viraRank) {
-    if (viraRank === undefined || viraRank === null) {
-      this.isManilha = false;
-      this.strength = Card.getBaseStrength(this.rank);
-      return this;
-    }
-
-    if (!RANK_ORDER.includes(viraRank)) {
+  applyVira(viraRank, variant) {
+    if (viraRank !== undefined && viraRank !== null && !RANK_ORDER.includes(viraRank)) {
       throw new Error(`Invalid vira rank: ${viraRank}`);
     }
 
-    this.isManilha = Card.isManilhaRank(this.rank, viraRank);
-    this.strength = Card.calculateStrength(this.rank, this.suit, viraRank);
+    this.isManilha = Card.isManilha(this.rank, this.suit, viraRank, variant);
+    this.strength = Card.calculateStrength(this.rank, this.suit, viraRank, variant);
     return this;
   }
 
@@ -73,25 +83,40 @@ class Card {
     return index + 1;
   }
 
-  static getManilhaRank(viraRank) {
-    const index = RANK_ORDER.indexOf(viraRank);
+  static getRankOrder(deck) {
+    return deck === 'clean' ? CLEAN_RANK_ORDER : RANK_ORDER;
+  }
+
+  // The manilha rank follows the vira within the ranks actually in the deck,
+  // so a 7 vira makes the Js manilhas in the clean deck.
+  static getManilhaRank(viraRank, variant) {
+    const rankOrder = Card.getRankOrder(variant?.deck);
+    const index = rankOrder.indexOf(viraRank);
     if (index === -1) {
       throw new Error(`Invalid vira rank: ${viraRank}`);
     }
-    return RANK_ORDER[(index + 1) % RANK_ORDER.length];
+    return rankOrder[(index + 1) % rankOrder.length];
   }
 
-  static isManilhaRank(rank, viraRank) {
+  static isManilhaRank(rank, viraRank, variant) {
     if (!RANK_ORDER.includes(rank)) {
       throw new Error(`Invalid rank: ${rank}`);
     }
     if (!RANK_ORDER.includes(viraRank)) {
       throw new Error(`Invalid vira rank: ${viraRank}`);
     }
-    return Card.getManilhaRank(viraRank) === rank;
+    return Card.getManilhaRank(viraRank, variant) === rank;
   }
 
-  static calculateStrength(rank, suit, viraRank) {
+  static isManilha(rank, suit, viraRank, variant) {
+    if (variant?.manilhas === 'fixed') {
+      return findFixedManilha(rank, suit) !== -1;
+    }
+
+    return Boolean(viraRank) && Card.isManilhaRank(rank, viraRank, variant);
+  }
+
+  static calculateStrength(rank, suit, viraRank, variant) {
     if (!RANK_ORDER.includes(rank)) {
       throw new Error(`Invalid rank: ${rank}`);
     }
@@ -100,6 +125,11 @@ class Card {
     }
 
     const base = Card.getBaseStrength(rank);
+    if (variant?.manilhas === 'fixed') {
+      const fixedIndex = findFixedManilha(rank, suit);
+      return fixedIndex === -1 ? base : 100 + FIXED_MANILHAS.length - fixedIndex;
+    }
+
     if (!viraRank) {
       return base;
     }
@@ -108,7 +138,7 @@ class Card {
       throw new Error(`Invalid vira rank: ${viraRank}`);
     }
 
-    if (!Card.isManilhaRank(rank, viraRank)) {
+    if (!Card.isManilhaRank(rank, viraRank, variant)) {
       return base;
     }
 
@@ -119,5 +149,8 @@ class Card {
 Card.SUITS = SUITS;
 Card.RANK_ORDER = RANK_ORDER;
 Card.SUIT_STRENGTH = SUIT_STRENGTH;
+Card.DECK_VARIANTS = DECK_VARIANTS;
+Card.MANILHA_MODES = MANILHA_MODES;
+Card.FIXED_MANILHAS = FIXED_MANILHAS;
 
 module.exports = Card;
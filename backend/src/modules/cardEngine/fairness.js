@@ -0,0 +1,50 @@
+'use strict';
+
+const crypto = require('node:crypto');
+
+// Provably fair deals (commit-reveal): every round is shuffled from a fresh
+// secret server seed mixed with the seeds the players contributed. The seed's
+// SHA-256 hash is published when the round starts and the seed itself once the
+// round is scored, so anyone can check the hash and re-run the shuffle.
+
+const SERVER_SEED_BYTES = 32;
+
+const createServerSeed = () => crypto.randomBytes(SERVER_SEED_BYTES).toString('hex');
+
+const hashSeed = (seed) => crypto.createHash('sha256').update(String(seed)).digest('hex');
+
+// Client seeds are taken in player id order, so the result does not depend on
+// when each player sent theirs.
+const combineSeeds = ({ serverSeed, clientSeeds = {} }) =>
+  [
+    String(serverSeed),
+    ...Object.keys(clientSeeds)
+      .sort()
+      .map((playerId) => `${playerId}:${clientSeeds[playerId]}`),
+  ].join('|');
+
+// Deterministic drop-in for `crypto.randomBytes`: SHA-256 of `${seed}:${block}`
+// for block = 0, 1, 2, ... concatenated and handed out in order.
+const createSeededRandomBytes = (seed) => {
+  let block = 0;
+  let pool = Buffer.alloc(0);
+
+  return (size) => {
+    while (pool.length < size) {
+      pool = Buffer.concat([pool, crypto.createHash('sha256').update(`${seed}:${block}`).digest()]);
+      block += 1;
+    }
+
+    const bytes = Buffer.from(pool.subarray(0, size));
+    pool = pool.subarray(size);
+    return bytes;
+  };
+};
+
+module.exports = {
+  SERVER_SEED_BYTES,
+  createServerSeed,
+  hashSeed,
+  combineSeeds,
+  createSeededRandomBytes,
+};
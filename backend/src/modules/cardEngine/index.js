@@ -3,11 +3,14 @@
 const crypto = require('node:crypto');
 
 const Card = require('./Card');
+const { createServerSeed, hashSeed, combineSeeds, createSeededRandomBytes } = require('./fairness');
 
-const createDeck = () => {
+// `variant` is the rule set's `{ deck, manilhas }`; omitted, the full deck
+// with vira manilhas is used.
+const createDeck = (variant) => {
   const deck = [];
   for (const suit of Card.SUITS) {
-    for (const rank of Card.RANK_ORDER) {
+    for (const rank of Card.getRankOrder(variant?.deck)) {
       deck.push(new Card(rank, suit));
     }
   }
@@ -58,37 +61,56 @@ const shuffleDeck = (inputDeck, { randomBytes = crypto.randomBytes } = {}) => {
   return deck;
 };
 
-const determineManilhaRank = (viraRank) => Card.getManilhaRank(viraRank);
+// Shuffles the rule set's deck from a round's seeds; given the revealed
+// `serverSeed` and the published `clientSeeds` this reproduces the deal.
+const createSeededDeck = ({ serverSeed, clientSeeds, variant } = {}) =>
+  shuffleDeck(createDeck(variant), {
+    randomBytes: createSeededRandomBytes(combineSeeds({ serverSeed, clientSeeds })),
+  });
+
+const determineManilhaRank = (viraRank, variant) => Card.getManilhaRank(viraRank, variant);
+
+const toCard = (card) => (card instanceof Card ? card.clone() : new Card(card.rank, card.suit));
 
-const drawVira = (deck) => {
+// With fixed manilhas no vira is turned: the whole deck stays in play and
+// `viraCard`/`manilhaRank` are null.
+const drawVira = (deck, variant) => {
   if (!Array.isArray(deck) || deck.length === 0) {
     throw new Error('Cannot draw vira from an empty deck');
   }
 
+  if (variant?.manilhas === 'fixed') {
+    return {
+      viraCard: null,
+      remainingDeck: deck.map(toCard),
+      manilhaRank: null,
+    };
+  }
+
   const [first, ...rest] = deck;
-  const viraCard = first instanceof Card ? first.clone() : new Card(first.rank, first.suit);
-  const remainingDeck = rest.map((card) => (card instanceof Card ? card.clone() : new Card(card.rank, card.suit)));
+  const viraCard = toCard(first);
+  const remainingDeck = rest.map(toCard);
 
   return {
     viraCard,
     remainingDeck,
-    manilhaRank: determineManilhaRank(viraCard.rank),
+    manilhaRank: determineManilhaRank(viraCard.rank, variant),
   };
 };
 
-const applyViraToCards = (cards, viraRank) => {
+const applyViraToCards = (cards, viraRank, variant) => {
   if (!Array.isArray(cards)) {
     throw new Error('cards must be an array');
   }
 
   return cards.map((card) => {
-    const instance = card instanceof Card ? card.clone() : new Card(card.rank, card.suit);
-    instance.applyVira(viraRank);
+    const instance = toCard(card);
+    instance.applyVira(viraRank, variant);
     return instance;
   });
 };
 
-const compareCards = (cardA, cardB, viraRank) => {
+const compareCards = (cardA, cardB, viraRank, variant) => {
   if (!cardA || !cardB) {
     throw new Error('Two cards are required for comparison');
   }
@@ -98,8 +120,8 @@ const compareCards = (cardA, cardB, viraRank) => {
   const rankB = cardB.rank;
   const suitB = cardB.suit;
 
-  const strengthA = Card.calculateStrength(rankA, suitA, viraRank);
-  const strengthB = Card.calculateStrength(rankB, suitB, viraRank);
+  const strengthA = Card.calculateStrength(rankA, suitA, viraRank, variant);
+  const strengthB = Card.calculateStrength(rankB, suitB, viraRank, variant);
 
   if (strengthA === strengthB) {
     return 0;
@@ -112,6 +134,10 @@ module.exports = {
   Card,
   createDeck,
   shuffleDeck,
+  createSeededDeck,
+  createServerSeed,
+  hashSeed,
+  combineSeeds,
   drawVira,
   determineManilhaRank,
   applyViraToCards,
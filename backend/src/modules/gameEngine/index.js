@@ -0,0 +1,707 @@
+'use strict';
+
+const { createSeededDeck, combineSeeds, drawVira, applyViraToCards } = require('../cardEngine');
+const { validateBid } = require('../gameLogic/bidding');
+const {
+  calculateRoundResults,
+  normalizeRuleSet,
+  determineFirstCardCount,
+  determineNextCardCount,
+  determineNextDealer,
+  getPlayerAfter,
+  isBlindRoundFor,
+} = require('../gameLogic/rounds');
+const {
+  validateCardPlay,
+  createTrickState,
+  recordCardPlay,
+  resolveTrick,
+  removeCardFromHand,
+} = require('../gameLogic/tricks');
+const { GameState, GameRound } = require('../stateManager/GameState');
+
+// Event-sourced game rules: `reduce(state, action)` returns the next game
+// state and the events it produced, without touching sockets, timers or
+// player records. State is the plain game snapshot the state manager stores
+// (`GameState#toJSON()` plus `lives`); the input state is never mutated.
+// The engine never reads the clock: actions that stamp the state carry the
+// time they happened as `at` (an ISO string), so replaying them is exact.
+//
+// Actions:
+// - `{ type: 'start_round', ruleSet, fairness, at, playerOrder? }` deals the
+//   next round from the fairness seeds -> `round_started`, `hands_dealt`
+// - `{ type: 'submit_bid', playerId, bid, bidRules? }` -> `bid_submitted`
+// - `{ type: 'start_trick', at, leadPlayerId? }` -> `trick_started`
+// - `{ type: 'play_card', playerId, card, at }` -> `card_played`, then
+//   `trick_completed` once everyone has played. In a blind round a card
+//   without rank and suit plays the first card in the player's hand.
+// - `{ type: 'score_round', at, roundIndex?, lives? }` -> `round_completed`
+//
+// An action that breaks the rules leaves the state as it was and produces a
+// single `action_rejected` event (`{ action, error, message, ... }`).
+
+const DEFAULT_STARTING_LIVES = 5;
+
+const cloneDeep = (value) => globalThis.structuredClone(value);
+
+const serializeCard = (card) =>
+  typeof card?.toJSON === 'function'
+    ? card.toJSON()
+    : card && typeof card === 'object'
+      ? { ...card }
+      : card;
+
+const createEvent = (type, payload) => ({ type, payload });
+
+const reject = (state, action, error, message, details = {}) => ({
+  state,
+  events: [createEvent('action_rejected', { action: action.type, error, message, ...details })],
+});
+
+// The action's `at` as an ISO string, or null when it is missing or invalid.
+const readTimestamp = (action) => {
+  const time = typeof action.at === 'string' ? Date.parse(action.at) : Number.NaN;
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+};
+
+const rejectMissingTimestamp = (state, action) =>
+  reject(
+    state,
+    action,
+    'invalid_action',
+    `${action.type} requires the time it happened as \`at\`.`,
+  );
+
+const getRoundIndex = (state) => Math.max(0, (state.currentRound ?? 1) - 1);
+
+const getCurrentPlayerId = (state) =>
+  Array.isArray(state.playerOrder)
+    ? (state.playerOrder[state.currentPlayerIndex ?? 0] ?? null)
+    : null;
+
+const seatPlayer = (state, playerId) => {
+  const index = state.playerOrder.indexOf(playerId);
+  if (index !== -1) {
+    state.currentPlayerIndex = index;
+  }
+};
+
+const getHand = (round, playerId) => {
+  const hand = round.hands instanceof Map ? round.hands.get(playerId) : round.hands?.[playerId];
+  return Array.isArray(hand) ? hand : [];
+};
+
+const setHand = (round, playerId, cards) => {
+  if (round.hands instanceof Map) {
+    round.hands.set(playerId, cards);
+  } else {
+    round.hands = { ...round.hands, [playerId]: cards };
+  }
+};
+
+const listCardsPlayed = (trick) =>
+  trick.cardsPlayed instanceof Map
+    ? Array.from(trick.cardsPlayed.entries())
+    : Object.entries(trick.cardsPlayed ?? {});
+
+const serializeCardsPlayed = (trick) =>
+  Object.fromEntries(
+    listCardsPlayed(trick).map(([playerId, card]) => [playerId, serializeCard(card)]),
+  );
+
+// Next seat after the current one that still holds cards.
+const findNextPlayerIndex = (state, round) => {
+  const order = state.playerOrder;
+  const currentIndex = state.currentPlayerIndex ?? 0;
+
+  for (let step = 1; step <= order.length; step += 1) {
+    const candidateIndex = (currentIndex + step) % order.length;
+    if (getHand(round, order[candidateIndex]).length > 0) {
+      return candidateIndex;
+    }
+  }
+
+  return currentIndex;
+};
+
+// Cancelled tricks handed on to this one under the `carry-over` rule: the
+// trick before it, plus whatever that one was carrying, if nobody took it.
+const countCarriedTricks = (round, trick) => {
+  const previous = round.tricks[round.tricks.indexOf(trick) - 1];
+  return previous?.resolution === 'carry-over' ? (previous.carriedTricks ?? 0) + 1 : 0;
+};
+
+// Shuffles the rule set's deck from the round's seeds and turns the vira (none
+// with fixed manilhas), leaving every remaining card marked with its manilha
+// status and strength. Hands are then dealt off the top in player order.
+const prepareDeck = ({ ruleSet: { deck, manilhas }, fairness }) => {
+  const variant = { deck, manilhas };
+  const { viraCard, remainingDeck, manilhaRank } = drawVira(
+    createSeededDeck({
+      serverSeed: fairness.serverSeed,
+      clientSeeds: fairness.clientSeeds,
+      variant,
+    }),
+    variant,
+  );
+
+  return {
+    viraCard: viraCard ? serializeCard(viraCard) : null,
+    manilhaRank,
+    deck: applyViraToCards(remainingDeck, viraCard?.rank ?? null, variant).map(serializeCard),
+  };
+};
+
+// Everything about the deal's seeds except the server seed, which stays
+// secret until the round is scored.
+const hideServerSeed = (fairness) => {
+  const commitment = { ...fairness };
+  delete commitment.serverSeed;
+  return commitment;
+};
+
+// What a client needs to re-run a scored round's deal: the seeds, the seat
+// order it was dealt in, and the string the shuffle's random bytes come from.
+const revealFairness = (round) => ({
+  ...round.fairness,
+  combinedSeed: combineSeeds(round.fairness),
+});
+
+const startRound = (state, action) => {
+  const { ruleSet: requestedRuleSet, fairness } = action;
+  const playerOrder = Array.isArray(action.playerOrder)
+    ? [...action.playerOrder]
+    : [...state.playerOrder];
+
+  if (state.currentPhase === 'bidding' || state.currentPhase === 'playing') {
+    return reject(state, action, 'invalid_phase', 'A round is already in progress.');
+  }
+
+  if (playerOrder.length < 2) {
+    return reject(
+      state,
+      action,
+      'insufficient_players',
+      'At least two players are needed to deal a round.',
+    );
+  }
+
+  if (!fairness?.serverSeed) {
+    return reject(
+      state,
+      action,
+      'invalid_action',
+      'start_round requires the fairness seeds to shuffle from.',
+    );
+  }
+
+  const at = readTimestamp(action);
+  if (!at) {
+    return rejectMissingTimestamp(state, action);
+  }
+
+  const next = cloneDeep(state);
+  next.rounds = Array.isArray(next.rounds) ? next.rounds : [];
+
+  const ruleSet = normalizeRuleSet(requestedRuleSet);
+  const previousRound = next.rounds[next.rounds.length - 1] ?? null;
+  const roundNumber = next.rounds.length + 1;
+  const cardCount = previousRound
+    ? determineNextCardCount({
+        previousCardCount: previousRound.cardCount ?? 1,
+        playerCount: playerOrder.length,
+        ruleSet,
+        previousCardCounts: next.rounds.map((round) => round?.cardCount),
+      })
+    : determineFirstCardCount({ playerCount: playerOrder.length, ruleSet });
+  const dealerId = determineNextDealer({
+    seatOrder: next.metadata?.seatOrder ?? [],
+    playerOrder,
+    previousDealerId: next.dealerId ?? previousRound?.dealerId ?? null,
+  });
+  const firstBidderId = getPlayerAfter(playerOrder, dealerId);
+
+  const { viraCard, manilhaRank, deck } = prepareDeck({ ruleSet, fairness });
+  const hands = Object.fromEntries(
+    playerOrder.map((playerId, index) => [
+      playerId,
+      deck.slice(index * cardCount, (index + 1) * cardCount),
+    ]),
+  );
+
+  const round = new GameRound({
+    roundNumber,
+    cardCount,
+    viraCard,
+    manilhaRank,
+    deck: ruleSet.deck,
+    manilhas: ruleSet.manilhas,
+    cancelledTricks: ruleSet.cancelledTricks,
+    fairness: { ...fairness, dealOrder: playerOrder },
+    hands,
+    playerOrder,
+    isBlindRound: isBlindRoundFor({ roundNumber, cardCount, ruleSet }),
+    dealerId,
+    startedAt: at,
+  }).toJSON();
+
+  next.rounds.push(round);
+  next.currentRound = roundNumber;
+  next.currentPhase = 'bidding';
+  next.playerOrder = playerOrder;
+  next.dealerId = dealerId;
+  next.currentPlayerIndex = Math.max(0, playerOrder.indexOf(firstBidderId));
+  next.metadata = { ...next.metadata, viraCard, deck: deck.slice(playerOrder.length * cardCount) };
+
+  return {
+    state: next,
+    events: [
+      createEvent('round_started', {
+        roundNumber,
+        cardCount,
+        viraCard,
+        isBlindRound: round.isBlindRound,
+        ruleSet,
+        dealerId,
+        firstBidderId,
+        fairness: hideServerSeed(round.fairness),
+      }),
+      createEvent('hands_dealt', { roundNumber, hands: round.hands }),
+    ],
+  };
+};
+
+const submitBid = (state, action) => {
+  const { playerId, bidRules } = action;
+  const round = state.rounds?.[getRoundIndex(state)];
+
+  if (state.currentPhase !== 'bidding') {
+    return reject(
+      state,
+      action,
+      'invalid_phase',
+      'Bids can only be submitted during the bidding phase.',
+    );
+  }
+
+  if (!round) {
+    return reject(state, action, 'invalid_round', 'Unable to locate the current round.');
+  }
+
+  if (round.bids && Object.prototype.hasOwnProperty.call(round.bids, playerId)) {
+    return reject(state, action, 'already_bid', 'Bid already submitted for this round.');
+  }
+
+  const currentPlayerId = getCurrentPlayerId(state);
+  if (currentPlayerId !== playerId) {
+    return reject(state, action, 'invalid_turn', 'It is not your turn to bid.', {
+      currentPlayer: currentPlayerId,
+    });
+  }
+
+  const outcome = validateBid({
+    cardCount: round.cardCount ?? 0,
+    bid: Number(action.bid),
+    playerId,
+    playerOrder: state.playerOrder,
+    bids: round.bids ?? {},
+    isBlindRound: Boolean(round.isBlindRound),
+    bidRules,
+    dealerId: round.dealerId ?? null,
+  });
+
+  if (!outcome.isValid) {
+    return reject(
+      state,
+      action,
+      outcome.code ?? 'invalid_bid',
+      outcome.reason ?? 'Bid is not valid for this turn.',
+      {
+        details: outcome.details ?? null,
+      },
+    );
+  }
+
+  const next = cloneDeep(state);
+  const nextRound = next.rounds[getRoundIndex(next)];
+  const bid = Math.trunc(Number(action.bid));
+  nextRound.bids = { ...nextRound.bids, [playerId]: bid };
+
+  const allBidsSubmitted = Object.keys(nextRound.bids).length >= next.playerOrder.length;
+  if (allBidsSubmitted) {
+    // The first trick is led by the player after the dealer.
+    next.currentPhase = 'playing';
+    next.currentPlayerIndex = Math.max(
+      0,
+      next.playerOrder.indexOf(getPlayerAfter(next.playerOrder, nextRound.dealerId)),
+    );
+  } else {
+    next.currentPlayerIndex = ((next.currentPlayerIndex ?? 0) + 1) % next.playerOrder.length;
+  }
+
+  return {
+    state: next,
+    events: [
+      createEvent('bid_submitted', {
+        playerId,
+        bid,
+        ...(allBidsSubmitted ? { allBids: { ...nextRound.bids } } : {}),
+      }),
+    ],
+  };
+};
+
+// Without `leadPlayerId` the trick is led by whoever led the last one, or the
+// current player. A trick left open (e.g. across a pause) is resumed rather
+// than replaced; its `trick_started` event is then marked `resumed`.
+const startTrick = (state, action) => {
+  const round = state.rounds?.[getRoundIndex(state)];
+
+  if (state.currentPhase !== 'playing') {
+    return reject(
+      state,
+      action,
+      'invalid_phase',
+      'Tricks can only start during the playing phase.',
+    );
+  }
+
+  if (!round) {
+    return reject(state, action, 'invalid_round', 'Unable to locate the current round.');
+  }
+
+  const tricks = Array.isArray(round.tricks) ? round.tricks : [];
+  const lastTrick = tricks[tricks.length - 1];
+  const leadPlayer = action.leadPlayerId ?? lastTrick?.leadPlayer ?? getCurrentPlayerId(state);
+  if (!leadPlayer) {
+    return { state, events: [] };
+  }
+
+  const at = readTimestamp(action);
+  if (!at) {
+    return rejectMissingTimestamp(state, action);
+  }
+
+  const next = cloneDeep(state);
+  const nextRound = next.rounds[getRoundIndex(next)];
+  nextRound.tricks = Array.isArray(nextRound.tricks) ? nextRound.tricks : [];
+  seatPlayer(next, leadPlayer);
+
+  if (lastTrick && !lastTrick.completedAt) {
+    const trickNumber = lastTrick.trickNumber ?? nextRound.activeTrickNumber ?? 1;
+    nextRound.activeTrickNumber = trickNumber;
+    return {
+      state: next,
+      events: [{ ...createEvent('trick_started', { trickNumber, leadPlayer }), resumed: true }],
+    };
+  }
+
+  const trickNumber = nextRound.tricks.length + 1;
+  nextRound.tricks.push(createTrickState({ trickNumber, leadPlayer, startedAt: at }));
+  nextRound.activeTrickNumber = trickNumber;
+
+  return { state: next, events: [createEvent('trick_started', { trickNumber, leadPlayer })] };
+};
+
+const playCard = (state, action) => {
+  const { playerId } = action;
+  const round = state.rounds?.[getRoundIndex(state)];
+
+  if (state.currentPhase !== 'playing') {
+    return reject(
+      state,
+      action,
+      'invalid_phase',
+      'Cards can only be played during the playing phase.',
+    );
+  }
+
+  if (!round) {
+    return reject(state, action, 'invalid_round', 'Unable to locate the current round.');
+  }
+
+  const expectedPlayerId = getCurrentPlayerId(state);
+  if (!expectedPlayerId || expectedPlayerId !== playerId) {
+    return reject(state, action, 'invalid_turn', 'It is not your turn to play a card.', {
+      currentPlayer: expectedPlayerId,
+    });
+  }
+
+  const at = readTimestamp(action);
+  if (!at) {
+    return rejectMissingTimestamp(state, action);
+  }
+
+  // Players cannot see their cards in a blind round, so they may play
+  // without naming one.
+  let { card } = action;
+  if (round.isBlindRound && (!card?.rank || !card?.suit)) {
+    card = getHand(round, playerId)[0];
+    if (!card) {
+      return reject(
+        state,
+        action,
+        'card_not_in_hand',
+        'No cards available to play for blind round.',
+      );
+    }
+  }
+
+  const next = cloneDeep(state);
+  const nextRound = next.rounds[getRoundIndex(next)];
+  nextRound.tricks = Array.isArray(nextRound.tricks) ? nextRound.tricks : [];
+
+  let trick = nextRound.tricks[nextRound.tricks.length - 1];
+  if (!trick || trick.completedAt) {
+    trick = createTrickState({
+      trickNumber: nextRound.tricks.length + 1,
+      leadPlayer: expectedPlayerId,
+      startedAt: at,
+    });
+    nextRound.tricks.push(trick);
+    nextRound.activeTrickNumber = trick.trickNumber;
+  }
+
+  const validation = validateCardPlay({
+    round: nextRound,
+    trick,
+    playerId,
+    card,
+    expectedPlayerId,
+  });
+  if (!validation.isValid) {
+    return reject(
+      state,
+      action,
+      validation.code ?? 'invalid_card',
+      validation.reason ?? 'Card cannot be played at this time.',
+      { details: validation.details ?? null },
+    );
+  }
+
+  const { hand, removed } = removeCardFromHand(getHand(nextRound, playerId), card);
+  if (!removed) {
+    return reject(
+      state,
+      action,
+      'card_not_in_hand',
+      'The selected card is not available in your hand.',
+    );
+  }
+
+  setHand(nextRound, playerId, hand);
+  recordCardPlay(trick, { playerId, card: removed, playedAt: at });
+
+  const evaluation = resolveTrick({
+    trick,
+    viraRank: nextRound.viraCard?.rank ?? null,
+    variant: { deck: nextRound.deck, manilhas: nextRound.manilhas },
+    cancelledTrickRule: nextRound.cancelledTricks,
+    carriedTricks: countCarriedTricks(nextRound, trick),
+  });
+  const cancelledCards = evaluation.cancelledCards.map((entry) => ({ ...entry }));
+
+  trick.currentLeader = evaluation.winner ?? null;
+  trick.currentWinningCard = evaluation.winningCard ? { ...evaluation.winningCard } : null;
+  trick.cancelledCards = cancelledCards;
+  nextRound.activeTrickNumber = trick.trickNumber;
+
+  const trickComplete = listCardsPlayed(trick).length >= next.playerOrder.length;
+  const previousIndex = next.currentPlayerIndex ?? 0;
+  let nextPlayerId = null;
+  let moreTricksPending = false;
+
+  if (!trickComplete) {
+    const nextIndex = findNextPlayerIndex(next, nextRound);
+    if (nextIndex !== previousIndex) {
+      next.currentPlayerIndex = nextIndex;
+      nextPlayerId = next.playerOrder[nextIndex] ?? null;
+    }
+  } else {
+    trick.winner = evaluation.winner ?? null;
+    trick.winningCard = evaluation.winningCard ? { ...evaluation.winningCard } : null;
+    trick.resolution = evaluation.resolution;
+    trick.carriedTricks = evaluation.carriedTricks;
+    trick.completedAt = at;
+
+    // When nobody takes a cancelled trick, its lead player leads the next one.
+    seatPlayer(next, trick.winner ?? trick.leadPlayer ?? expectedPlayerId);
+
+    const completedTricks = nextRound.tricks.filter((entry) => entry.completedAt).length;
+    const totalTricks =
+      Number.isInteger(nextRound.cardCount) && nextRound.cardCount > 0
+        ? nextRound.cardCount
+        : nextRound.tricks.length;
+    moreTricksPending = completedTricks < totalTricks;
+
+    if (!moreTricksPending) {
+      next.currentPhase = 'scoring';
+    }
+  }
+
+  const events = [
+    createEvent('card_played', {
+      playerId,
+      card: serializeCard(
+        trick.cardsPlayed instanceof Map
+          ? trick.cardsPlayed.get(playerId)
+          : trick.cardsPlayed[playerId],
+      ),
+      nextPlayer: trickComplete ? null : nextPlayerId,
+      currentLeader: evaluation.winner ?? null,
+      winningCard: evaluation.winningCard ? serializeCard(evaluation.winningCard) : null,
+      cancelledCards: cancelledCards.map(serializeCard),
+    }),
+  ];
+
+  if (trickComplete) {
+    events.push(
+      createEvent('trick_completed', {
+        trickNumber: trick.trickNumber,
+        cardsPlayed: serializeCardsPlayed(trick),
+        winner: trick.winner,
+        cancelledCards: cancelledCards.map(serializeCard),
+        resolution: trick.resolution,
+        carriedTricks: trick.carriedTricks,
+        nextTrick: moreTricksPending,
+      }),
+    );
+  }
+
+  return { state: next, events };
+};
+
+// `lives`, when given, replaces the lives held going into the round, for
+// callers that keep them elsewhere (the socket layer keeps them on player
+// records). Eliminated players leave `playerOrder`.
+const scoreRound = (state, action) => {
+  const roundIndex = Number.isInteger(action.roundIndex) ? action.roundIndex : getRoundIndex(state);
+  const round = state.rounds?.[roundIndex];
+
+  if (!round) {
+    return reject(state, action, 'invalid_round', 'Unable to locate the round to score.');
+  }
+
+  if (round.completedAt) {
+    return reject(state, action, 'round_already_scored', 'This round has already been scored.');
+  }
+
+  const at = readTimestamp(action);
+  if (!at) {
+    return rejectMissingTimestamp(state, action);
+  }
+
+  const next = cloneDeep(state);
+  const nextRound = next.rounds[roundIndex];
+  const playerOrder = Array.isArray(next.playerOrder) ? [...next.playerOrder] : [];
+  const calculated = calculateRoundResults({ round: nextRound, playerOrder });
+
+  nextRound.results = { ...calculated.actuals };
+  nextRound.completedAt = at;
+  next.lives = { ...next.lives, ...action.lives };
+
+  const results = {};
+  const eliminatedPlayers = [];
+
+  playerOrder.forEach((playerId) => {
+    const currentLives = Number.isFinite(next.lives[playerId])
+      ? next.lives[playerId]
+      : DEFAULT_STARTING_LIVES;
+    const livesLost = calculated.livesLost[playerId] ?? 0;
+    const livesRemaining = Math.max(0, currentLives - livesLost);
+
+    next.lives[playerId] = livesRemaining;
+    if (livesRemaining <= 0) {
+      eliminatedPlayers.push(playerId);
+    }
+
+    results[playerId] = {
+      bid: calculated.bids[playerId] ?? 0,
+      actual: calculated.actuals[playerId] ?? 0,
+      livesLost,
+      livesRemaining,
+    };
+  });
+
+  next.playerOrder = playerOrder.filter((playerId) => !eliminatedPlayers.includes(playerId));
+  next.currentPlayerIndex = 0;
+  next.currentPhase = 'scoring';
+
+  return {
+    state: next,
+    events: [
+      createEvent('round_completed', {
+        roundNumber: nextRound.roundNumber ?? roundIndex + 1,
+        results,
+        eliminatedPlayers,
+        fairness: nextRound.fairness ? revealFairness(nextRound) : null,
+      }),
+    ],
+  };
+};
+
+const REDUCERS = {
+  start_round: startRound,
+  submit_bid: submitBid,
+  start_trick: startTrick,
+  play_card: playCard,
+  score_round: scoreRound,
+};
+
+const GAME_ACTIONS = Object.keys(REDUCERS);
+
+/**
+ * Applies one action to a game snapshot. Returns `{ state, events }`; events
+ * are `{ type, payload }` in the order they happened.
+ */
+const reduce = (state, action) => {
+  const reducer = REDUCERS[action?.type];
+  if (!reducer) {
+    throw new TypeError(`Unknown game action "${action?.type}".`);
+  }
+
+  return reducer(state, action);
+};
+
+// Folds a list of actions, e.g. to rebuild a game from its recorded actions.
+const reduceAll = (state, actions = []) =>
+  actions.reduce(
+    (accumulated, action) => {
+      const { state: nextState, events } = reduce(accumulated.state, action);
+      return { state: nextState, events: [...accumulated.events, ...events] };
+    },
+    { state, events: [] },
+  );
+
+// A game that has not dealt yet: the seats in `playerOrder` (also kept as
+// the seat order the deal rotates through), each with `startingLives`.
+const createGame = ({
+  roomId,
+  gameId,
+  playerOrder,
+  startingLives = DEFAULT_STARTING_LIVES,
+  timeLimitMs,
+  metadata = {},
+}) => {
+  const game = new GameState({
+    roomId,
+    gameId,
+    playerOrder,
+    timeLimitMs,
+    metadata: { ...metadata, seatOrder: [...playerOrder] },
+  }).toJSON();
+
+  return {
+    ...game,
+    lives: Object.fromEntries(playerOrder.map((playerId) => [playerId, startingLives])),
+  };
+};
+
+module.exports = {
+  DEFAULT_STARTING_LIVES,
+  GAME_ACTIONS,
+  createGame,
+  reduce,
+  reduceAll,
+  getCurrentPlayerId,
+};
@@ -1,5 +1,37 @@
 'use strict';
 
+// `restriction` picks who may not bring the bid total onto the trick count;
+// `tolerance` widens the forbidden totals to cardCount ± tolerance.
+const BID_RESTRICTION_TARGETS = ['last-bidder', 'dealer', 'none'];
+const MAX_BID_TOLERANCE = 1;
+const DEFAULT_BID_RULES = Object.freeze({ restriction: 'last-bidder', tolerance: 0 });
+
+const normalizeBidRules = (bidRules = {}) => {
+  const tolerance = Number(bidRules?.tolerance);
+
+  return {
+    restriction: BID_RESTRICTION_TARGETS.includes(bidRules?.restriction)
+      ? bidRules.restriction
+      : DEFAULT_BID_RULES.restriction,
+    tolerance:
+      Number.isInteger(tolerance) && tolerance >= 0 && tolerance <= MAX_BID_TOLERANCE
+        ? tolerance
+        : DEFAULT_BID_RULES.tolerance,
+  };
+};
+
+const describeBidRestriction = (bidRules) => {
+  const { restriction, tolerance } = normalizeBidRules(bidRules);
+  if (restriction === 'none') {
+    return null;
+  }
+
+  const label = restriction === 'dealer' ? 'Dealer restriction' : 'Last bidder restriction';
+  return tolerance > 0
+    ? `${label}: total bids cannot be within ${tolerance} of the number of tricks.`
+    : `${label}: total bids cannot equal the number of tricks.`;
+};
+
 const normalizeBids = (input) => {
   if (!input) {
     return new Map();
@@ -66,37 +98,55 @@ const determineLastBidder = ({ playerOrder, playerId, bidsMap }) => {
   return totalOtherPlayers > 0 && existing === totalOtherPlayers;
 };
 
+const isRestrictedPlayer = ({ restriction, playerOrder, playerId, dealerId, isLastBidder }) => {
+  if (restriction === 'dealer') {
+    return playerId === (dealerId ?? playerOrder[playerOrder.length - 1]);
+  }
+
+  return restriction === 'last-bidder' && isLastBidder;
+};
+
+// The dealer defaults to the last seat in `playerOrder`, i.e. the player who
+// bids last when bidding opens at the first seat.
 const calculateValidBids = ({
   cardCount,
   playerOrder,
   playerId,
   bids,
   isBlindRound = false,
+  bidRules,
+  dealerId = null,
 }) => {
   assertPlayerOrder(playerOrder);
   assertPlayerInOrder(playerOrder, playerId);
 
+  const rules = normalizeBidRules(bidRules);
   const baseRange = createBidRange(cardCount);
   const bidsMap = normalizeBids(bids);
   bidsMap.delete(playerId);
 
   const isLastBidder = determineLastBidder({ playerOrder, playerId, bidsMap });
-  const restrictionActive = isLastBidder && !isBlindRound;
+  const restrictionActive =
+    !isBlindRound &&
+    isRestrictedPlayer({ restriction: rules.restriction, playerOrder, playerId, dealerId, isLastBidder });
   const existingBidTotal = sumBids(bidsMap, playerId);
 
   let restrictedBid = null;
+  let restrictedBids = [];
   let validBids = baseRange.slice();
 
   if (restrictionActive) {
-    const candidate = cardCount - existingBidTotal;
-    if (baseRange.includes(candidate)) {
-      restrictedBid = candidate;
-      validBids = baseRange.filter((value) => value !== candidate);
-    }
+    const exactCandidate = cardCount - existingBidTotal;
+    restrictedBids = baseRange.filter(
+      (value) => Math.abs(value - exactCandidate) <= rules.tolerance,
+    );
+    validBids = baseRange.filter((value) => !restrictedBids.includes(value));
+    restrictedBid = restrictedBids.includes(exactCandidate) ? exactCandidate : restrictedBids[0] ?? null;
 
     if (validBids.length === 0) {
       validBids = baseRange.slice();
       restrictedBid = null;
+      restrictedBids = [];
     }
   }
 
@@ -107,7 +157,10 @@ const calculateValidBids = ({
       : null,
     existingBidTotal,
     totalPlayers: playerOrder.length,
-    lastBidderRestrictionApplied: restrictionActive,
+    lastBidderRestrictionApplied: restrictionActive && rules.restriction === 'last-bidder',
+    restrictionApplied: restrictionActive,
+    restrictedBids,
+    bidRules: rules,
   };
 
   return {
@@ -125,6 +178,8 @@ const validateBid = ({
   playerId,
   bids,
   isBlindRound = false,
+  bidRules,
+  dealerId = null,
 }) => {
   if (!Number.isInteger(cardCount) || cardCount < 0) {
     throw new Error('Card count must be a non-negative integer.');
@@ -207,15 +262,16 @@ const validateBid = ({
     playerId,
     bids,
     isBlindRound,
+    bidRules,
+    dealerId,
   });
 
   const isValid = evaluation.validBids.includes(intBid);
+  const { restriction } = evaluation.metadata.bidRules;
   return {
     isValid,
-    reason: isValid
-      ? null
-      : 'Last bidder restriction: total bids cannot equal the number of tricks.',
-    code: isValid ? null : 'last_bidder_restriction',
+    reason: isValid ? null : describeBidRestriction(bidRules),
+    code: isValid ? null : `${restriction.replace('-', '_')}_restriction`,
     details: {
       cardCount,
       validBids: evaluation.validBids,
@@ -227,6 +283,11 @@ const validateBid = ({
 };
 
 module.exports = {
+  BID_RESTRICTION_TARGETS,
+  MAX_BID_TOLERANCE,
+  DEFAULT_BID_RULES,
+  normalizeBidRules,
+  describeBidRestriction,
   createBidRange,
   calculateValidBids,
   validateBid,
@@ -0,0 +1,318 @@
+'use strict';
+
+const { Card } = require('../cardEngine');
+
+const { calculateValidBids } = require('./bidding');
+const { validateCardPlay, resolveTrick } = require('./tricks');
+
+const BOT_NAMES = ['Bot Ze', 'Bot Tiao', 'Bot Dita', 'Bot Juca', 'Bot Nina', 'Bot Quim', 'Bot Lola', 'Bot Duda'];
+const BOT_DIFFICULTIES = ['easy', 'medium', 'hard'];
+const DEFAULT_BOT_DIFFICULTY = 'medium';
+
+const isCardLike = (card) =>
+  card && typeof card === 'object' && typeof card.rank === 'string' && typeof card.suit === 'string';
+
+const cardKey = (card) => `${card.rank}-${card.suit}`;
+
+const getHand = (round, playerId) => {
+  const hands = round?.hands;
+  if (hands instanceof Map) {
+    return hands.get(playerId) ?? [];
+  }
+
+  if (hands && typeof hands === 'object') {
+    return Array.isArray(hands[playerId]) ? hands[playerId] : [];
+  }
+
+  return [];
+};
+
+// The round's card variant (`deck`, `manilhas`) as the card engine expects it.
+const getVariant = (round) => ({ deck: round?.deck, manilhas: round?.manilhas });
+
+const getStrength = (card, viraRank, variant) => {
+  try {
+    return Card.calculateStrength(card.rank, card.suit, viraRank ?? undefined, variant);
+  } catch (error) {
+    return Number.isFinite(card?.strength) ? card.strength : 0;
+  }
+};
+
+const isManilha = (card, viraRank, variant) => {
+  if (!viraRank && variant?.manilhas !== 'fixed') {
+    return Boolean(card?.isManilha);
+  }
+
+  try {
+    return Card.isManilha(card.rank, card.suit, viraRank, variant);
+  } catch (error) {
+    return Boolean(card?.isManilha);
+  }
+};
+
+const listUnknownCards = ({ known = [], deck }) => {
+  const seen = new Set(known.filter(isCardLike).map(cardKey));
+  const unknown = [];
+
+  Card.SUITS.forEach((suit) => {
+    Card.getRankOrder(deck).forEach((rank) => {
+      const card = { rank, suit };
+      if (!seen.has(cardKey(card))) {
+        unknown.push(card);
+      }
+    });
+  });
+
+  return unknown;
+};
+
+// Chance that a single unseen card fails to beat or cancel `card`.
+const calculateSurvivalChance = (card, viraRank, unknownCards, variant) => {
+  if (!unknownCards.length) {
+    return 1;
+  }
+
+  const strength = getStrength(card, viraRank, variant);
+  const cardIsManilha = isManilha(card, viraRank, variant);
+
+  const threats = unknownCards.filter((candidate) => {
+    if (!cardIsManilha && candidate.rank === card.rank) {
+      return true;
+    }
+
+    return getStrength(candidate, viraRank, variant) > strength;
+  }).length;
+
+  return 1 - threats / unknownCards.length;
+};
+
+const listCardsPlayed = (trick) => {
+  const cardsPlayed = trick?.cardsPlayed;
+  if (cardsPlayed instanceof Map) {
+    return Array.from(cardsPlayed.values());
+  }
+
+  return cardsPlayed && typeof cardsPlayed === 'object' ? Object.values(cardsPlayed) : [];
+};
+
+// Every card revealed so far this round: tricks already played (including the
+// cancelled ones) and whatever is on the table in the current trick.
+const listSeenCards = (round) =>
+  (Array.isArray(round?.tricks) ? round.tricks : []).flatMap((trick) => [
+    ...listCardsPlayed(trick),
+    ...(Array.isArray(trick?.cancelledCards) ? trick.cancelledCards : []),
+  ]);
+
+const estimateExpectedTricks = ({ round, playerOrder, playerId }) => {
+  const viraRank = round?.viraCard?.rank ?? null;
+  const variant = getVariant(round);
+  const opponents = Math.max(1, playerOrder.length - 1);
+
+  if (round?.isBlindRound) {
+    const visible = playerOrder
+      .filter((id) => id !== playerId)
+      .flatMap((id) => getHand(round, id))
+      .filter(isCardLike);
+    const unknown = listUnknownCards({ known: [round?.viraCard, ...visible], deck: variant.deck });
+
+    if (!visible.length || !unknown.length) {
+      return 1 / playerOrder.length;
+    }
+
+    const strongestVisible = visible.reduce((best, card) =>
+      getStrength(card, viraRank, variant) > getStrength(best, viraRank, variant) ? card : best,
+    );
+    const beaters = unknown.filter(
+      (card) => getStrength(card, viraRank, variant) > getStrength(strongestVisible, viraRank, variant),
+    ).length;
+
+    return beaters / unknown.length;
+  }
+
+  const hand = getHand(round, playerId).filter(isCardLike);
+  const unknown = listUnknownCards({ known: [round?.viraCard, ...hand], deck: variant.deck });
+
+  return hand.reduce(
+    (total, card) => total + calculateSurvivalChance(card, viraRank, unknown, variant) ** opponents,
+    0,
+  );
+};
+
+const getBidInfo = ({ round, playerOrder, playerId, bidRules }) =>
+  calculateValidBids({
+    cardCount: round?.cardCount ?? 0,
+    playerOrder,
+    playerId,
+    bids: round?.bids ?? {},
+    isBlindRound: Boolean(round?.isBlindRound),
+    bidRules,
+    dealerId: round?.dealerId ?? null,
+  });
+
+const pickClosestBid = (validBids, expected) =>
+  validBids.reduce((best, bid) => (Math.abs(bid - expected) < Math.abs(best - expected) ? bid : best));
+
+// Counts cancelled tricks carried into a won trick, as round scoring does.
+const countTricksWon = (round, playerId) =>
+  (Array.isArray(round?.tricks) ? round.tricks : [])
+    .filter((trick) => trick?.completedAt && trick.winner === playerId)
+    .reduce((total, trick) => total + 1 + (trick.carriedTricks ?? 0), 0);
+
+const listLegalCards = ({ round, trick, playerId }) =>
+  getHand(round, playerId).filter(
+    (card) => isCardLike(card) && validateCardPlay({ round, trick, playerId, card }).isValid,
+  );
+
+const wouldLeadTrick = ({ trick, playerId, card, viraRank, variant, cancelledTrickRule }) => {
+  const cardsPlayed = { ...(trick?.cardsPlayed ?? {}), [playerId]: card };
+  const playOrder = [...(trick?.playOrder ?? []), playerId];
+  const evaluation = resolveTrick({
+    trick: { ...trick, cardsPlayed, playOrder },
+    viraRank,
+    variant,
+    cancelledTrickRule,
+  });
+  return evaluation.winner === playerId;
+};
+
+const wantsMoreTricks = (round, playerId) =>
+  countTricksWon(round, playerId) < Number(round?.bids?.[playerId] ?? 0);
+
+const pickRandom = (items, random) => items[Math.min(items.length - 1, Math.floor(random() * items.length))];
+
+const createEasyStrategy = ({ random }) => ({
+  level: 'easy',
+  selectBid: (context) => {
+    const { validBids } = getBidInfo(context);
+    return validBids.length ? pickRandom(validBids, random) : 0;
+  },
+  selectCard: (context) => {
+    const legal = listLegalCards(context);
+    return legal.length ? { ...pickRandom(legal, random) } : null;
+  },
+});
+
+const createMediumStrategy = () => ({
+  level: 'medium',
+  selectBid: (context) => {
+    const { validBids } = getBidInfo(context);
+    return validBids.length ? pickClosestBid(validBids, estimateExpectedTricks(context)) : 0;
+  },
+  selectCard: ({ round, trick, playerId }) => {
+    const legal = listLegalCards({ round, trick, playerId });
+    if (!legal.length) {
+      return null;
+    }
+
+    const viraRank = round?.viraCard?.rank ?? null;
+    const variant = getVariant(round);
+    const cancelledTrickRule = round?.cancelledTricks;
+    const byStrength = [...legal].sort(
+      (a, b) => getStrength(a, viraRank, variant) - getStrength(b, viraRank, variant),
+    );
+    const winning = byStrength.filter((card) =>
+      wouldLeadTrick({ trick, playerId, card, viraRank, variant, cancelledTrickRule }),
+    );
+    const losing = byStrength.filter((card) => !winning.includes(card));
+
+    const choice = wantsMoreTricks(round, playerId)
+      ? winning[0] ?? byStrength[0]
+      : losing[losing.length - 1] ?? byStrength[0];
+
+    return { ...choice };
+  },
+});
+
+// Bids are placed before any card is revealed, so hard shares the medium
+// estimate there; the card memory only pays off once tricks are played.
+const createHardStrategy = () => {
+  const medium = createMediumStrategy();
+
+  return {
+    level: 'hard',
+    selectBid: medium.selectBid,
+    selectCard: ({ round, trick, playerId, playerOrder = [] }) => {
+      const legal = listLegalCards({ round, trick, playerId });
+      if (!legal.length) {
+        return null;
+      }
+
+      const viraRank = round?.viraCard?.rank ?? null;
+      const variant = getVariant(round);
+      const cancelledTrickRule = round?.cancelledTricks;
+      const unknown = listUnknownCards({
+        known: [round?.viraCard, ...getHand(round, playerId), ...listSeenCards(round), ...listCardsPlayed(trick)],
+        deck: variant.deck,
+      });
+      const pendingOpponents = Math.max(0, playerOrder.length - listCardsPlayed(trick).length - 1);
+
+      const ranked = legal
+        .map((card) => ({
+          card,
+          strength: getStrength(card, viraRank, variant),
+          holdChance: wouldLeadTrick({ trick, playerId, card, viraRank, variant, cancelledTrickRule })
+            ? calculateSurvivalChance(card, viraRank, unknown, variant) ** pendingOpponents
+            : 0,
+        }))
+        .sort((a, b) => a.strength - b.strength);
+
+      let choice;
+      if (wantsMoreTricks(round, playerId)) {
+        const safe = ranked.find((entry) => entry.holdChance >= 0.5);
+        const best = ranked.reduce((top, entry) => (entry.holdChance > top.holdChance ? entry : top));
+        choice = safe ?? (best.holdChance > 0 ? best : ranked[0]);
+      } else {
+        const lowestRisk = Math.min(...ranked.map((entry) => entry.holdChance));
+        const candidates = ranked.filter((entry) => entry.holdChance === lowestRisk);
+        choice = candidates[candidates.length - 1];
+      }
+
+      return { ...choice.card };
+    },
+  };
+};
+
+const STRATEGY_FACTORIES = {
+  easy: createEasyStrategy,
+  medium: createMediumStrategy,
+  hard: createHardStrategy,
+};
+
+const normalizeBotDifficulty = (value) =>
+  BOT_DIFFICULTIES.includes(value) ? value : DEFAULT_BOT_DIFFICULTY;
+
+const createBotStrategy = (difficulty = DEFAULT_BOT_DIFFICULTY, { random = Math.random } = {}) =>
+  STRATEGY_FACTORIES[normalizeBotDifficulty(difficulty)]({ random });
+
+const pickBotName = (takenNames = []) => {
+  const taken = new Set(takenNames.map((name) => String(name).toLowerCase()));
+  const available = BOT_NAMES.find((name) => !taken.has(name.toLowerCase()));
+  if (available) {
+    return available;
+  }
+
+  let index = 1;
+  while (taken.has(`bot ${index}`)) {
+    index += 1;
+  }
+
+  return `Bot ${index}`;
+};
+
+module.exports = {
+  BOT_NAMES,
+  BOT_DIFFICULTIES,
+  DEFAULT_BOT_DIFFICULTY,
+  createBotStrategy,
+  normalizeBotDifficulty,
+  estimateExpectedTricks,
+  pickBotName,
+  __testUtils: {
+    listUnknownCards,
+    listSeenCards,
+    calculateSurvivalChance,
+    countTricksWon,
+    listLegalCards,
+    wouldLeadTrick,
+  },
+};
@@ -1,5 +1,7 @@
 'use strict';
 
+const { calculateRoundResults } = require('./rounds');
+
 const toTimestamp = (value, fallback = Date.now()) => {
   if (value instanceof Date) {
     return value.getTime();
@@ -67,18 +69,43 @@ const normalizePlayers = (players = []) => {
   return Array.from(byId.values());
 };
 
-const buildStandings = ({ players = [], totalRounds = 0 } = {}) => {
+// Last round each player was dealt into; a player knocked out later lasted
+// more rounds.
+const countRoundsDealt = (gameState = {}) => {
+  const roundsDealt = {};
+
+  (Array.isArray(gameState.rounds) ? gameState.rounds : []).forEach((round, index) => {
+    Object.keys(round?.hands ?? {}).forEach((playerId) => {
+      roundsDealt[playerId] = index + 1;
+    });
+  });
+
+  return roundsDealt;
+};
+
+// Finishing order: most lives first, then (among players level on lives, such
+// as everyone knocked out) whoever was eliminated last.
+const compareFinishingOrder = (left, right, roundsDealt = {}) => {
+  const leftLives = Number.isFinite(left.livesRemaining) ? left.livesRemaining : -Infinity;
+  const rightLives = Number.isFinite(right.livesRemaining) ? right.livesRemaining : -Infinity;
+
+  if (rightLives !== leftLives) {
+    return rightLives - leftLives;
+  }
+
+  return (roundsDealt[right.playerId] ?? 0) - (roundsDealt[left.playerId] ?? 0);
+};
+
+const buildStandings = ({ players = [], totalRounds = 0, roundsDealt = {} } = {}) => {
   const normalized = normalizePlayers(players).map((entry) => ({
     ...entry,
     totalRounds,
   }));
 
   normalized.sort((left, right) => {
-    const leftLives = Number.isFinite(left.livesRemaining) ? left.livesRemaining : -Infinity;
-    const rightLives = Number.isFinite(right.livesRemaining) ? right.livesRemaining : -Infinity;
-
-    if (rightLives !== leftLives) {
-      return rightLives - leftLives;
+    const order = compareFinishingOrder(left, right, roundsDealt);
+    if (order !== 0) {
+      return order;
     }
 
     const leftName = (left.displayName ?? left.playerId ?? '').toLowerCase();
@@ -97,13 +124,93 @@ const buildStandings = ({ players = [], totalRounds = 0 } = {}) => {
   return normalized;
 };
 
+// A game ended by its time limit is decided by these, in order. Missing
+// values rank last.
+const TIME_LIMIT_TIE_BREAKERS = [
+  { key: 'livesRemaining', label: 'lives' },
+  { key: 'bidAccuracy', label: 'bid accuracy' },
+  { key: 'tricksWon', label: 'tricks won' },
+];
+
+const tieBreakScore = (entry, key) => (Number.isFinite(entry?.[key]) ? entry[key] : -1);
+
+const compareByTieBreakers = (left, right) => {
+  const breaker = TIME_LIMIT_TIE_BREAKERS.find(({ key }) => tieBreakScore(left, key) !== tieBreakScore(right, key));
+  return breaker ? tieBreakScore(right, breaker.key) - tieBreakScore(left, breaker.key) : 0;
+};
+
+const rankByTieBreakers = (standings = []) => [...standings].sort(compareByTieBreakers);
+
+// Numbers ranked standings from 1; players `compare` cannot separate share a
+// placement (1, 2, 2, 4).
+const assignPlacements = (standings, compare) =>
+  standings.reduce((placed, entry, index) => {
+    const previous = placed[index - 1];
+    const placement = previous && compare(previous, entry) === 0 ? previous.placement : index + 1;
+    return [...placed, { ...entry, placement }];
+  }, []);
+
+const formatTieBreakValue = (key, value) => {
+  if (!Number.isFinite(value)) {
+    return 'none';
+  }
+
+  return key === 'bidAccuracy' ? `${Math.round(value * 100)}%` : String(value);
+};
+
+// Explains how a timed-out game was decided: which tie-breaker separated the
+// top two, or that they could not be separated at all.
+const describeTieBreak = (standings = [], { suddenDeath = false } = {}) => {
+  const ranked = rankByTieBreakers(standings);
+  const [leader, runnerUp] = ranked;
+  const opening = suddenDeath ? 'After the sudden-death round' : 'Time ran out';
+
+  if (!leader) {
+    return { winner: null, decidedBy: null, explanation: `${opening} with no players left to rank.` };
+  }
+
+  const nameOf = (entry) => entry.displayName ?? entry.playerId;
+  const breaker = runnerUp
+    ? TIME_LIMIT_TIE_BREAKERS.find(({ key }) => tieBreakScore(leader, key) !== tieBreakScore(runnerUp, key))
+    : TIME_LIMIT_TIE_BREAKERS[0];
+
+  if (!breaker) {
+    return {
+      winner: null,
+      decidedBy: null,
+      explanation: `${opening} with ${nameOf(leader)} and ${nameOf(runnerUp)} level on lives, bid accuracy and tricks won — no winner.`,
+    };
+  }
+
+  const leaderValue = formatTieBreakValue(breaker.key, leader[breaker.key]);
+  if (!runnerUp || breaker.key === 'livesRemaining') {
+    return {
+      winner: leader.playerId ?? null,
+      decidedBy: breaker.key,
+      explanation: `${opening}; ${nameOf(leader)} won with the most lives (${leaderValue}).`,
+    };
+  }
+
+  const levelOn = TIME_LIMIT_TIE_BREAKERS.slice(0, TIME_LIMIT_TIE_BREAKERS.indexOf(breaker))
+    .map(({ label }) => label)
+    .join(' and ');
+
+  return {
+    winner: leader.playerId ?? null,
+    decidedBy: breaker.key,
+    explanation: `${opening} with ${nameOf(leader)} and ${nameOf(runnerUp)} level on ${levelOn}; ${nameOf(
+      leader,
+    )} won on ${breaker.label} (${leaderValue} vs ${formatTieBreakValue(breaker.key, runnerUp[breaker.key])}).`,
+  };
+};
+
 const determineWinner = (standings = [], reason = 'normal') => {
   if (!Array.isArray(standings) || standings.length === 0) {
     return null;
   }
 
   if (reason === 'timeout') {
-    return null;
+    return describeTieBreak(standings).winner;
   }
 
   const alive = standings.filter((entry) => Number.isFinite(entry?.livesRemaining) && entry.livesRemaining > 0);
@@ -115,9 +222,41 @@ const determineWinner = (standings = [], reason = 'normal') => {
   return null;
 };
 
+// Timed-out games rank the table by the tie-breakers, so their standings
+// also carry each player's bid accuracy and tricks won.
 const buildGameCompletionPayload = ({ gameState = {}, players = [], reason = 'normal' } = {}) => {
   const stats = calculateGameStats(gameState);
-  const standings = buildStandings({ players, totalRounds: stats.totalRounds });
+
+  if (reason === 'timeout') {
+    const tieBreakStats = summarizeTieBreakStats(gameState);
+    const standings = assignPlacements(
+      rankByTieBreakers(
+        buildStandings({ players, totalRounds: stats.totalRounds }).map((entry) => ({
+          ...entry,
+          bidAccuracy: tieBreakStats[entry.playerId]?.bidAccuracy ?? null,
+          tricksWon: tieBreakStats[entry.playerId]?.tricksWon ?? 0,
+        })),
+      ),
+      compareByTieBreakers,
+    );
+    const { winner, decidedBy, explanation } = describeTieBreak(standings, {
+      suddenDeath: Number.isFinite(gameState.finalRoundNumber),
+    });
+
+    return {
+      winner,
+      finalStandings: standings,
+      gameStats: stats,
+      reason,
+      tieBreak: { decidedBy, explanation },
+    };
+  }
+
+  const roundsDealt = countRoundsDealt(gameState);
+  const standings = assignPlacements(
+    buildStandings({ players, totalRounds: stats.totalRounds, roundsDealt }),
+    (left, right) => compareFinishingOrder(left, right, roundsDealt),
+  );
   const winner = determineWinner(standings, reason);
 
   return {
@@ -125,11 +264,106 @@ const buildGameCompletionPayload = ({ gameState = {}, players = [], reason = 'no
     finalStandings: standings,
     gameStats: stats,
     reason,
+    tieBreak: null,
+  };
+};
+
+const toEntries = (value) => {
+  if (value instanceof Map) {
+    return Array.from(value.entries());
+  }
+
+  return value && typeof value === 'object' ? Object.entries(value) : [];
+};
+
+const isManilhaCard = (card, manilhaRank) =>
+  Boolean(card?.isManilha) || Boolean(manilhaRank && card?.rank === manilhaRank);
+
+// A player's dealt hand is whatever they played in the round's tricks plus
+// anything still in hand (nothing, once the round has been completed).
+const listCardsHeld = (round, playerId) => {
+  const played = (Array.isArray(round?.tricks) ? round.tricks : [])
+    .map((trick) => new Map(toEntries(trick?.cardsPlayed)).get(playerId))
+    .filter(Boolean);
+  const remaining = new Map(toEntries(round?.hands)).get(playerId);
+
+  return [...played, ...(Array.isArray(remaining) ? remaining : [])];
+};
+
+// Per-player totals for the completed rounds of a game, as fed into account
+// statistics: rounds played, exact bids, lives lost and manilhas dealt.
+const summarizePlayerPerformance = ({ gameState = {}, winner = null } = {}) => {
+  const summary = {};
+  const ensureEntry = (playerId) => {
+    summary[playerId] = summary[playerId] ?? {
+      won: playerId === winner,
+      roundsPlayed: 0,
+      exactBids: 0,
+      livesLost: 0,
+      manilhasHeld: 0,
+    };
+    return summary[playerId];
   };
+
+  (Array.isArray(gameState.rounds) ? gameState.rounds : []).forEach((round) => {
+    if (!round?.completedAt) {
+      return;
+    }
+
+    const playerOrder = toEntries(round.bids).map(([playerId]) => playerId);
+    const results = calculateRoundResults({ round, playerOrder });
+
+    playerOrder.forEach((playerId) => {
+      const entry = ensureEntry(playerId);
+      const result = results.summary[playerId];
+
+      entry.roundsPlayed += 1;
+      entry.exactBids += result.bid === result.actual ? 1 : 0;
+      entry.livesLost += result.livesLost;
+      entry.manilhasHeld += listCardsHeld(round, playerId).filter((card) => isManilhaCard(card, round.manilhaRank)).length;
+    });
+  });
+
+  return summary;
+};
+
+// Bid accuracy (share of exact bids) and tricks won per player over the
+// completed rounds of a game.
+const summarizeTieBreakStats = (gameState = {}) => {
+  const performance = summarizePlayerPerformance({ gameState });
+  const tricksWon = {};
+
+  (Array.isArray(gameState.rounds) ? gameState.rounds : []).forEach((round) => {
+    if (!round?.completedAt) {
+      return;
+    }
+
+    (Array.isArray(round.tricks) ? round.tricks : []).forEach((trick) => {
+      // Counted as in round scoring: a trick also brings any cancelled tricks
+      // carried over to it.
+      if (trick?.winner) {
+        tricksWon[trick.winner] = (tricksWon[trick.winner] ?? 0) + 1 + (trick.carriedTricks ?? 0);
+      }
+    });
+  });
+
+  return Object.fromEntries(
+    Object.entries(performance).map(([playerId, entry]) => [
+      playerId,
+      {
+        bidAccuracy: entry.roundsPlayed > 0 ? entry.exactBids / entry.roundsPlayed : null,
+        tricksWon: tricksWon[playerId] ?? 0,
+      },
+    ]),
+  );
 };
 
 module.exports = {
+  TIME_LIMIT_TIE_BREAKERS,
   buildGameCompletionPayload,
+  summarizePlayerPerformance,
+  summarizeTieBreakStats,
+  describeTieBreak,
   calculateGameStats,
   buildStandings,
   determineWinner,
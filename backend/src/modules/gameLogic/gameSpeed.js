@@ -0,0 +1,52 @@
+'use strict';
+
+const { DEFAULT_TURN_TIMER_SECONDS, clampTurnTimerSeconds } = require('./turnTimer');
+
+// Each preset scales every server-side delay (round transition, trick start,
+// bot pacing) and the turn timer by `multiplier`; the timer is then clamped to
+// the preset's own bounds so blitz cannot drift back to slow-paced turns.
+const GAME_SPEED_PROFILES = Object.freeze({
+  slow: Object.freeze({ multiplier: 1.5, minTurnTimerSeconds: 10, maxTurnTimerSeconds: 45 }),
+  normal: Object.freeze({ multiplier: 1, minTurnTimerSeconds: 5, maxTurnTimerSeconds: 30 }),
+  fast: Object.freeze({ multiplier: 0.5, minTurnTimerSeconds: 4, maxTurnTimerSeconds: 20 }),
+  blitz: Object.freeze({ multiplier: 0.25, minTurnTimerSeconds: 3, maxTurnTimerSeconds: 10 }),
+});
+
+const GAME_SPEEDS = Object.freeze(Object.keys(GAME_SPEED_PROFILES));
+const DEFAULT_GAME_SPEED = 'normal';
+
+const normalizeGameSpeed = (value) => (GAME_SPEEDS.includes(value) ? value : DEFAULT_GAME_SPEED);
+
+const getGameSpeedProfile = (gameSpeed) => {
+  const name = normalizeGameSpeed(gameSpeed);
+  return { name, ...GAME_SPEED_PROFILES[name] };
+};
+
+const scaleDelayMs = (delayMs, gameSpeed) => {
+  const base = Number(delayMs);
+  if (!Number.isFinite(base) || base <= 0) {
+    return 0;
+  }
+
+  return Math.round(base * getGameSpeedProfile(gameSpeed).multiplier);
+};
+
+const resolveTurnTimerSeconds = (turnTimer, gameSpeed) => {
+  const { multiplier, minTurnTimerSeconds: min, maxTurnTimerSeconds: max } = getGameSpeedProfile(gameSpeed);
+  const fallback = clampTurnTimerSeconds(DEFAULT_TURN_TIMER_SECONDS * multiplier, DEFAULT_TURN_TIMER_SECONDS, {
+    min,
+    max,
+  });
+
+  return clampTurnTimerSeconds(Number(turnTimer) * multiplier, fallback, { min, max });
+};
+
+module.exports = {
+  GAME_SPEED_PROFILES,
+  GAME_SPEEDS,
+  DEFAULT_GAME_SPEED,
+  normalizeGameSpeed,
+  getGameSpeedProfile,
+  scaleDelayMs,
+  resolveTurnTimerSeconds,
+};
@@ -0,0 +1,30 @@
+'use strict';
+
+const INACTIVE_ACTIONS = ['spectator', 'bot'];
+const DEFAULT_INACTIVE_ACTION = 'spectator';
+const MIN_INACTIVE_STRIKES = 1;
+const MAX_INACTIVE_STRIKES = 10;
+const DEFAULT_INACTIVE_STRIKE_LIMIT = 3;
+
+const resolveInactivityPolicy = (hostSettings = {}) => {
+  const limit = Math.floor(Number(hostSettings?.inactiveStrikeLimit));
+
+  return {
+    enabled: hostSettings?.autoKickInactive !== false,
+    strikeLimit: Number.isFinite(limit)
+      ? Math.min(MAX_INACTIVE_STRIKES, Math.max(MIN_INACTIVE_STRIKES, limit))
+      : DEFAULT_INACTIVE_STRIKE_LIMIT,
+    action: INACTIVE_ACTIONS.includes(hostSettings?.inactiveAction)
+      ? hostSettings.inactiveAction
+      : DEFAULT_INACTIVE_ACTION,
+  };
+};
+
+module.exports = {
+  INACTIVE_ACTIONS,
+  DEFAULT_INACTIVE_ACTION,
+  MIN_INACTIVE_STRIKES,
+  MAX_INACTIVE_STRIKES,
+  DEFAULT_INACTIVE_STRIKE_LIMIT,
+  resolveInactivityPolicy,
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+const DEFAULT_RATING = 1500;
+const K_FACTOR = 32;
+const RATING_SCALE = 400;
+
+const expectedScore = (rating, opponentRating) => 1 / (1 + 10 ** ((opponentRating - rating) / RATING_SCALE));
+
+// A lower `placement` finishes higher; standings without placements are
+// ordered by lives remaining.
+const toPlacementScore = (entry) => {
+  if (Number.isFinite(entry?.placement)) {
+    return -entry.placement;
+  }
+
+  return Number.isFinite(entry?.livesRemaining) ? entry.livesRemaining : -Infinity;
+};
+
+// Multi-player Elo: every pair of players is scored as a head-to-head match
+// decided by finishing order (a shared placement is a draw), and the
+// K factor is shared across the n - 1 pairings so a game is worth the same
+// amount regardless of table size.
+const calculateRatingChanges = ({ standings = [], ratings = {}, kFactor = K_FACTOR } = {}) => {
+  const entries = standings.filter((entry) => entry?.playerId);
+  if (entries.length < 2) {
+    return {};
+  }
+
+  const ratingOf = (playerId) => (Number.isFinite(ratings[playerId]) ? ratings[playerId] : DEFAULT_RATING);
+  const pairWeight = kFactor / (entries.length - 1);
+
+  return Object.fromEntries(
+    entries.map((entry) => {
+      const before = ratingOf(entry.playerId);
+      const swing = entries.reduce((total, opponent) => {
+        if (opponent.playerId === entry.playerId) {
+          return total;
+        }
+
+        const placement = Math.sign(toPlacementScore(entry) - toPlacementScore(opponent));
+        const actual = placement > 0 ? 1 : placement < 0 ? 0 : 0.5;
+
+        return total + actual - expectedScore(before, ratingOf(opponent.playerId));
+      }, 0);
+
+      const delta = Math.round(pairWeight * swing);
+      return [entry.playerId, { before, after: before + delta, delta }];
+    }),
+  );
+};
+
+module.exports = {
+  DEFAULT_RATING,
+  K_FACTOR,
+  expectedScore,
+  calculateRatingChanges,
+};
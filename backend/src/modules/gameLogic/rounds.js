@@ -2,6 +2,8 @@
 
 const { Card } = require('../cardEngine');
 
+const { CANCELLED_TRICK_RULES, DEFAULT_CANCELLED_TRICK_RULE } = require('./tricks');
+
 const DEFAULT_DECK_SIZE = Card.SUITS.length * Card.RANK_ORDER.length;
 const DEFAULT_VIRA_COUNT = 1;
 
@@ -71,10 +73,12 @@ const countTrickWins = (round, playerOrder) => {
     return counts;
   }
 
+  // Under the `carry-over` rule a winner also takes the cancelled tricks
+  // carried into theirs.
   round.tricks.forEach((trick) => {
     const winner = trick?.winner;
     if (typeof winner === 'string' && Object.prototype.hasOwnProperty.call(counts, winner)) {
-      counts[winner] += 1;
+      counts[winner] += 1 + toNonNegativeInteger(trick.carriedTricks, 0);
     }
   });
 
@@ -110,33 +114,184 @@ const calculateRoundResults = ({ round = {}, playerOrder = [] } = {}) => {
   };
 };
 
+const CARD_PROGRESSIONS = ['ascending', 'up-down', 'descending'];
+const BLIND_ROUND_MODES = ['first', 'single-card', 'none'];
+const { DECK_VARIANTS, MANILHA_MODES } = Card;
+const DEFAULT_RULE_SET = Object.freeze({
+  progression: 'ascending',
+  maxCards: null,
+  blindRounds: 'first',
+  deck: 'full',
+  manilhas: 'vira',
+  cancelledTricks: DEFAULT_CANCELLED_TRICK_RULE,
+});
+
+const normalizeRuleSet = (ruleSet = {}) => {
+  const maxCards = Number(ruleSet?.maxCards);
+
+  return {
+    progression: CARD_PROGRESSIONS.includes(ruleSet?.progression)
+      ? ruleSet.progression
+      : DEFAULT_RULE_SET.progression,
+    maxCards: Number.isInteger(maxCards) && maxCards > 0 ? maxCards : null,
+    blindRounds: BLIND_ROUND_MODES.includes(ruleSet?.blindRounds)
+      ? ruleSet.blindRounds
+      : DEFAULT_RULE_SET.blindRounds,
+    deck: DECK_VARIANTS.includes(ruleSet?.deck) ? ruleSet.deck : DEFAULT_RULE_SET.deck,
+    manilhas: MANILHA_MODES.includes(ruleSet?.manilhas) ? ruleSet.manilhas : DEFAULT_RULE_SET.manilhas,
+    cancelledTricks: CANCELLED_TRICK_RULES.includes(ruleSet?.cancelledTricks)
+      ? ruleSet.cancelledTricks
+      : DEFAULT_RULE_SET.cancelledTricks,
+  };
+};
+
+// Cards in the rule set's deck, and how many of them are turned as the vira.
+const resolveDeckSize = (ruleSet) => Card.SUITS.length * Card.getRankOrder(normalizeRuleSet(ruleSet).deck).length;
+
+const resolveViraCount = (ruleSet) => (normalizeRuleSet(ruleSet).manilhas === 'fixed' ? 0 : DEFAULT_VIRA_COUNT);
+
+// Most cards each player can hold: limited by the deck and the rule set's cap.
+// Returns null when nobody is seated or the deck is exhausted.
+const resolveMaxCardCount = ({
+  playerCount,
+  ruleSet,
+  deckSize = resolveDeckSize(ruleSet),
+  viraCount = resolveViraCount(ruleSet),
+} = {}) => {
+  const sanitizedPlayers = Number.isInteger(playerCount) && playerCount > 0 ? playerCount : 0;
+  const usableCards = Math.max(0, deckSize - viraCount);
+
+  if (sanitizedPlayers === 0 || usableCards === 0) {
+    return null;
+  }
+
+  const deckLimit = Math.max(1, Math.floor(usableCards / sanitizedPlayers));
+  const { maxCards } = normalizeRuleSet(ruleSet);
+
+  return maxCards ? Math.min(deckLimit, maxCards) : deckLimit;
+};
+
+const determineFirstCardCount = ({ playerCount, deckSize, viraCount, ruleSet } = {}) => {
+  if (normalizeRuleSet(ruleSet).progression !== 'descending') {
+    return 1;
+  }
+
+  return resolveMaxCardCount({ playerCount, deckSize, viraCount, ruleSet }) ?? 1;
+};
+
+/**
+ * Card count for the round after `previousCardCount`.
+ * - ascending: climbs by one and stays at the cap.
+ * - descending: drops by one and stays at a single card.
+ * - up-down ("sobe e desce"): climbs to the cap, then descends back to one and
+ *   starts over. The direction comes from `previousCardCounts` (every earlier
+ *   round, oldest first), so no extra state needs to be stored.
+ */
 const determineNextCardCount = ({
   previousCardCount = 1,
   playerCount,
-  deckSize = DEFAULT_DECK_SIZE,
-  viraCount = DEFAULT_VIRA_COUNT,
+  ruleSet,
+  deckSize = resolveDeckSize(ruleSet),
+  viraCount = resolveViraCount(ruleSet),
+  previousCardCounts = [],
 } = {}) => {
   const sanitizedPrevious = Number.isInteger(previousCardCount) && previousCardCount > 0 ? previousCardCount : 1;
-  const sanitizedPlayers = Number.isInteger(playerCount) && playerCount > 0 ? playerCount : 0;
+  const maxPerPlayer = resolveMaxCardCount({ playerCount, deckSize, viraCount, ruleSet });
 
-  if (sanitizedPlayers === 0) {
+  if (maxPerPlayer === null) {
     return sanitizedPrevious;
   }
 
-  const usableCards = Math.max(0, deckSize - viraCount);
-  if (usableCards === 0) {
-    return sanitizedPrevious;
+  const clamp = (value) => Math.min(Math.max(1, value), maxPerPlayer);
+  const { progression } = normalizeRuleSet(ruleSet);
+
+  if (progression === 'descending') {
+    return clamp(sanitizedPrevious - 1);
+  }
+
+  if (progression === 'up-down') {
+    const history = Array.isArray(previousCardCounts) ? previousCardCounts : [];
+    const beforePrevious = history.length >= 2 ? history[history.length - 2] : null;
+    const wasDescending = Number.isInteger(beforePrevious) && beforePrevious > sanitizedPrevious;
+    const descending = sanitizedPrevious >= maxPerPlayer || (wasDescending && sanitizedPrevious > 1);
+
+    return clamp(descending ? sanitizedPrevious - 1 : sanitizedPrevious + 1);
+  }
+
+  return clamp(sanitizedPrevious + 1);
+};
+
+// Player seated after `playerId`, wrapping around; the first seat when
+// `playerId` is not in the order.
+const getPlayerAfter = (playerOrder = [], playerId) => {
+  if (!playerOrder.length) {
+    return null;
+  }
+
+  const index = playerOrder.indexOf(playerId);
+  return playerOrder[(index + 1) % playerOrder.length];
+};
+
+/**
+ * Dealer for the next round: the first seat after the previous dealer that is
+ * still in `playerOrder`, walking the original `seatOrder` so eliminated
+ * players are skipped without shifting everyone else. Without a previous
+ * dealer the last seat deals, which makes the first seat open the bidding.
+ */
+const determineNextDealer = ({ seatOrder = [], playerOrder = [], previousDealerId = null } = {}) => {
+  if (!playerOrder.length) {
+    return null;
   }
 
-  const maxPerPlayer = Math.max(1, Math.floor(usableCards / sanitizedPlayers));
-  const desiredNext = sanitizedPrevious + 1;
+  const fallback = playerOrder[playerOrder.length - 1];
+  const seats = seatOrder.length ? seatOrder : playerOrder;
+  const start = seats.indexOf(previousDealerId);
+  if (start === -1) {
+    return fallback;
+  }
+
+  const active = new Set(playerOrder);
+  for (let step = 1; step <= seats.length; step += 1) {
+    const candidate = seats[(start + step) % seats.length];
+    if (active.has(candidate)) {
+      return candidate;
+    }
+  }
+
+  return fallback;
+};
+
+const isBlindRoundFor = ({ roundNumber, cardCount, ruleSet } = {}) => {
+  const { blindRounds } = normalizeRuleSet(ruleSet);
+
+  if (blindRounds === 'single-card') {
+    return cardCount === 1;
+  }
+
+  if (blindRounds === 'first') {
+    return roundNumber === 1;
+  }
 
-  return Math.min(Math.max(1, desiredNext), maxPerPlayer);
+  return false;
 };
 
 module.exports = {
+  CARD_PROGRESSIONS,
+  BLIND_ROUND_MODES,
+  DECK_VARIANTS,
+  MANILHA_MODES,
+  CANCELLED_TRICK_RULES,
+  DEFAULT_RULE_SET,
   calculateRoundResults,
+  normalizeRuleSet,
+  resolveDeckSize,
+  resolveViraCount,
+  resolveMaxCardCount,
+  determineFirstCardCount,
   determineNextCardCount,
+  isBlindRoundFor,
+  getPlayerAfter,
+  determineNextDealer,
   constants: {
     DEFAULT_DECK_SIZE,
     DEFAULT_VIRA_COUNT,
@@ -0,0 +1,344 @@
+'use strict';
+
+const { createServerSeed, hashSeed } = require('../cardEngine');
+const { createSeededRandomBytes } = require('../cardEngine/fairness');
+const { createGame, reduce, getCurrentPlayerId } = require('../gameEngine');
+
+const { normalizeBidRules } = require('./bidding');
+const { BOT_DIFFICULTIES, createBotStrategy } = require('./bots');
+const { normalizeRuleSet } = require('./rounds');
+
+// Headless bot-vs-bot games for rule balancing: the bots drive the same game
+// engine the socket layer does, in-process with no sockets, timers or
+// persistence. A run is fully determined by its `seed`, so results can be
+// reproduced.
+
+const MIN_SIMULATION_PLAYERS = 2;
+const MAX_SIMULATION_PLAYERS = 10;
+const MAX_SIMULATION_GAMES = 100000;
+const DEFAULT_SIMULATION = Object.freeze({
+  games: 100,
+  players: Object.freeze(['medium', 'medium', 'medium', 'medium']),
+  startingLives: 5,
+  maxRounds: 200,
+});
+
+const toPositiveInteger = (value, fallback, max = Infinity) => {
+  const numeric = Number(value);
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+
+  if (!Number.isInteger(numeric) || numeric <= 0 || numeric > max) {
+    throw new Error(`Expected a positive integer up to ${max}, got "${value}".`);
+  }
+
+  return numeric;
+};
+
+// `players` is one bot difficulty per seat, or a seat count of medium bots.
+const normalizePlayers = (players = DEFAULT_SIMULATION.players) => {
+  const seats = Number.isInteger(players)
+    ? Array.from({ length: players }, () => 'medium')
+    : players;
+
+  if (
+    !Array.isArray(seats) ||
+    seats.length < MIN_SIMULATION_PLAYERS ||
+    seats.length > MAX_SIMULATION_PLAYERS
+  ) {
+    throw new Error(
+      `A simulation needs ${MIN_SIMULATION_PLAYERS} to ${MAX_SIMULATION_PLAYERS} players.`,
+    );
+  }
+
+  seats.forEach((difficulty) => {
+    if (!BOT_DIFFICULTIES.includes(difficulty)) {
+      throw new Error(
+        `Unknown bot difficulty "${difficulty}" (expected ${BOT_DIFFICULTIES.join(', ')}).`,
+      );
+    }
+  });
+
+  return [...seats];
+};
+
+const normalizeSimulationOptions = (options = {}) => ({
+  games: toPositiveInteger(options.games, DEFAULT_SIMULATION.games, MAX_SIMULATION_GAMES),
+  players: normalizePlayers(options.players),
+  ruleSet: normalizeRuleSet(options.ruleSet),
+  bidRules: normalizeBidRules(options.bidRules),
+  startingLives: toPositiveInteger(options.startingLives, DEFAULT_SIMULATION.startingLives),
+  maxRounds: toPositiveInteger(options.maxRounds, DEFAULT_SIMULATION.maxRounds),
+  seed:
+    options.seed === undefined || options.seed === null ? createServerSeed() : String(options.seed),
+});
+
+// Uniform floats in [0, 1) drawn from the seeded byte stream, for the easy
+// bots' random picks.
+const createSeededRandom = (seed) => {
+  const randomBytes = createSeededRandomBytes(seed);
+  return () => randomBytes(4).readUInt32BE(0) / 2 ** 32;
+};
+
+// A rejected action means a bot broke the rules; surface it instead of
+// letting the game stall.
+const dispatch = (state, action) => {
+  const result = reduce(state, action);
+  const rejection = result.events.find((event) => event.type === 'action_rejected');
+  if (rejection) {
+    throw new Error(`Simulated ${action.type} was rejected: ${rejection.payload.message}`);
+  }
+
+  return result;
+};
+
+// Simulated games are stamped with a fixed time so a seed always replays to
+// the same state.
+const SIMULATED_AT = new Date(0).toISOString();
+
+const getCurrentRound = (state) => state.rounds[state.currentRound - 1];
+
+// Takes bids round the table, then starts and plays out each trick
+// until the engine moves the round to scoring. Returns the seats in the order
+// they bid.
+const playRound = ({ state: dealtState, strategies, bidRules }) => {
+  let state = dealtState;
+  const bidOrder = [];
+
+  while (state.currentPhase === 'bidding') {
+    const playerId = getCurrentPlayerId(state);
+    const bid = strategies.get(playerId).selectBid({
+      round: getCurrentRound(state),
+      playerOrder: state.playerOrder,
+      playerId,
+      bidRules,
+    });
+    state = dispatch(state, { type: 'submit_bid', playerId, bid, bidRules }).state;
+    bidOrder.push(playerId);
+  }
+
+  while (state.currentPhase === 'playing') {
+    // Whoever the engine seated after the last trick leads the next one.
+    state = dispatch(state, {
+      type: 'start_trick',
+      leadPlayerId: getCurrentPlayerId(state),
+      at: SIMULATED_AT,
+    }).state;
+
+    let trickComplete = false;
+    while (!trickComplete) {
+      const round = getCurrentRound(state);
+      const trick = round.tricks[round.tricks.length - 1];
+      const playerId = getCurrentPlayerId(state);
+      const card = strategies
+        .get(playerId)
+        .selectCard({ round, trick, playerId, playerOrder: state.playerOrder });
+      const { state: nextState, events } = dispatch(state, {
+        type: 'play_card',
+        playerId,
+        card,
+        at: SIMULATED_AT,
+      });
+
+      state = nextState;
+      trickComplete = events.some((event) => event.type === 'trick_completed');
+    }
+  }
+
+  return { state, bidOrder };
+};
+
+/**
+ * Plays one game between bots until a single player is left alive, everyone
+ * left is eliminated together, or `maxRounds` runs out. Seats are
+ * `seat-1`..`seat-N` and the last seat deals first, as in a real room.
+ * Returns the per-game figures `summarizeSimulations` aggregates.
+ */
+const simulateGame = ({ players, ruleSet, bidRules, startingLives, maxRounds, seed }) => {
+  const seatOrder = players.map((_, index) => `seat-${index + 1}`);
+  const random = createSeededRandom(`${seed}:bots`);
+  const strategies = new Map(
+    seatOrder.map((playerId, index) => [playerId, createBotStrategy(players[index], { random })]),
+  );
+
+  const summary = {
+    rounds: 0,
+    tricks: 0,
+    cancelledTricks: 0,
+    bids: [],
+    winnerSeat: null,
+    reason: 'round_limit',
+  };
+  let state = createGame({
+    roomId: 'simulation',
+    gameId: seed,
+    playerOrder: seatOrder,
+    startingLives,
+  });
+
+  while (state.playerOrder.length > 1 && summary.rounds < maxRounds) {
+    const serverSeed = `${seed}:${summary.rounds + 1}`;
+    const { state: dealtState } = dispatch(state, {
+      type: 'start_round',
+      ruleSet,
+      fairness: { serverSeed, serverSeedHash: hashSeed(serverSeed), clientSeeds: {} },
+      at: SIMULATED_AT,
+    });
+    const { state: playedState, bidOrder } = playRound({ state: dealtState, strategies, bidRules });
+    const { state: scoredState, events } = dispatch(playedState, {
+      type: 'score_round',
+      at: SIMULATED_AT,
+    });
+    const { results } = events[0].payload;
+    const round = getCurrentRound(scoredState);
+
+    bidOrder.forEach((playerId, index) => {
+      summary.bids.push({
+        seat: seatOrder.indexOf(playerId) + 1,
+        position: index + 1,
+        isLast: index === bidOrder.length - 1,
+        exact: results[playerId].livesLost === 0,
+      });
+    });
+
+    summary.rounds = round.roundNumber;
+    summary.tricks += round.tricks.length;
+    summary.cancelledTricks += round.tricks.filter(
+      (trick) => trick.resolution !== 'highest-card',
+    ).length;
+    state = scoredState;
+  }
+
+  if (state.playerOrder.length === 1) {
+    summary.winnerSeat = seatOrder.indexOf(state.playerOrder[0]) + 1;
+    summary.reason = 'victory';
+  } else if (state.playerOrder.length === 0) {
+    summary.reason = 'insufficient_players';
+  }
+
+  return summary;
+};
+
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null);
+
+const tallyBids = (bids) => {
+  const exactBids = bids.filter((bid) => bid.exact).length;
+  return { bids: bids.length, exactBids, bidAccuracy: ratio(exactBids, bids.length) };
+};
+
+/**
+ * Aggregates `simulateGame` results: game length, how often whole tricks
+ * cancel, win rate per seat and bid accuracy per seat and per bidding
+ * position (1 opens the bidding; `lastBidder` is the dealer, who bids last).
+ */
+const summarizeSimulations = (
+  games,
+  { players, ruleSet, bidRules, startingLives, maxRounds, seed },
+) => {
+  const allBids = games.flatMap((game) => game.bids);
+  const totalTricks = games.reduce((sum, game) => sum + game.tricks, 0);
+  const cancelledTricks = games.reduce((sum, game) => sum + game.cancelledTricks, 0);
+  const countReason = (reason) => games.filter((game) => game.reason === reason).length;
+  const positions = Math.max(0, ...allBids.map((bid) => bid.position));
+
+  return {
+    games: games.length,
+    seed,
+    settings: { players, ruleSet, bidRules, startingLives, maxRounds },
+    averageRounds: ratio(
+      games.reduce((sum, game) => sum + game.rounds, 0),
+      games.length,
+    ),
+    averageTricks: ratio(totalTricks, games.length),
+    outcomes: {
+      victory: countReason('victory'),
+      noWinner: countReason('insufficient_players'),
+      roundLimit: countReason('round_limit'),
+    },
+    cancelledTricks: { count: cancelledTricks, rate: ratio(cancelledTricks, totalTricks) },
+    seats: players.map((difficulty, index) => {
+      const seat = index + 1;
+      const wins = games.filter((game) => game.winnerSeat === seat).length;
+      return {
+        seat,
+        difficulty,
+        wins,
+        winRate: ratio(wins, games.length),
+        ...tallyBids(allBids.filter((bid) => bid.seat === seat)),
+      };
+    }),
+    bidPositions: Array.from({ length: positions }, (_, index) => ({
+      position: index + 1,
+      ...tallyBids(allBids.filter((bid) => bid.position === index + 1)),
+    })),
+    lastBidder: tallyBids(allBids.filter((bid) => bid.isLast)),
+  };
+};
+
+/**
+ * Runs `games` seeded games and returns their summary. Game N is shuffled
+ * from `${seed}:N`, so the same options always produce the same numbers.
+ */
+const runSimulations = (options = {}) => {
+  const settings = normalizeSimulationOptions(options);
+  const games = Array.from({ length: settings.games }, (_, index) =>
+    simulateGame({ ...settings, seed: `${settings.seed}:${index + 1}` }),
+  );
+
+  return summarizeSimulations(games, settings);
+};
+
+// Long format (`scope,id,metric,value`), one figure per row, so any column
+// can be pivoted into a chart.
+const formatSimulationCsv = (summary) => {
+  const rows = [
+    ['game', '', 'games', summary.games],
+    ['game', '', 'averageRounds', summary.averageRounds],
+    ['game', '', 'averageTricks', summary.averageTricks],
+    ['game', '', 'victories', summary.outcomes.victory],
+    ['game', '', 'noWinner', summary.outcomes.noWinner],
+    ['game', '', 'roundLimit', summary.outcomes.roundLimit],
+    ['game', '', 'cancelledTricks', summary.cancelledTricks.count],
+    ['game', '', 'cancelledTrickRate', summary.cancelledTricks.rate],
+    ...summary.seats.flatMap((seat) =>
+      ['difficulty', 'wins', 'winRate', 'bids', 'exactBids', 'bidAccuracy'].map((metric) => [
+        'seat',
+        seat.seat,
+        metric,
+        seat[metric],
+      ]),
+    ),
+    ...summary.bidPositions.flatMap((entry) =>
+      ['bids', 'exactBids', 'bidAccuracy'].map((metric) => [
+        'bidPosition',
+        entry.position,
+        metric,
+        entry[metric],
+      ]),
+    ),
+    ...['bids', 'exactBids', 'bidAccuracy'].map((metric) => [
+      'bidPosition',
+      'last',
+      metric,
+      summary.lastBidder[metric],
+    ]),
+  ];
+
+  return [['scope', 'id', 'metric', 'value'], ...rows]
+    .map((row) =>
+      row.map((value) => (value === null || value === undefined ? '' : String(value))).join(','),
+    )
+    .join('\n');
+};
+
+module.exports = {
+  MIN_SIMULATION_PLAYERS,
+  MAX_SIMULATION_PLAYERS,
+  DEFAULT_SIMULATION,
+  normalizeSimulationOptions,
+  simulateGame,
+  summarizeSimulations,
+  runSimulations,
+  formatSimulationCsv,
+};
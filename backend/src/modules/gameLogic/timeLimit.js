@@ -0,0 +1,49 @@
+'use strict';
+
+// `minutes` caps a game's playing time (`null` turns the limit off, time
+// spent paused is not counted); `onExpiry` picks what happens when it runs
+// out: rank the table right away, or play one sudden-death round first.
+const TIME_LIMIT_EXPIRY_MODES = ['ranking', 'sudden-death'];
+const MIN_TIME_LIMIT_MINUTES = 5;
+const MAX_TIME_LIMIT_MINUTES = 240;
+const DEFAULT_TIME_LIMIT = Object.freeze({ minutes: 60, onExpiry: 'ranking' });
+
+const normalizeTimeLimit = (timeLimit = {}) => {
+  const minutes = Number(timeLimit?.minutes);
+
+  return {
+    minutes:
+      timeLimit?.minutes === null
+        ? null
+        : Number.isInteger(minutes) && minutes >= MIN_TIME_LIMIT_MINUTES && minutes <= MAX_TIME_LIMIT_MINUTES
+          ? minutes
+          : DEFAULT_TIME_LIMIT.minutes,
+    onExpiry: TIME_LIMIT_EXPIRY_MODES.includes(timeLimit?.onExpiry) ? timeLimit.onExpiry : DEFAULT_TIME_LIMIT.onExpiry,
+  };
+};
+
+const resolveTimeLimitMs = (timeLimit) => {
+  const { minutes } = normalizeTimeLimit(timeLimit);
+  return minutes === null ? null : minutes * 60 * 1000;
+};
+
+const describeTimeLimit = (timeLimit) => {
+  const { minutes, onExpiry } = normalizeTimeLimit(timeLimit);
+  if (minutes === null) {
+    return 'No time limit.';
+  }
+
+  return onExpiry === 'sudden-death'
+    ? `${minutes}-minute time limit, then a sudden-death final round.`
+    : `${minutes}-minute time limit, then the table is ranked.`;
+};
+
+module.exports = {
+  TIME_LIMIT_EXPIRY_MODES,
+  MIN_TIME_LIMIT_MINUTES,
+  MAX_TIME_LIMIT_MINUTES,
+  DEFAULT_TIME_LIMIT,
+  normalizeTimeLimit,
+  resolveTimeLimitMs,
+  describeTimeLimit,
+};
@@ -2,6 +2,16 @@
 
 const { Card } = require('../cardEngine');
 
+// What happens to a trick in which every card cancelled ("embuchada"):
+// - `nobody`: nobody takes it; its lead player leads the next trick
+// - `lead-player`: the player who led it takes it
+// - `carry-over`: it goes to whoever wins the next trick, along with any
+//   trick carried into this one; still unclaimed at the end of the round,
+//   nobody takes it
+// - `last-card`: the player who played the last card takes it
+const CANCELLED_TRICK_RULES = ['nobody', 'lead-player', 'carry-over', 'last-card'];
+const DEFAULT_CANCELLED_TRICK_RULE = 'nobody';
+
 const SUIT_SYMBOLS = {
   clubs: '♣',
   hearts: '♥',
@@ -17,7 +27,7 @@ const toIsoDate = (value = new Date()) => {
 const isCardLike = (card) =>
   card && typeof card === 'object' && typeof card.rank === 'string' && typeof card.suit === 'string';
 
-const cloneCard = (card, viraRank) => {
+const cloneCard = (card, viraRank, variant) => {
   if (!isCardLike(card)) {
     throw new TypeError('Card must include rank and suit.');
   }
@@ -28,15 +38,15 @@ const cloneCard = (card, viraRank) => {
     clone.displayName = `${clone.rank}${SUIT_SYMBOLS[clone.suit]}`;
   }
 
-  if (viraRank) {
+  if (viraRank || variant?.manilhas === 'fixed') {
     try {
-      clone.isManilha = Card.isManilhaRank(clone.rank, viraRank);
+      clone.isManilha = Card.isManilha(clone.rank, clone.suit, viraRank, variant);
     } catch (error) {
       clone.isManilha = Boolean(clone.isManilha);
     }
 
     try {
-      clone.strength = Card.calculateStrength(clone.rank, clone.suit, viraRank);
+      clone.strength = Card.calculateStrength(clone.rank, clone.suit, viraRank, variant);
     } catch (error) {
       if (!Number.isFinite(clone.strength)) {
         clone.strength = undefined;
@@ -245,7 +255,7 @@ const recordCardPlay = (trick, { playerId, card, playedAt = new Date() }) => {
   return target;
 };
 
-const isManilhaCard = (card, viraRank) => {
+const isManilhaCard = (card, viraRank, variant) => {
   if (!isCardLike(card)) {
     return false;
   }
@@ -254,12 +264,8 @@ const isManilhaCard = (card, viraRank) => {
     return card.isManilha;
   }
 
-  if (!viraRank) {
-    return false;
-  }
-
   try {
-    return Card.isManilhaRank(card.rank, viraRank);
+    return Card.isManilha(card.rank, card.suit, viraRank, variant);
   } catch (error) {
     return false;
   }
@@ -277,7 +283,7 @@ const groupByRank = (entries) => {
   return groups;
 };
 
-const evaluateWinner = (entries, viraRank, cancelledEntries) => {
+const evaluateWinner = (entries, viraRank, variant, cancelledEntries) => {
   if (entries.length === 0) {
     return null;
   }
@@ -285,8 +291,8 @@ const evaluateWinner = (entries, viraRank, cancelledEntries) => {
   const working = entries
     .map((entry) => ({
       playerId: entry.playerId,
-      card: cloneCard(entry.card, viraRank),
-      strength: Card.calculateStrength(entry.card.rank, entry.card.suit, viraRank),
+      card: cloneCard(entry.card, viraRank, variant),
+      strength: Card.calculateStrength(entry.card.rank, entry.card.suit, viraRank, variant),
     }))
     .sort((a, b) => b.strength - a.strength);
 
@@ -303,12 +309,41 @@ const evaluateWinner = (entries, viraRank, cancelledEntries) => {
 
   cancelledEntries.push(top, ...tiedWithTop);
   const remaining = rest.filter((entry) => entry.strength < top.strength);
-  return evaluateWinner(remaining, viraRank, cancelledEntries);
+  return evaluateWinner(remaining, viraRank, variant, cancelledEntries);
+};
+
+// Applies the cancelled-trick rule to a trick whose every card cancelled.
+// Only `last-card` has a card that wins; `lead-player` hands the trick over
+// without one.
+const resolveCancelledTrick = ({ trick, plays, rule, viraRank, variant }) => {
+  if (rule === 'lead-player') {
+    return { winner: trick.leadPlayer ?? plays[0].playerId, winningCard: null };
+  }
+
+  if (rule === 'last-card') {
+    const playOrder = Array.isArray(trick.playOrder) ? trick.playOrder : [];
+    const lastPlayerId = playOrder.length ? playOrder[playOrder.length - 1] : plays[plays.length - 1].playerId;
+    const lastPlay = plays.find((entry) => entry.playerId === lastPlayerId) ?? plays[plays.length - 1];
+    return { winner: lastPlay.playerId, winningCard: cloneCard(lastPlay.card, viraRank, variant) };
+  }
+
+  return { winner: null, winningCard: null };
 };
 
+// `variant` is the round's `{ deck, manilhas }`. Same-rank plain cards cancel
+// each other; manilhas never do, which matters with fixed manilhas where a
+// 7♥ can meet a plain 7.
+//
+// `cancelledTrickRule` decides a trick in which every card cancelled, and
+// `carriedTricks` is how many earlier tricks were carried into this one
+// under `carry-over`. `resolution` reports how the trick was decided:
+// `highest-card`, or the cancelled-trick rule that applied.
 const resolveTrick = ({
   trick,
   viraRank,
+  variant,
+  cancelledTrickRule = DEFAULT_CANCELLED_TRICK_RULE,
+  carriedTricks = 0,
 }) => {
   if (!trick || typeof trick !== 'object') {
     throw new TypeError('Trick state is required for resolution.');
@@ -322,30 +357,22 @@ const resolveTrick = ({
       cancelledCards: [],
       survivingEntries: [],
       cancelledEntries: [],
+      resolution: 'highest-card',
+      carriedTricks,
     };
   }
 
   const cancelledEntries = [];
-  const groups = groupByRank(plays);
+  const plainEntries = plays.filter((entry) => !isManilhaCard(entry.card, viraRank, variant));
+  const plainGroups = groupByRank(plainEntries);
   const survivingEntries = [];
 
-  groups.forEach((entries) => {
-    const allManilha = entries.every((entry) => isManilhaCard(entry.card, viraRank));
-    if (!allManilha && entries.length >= 2) {
-      entries.forEach((entry) => {
-        cancelledEntries.push({
-          playerId: entry.playerId,
-          card: cloneCard(entry.card, viraRank),
-        });
-      });
-      return;
-    }
-
-    entries.forEach((entry) => {
-      survivingEntries.push({
-        playerId: entry.playerId,
-        card: cloneCard(entry.card, viraRank),
-      });
+  plays.forEach((entry) => {
+    const target =
+      plainEntries.includes(entry) && plainGroups.get(entry.card.rank).length >= 2 ? cancelledEntries : survivingEntries;
+    target.push({
+      playerId: entry.playerId,
+      card: cloneCard(entry.card, viraRank, variant),
     });
   });
 
@@ -355,27 +382,35 @@ const resolveTrick = ({
       card: entry.card,
     })),
     viraRank,
+    variant,
     cancelledEntries,
   );
 
   const cancelledCards = cancelledEntries.map((entry) => ({ ...entry.card }));
 
   if (!winnerEntry) {
+    const rule = CANCELLED_TRICK_RULES.includes(cancelledTrickRule)
+      ? cancelledTrickRule
+      : DEFAULT_CANCELLED_TRICK_RULE;
+
     return {
-      winner: null,
-      winningCard: null,
+      ...resolveCancelledTrick({ trick, plays, rule, viraRank, variant }),
       cancelledCards,
       survivingEntries,
       cancelledEntries,
+      resolution: rule,
+      carriedTricks,
     };
   }
 
   return {
     winner: winnerEntry.playerId,
-    winningCard: cloneCard(winnerEntry.card, viraRank),
+    winningCard: cloneCard(winnerEntry.card, viraRank, variant),
     cancelledCards,
     survivingEntries,
     cancelledEntries,
+    resolution: 'highest-card',
+    carriedTricks,
   };
 };
 
@@ -397,6 +432,8 @@ const removeCardFromHand = (hand, card) => {
 };
 
 module.exports = {
+  CANCELLED_TRICK_RULES,
+  DEFAULT_CANCELLED_TRICK_RULE,
   validateCardPlay,
   createTrickState,
   recordCardPlay,
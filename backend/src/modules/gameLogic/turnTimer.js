@@ -4,19 +4,23 @@ const MIN_TURN_TIMER_SECONDS = 5;
 const MAX_TURN_TIMER_SECONDS = 30;
 const DEFAULT_TURN_TIMER_SECONDS = 20;
 
-const clampTurnTimerSeconds = (value, fallback = DEFAULT_TURN_TIMER_SECONDS) => {
+const clampTurnTimerSeconds = (
+  value,
+  fallback = DEFAULT_TURN_TIMER_SECONDS,
+  { min = MIN_TURN_TIMER_SECONDS, max = MAX_TURN_TIMER_SECONDS } = {},
+) => {
   const raw = Number(value);
   if (!Number.isFinite(raw)) {
     return fallback;
   }
 
   const rounded = Math.floor(raw);
-  if (rounded < MIN_TURN_TIMER_SECONDS) {
-    return MIN_TURN_TIMER_SECONDS;
+  if (rounded < min) {
+    return min;
   }
 
-  if (rounded > MAX_TURN_TIMER_SECONDS) {
-    return MAX_TURN_TIMER_SECONDS;
+  if (rounded > max) {
+    return max;
   }
 
   return rounded;
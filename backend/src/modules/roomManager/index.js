@@ -1,10 +1,15 @@
 'use strict';
 
-const { randomUUID } = require('node:crypto');
+const { randomBytes, randomInt, randomUUID, scrypt, timingSafeEqual } = require('node:crypto');
+const { promisify } = require('node:util');
 
 const baseLogger = require('../../config/logger');
+const { normalizeBotDifficulty, pickBotName } = require('../gameLogic/bots');
 const { stateManager: defaultStateManager } = require('../stateManager');
+const { SPECTATOR_ACCESS_LEVELS } = require('../security/inputValidator');
+const { AttemptLockout } = require('../security/attemptLockout');
 
+const MIN_PLAYERS = 2;
 const MAX_PLAYERS = 10;
 const RECONNECTION_WINDOW_MS = 5 * 60 * 1000;
 const DEFAULT_ROOMS = [
@@ -14,6 +19,15 @@ const DEFAULT_ROOMS = [
   { roomId: 'xique-xique', displayName: 'Xique-Xique' },
   { roomId: 'campinas', displayName: 'Campinas' },
 ];
+// Private tables are keyed by their invite code. The alphabet leaves out
+// characters that are easy to misread (0/o, 1/l/i).
+const INVITE_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+const INVITE_CODE_LENGTH = 6;
+const MAX_PRIVATE_ROOMS = 100;
+const PRIVATE_ROOM_IDLE_MS = 10 * 60 * 1000;
+const DEFAULT_BAN_MS = 60 * 60 * 1000;
+const MAX_PASSWORD_ATTEMPTS = 5;
+const PASSWORD_LOCKOUT_MS = 5 * 60 * 1000;
 
 class RoomManagerError extends Error {
   constructor(message, code = 'ROOM_MANAGER_ERROR', metadata = {}) {
@@ -32,6 +46,18 @@ const normalizeName = (value) => {
   return value.trim().replace(/\s+/g, ' ');
 };
 
+const scryptAsync = promisify(scrypt);
+
+const hashPassword = async (password, salt) => (await scryptAsync(String(password), salt, 32)).toString('hex');
+
+// What clients may know about a room's lock: never the password hash.
+const describeRoomAccess = (access = {}) => ({
+  hasPassword: Boolean(access.passwordHash),
+  inviteOnly: Boolean(access.inviteOnly),
+  invitedNames: Array.isArray(access.invitedNames) ? [...access.invitedNames] : [],
+  spectators: SPECTATOR_ACCESS_LEVELS.includes(access.spectators) ? access.spectators : 'open',
+});
+
 class RoomManager {
   constructor({
     stateManager,
@@ -39,6 +65,8 @@ class RoomManager {
     maxPlayers = MAX_PLAYERS,
     reconnectionWindowMs = RECONNECTION_WINDOW_MS,
     defaultRooms = DEFAULT_ROOMS,
+    maxPrivateRooms = MAX_PRIVATE_ROOMS,
+    privateRoomIdleMs = PRIVATE_ROOM_IDLE_MS,
   } = {}) {
     if (!stateManager) {
       throw new RoomManagerError('stateManager instance is required', 'STATE_MANAGER_REQUIRED');
@@ -48,12 +76,18 @@ class RoomManager {
     this.maxPlayers = maxPlayers;
     this.reconnectionWindowMs = reconnectionWindowMs;
     this.defaultRooms = Array.isArray(defaultRooms) && defaultRooms.length ? defaultRooms : DEFAULT_ROOMS;
+    this.maxPrivateRooms = maxPrivateRooms;
+    this.privateRoomIdleMs = privateRoomIdleMs;
 
     this.logger = typeof logger?.child === 'function' ? logger.child({ module: 'roomManager' }) : logger;
 
     this.sessionsById = new Map();
     this.playerToSession = new Map();
     this.disconnectedPlayers = new Map();
+    this.passwordLockout = new AttemptLockout({
+      maxAttempts: MAX_PASSWORD_ATTEMPTS,
+      lockoutMs: PASSWORD_LOCKOUT_MS,
+    });
 
     this.ensureDefaultRooms();
     this.rehydrateSessionIndex();
@@ -117,6 +151,75 @@ class RoomManager {
     return this.stateManager.getRoom(roomId);
   }
 
+  generateInviteCode() {
+    for (let attempt = 0; attempt < 20; attempt += 1) {
+      const code = Array.from(
+        { length: INVITE_CODE_LENGTH },
+        () => INVITE_CODE_ALPHABET[randomInt(INVITE_CODE_ALPHABET.length)],
+      ).join('');
+
+      if (!this.stateManager.getRoom(code)) {
+        return code;
+      }
+    }
+
+    throw new RoomManagerError('Unable to allocate an invite code', 'INVITE_CODE_EXHAUSTED');
+  }
+
+  createPrivateRoom({ displayName } = {}) {
+    const normalizedName = normalizeName(displayName);
+
+    if (!normalizedName) {
+      throw new RoomManagerError('displayName is required to create a room', 'ROOM_NAME_REQUIRED');
+    }
+
+    const privateRooms = this.stateManager.listRooms().filter((room) => room.isPrivate);
+    if (privateRooms.length >= this.maxPrivateRooms) {
+      throw new RoomManagerError('Too many private rooms are open right now', 'ROOM_LIMIT_REACHED', {
+        maxPrivateRooms: this.maxPrivateRooms,
+      });
+    }
+
+    const inviteCode = this.generateInviteCode();
+    const room = this.stateManager.upsertRoom({
+      roomId: inviteCode,
+      displayName: normalizedName,
+      status: 'waiting',
+      players: [],
+      spectators: [],
+      isPrivate: true,
+      inviteCode,
+    });
+
+    this.logger.info('room_manager.private_room_created', { roomId: room.roomId });
+
+    return room.toJSON();
+  }
+
+  // Private rooms are dropped once nobody has been in them for
+  // `privateRoomIdleMs`; the fixed city rooms are never removed.
+  cleanupIdleRooms(now = Date.now()) {
+    const cutoff = (typeof now === 'number' ? now : Date.now()) - this.privateRoomIdleMs;
+    const removed = [];
+
+    this.stateManager.listRooms().forEach((room) => {
+      const isEmpty = !room.players?.length && !room.spectators?.length;
+      if (!room.isPrivate || !isEmpty || room.status === 'playing') {
+        return;
+      }
+
+      if (new Date(room.lastActivity).getTime() > cutoff) {
+        return;
+      }
+
+      this.stateManager.removeRoom(room.roomId);
+      removed.push(room.roomId);
+      this.logger.info('room_manager.private_room_removed', { roomId: room.roomId, reason: 'idle' });
+    });
+
+    return removed;
+  }
+
   getRoomSnapshot(roomId) {
     const room = this.stateManager.getRoom(roomId);
     return room?.toJSON ? room.toJSON() : room ?? null;
@@ -140,6 +243,10 @@ class RoomManager {
     socketId = null,
     isSpectator = false,
     sessionId = null,
+    accountId = null,
+    verifiedPasswordHash = null,
+    previousSessionId = null,
+    queueForSeat = false,
   } = {}) {
     this.cleanupExpiredSessions();
 
@@ -163,11 +270,34 @@ class RoomManager {
       throw new RoomManagerError(`Room ${roomId} was not found`, 'ROOM_NOT_FOUND', { roomId });
     }
 
-    if (room.status === 'playing' && !isSpectator) {
+    // `previousSessionId` is the session the client last held; it is only
+    // checked against bans.
+    const ban = this.findActiveBan(room, {
+      displayName: normalizedName,
+      sessionIds: [sessionId, previousSessionId],
+      accountId,
+    });
+    if (ban) {
+      throw new RoomManagerError('You are banned from this room', 'BANNED', { roomId, expiresAt: ban.expiresAt });
+    }
+
+    // With `queueForSeat`, a player who cannot be seated right now (the room is
+    // full or in play) watches from the seat queue instead.
+    const seatUnavailable =
+      room.status === 'playing' || (Array.isArray(room.players) ? room.players.length : 0) >= this.maxPlayers;
+    const joinsQueue = Boolean(queueForSeat) && (isSpectator || seatUnavailable);
+    const joinsAsSpectator = Boolean(isSpectator) || joinsQueue;
+
+    this.assertRoomAccess(room, { accountId, isSpectator: joinsAsSpectator, verifiedPasswordHash });
+    if (joinsQueue) {
+      this.assertRoomAccess(room, { accountId, isSpectator: false, verifiedPasswordHash });
+    }
+
+    if (room.status === 'playing' && !joinsAsSpectator) {
       throw new RoomManagerError('Room is currently in play', 'ROOM_IN_PROGRESS', { roomId });
     }
 
-    if (!isSpectator) {
+    if (!joinsAsSpectator) {
       const playerCount = Array.isArray(room.players) ? room.players.length : 0;
       if (playerCount >= this.maxPlayers) {
         throw new RoomManagerError('Room is full', 'ROOM_FULL', {
@@ -197,19 +327,24 @@ class RoomManager {
       displayName: normalizedName,
       socketId,
       roomId,
-      isSpectator,
+      isSpectator: joinsAsSpectator,
       isHost: false,
+      accountId,
       connectionStatus: 'connected',
       joinedAt: now.toISOString(),
       lastSeen: now.toISOString(),
     });
 
-    if (isSpectator) {
+    if (joinsAsSpectator) {
       const spectators = Array.isArray(room.spectators) ? [...room.spectators] : [];
       if (!spectators.includes(playerId)) {
         spectators.push(playerId);
       }
-      room.update({ spectators, lastActivity: now });
+      room.update({
+        spectators,
+        lastActivity: now,
+        ...(joinsQueue ? { seatQueue: [...room.seatQueue, playerId] } : {}),
+      });
     } else {
       const players = Array.isArray(room.players) ? [...room.players] : [];
       if (!players.includes(playerId)) {
@@ -260,7 +395,8 @@ class RoomManager {
       roomId,
       playerId,
       sessionId: assignedSessionId,
-      isSpectator,
+      isSpectator: joinsAsSpectator,
+      queued: joinsQueue,
     });
 
     return {
@@ -270,6 +406,880 @@ class RoomManager {
     };
   }
 
+  // Invited accounts skip the password; spectators are let in according to
+  // `access.spectators` ('open' skips every check, 'closed' refuses them).
+  // `verifiedPasswordHash` is what `verifyRoomPassword` resolved with.
+  assertRoomAccess(room, { accountId = null, isSpectator = false, verifiedPasswordHash = null } = {}) {
+    const access = room.access ?? {};
+    const roomId = room.roomId;
+
+    if (isSpectator && access.spectators === 'closed') {
+      throw new RoomManagerError('Spectating is disabled in this room', 'SPECTATING_DISABLED', { roomId });
+    }
+
+    if (isSpectator && access.spectators !== 'locked') {
+      return;
+    }
+
+    if (accountId && (access.invitedAccountIds ?? []).includes(accountId)) {
+      return;
+    }
+
+    if (access.inviteOnly) {
+      throw new RoomManagerError('This room is invite only', 'NOT_INVITED', { roomId });
+    }
+
+    if (access.passwordHash && verifiedPasswordHash !== access.passwordHash) {
+      throw new RoomManagerError('This room requires a password', 'PASSWORD_REQUIRED', { roomId });
+    }
+  }
+
+  // Checks `password` against the room's, off the event loop, and resolves
+  // with the hash it matched (null when there is nothing to check) for
+  // `joinRoom` and `joinSeatQueue`, which decide whether one was needed. After MAX_PASSWORD_ATTEMPTS wrong
+  // passwords the room, and the client (`attemptKey`) that sent them, are
+  // locked out for PASSWORD_LOCKOUT_MS.
+  async verifyRoomPassword({ roomId, password = null, attemptKey = null } = {}) {
+    const room = roomId ? this.stateManager.getRoom(roomId) : null;
+
+    if (!room) {
+      throw new RoomManagerError(`Room ${roomId} was not found`, 'ROOM_NOT_FOUND', { roomId });
+    }
+
+    const { passwordHash, passwordSalt } = room.access ?? {};
+    if (!passwordHash || !password) {
+      return null;
+    }
+
+    const attemptKeys = [`room:${roomId}`, ...(attemptKey ? [`client:${attemptKey}`] : [])];
+    const retryAfterMs = this.passwordLockout.remainingLockMs(attemptKeys);
+    if (retryAfterMs > 0) {
+      throw new RoomManagerError('Too many incorrect passwords. Try again later.', 'PASSWORD_LOCKED', {
+        roomId,
+        retryAfterMs,
+      });
+    }
+
+    const provided = Buffer.from(await hashPassword(password, passwordSalt), 'hex');
+
+    if (!timingSafeEqual(Buffer.from(passwordHash, 'hex'), provided)) {
+      this.passwordLockout.recordFailure(attemptKeys);
+      throw new RoomManagerError('Incorrect room password', 'INVALID_PASSWORD', { roomId });
+    }
+
+    this.passwordLockout.clear(attemptKeys);
+    return passwordHash;
+  }
+
+  // `password: null` removes the password, `undefined` leaves it untouched.
+  // Invites go to accounts (`{ accountId, displayName }`) so that a guest
+  // cannot get in by picking an invited name.
+  async updateRoomAccess({ roomId, password, inviteOnly, invitedAccounts, spectators } = {}) {
+    const room = this.stateManager.getRoom(roomId);
+
+    if (!room) {
+      throw new RoomManagerError(`Room ${roomId} was not found`, 'ROOM_NOT_FOUND', { roomId });
+    }
+
+    const patch = {};
+
+    if (password === null) {
+      patch.passwordHash = null;
+      patch.passwordSalt = null;
+    } else if (password !== undefined) {
+      patch.passwordSalt = randomBytes(16).toString('hex');
+      patch.passwordHash = await hashPassword(password, patch.passwordSalt);
+    }
+
+    if (inviteOnly !== undefined) {
+      patch.inviteOnly = Boolean(inviteOnly);
+    }
+
+    if (Array.isArray(invitedAccounts)) {
+      patch.invitedNames = invitedAccounts.map(({ displayName }) => normalizeName(displayName));
+      patch.invitedAccountIds = invitedAccounts.map(({ accountId }) => accountId);
+    }
+
+    if (spectators !== undefined) {
+      patch.spectators = spectators;
+    }
+
+    room.update({ access: patch });
+    this.stateManager.upsertRoom(room);
+
+    this.logger.info('room_manager.access_updated', {
+      roomId,
+      hasPassword: Boolean(room.access.passwordHash),
+      inviteOnly: room.access.inviteOnly,
+      spectators: room.access.spectators,
+    });
+
+    return describeRoomAccess(room.access);
+  }
+
+  // A ban matches the banned display name, session or account, so rejoining
+  // under a new session or the same account is refused until it expires.
+  findActiveBan(room, { displayName = '', sessionIds = [], accountId = null, now = Date.now() } = {}) {
+    const name = normalizeName(displayName).toLowerCase();
+    const sessions = sessionIds.filter(Boolean);
+
+    return (
+      (room?.bans ?? []).find(
+        (ban) =>
+          Date.parse(ban.expiresAt) > now &&
+          ((name && ban.displayName.toLowerCase() === name) ||
+            (ban.sessionId && sessions.includes(ban.sessionId)) ||
+            (accountId && ban.accountId === accountId)),
+      ) ?? null
+    );
+  }
+
+  resolveRoomMember({ roomId, playerId } = {}) {
+    const player = this.stateManager.getPlayer(playerId);
+    const room = roomId ? this.stateManager.getRoom(roomId) : null;
+    const members = [...(room?.players || []), ...(room?.spectators || [])];
+
+    if (!room || !player || player.roomId !== roomId || !members.includes(playerId)) {
+      throw new RoomManagerError('Player is not in this room', 'PLAYER_NOT_FOUND', { roomId, playerId });
+    }
+
+    return { room, player };
+  }
+
+  // Seated players can only be removed between games; during a game the host
+  // can still mute them, and idle players are handled by the turn timer.
+  kickPlayer({ roomId, playerId, reason = 'kicked' } = {}) {
+    const { room, player } = this.resolveRoomMember({ roomId, playerId });
+
+    if (player.isBot) {
+      throw new RoomManagerError('Bots are removed with remove_bot', 'INVALID_TARGET', { roomId, playerId });
+    }
+
+    if (room.status === 'playing' && !player.isSpectator) {
+      throw new RoomManagerError('Seated players can only be removed between games', 'ROOM_IN_PROGRESS', {
+        roomId,
+        playerId,
+      });
+    }
+
+    const socketId = player.socketId ?? null;
+    const result = this.removePlayerById(playerId, { reason });
+
+    this.logger.info('room_manager.player_kicked', { roomId, playerId, reason });
+
+    return { ...result, socketId };
+  }
+
+  banPlayer({ roomId, playerId, durationMs = DEFAULT_BAN_MS, now = Date.now() } = {}) {
+    const { player } = this.resolveRoomMember({ roomId, playerId });
+    const sessionId = this.playerToSession.get(playerId) ?? null;
+    const accountId = player.accountId ?? null;
+
+    const result = this.kickPlayer({ roomId, playerId, reason: 'banned' });
+    const room = this.stateManager.getRoom(roomId);
+
+    const ban = {
+      displayName: normalizeName(player.displayName),
+      sessionId,
+      accountId,
+      bannedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + durationMs).toISOString(),
+    };
+
+    room.update({
+      bans: [...(room.bans || []).filter((entry) => Date.parse(entry.expiresAt) > now), ban],
+    });
+    this.stateManager.upsertRoom(room);
+
+    this.logger.info('room_manager.player_banned', { roomId, playerId, expiresAt: ban.expiresAt });
+
+    return { ...result, ban };
+  }
+
+  transferHost({ roomId, playerId } = {}) {
+    const { room, player } = this.resolveRoomMember({ roomId, playerId });
+
+    if (player.isSpectator || player.isBot || player.connectionStatus !== 'connected') {
+      throw new RoomManagerError('Host can only be handed to a connected, seated player', 'INVALID_TARGET', {
+        roomId,
+        playerId,
+      });
+    }
+
+    const previous = (room.players || [])
+      .map((id) => this.stateManager.getPlayer(id))
+      .find((entry) => entry?.isHost && entry.playerId !== playerId);
+
+    if (previous) {
+      previous.update({ isHost: false });
+      this.stateManager.upsertPlayer(previous);
+    }
+
+    player.update({ isHost: true });
+    this.stateManager.upsertPlayer(player);
+
+    this.logger.info('room_manager.host_transferred', {
+      roomId,
+      playerId,
+      previousHostId: previous?.playerId ?? null,
+    });
+
+    return {
+      room: room.toJSON(),
+      player: player.toJSON(),
+      previousHostId: previous?.playerId ?? null,
+    };
+  }
+
+  setPlayerMuted({ roomId, playerId, muted = true } = {}) {
+    const { player } = this.resolveRoomMember({ roomId, playerId });
+
+    player.update({ isMuted: Boolean(muted) });
+    this.stateManager.upsertPlayer(player);
+
+    return player.toJSON();
+  }
+
+  // `room.players` is the seat order: it becomes the game's `playerOrder`, so
+  // it decides who deals, bids last and leads. Seats only move between games.
+  resolveLobbySeats(roomId) {
+    const room = roomId ? this.stateManager.getRoom(roomId) : null;
+
+    if (!room) {
+      throw new RoomManagerError(`Room ${roomId} was not found`, 'ROOM_NOT_FOUND', { roomId });
+    }
+
+    if (room.status === 'playing') {
+      throw new RoomManagerError('Seats can only change between games', 'ROOM_IN_PROGRESS', { roomId });
+    }
+
+    return room;
+  }
+
+  applySeatOrder(room, order) {
+    room.update({ players: order });
+    this.stateManager.upsertRoom(room);
+
+    this.logger.info('room_manager.seats_updated', { roomId: room.roomId, seatOrder: order });
+
+    return [...order];
+  }
+
+  moveToSeat({ roomId, playerId, seatIndex } = {}) {
+    const room = this.resolveLobbySeats(roomId);
+    const order = [...(room.players || [])];
+    const from = order.indexOf(playerId);
+
+    if (from === -1) {
+      throw new RoomManagerError('Only seated players can pick a seat', 'INVALID_TARGET', { roomId, playerId });
+    }
+
+    if (!Number.isInteger(seatIndex) || seatIndex < 0 || seatIndex >= order.length) {
+      throw new RoomManagerError('That seat does not exist', 'INVALID_SEAT', { roomId, seatIndex });
+    }
+
+    order.splice(from, 1);
+    order.splice(seatIndex, 0, playerId);
+
+    return this.applySeatOrder(room, order);
+  }
+
+  setSeatOrder({ roomId, order = [] } = {}) {
+    const room = this.resolveLobbySeats(roomId);
+    const current = room.players || [];
+    const unique = new Set(order);
+
+    if (
+      !Array.isArray(order) ||
+      order.length !== current.length ||
+      unique.size !== order.length ||
+      !current.every((playerId) => unique.has(playerId))
+    ) {
+      throw new RoomManagerError('Seat order must list every seated player once', 'INVALID_SEAT', { roomId });
+    }
+
+    return this.applySeatOrder(room, [...order]);
+  }
+
+  shuffleSeats({ roomId } = {}) {
+    const room = this.resolveLobbySeats(roomId);
+    const order = [...(room.players || [])];
+
+    for (let index = order.length - 1; index > 0; index -= 1) {
+      const swapWith = randomInt(index + 1);
+      [order[index], order[swapWith]] = [order[swapWith], order[index]];
+    }
+
+    return this.applySeatOrder(room, order);
+  }
+
+  setPlayerReady({ roomId, playerId, ready = true } = {}) {
+    const { room, player } = this.resolveRoomMember({ roomId, playerId });
+
+    if (room.status === 'playing') {
+      throw new RoomManagerError('Room is currently in play', 'ROOM_IN_PROGRESS', { roomId });
+    }
+
+    if (player.isSpectator) {
+      throw new RoomManagerError('Only seated players can ready up', 'INVALID_TARGET', { roomId, playerId });
+    }
+
+    player.update({ isReady: Boolean(ready) });
+    this.stateManager.upsertPlayer(player);
+
+    return player.toJSON();
+  }
+
+  // Ready flags only cover one lobby; they are cleared when a game starts.
+  clearReadyStates(roomId) {
+    const room = this.stateManager.getRoom(roomId);
+
+    (room?.players || []).forEach((playerId) => {
+      const player = this.stateManager.getPlayer(playerId);
+      if (player?.isReady) {
+        player.update({ isReady: false });
+        this.stateManager.upsertPlayer(player);
+      }
+    });
+  }
+
+  // Bots are always ready. Disconnected players are left out, matching who
+  // `start_game` would deal in.
+  describeLobbyReadiness(roomId) {
+    const room = this.stateManager.getRoom(roomId);
+    const seated = (room?.players || [])
+      .map((playerId) => this.stateManager.getPlayer(playerId))
+      .filter((player) => player && !player.isSpectator && player.connectionStatus === 'connected');
+
+    const players = seated.map((player) => ({
+      playerId: player.playerId,
+      isReady: player.isBot || player.isReady,
+    }));
+    const readyCount = players.filter((player) => player.isReady).length;
+
+    return {
+      players,
+      readyCount,
+      allReady: players.length > 0 && readyCount === players.length,
+      withinBounds: players.length >= MIN_PLAYERS && players.length <= this.maxPlayers,
+    };
+  }
+
+  // A game that is not a rematch starts a fresh series.
+  resetSeries(roomId) {
+    const room = this.stateManager.getRoom(roomId);
+    if (!room) {
+      return;
+    }
+
+    room.update({ series: null, rematch: null });
+    this.stateManager.upsertRoom(room);
+  }
+
+  recordSeriesResult({ roomId, winner = null } = {}) {
+    const room = this.stateManager.getRoom(roomId);
+    if (!room) {
+      return null;
+    }
+
+    const wins = { ...room.series.wins };
+    if (winner) {
+      wins[winner] = (wins[winner] ?? 0) + 1;
+    }
+
+    room.update({ series: { gamesPlayed: room.series.gamesPlayed + 1, wins } });
+    this.stateManager.upsertRoom(room);
+
+    return room.series;
+  }
+
+  // Everyone seated at the end of a game gets a vote; bots accept up front.
+  openRematchVote(roomId) {
+    const room = this.stateManager.getRoom(roomId);
+    if (!room) {
+      return null;
+    }
+
+    const votes = Object.fromEntries(
+      (room.players || [])
+        .map((playerId) => this.stateManager.getPlayer(playerId))
+        .filter((player) => player && !player.isSpectator)
+        .map((player) => [player.playerId, player.isBot ? true : null]),
+    );
+
+    room.update({ rematch: { votes, openedAt: new Date().toISOString() } });
+    this.stateManager.upsertRoom(room);
+
+    return room.rematch;
+  }
+
+  resolveOpenRematch(roomId) {
+    const room = roomId ? this.stateManager.getRoom(roomId) : null;
+
+    if (!room) {
+      throw new RoomManagerError(`Room ${roomId} was not found`, 'ROOM_NOT_FOUND', { roomId });
+    }
+
+    if (room.status === 'playing') {
+      throw new RoomManagerError('Room is currently in play', 'ROOM_IN_PROGRESS', { roomId });
+    }
+
+    if (!room.rematch) {
+      throw new RoomManagerError('There is no rematch vote open', 'REMATCH_NOT_OPEN', { roomId });
+    }
+
+    return room;
+  }
+
+  castRematchVote({ roomId, playerId, accept = true } = {}) {
+    this.resolveRoomMember({ roomId, playerId });
+    const room = this.resolveOpenRematch(roomId);
+
+    if (!Object.prototype.hasOwnProperty.call(room.rematch.votes, playerId)) {
+      throw new RoomManagerError('Only players from the last game can vote', 'INVALID_TARGET', { roomId, playerId });
+    }
+
+    room.update({ rematch: { ...room.rematch, votes: { ...room.rematch.votes, [playerId]: Boolean(accept) } } });
+    this.stateManager.upsertRoom(room);
+
+    return room.rematch;
+  }
+
+  closeRematchVote(roomId) {
+    const room = this.stateManager.getRoom(roomId);
+    if (!room?.rematch) {
+      return;
+    }
+
+    room.update({ rematch: null });
+    this.stateManager.upsertRoom(room);
+  }
+
+  // Voters who left the room or dropped their connection no longer count, so
+  // the remaining players can still reach a unanimous vote without them.
+  describeRematchVote(roomId) {
+    const room = this.stateManager.getRoom(roomId);
+    if (!room?.rematch) {
+      return null;
+    }
+
+    const seated = new Set(room.players || []);
+    const voters = Object.entries(room.rematch.votes)
+      .map(([playerId, vote]) => ({ player: this.stateManager.getPlayer(playerId), vote }))
+      .filter(
+        ({ player }) =>
+          player && seated.has(player.playerId) && !player.isSpectator && player.connectionStatus === 'connected',
+      );
+    const players = voters.map(({ player, vote }) => ({
+      playerId: player.playerId,
+      vote: vote === true ? 'accepted' : vote === false ? 'declined' : 'pending',
+    }));
+    const acceptedCount = players.filter((player) => player.vote === 'accepted').length;
+
+    // A table of bots alone never agrees to a rematch on its own.
+    return {
+      players,
+      acceptedCount,
+      allAccepted: voters.some(({ player }) => !player.isBot) && acceptedCount === players.length,
+      withinBounds: players.length >= MIN_PLAYERS && players.length <= this.maxPlayers,
+      series: { gamesPlayed: room.series.gamesPlayed, wins: { ...room.series.wins } },
+    };
+  }
+
+  addBot({ roomId, displayName = null, difficulty = null } = {}) {
+    if (!roomId) {
+      throw new RoomManagerError('roomId is required to add a bot', 'ROOM_ID_REQUIRED');
+    }
+
+    const room = this.stateManager.getRoom(roomId);
+
+    if (!room) {
+      throw new RoomManagerError(`Room ${roomId} was not found`, 'ROOM_NOT_FOUND', { roomId });
+    }
+
+    if (room.status === 'playing') {
+      throw new RoomManagerError('Room is currently in play', 'ROOM_IN_PROGRESS', { roomId });
+    }
+
+    const playerCount = Array.isArray(room.players) ? room.players.length : 0;
+    if (playerCount >= this.maxPlayers) {
+      throw new RoomManagerError('Room is full', 'ROOM_FULL', {
+        roomId,
+        maxPlayers: this.maxPlayers,
+      });
+    }
+
+    const existingNames = [...(room.players || []), ...(room.spectators || [])]
+      .map((playerId) => this.stateManager.getPlayer(playerId))
+      .filter(Boolean)
+      .map((player) => normalizeName(player.displayName));
+
+    const normalizedName = normalizeName(displayName) || pickBotName(existingNames);
+
+    if (existingNames.some((name) => name.toLowerCase() === normalizedName.toLowerCase())) {
+      throw new RoomManagerError('Display name already taken in this room', 'NAME_TAKEN', {
+        roomId,
+        displayName: normalizedName,
+      });
+    }
+
+    const now = new Date();
+    const player = this.stateManager.upsertPlayer({
+      playerId: randomUUID(),
+      displayName: normalizedName,
+      socketId: null,
+      roomId,
+      isSpectator: false,
+      isBot: true,
+      botDifficulty: normalizeBotDifficulty(difficulty),
+      isHost: false,
+      connectionStatus: 'connected',
+      joinedAt: now.toISOString(),
+      lastSeen: now.toISOString(),
+    });
+
+    room.update({ players: [...(room.players || []), player.playerId], lastActivity: now });
+    this.stateManager.upsertRoom(room);
+
+    this.logger.debug('room_manager.bot_added', {
+      roomId,
+      playerId: player.playerId,
+      difficulty: player.botDifficulty,
+    });
+
+    return {
+      room: room.toJSON(),
+      player: player.toJSON(),
+    };
+  }
+
+  // Spectators waiting for a seat, first come first served; they are seated
+  // by `promoteQueuedSpectators` once a seat is free between games. Queueing
+  // follows the player rules of `access`, not the spectator ones.
+  joinSeatQueue({ roomId, playerId, verifiedPasswordHash = null } = {}) {
+    const { room, player } = this.resolveRoomMember({ roomId, playerId });
+
+    if (!player.isSpectator || player.isBot) {
+      throw new RoomManagerError('Only spectators can wait for a seat', 'INVALID_TARGET', { roomId, playerId });
+    }
+
+    this.assertRoomAccess(room, { accountId: player.accountId ?? null, isSpectator: false, verifiedPasswordHash });
+
+    if (!room.seatQueue.includes(playerId)) {
+      room.update({ seatQueue: [...room.seatQueue, playerId] });
+      room.touch();
+      this.stateManager.upsertRoom(room);
+    }
+
+    return this.describeSeatQueue(roomId);
+  }
+
+  leaveSeatQueue({ roomId, playerId } = {}) {
+    const { room } = this.resolveRoomMember({ roomId, playerId });
+
+    if (room.seatQueue.includes(playerId)) {
+      room.update({ seatQueue: room.seatQueue.filter((id) => id !== playerId) });
+      this.stateManager.upsertRoom(room);
+    }
+
+    return this.describeSeatQueue(roomId);
+  }
+
+  describeSeatQueue(roomId) {
+    const room = this.stateManager.getRoom(roomId);
+
+    return (room?.seatQueue || []).map((playerId, index) => ({
+      playerId,
+      displayName: this.stateManager.getPlayer(playerId)?.displayName ?? null,
+      position: index + 1,
+    }));
+  }
+
+  // Seats queued spectators in order while there is a free seat, no game
+  // running and no rematch vote open. Disconnected spectators keep their place
+  // until they are back.
+  promoteQueuedSpectators(roomId) {
+    const room = this.stateManager.getRoom(roomId);
+    if (!room || room.status === 'playing' || room.rematch || !room.seatQueue.length) {
+      return [];
+    }
+
+    const promoted = [];
+    const remaining = [];
+
+    room.seatQueue.forEach((playerId) => {
+      const player = this.stateManager.getPlayer(playerId);
+      if (!player || player.roomId !== roomId || !player.isSpectator || !room.spectators.includes(playerId)) {
+        return;
+      }
+
+      if (player.connectionStatus !== 'connected' || room.players.length >= this.maxPlayers) {
+        remaining.push(playerId);
+        return;
+      }
+
+      player.update({ isSpectator: false, isReady: false });
+      this.stateManager.upsertPlayer(player);
+      room.update({
+        players: [...room.players, playerId],
+        spectators: room.spectators.filter((id) => id !== playerId),
+      });
+      promoted.push(player.toJSON());
+    });
+
+    room.update({ seatQueue: remaining });
+
+    room.touch();
+    this.stateManager.upsertRoom(room);
+
+    if (promoted.length) {
+      this.assignHost(room);
+      this.logger.debug('room_manager.queue_promoted', {
+        roomId,
+        playerIds: promoted.map(({ playerId }) => playerId),
+      });
+    }
+
+    return promoted;
+  }
+
+  removeBot({ roomId, playerId } = {}) {
+    const player = this.stateManager.getPlayer(playerId);
+
+    if (!player || !player.isBot || player.roomId !== roomId) {
+      throw new RoomManagerError('Bot not found in this room', 'BOT_NOT_FOUND', { roomId, playerId });
+    }
+
+    const room = this.stateManager.getRoom(roomId);
+    if (room?.status === 'playing') {
+      throw new RoomManagerError('Room is currently in play', 'ROOM_IN_PROGRESS', { roomId });
+    }
+
+    const result = this.removePlayerById(playerId, { reason: 'bot_removed' });
+
+    this.logger.debug('room_manager.bot_removed', {
+      roomId,
+      playerId,
+    });
+
+    return result;
+  }
+
+  resolveSeatedPlayer({ roomId, playerId } = {}) {
+    const player = this.stateManager.getPlayer(playerId);
+    const room = roomId ? this.stateManager.getRoom(roomId) : null;
+
+    if (!room || !player || player.roomId !== roomId || !(room.players || []).includes(playerId)) {
+      throw new RoomManagerError('Player is not seated in this room', 'PLAYER_NOT_FOUND', { roomId, playerId });
+    }
+
+    return { room, player };
+  }
+
+  moveToSpectator({ roomId, playerId } = {}) {
+    const { room, player } = this.resolveSeatedPlayer({ roomId, playerId });
+    const wasHost = Boolean(player.isHost);
+
+    player.update({ isSpectator: true, isHost: false });
+    this.stateManager.upsertPlayer(player);
+
+    room.update({
+      players: (room.players || []).filter((id) => id !== playerId),
+      spectators: [...(room.spectators || []).filter((id) => id !== playerId), playerId],
+    });
+    room.touch();
+    this.stateManager.upsertRoom(room);
+
+    if (wasHost) {
+      this.assignHost(room);
+    }
+
+    return {
+      room: room.toJSON(),
+      player: player.toJSON(),
+    };
+  }
+
+  // The seat keeps its playerId so the running game state stays valid; only the
+  // occupant changes. The human's session is dropped, they have to rejoin.
+  replaceWithBot({ roomId, playerId, difficulty = null } = {}) {
+    const { room, player } = this.resolveSeatedPlayer({ roomId, playerId });
+    const previous = player.toJSON();
+
+    const takenNames = [...(room.players || []), ...(room.spectators || [])]
+      .filter((id) => id !== playerId)
+      .map((id) => this.stateManager.getPlayer(id))
+      .filter(Boolean)
+      .map((entry) => normalizeName(entry.displayName));
+
+    // The bot plays on under no account, so the game is not credited to the
+    // player it replaced.
+    player.update({
+      displayName: pickBotName(takenNames),
+      socketId: null,
+      accountId: null,
+      clientSeed: null,
+      isBot: true,
+      botDifficulty: normalizeBotDifficulty(difficulty),
+      isHost: false,
+      connectionStatus: 'connected',
+    });
+    this.stateManager.upsertPlayer(player);
+
+    const sessionId = this.playerToSession.get(playerId);
+    if (sessionId) {
+      this.removeSession(playerId, sessionId);
+    }
+    this.disconnectedPlayers.delete(playerId);
+
+    room.touch();
+    this.stateManager.upsertRoom(room);
+
+    if (previous.isHost) {
+      this.assignHost(room);
+    }
+
+    return {
+      room: room.toJSON(),
+      player: player.toJSON(),
+      previous,
+    };
+  }
+
+  // A seat whose player dropped mid-game can be played by a stand-in: a
+  // spectator from the room, or a bot. As with `replaceWithBot` the seat keeps
+  // its playerId, so hand, lives and bids carry over, but the original player
+  // keeps their session and takes the seat back if they reconnect in time.
+  assignStandIn({ roomId, seatPlayerId, spectatorId = null, difficulty = null } = {}) {
+    const { room, player: seat } = this.resolveSeatedPlayer({ roomId, playerId: seatPlayerId });
+
+    if (room.status !== 'playing') {
+      throw new RoomManagerError('Seats can only be handed over during a game', 'GAME_NOT_ACTIVE', { roomId });
+    }
+
+    if (seat.isBot || seat.connectionStatus === 'connected' || seat.standIn) {
+      throw new RoomManagerError('That seat is not free to hand over', 'SEAT_NOT_VACANT', {
+        roomId,
+        playerId: seatPlayerId,
+      });
+    }
+
+    let standIn = { type: 'bot', difficulty: normalizeBotDifficulty(difficulty) };
+
+    if (spectatorId) {
+      const { player } = this.resolveRoomMember({ roomId, playerId: spectatorId });
+
+      if (
+        !player.isSpectator ||
+        player.isBot ||
+        player.connectionStatus !== 'connected' ||
+        this.findStandInSeat({ roomId, playerId: spectatorId })
+      ) {
+        throw new RoomManagerError('Only a connected spectator can take over a seat', 'INVALID_TARGET', {
+          roomId,
+          playerId: spectatorId,
+        });
+      }
+
+      standIn = { type: 'spectator', playerId: spectatorId, displayName: player.displayName };
+    }
+
+    seat.update({ standIn });
+    this.stateManager.upsertPlayer(seat);
+    room.touch();
+    this.stateManager.upsertRoom(room);
+
+    this.logger.info('room_manager.seat_handed_over', { roomId, playerId: seatPlayerId, standIn: standIn.type });
+
+    return { seat: seat.toJSON(), standIn: { ...standIn } };
+  }
+
+  findStandInSeat({ roomId, playerId } = {}) {
+    const room = roomId ? this.stateManager.getRoom(roomId) : null;
+
+    return (
+      (room?.players || [])
+        .map((seatId) => this.stateManager.getPlayer(seatId))
+        .find((seat) => seat?.standIn?.playerId === playerId) ?? null
+    );
+  }
+
+  clearStandIn(seatPlayerId) {
+    const seat = this.stateManager.getPlayer(seatPlayerId);
+    if (!seat?.standIn) {
+      return null;
+    }
+
+    const previous = { ...seat.standIn };
+    seat.update({ standIn: null });
+    this.stateManager.upsertPlayer(seat);
+
+    return previous;
+  }
+
+  // A stand-in who leaves or drops hands the seat back to its absent player;
+  // returns the seat's playerId so the caller can resume covering it.
+  releaseStandInFor(roomId, playerId) {
+    const seat = this.findStandInSeat({ roomId, playerId });
+    return seat && this.clearStandIn(seat.playerId) ? seat.playerId : null;
+  }
+
+  // When the game ends stand-ins go back to watching, and seats whose player
+  // ran out of time to come back are freed.
+  releaseStandIns(roomId) {
+    const room = this.stateManager.getRoom(roomId);
+    const removed = [];
+
+    [...(room?.players || [])].forEach((playerId) => {
+      const seat = this.stateManager.getPlayer(playerId);
+      if (!this.clearStandIn(playerId)) {
+        return;
+      }
+
+      if (seat.connectionStatus !== 'connected' && !this.playerToSession.has(playerId)) {
+        removed.push(this.removePlayerById(playerId, { reason: 'expired' }));
+      }
+    });
+
+    return removed;
+  }
+
+  // A seat with a stand-in stays in the game when its player's reconnection
+  // window runs out; only the way back is closed.
+  expireSession(playerId, sessionId) {
+    if (this.stateManager.getPlayer(playerId)?.standIn) {
+      this.removeSession(playerId, sessionId);
+      this.disconnectedPlayers.delete(playerId);
+      return null;
+    }
+
+    return this.removePlayerById(playerId, { sessionId, reason: 'expired' });
+  }
+
+  pruneOrphanBots(room) {
+    if (!room) {
+      return [];
+    }
+
+    const members = [...(room.players || []), ...(room.spectators || [])]
+      .map((playerId) => this.stateManager.getPlayer(playerId))
+      .filter(Boolean);
+
+    if (members.some((player) => !player.isBot)) {
+      return [];
+    }
+
+    const botIds = members.map((player) => player.playerId);
+    room.update({
+      players: (room.players || []).filter((id) => !botIds.includes(id)),
+      spectators: (room.spectators || []).filter((id) => !botIds.includes(id)),
+    });
+    this.stateManager.upsertRoom(room);
+    botIds.forEach((playerId) => this.stateManager.removePlayer(playerId));
+
+    return botIds;
+  }
+
   handleDisconnect({ sessionId = null, playerId = null, reason = 'disconnect', now = Date.now() } = {}) {
     this.cleanupExpiredSessions(now);
 
@@ -321,6 +1331,8 @@ class RoomManager {
 
     this.assignHost(room);
 
+    const releasedSeatId = player.isSpectator ? this.releaseStandInFor(room.roomId, player.playerId) : null;
+
     this.logger.info('room_manager.player_disconnected', {
       roomId: resolved.roomId,
       playerId: resolved.playerId,
@@ -333,6 +1345,7 @@ class RoomManager {
       room: room.toJSON(),
       player: player.toJSON(),
       expiresAt,
+      ...(releasedSeatId ? { releasedSeatId } : {}),
     };
   }
 
@@ -357,10 +1370,7 @@ class RoomManager {
     }
 
     if (session.expiresAt && session.expiresAt <= timestamp) {
-      const removal = this.removePlayerById(session.playerId, {
-        sessionId: resolved.sessionId,
-        reason: 'expired',
-      });
+      const removal = this.expireSession(session.playerId, resolved.sessionId);
 
       if (removal) {
         this.logger.warn('room_manager.player_session_expired', {
@@ -461,10 +1471,7 @@ class RoomManager {
 
     this.disconnectedPlayers.forEach((entry, playerId) => {
       if (entry.expiresAt && entry.expiresAt <= cutoff) {
-        const result = this.removePlayerById(playerId, {
-          sessionId: entry.sessionId,
-          reason: 'expired',
-        });
+        const result = this.expireSession(playerId, entry.sessionId);
 
         if (result) {
           removed.push(result);
@@ -496,14 +1503,17 @@ class RoomManager {
 
     const players = playerIds
       .map((playerId) => this.stateManager.getPlayer(playerId))
-      .filter((player) => player && !player.isSpectator);
+      .filter((player) => player && !player.isSpectator && !player.isBot);
 
     if (players.length === 0) {
       return null;
     }
 
+    // A connected host keeps the role, so a handed-over host is not replaced
+    // by whoever joined first.
+    const currentHost = players.find((player) => player.isHost && player.connectionStatus === 'connected');
     const connected = players.find((player) => player.connectionStatus === 'connected');
-    const nextHost = connected ?? players[0];
+    const nextHost = currentHost ?? connected ?? players[0];
 
     players.forEach((player) => {
       const shouldHost = player.playerId === nextHost.playerId;
@@ -554,12 +1564,13 @@ class RoomManager {
 
     const room = player.roomId ? this.stateManager.getRoom(player.roomId) : null;
     const snapshot = player.toJSON();
+    const releasedSeatId = room && player.isSpectator ? this.releaseStandInFor(room.roomId, playerId) : null;
 
     if (room) {
       const isSpectator = Boolean(player.isSpectator);
       if (isSpectator) {
         const spectators = (room.spectators || []).filter((id) => id !== playerId);
-        room.update({ spectators });
+        room.update({ spectators, seatQueue: room.seatQueue.filter((id) => id !== playerId) });
       } else {
         const players = (room.players || []).filter((id) => id !== playerId);
         room.update({ players });
@@ -572,6 +1583,10 @@ class RoomManager {
 
     this.stateManager.removePlayer(playerId);
 
+    if (room && !player.isBot) {
+      this.pruneOrphanBots(room);
+    }
+
     const resolvedSessionId = sessionId ?? this.playerToSession.get(playerId) ?? null;
     if (resolvedSessionId) {
       this.removeSession(playerId, resolvedSessionId);
@@ -583,6 +1598,7 @@ class RoomManager {
       room: room?.toJSON ? room.toJSON() : room,
       player: snapshot,
       reason,
+      ...(releasedSeatId ? { releasedSeatId } : {}),
     };
   }
 
@@ -618,8 +1634,15 @@ module.exports = {
   RoomManager,
   RoomManagerError,
   createRoomManager,
+  describeRoomAccess,
   roomManager,
   DEFAULT_ROOMS,
+  DEFAULT_BAN_MS,
+  MIN_PLAYERS,
   MAX_PLAYERS,
+  MAX_PASSWORD_ATTEMPTS,
+  MAX_PRIVATE_ROOMS,
+  PASSWORD_LOCKOUT_MS,
+  PRIVATE_ROOM_IDLE_MS,
   RECONNECTION_WINDOW_MS,
 };
@@ -0,0 +1,59 @@
+/**
+ * Attempt Lockout Module
+ *
+ * Counts failed secret checks (account PINs, room passwords) per key and
+ * locks a key out once it has failed `maxAttempts` times in a row. A
+ * lockout lasts `lockoutMs`; the next failure after it expires starts the
+ * count again.
+ */
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_LOCKOUT_MS = 5 * 60 * 1000;
+
+class AttemptLockout {
+  constructor({ maxAttempts = DEFAULT_MAX_ATTEMPTS, lockoutMs = DEFAULT_LOCKOUT_MS } = {}) {
+    this.maxAttempts = maxAttempts;
+    this.lockoutMs = lockoutMs;
+    this.failures = new Map();
+  }
+
+  /**
+   * Milliseconds until every one of `keys` may try again (0 when none is locked)
+   * @param {Array<string>} keys
+   * @returns {number}
+   */
+  remainingLockMs(keys) {
+    const now = Date.now();
+    const lockedUntil = Math.max(0, ...keys.map((key) => this.failures.get(key)?.lockedUntil ?? 0));
+    return Math.max(0, lockedUntil - now);
+  }
+
+  recordFailure(keys) {
+    const now = Date.now();
+
+    keys.forEach((key) => {
+      const previous = this.failures.get(key);
+      const count =
+        previous && previous.lockedUntil <= now && previous.count < this.maxAttempts ? previous.count + 1 : 1;
+
+      this.failures.set(key, {
+        count,
+        lockedUntil: count >= this.maxAttempts ? now + this.lockoutMs : 0,
+      });
+    });
+  }
+
+  clear(keys) {
+    keys.forEach((key) => this.failures.delete(key));
+  }
+
+  reset() {
+    this.failures.clear();
+  }
+}
+
+module.exports = {
+  AttemptLockout,
+  DEFAULT_MAX_ATTEMPTS,
+  DEFAULT_LOCKOUT_MS,
+};
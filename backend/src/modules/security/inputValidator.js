@@ -16,6 +16,19 @@
 // We'll use a simple regex-based sanitizer instead of DOMPurify to avoid dependencies
 // For production, consider using DOMPurify: const DOMPurify = require('isomorphic-dompurify');
 
+const { GAME_SPEEDS } = require('../gameLogic/gameSpeed');
+const { INACTIVE_ACTIONS, MIN_INACTIVE_STRIKES, MAX_INACTIVE_STRIKES } = require('../gameLogic/inactivity');
+const {
+  CARD_PROGRESSIONS,
+  BLIND_ROUND_MODES,
+  DECK_VARIANTS,
+  MANILHA_MODES,
+  CANCELLED_TRICK_RULES,
+  constants: roundConstants,
+} = require('../gameLogic/rounds');
+const { BID_RESTRICTION_TARGETS, MAX_BID_TOLERANCE } = require('../gameLogic/bidding');
+const { TIME_LIMIT_EXPIRY_MODES, MIN_TIME_LIMIT_MINUTES, MAX_TIME_LIMIT_MINUTES } = require('../gameLogic/timeLimit');
+
 // Validation constants
 const LIMITS = {
   MAX_DISPLAY_NAME_LENGTH: 20,
@@ -24,24 +37,29 @@ const LIMITS = {
   MAX_PAYLOAD_SIZE: 1024, // 1KB max payload size
   MAX_ARRAY_LENGTH: 100,
   MAX_STRING_LENGTH: 1000,
+  MIN_ROOM_PASSWORD_LENGTH: 4,
+  MAX_ROOM_PASSWORD_LENGTH: 64,
+  MAX_INVITED_NAMES: 20,
+  MAX_BAN_MINUTES: 24 * 60,
+  MIN_AUTO_START_SECONDS: 3,
+  MAX_AUTO_START_SECONDS: 60,
+  MAX_SEATS: 10,
 };
 
+// Who may spectate a room: anyone, only those allowed to play, or nobody.
+const SPECTATOR_ACCESS_LEVELS = ['open', 'locked', 'closed'];
+
 // Regex patterns
 const PATTERNS = {
   DISPLAY_NAME: /^[a-zA-Z0-9\s]{3,20}$/,
+  PIN: /^\d{4,8}$/,
+  ROOM_ID: /^[a-z0-9](?:[a-z0-9-]{1,30}[a-z0-9])$/,
+  ROOM_NAME: /^[\p{L}\p{N} '-]{3,30}$/u,
   ALPHANUMERIC: /^[a-zA-Z0-9]+$/,
   SAFE_STRING: /^[a-zA-Z0-9\s\-_.,!?'"]+$/,
+  CLIENT_SEED: /^[A-Za-z0-9_-]{1,64}$/,
 };
 
-// Room IDs (from spec)
-const VALID_ROOM_IDS = new Set([
-  'itajuba',
-  'piranguinho',
-  'volta-redonda',
-  'xique-xique',
-  'campinas',
-]);
-
 /**
  * Sanitize HTML/XSS from text input
  * @param {string} text - Text to sanitize
@@ -136,11 +154,35 @@ function validateDisplayName(name) {
 }
 
 /**
- * Validate room ID
+ * Validate an account PIN (4-8 digits)
+ * @param {any} pin - PIN to validate
+ * @returns {Object} - { valid: boolean, normalized?: string, error?: string }
+ */
+function validatePin(pin) {
+  const normalized = typeof pin === 'number' ? String(pin) : pin;
+
+  if (typeof normalized !== 'string' || !PATTERNS.PIN.test(normalized)) {
+    return {
+      valid: false,
+      error: 'PIN must be 4-8 digits',
+    };
+  }
+
+  return {
+    valid: true,
+    normalized,
+  };
+}
+
+/**
+ * Validate room ID. Rooms are created at runtime (private tables), so only the
+ * shape is checked here; pass `isKnownRoom` to also require that it exists.
  * @param {string} roomId - Room ID to validate
+ * @param {Object} [options]
+ * @param {Function} [options.isKnownRoom] - Returns whether a normalized room ID exists
  * @returns {Object} - { valid: boolean, normalized?: string, error?: string }
  */
-function validateRoomId(roomId) {
+function validateRoomId(roomId, { isKnownRoom = null } = {}) {
   if (typeof roomId !== 'string') {
     return {
       valid: false,
@@ -150,19 +192,108 @@ function validateRoomId(roomId) {
   
   const normalized = roomId.trim().toLowerCase();
   
-  if (!VALID_ROOM_IDS.has(normalized)) {
+  if (!PATTERNS.ROOM_ID.test(normalized)) {
     return {
       valid: false,
       error: 'Invalid room ID',
     };
   }
   
+  if (typeof isKnownRoom === 'function' && !isKnownRoom(normalized)) {
+    return {
+      valid: false,
+      error: 'Invalid room ID',
+    };
+  }
+  
+  return {
+    valid: true,
+    normalized,
+  };
+}
+
+/**
+ * Validate the display name of a private room
+ * @param {string} name - Room name to validate
+ * @returns {Object} - { valid: boolean, normalized?: string, error?: string }
+ */
+function validateRoomName(name) {
+  if (typeof name !== 'string') {
+    return {
+      valid: false,
+      error: 'Room name must be a string',
+    };
+  }
+  
+  const normalized = name.trim().replace(/\s+/g, ' ');
+  
+  if (!PATTERNS.ROOM_NAME.test(normalized)) {
+    return {
+      valid: false,
+      error: 'Room name must be 3-30 letters, numbers, spaces, hyphens or apostrophes',
+    };
+  }
+  
   return {
     valid: true,
     normalized,
   };
 }
 
+/**
+ * Validate a room password
+ * @param {any} password - Password to validate
+ * @returns {Object} - { valid: boolean, value?: string, error?: string }
+ */
+function validateRoomPassword(password) {
+  if (
+    typeof password !== 'string' ||
+    password.trim().length < LIMITS.MIN_ROOM_PASSWORD_LENGTH ||
+    password.length > LIMITS.MAX_ROOM_PASSWORD_LENGTH
+  ) {
+    return {
+      valid: false,
+      error: `Room password must be ${LIMITS.MIN_ROOM_PASSWORD_LENGTH}-${LIMITS.MAX_ROOM_PASSWORD_LENGTH} characters`,
+    };
+  }
+  
+  return {
+    valid: true,
+    value: password,
+  };
+}
+
+/**
+ * Validate an allow-list of invited display names
+ * @param {any} names - Array of display names
+ * @returns {Object} - { valid: boolean, value?: Array<string>, error?: string }
+ */
+function validateInvitedNames(names) {
+  if (!Array.isArray(names) || names.length > LIMITS.MAX_INVITED_NAMES) {
+    return {
+      valid: false,
+      error: `Invited players must be a list of at most ${LIMITS.MAX_INVITED_NAMES} names`,
+    };
+  }
+  
+  const normalized = [];
+  for (const name of names) {
+    const result = validateDisplayName(name);
+    if (!result.valid) {
+      return result;
+    }
+    
+    if (!normalized.some((entry) => entry.toLowerCase() === result.normalized.toLowerCase())) {
+      normalized.push(result.normalized);
+    }
+  }
+  
+  return {
+    valid: true,
+    value: normalized,
+  };
+}
+
 /**
  * Validate payload size
  * @param {any} payload - Payload to check
@@ -351,6 +482,119 @@ function validateObject(obj, schema) {
   };
 }
 
+/**
+ * Validate a rule-set object (card progression, blind rounds, max cards, deck, manilhas,
+ * cancelled tricks)
+ * @param {any} value - Value to validate
+ * @returns {Object} - { valid: boolean, value?: Object, error?: string }
+ */
+function validateRuleSet(value) {
+  const maxCardsLimit = roundConstants.DEFAULT_DECK_SIZE - roundConstants.DEFAULT_VIRA_COUNT;
+  const schema = {
+    progression: {
+      required: false,
+      validate: (entry) => validateEnum(entry, CARD_PROGRESSIONS, 'Card progression'),
+    },
+    blindRounds: {
+      required: false,
+      validate: (entry) => validateEnum(entry, BLIND_ROUND_MODES, 'Blind rounds'),
+    },
+    deck: {
+      required: false,
+      validate: (entry) => validateEnum(entry, DECK_VARIANTS, 'Deck'),
+    },
+    manilhas: {
+      required: false,
+      validate: (entry) => validateEnum(entry, MANILHA_MODES, 'Manilhas'),
+    },
+    cancelledTricks: {
+      required: false,
+      validate: (entry) => validateEnum(entry, CANCELLED_TRICK_RULES, 'Cancelled tricks'),
+    },
+    maxCards: {
+      required: false,
+      validate: (entry) =>
+        entry === null ? { valid: true, value: null } : validateInteger(entry, 1, maxCardsLimit, 'Max cards'),
+    },
+  };
+
+  const result = validateObject(value, schema);
+  if (!result.valid) {
+    return {
+      valid: false,
+      error: `Rule set is invalid: ${result.errors.join('; ')}`,
+    };
+  }
+
+  return {
+    valid: true,
+    value: result.validated,
+  };
+}
+
+/**
+ * Validate a bid-rules object (who is restricted and how wide the restriction is)
+ * @param {any} value - Value to validate
+ * @returns {Object} - { valid: boolean, value?: Object, error?: string }
+ */
+function validateBidRules(value) {
+  const result = validateObject(value, {
+    restriction: {
+      required: false,
+      validate: (entry) => validateEnum(entry, BID_RESTRICTION_TARGETS, 'Bid restriction'),
+    },
+    tolerance: {
+      required: false,
+      validate: (entry) => validateInteger(entry, 0, MAX_BID_TOLERANCE, 'Bid tolerance'),
+    },
+  });
+
+  if (!result.valid) {
+    return {
+      valid: false,
+      error: `Bid rules are invalid: ${result.errors.join('; ')}`,
+    };
+  }
+
+  return {
+    valid: true,
+    value: result.validated,
+  };
+}
+
+/**
+ * Validate a game time-limit object (`minutes: null` turns the limit off)
+ * @param {any} value - Value to validate
+ * @returns {Object} - { valid: boolean, value?: Object, error?: string }
+ */
+function validateTimeLimit(value) {
+  const result = validateObject(value, {
+    minutes: {
+      required: false,
+      validate: (entry) =>
+        entry === null
+          ? { valid: true, value: null }
+          : validateInteger(entry, MIN_TIME_LIMIT_MINUTES, MAX_TIME_LIMIT_MINUTES, 'Time limit'),
+    },
+    onExpiry: {
+      required: false,
+      validate: (entry) => validateEnum(entry, TIME_LIMIT_EXPIRY_MODES, 'Time limit expiry'),
+    },
+  });
+
+  if (!result.valid) {
+    return {
+      valid: false,
+      error: `Time limit is invalid: ${result.errors.join('; ')}`,
+    };
+  }
+
+  return {
+    valid: true,
+    value: result.validated,
+  };
+}
+
 /**
  * Validate join room payload
  * @param {any} payload - Payload to validate
@@ -371,6 +615,19 @@ function validateJoinRoomPayload(payload) {
       default: false,
       validate: (value) => validateBoolean(value, 'spectator'),
     },
+    queueForSeat: {
+      required: false,
+      default: false,
+      validate: (value) => validateBoolean(value, 'queueForSeat'),
+    },
+    pin: {
+      required: false,
+      validate: validatePin,
+    },
+    password: {
+      required: false,
+      validate: validateRoomPassword,
+    },
   };
   
   // First check payload size
@@ -428,6 +685,314 @@ function validateHostSettingsPayload(payload) {
       required: false,
       validate: (value) => validateBoolean(value, 'Spectator chat'),
     },
+    gameSpeed: {
+      required: false,
+      validate: (value) => validateEnum(value, GAME_SPEEDS, 'Game speed'),
+    },
+    autoKickInactive: {
+      required: false,
+      validate: (value) => validateBoolean(value, 'Auto-kick'),
+    },
+    inactiveStrikeLimit: {
+      required: false,
+      validate: (value) => validateInteger(value, MIN_INACTIVE_STRIKES, MAX_INACTIVE_STRIKES, 'Inactive strike limit'),
+    },
+    inactiveAction: {
+      required: false,
+      validate: (value) => validateEnum(value, INACTIVE_ACTIONS, 'Inactive action'),
+    },
+    autoStart: {
+      required: false,
+      validate: (value) => validateBoolean(value, 'Auto-start'),
+    },
+    autoStartSeconds: {
+      required: false,
+      validate: (value) =>
+        validateInteger(value, LIMITS.MIN_AUTO_START_SECONDS, LIMITS.MAX_AUTO_START_SECONDS, 'Auto-start countdown'),
+    },
+    ruleSet: {
+      required: false,
+      validate: validateRuleSet,
+    },
+    bidRules: {
+      required: false,
+      validate: validateBidRules,
+    },
+    timeLimit: {
+      required: false,
+      validate: validateTimeLimit,
+    },
+  };
+  
+  const sizeCheck = validatePayloadSize(payload);
+  if (!sizeCheck.valid) {
+    return {
+      valid: false,
+      errors: [sizeCheck.error],
+    };
+  }
+  
+  return validateObject(payload, schema);
+}
+
+/**
+ * Validate room access update payload (host only). `password: null` removes
+ * the password.
+ * @param {any} payload - Payload to validate
+ * @returns {Object} - { valid: boolean, validated?: Object, errors?: Array }
+ */
+function validateRoomAccessPayload(payload) {
+  const schema = {
+    password: {
+      required: false,
+      validate: (value) => (value === null ? { valid: true, value: null } : validateRoomPassword(value)),
+    },
+    inviteOnly: {
+      required: false,
+      validate: (value) => validateBoolean(value, 'Invite only'),
+    },
+    invitedNames: {
+      required: false,
+      validate: validateInvitedNames,
+    },
+    spectators: {
+      required: false,
+      validate: (value) => validateEnum(value, SPECTATOR_ACCESS_LEVELS, 'Spectator access'),
+    },
+  };
+  
+  const sizeCheck = validatePayloadSize(payload);
+  if (!sizeCheck.valid) {
+    return {
+      valid: false,
+      errors: [sizeCheck.error],
+    };
+  }
+  
+  return validateObject(payload, schema);
+}
+
+/**
+ * Validate a lobby ready toggle payload
+ * @param {any} payload - Payload to validate
+ * @returns {Object} - { valid: boolean, validated?: Object, errors?: Array }
+ */
+function validateReadyPayload(payload) {
+  const schema = {
+    ready: {
+      required: true,
+      validate: (value) => validateBoolean(value, 'Ready'),
+    },
+  };
+  
+  const sizeCheck = validatePayloadSize(payload);
+  if (!sizeCheck.valid) {
+    return {
+      valid: false,
+      errors: [sizeCheck.error],
+    };
+  }
+  
+  return validateObject(payload, schema);
+}
+
+/**
+ * Validate a client seed payload: the entropy a player mixes into the
+ * shuffle of the rounds dealt after it is sent
+ * @param {any} payload - Payload to validate
+ * @returns {Object} - { valid: boolean, validated?: Object, errors?: Array }
+ */
+function validateClientSeedPayload(payload) {
+  const schema = {
+    clientSeed: {
+      required: true,
+      validate: (value) =>
+        typeof value === 'string' && PATTERNS.CLIENT_SEED.test(value)
+          ? { valid: true, value }
+          : { valid: false, error: 'Client seed must be 1-64 letters, digits, dashes or underscores' },
+    },
+  };
+  
+  const sizeCheck = validatePayloadSize(payload);
+  if (!sizeCheck.valid) {
+    return {
+      valid: false,
+      errors: [sizeCheck.error],
+    };
+  }
+  
+  return validateObject(payload, schema);
+}
+
+/**
+ * Validate a rematch vote payload
+ * @param {any} payload - Payload to validate
+ * @returns {Object} - { valid: boolean, validated?: Object, errors?: Array }
+ */
+function validateRematchPayload(payload) {
+  const schema = {
+    accept: {
+      required: true,
+      validate: (value) => validateBoolean(value, 'Accept'),
+    },
+  };
+  
+  const sizeCheck = validatePayloadSize(payload);
+  if (!sizeCheck.valid) {
+    return {
+      valid: false,
+      errors: [sizeCheck.error],
+    };
+  }
+  
+  return validateObject(payload, schema);
+}
+
+/**
+ * Validate a hand-over payload: the absent player's seat, and the spectator
+ * who takes it over (left out when a bot should play the seat instead)
+ * @param {any} payload - Payload to validate
+ * @returns {Object} - { valid: boolean, validated?: Object, errors?: Array }
+ */
+function validateHandOverPayload(payload) {
+  const schema = {
+    playerId: {
+      required: true,
+      validate: (value) => validateStringLength(value, 1, 64, 'Player id'),
+    },
+    spectatorId: {
+      required: false,
+      validate: (value) => validateStringLength(value, 1, 64, 'Spectator id'),
+    },
+  };
+  
+  const sizeCheck = validatePayloadSize(payload);
+  if (!sizeCheck.valid) {
+    return {
+      valid: false,
+      errors: [sizeCheck.error],
+    };
+  }
+  
+  return validateObject(payload, schema);
+}
+
+/**
+ * Validate a seat queue payload: the room password, needed to queue for a
+ * seat in a password-protected room
+ * @param {any} payload - Payload to validate
+ * @returns {Object} - { valid: boolean, validated?: Object, errors?: Array }
+ */
+function validateSeatQueuePayload(payload) {
+  const schema = {
+    password: {
+      required: false,
+      validate: validateRoomPassword,
+    },
+  };
+  
+  const sizeCheck = validatePayloadSize(payload);
+  if (!sizeCheck.valid) {
+    return {
+      valid: false,
+      errors: [sizeCheck.error],
+    };
+  }
+  
+  return validateObject(payload, schema);
+}
+
+/**
+ * Validate a seat payload: `seatIndex` for a player picking a seat, `order`
+ * (player ids, one per seat) for the host rearranging the table
+ * @param {any} payload - Payload to validate
+ * @returns {Object} - { valid: boolean, validated?: Object, errors?: Array }
+ */
+function validateSeatPayload(payload) {
+  const schema = {
+    seatIndex: {
+      required: false,
+      validate: (value) => validateInteger(value, 0, LIMITS.MAX_SEATS - 1, 'Seat'),
+    },
+    order: {
+      required: false,
+      validate: (value) => {
+        if (
+          !Array.isArray(value) ||
+          value.length > LIMITS.MAX_SEATS ||
+          !value.every((playerId) => typeof playerId === 'string' && playerId.length > 0 && playerId.length <= 64)
+        ) {
+          return {
+            valid: false,
+            error: `Seat order must be a list of at most ${LIMITS.MAX_SEATS} player ids`,
+          };
+        }
+        
+        return {
+          valid: true,
+          value: [...value],
+        };
+      },
+    },
+  };
+  
+  const sizeCheck = validatePayloadSize(payload);
+  if (!sizeCheck.valid) {
+    return {
+      valid: false,
+      errors: [sizeCheck.error],
+    };
+  }
+  
+  return validateObject(payload, schema);
+}
+
+/**
+ * Validate an add bot payload: an optional `displayName` for the bot, held to
+ * the same rules as player names
+ * @param {any} payload - Payload to validate
+ * @returns {Object} - { valid: boolean, validated?: Object, errors?: Array }
+ */
+function validateAddBotPayload(payload) {
+  const schema = {
+    displayName: {
+      required: false,
+      validate: (value) =>
+        value === null || value === '' ? { valid: true, value: null } : validateDisplayName(value),
+    },
+  };
+  
+  const sizeCheck = validatePayloadSize(payload);
+  if (!sizeCheck.valid) {
+    return {
+      valid: false,
+      errors: [sizeCheck.error],
+    };
+  }
+  
+  return validateObject(payload, schema);
+}
+
+/**
+ * Validate a host moderation payload (kick, ban, transfer host, mute).
+ * `durationMinutes` only applies to bans and `muted` to mutes.
+ * @param {any} payload - Payload to validate
+ * @returns {Object} - { valid: boolean, validated?: Object, errors?: Array }
+ */
+function validateModerationPayload(payload) {
+  const schema = {
+    playerId: {
+      required: true,
+      validate: (value) => validateStringLength(value, 1, 64, 'Player id'),
+    },
+    durationMinutes: {
+      required: false,
+      validate: (value) => validateInteger(value, 1, LIMITS.MAX_BAN_MINUTES, 'Ban duration'),
+    },
+    muted: {
+      required: false,
+      validate: (value) => validateBoolean(value, 'Muted'),
+    },
   };
   
   const sizeCheck = validatePayloadSize(payload);
@@ -448,21 +1013,37 @@ module.exports = {
   
   // Validation functions
   validateDisplayName,
+  validatePin,
   validateRoomId,
+  validateRoomName,
+  validateRoomPassword,
+  validateInvitedNames,
   validatePayloadSize,
   validateInteger,
   validateBoolean,
   validateStringLength,
   validateEnum,
   validateObject,
+  validateRuleSet,
+  validateBidRules,
+  validateTimeLimit,
   
   // Payload validators
   validateJoinRoomPayload,
   validateChatMessagePayload,
   validateHostSettingsPayload,
+  validateRoomAccessPayload,
+  validateModerationPayload,
+  validateAddBotPayload,
+  validateReadyPayload,
+  validateClientSeedPayload,
+  validateRematchPayload,
+  validateHandOverPayload,
+  validateSeatPayload,
+  validateSeatQueuePayload,
   
   // Constants
   LIMITS,
   PATTERNS,
-  VALID_ROOM_IDS,
+  SPECTATOR_ACCESS_LEVELS,
 };
@@ -2,6 +2,8 @@
 
 const crypto = require('node:crypto');
 
+const { getPlayerAfter } = require('../gameLogic/rounds');
+
 const toIsoDate = (value = new Date()) => {
   if (value instanceof Date) {
     return value.toISOString();
@@ -48,6 +50,12 @@ class GameRound {
     hands,
     isBlindRound,
     playerOrder,
+    dealerId = null,
+    deck = 'full',
+    manilhas = 'vira',
+    cancelledTricks = 'nobody',
+    fairness = null,
+    startedAt = new Date(),
   }) {
     if (!Number.isInteger(roundNumber) || roundNumber <= 0) {
       throw new Error('GameRound requires a positive roundNumber');
@@ -60,10 +68,19 @@ class GameRound {
     this.cardCount = cardCount;
     this.viraCard = viraCard ? { ...viraCard } : null;
     this.manilhaRank = manilhaRank ?? null;
+    // The rule set's card variant, kept on the round so tricks and bots can
+    // rank its cards without the room's settings.
+    this.deck = deck;
+    this.manilhas = manilhas;
+    // What a trick in which every card cancelled is worth, and to whom.
+    this.cancelledTricks = cancelledTricks;
+    // `{ serverSeed, serverSeedHash, clientSeeds }` the deal was shuffled from.
+    this.fairness = fairness ? { ...fairness, clientSeeds: { ...fairness.clientSeeds } } : null;
     this.isBlindRound = Boolean(isBlindRound);
-    this.startedAt = toIsoDate();
+    this.startedAt = toIsoDate(startedAt);
     this.completedAt = null;
     this.playerOrder = Array.isArray(playerOrder) ? [...playerOrder] : [];
+    this.dealerId = dealerId ?? null;
 
     this.hands = new Map();
     if (hands instanceof Map) {
@@ -124,7 +141,12 @@ class GameRound {
       cardCount: this.cardCount,
       viraCard: this.viraCard,
       manilhaRank: this.manilhaRank,
+      deck: this.deck,
+      manilhas: this.manilhas,
+      cancelledTricks: this.cancelledTricks,
+      fairness: this.fairness,
       isBlindRound: this.isBlindRound,
+      dealerId: this.dealerId,
       hands: Object.fromEntries(Array.from(this.hands.entries(), ([playerId, hand]) => [playerId, normalizeHand(hand)])),
       bids: Object.fromEntries(this.bids),
       tricks: [...this.tricks],
@@ -158,6 +180,7 @@ class GameState {
     this.currentRound = 0;
     this.currentPhase = 'waiting';
     this.currentPlayerIndex = 0;
+    this.dealerId = null;
     this.rounds = [];
     this.startedAt = toIsoDate(startedAt);
     this.endedAt = null;
@@ -231,24 +254,45 @@ class GameState {
     return this.setPhase(allowed[0]);
   }
 
-  startRound({ cardCount, viraCard, manilhaRank, hands, startingPlayerId }) {
+  // The player after the dealer opens the bidding unless `startingPlayerId`
+  // says otherwise.
+  startRound({
+    cardCount,
+    viraCard,
+    manilhaRank,
+    hands,
+    startingPlayerId,
+    isBlindRound,
+    dealerId = null,
+    deck,
+    manilhas,
+    cancelledTricks,
+    fairness,
+  }) {
     const roundNumber = this.rounds.length + 1;
     const round = new GameRound({
       roundNumber,
       cardCount,
       viraCard,
       manilhaRank,
+      deck,
+      manilhas,
+      cancelledTricks,
+      fairness,
       hands,
       playerOrder: this.playerOrder,
-      isBlindRound: roundNumber === 1,
+      isBlindRound: isBlindRound ?? roundNumber === 1,
+      dealerId,
     });
 
     this.rounds.push(round);
     this.currentRound = roundNumber;
     this.currentPhase = 'bidding';
+    this.dealerId = round.dealerId;
 
-    if (startingPlayerId) {
-      this.setCurrentPlayer(startingPlayerId);
+    const firstBidder = startingPlayerId ?? (dealerId ? getPlayerAfter(this.playerOrder, dealerId) : null);
+    if (firstBidder) {
+      this.setCurrentPlayer(firstBidder);
     } else {
       this.currentPlayerIndex = 0;
     }
@@ -281,6 +325,7 @@ class GameState {
       currentRound: this.currentRound,
       currentPhase: this.currentPhase,
       currentPlayerIndex: this.currentPlayerIndex,
+      dealerId: this.dealerId,
       rounds: this.rounds.map((round) => round.toJSON()),
       startedAt: this.startedAt,
       endedAt: this.endedAt,
@@ -12,10 +12,47 @@ const defaultHostSettings = {
   startingLives: 5,
   turnTimer: 10,
   autoKickInactive: true,
+  inactiveStrikeLimit: 3,
+  inactiveAction: 'spectator',
   allowSpectatorChat: true,
   gameSpeed: 'normal',
+  autoStart: false,
+  autoStartSeconds: 10,
+  ruleSet: { progression: 'ascending', maxCards: null, blindRounds: 'first', deck: 'full', manilhas: 'vira', cancelledTricks: 'nobody' },
+  bidRules: { restriction: 'last-bidder', tolerance: 0 },
+  timeLimit: { minutes: 60, onExpiry: 'ranking' },
 };
 
+// Who may join a room. The password is only ever kept as a salted hash.
+const defaultRoomAccess = {
+  passwordHash: null,
+  passwordSalt: null,
+  inviteOnly: false,
+  invitedNames: [],
+  invitedAccountIds: [],
+  spectators: 'open',
+};
+
+const normalizeRoomAccess = (access = {}) => ({
+  ...defaultRoomAccess,
+  ...access,
+  invitedNames: Array.isArray(access?.invitedNames) ? [...access.invitedNames] : [],
+  invitedAccountIds: Array.isArray(access?.invitedAccountIds) ? [...access.invitedAccountIds] : [],
+});
+
+const normalizeRoomBans = (bans) => (Array.isArray(bans) ? bans.filter(Boolean).map((ban) => ({ ...ban })) : []);
+
+// Running score of the games played back to back through rematches.
+const normalizeRoomSeries = (series) => ({
+  gamesPlayed: Number.isInteger(series?.gamesPlayed) ? series.gamesPlayed : 0,
+  wins: { ...(series?.wins || {}) },
+});
+
+// Open rematch vote: `votes` maps each eligible player to true, false or
+// null (not voted yet). `null` when no vote is open.
+const normalizeRematchVote = (rematch) =>
+  rematch && typeof rematch === 'object' ? { ...rematch, votes: { ...(rematch.votes || {}) } } : null;
+
 const coerceIsoDate = (value, fallback = new Date()) => {
   if (value instanceof Date) {
     return value.toISOString();
@@ -43,6 +80,14 @@ class GameRoom {
     createdAt = new Date().toISOString(),
     lastActivity = new Date().toISOString(),
     chatLog = [],
+    isPrivate = false,
+    inviteCode = null,
+    access = {},
+    bans = [],
+    series = null,
+    rematch = null,
+    seatQueue = [],
+    nextServerSeed = null,
   }) {
     if (!roomId) {
       throw new Error('GameRoom requires a roomId');
@@ -58,6 +103,15 @@ class GameRoom {
     this.createdAt = coerceIsoDate(createdAt);
     this.lastActivity = coerceIsoDate(lastActivity);
     this.chatLog = Array.isArray(chatLog) ? [...chatLog] : [];
+    this.isPrivate = Boolean(isPrivate);
+    this.inviteCode = inviteCode ?? null;
+    this.access = normalizeRoomAccess(access);
+    this.bans = normalizeRoomBans(bans);
+    this.series = normalizeRoomSeries(series);
+    this.rematch = normalizeRematchVote(rematch);
+    this.seatQueue = Array.isArray(seatQueue) ? [...new Set(seatQueue)] : [];
+    // Secret until the deal it was committed for; never sent to clients.
+    this.nextServerSeed = nextServerSeed ?? null;
   }
 
   update(patch = {}) {
@@ -96,6 +150,30 @@ class GameRoom {
       this.chatLog = [...patch.chatLog];
     }
 
+    if (patch.access) {
+      this.access = normalizeRoomAccess({ ...this.access, ...patch.access });
+    }
+
+    if (Array.isArray(patch.bans)) {
+      this.bans = normalizeRoomBans(patch.bans);
+    }
+
+    if (patch.series !== undefined) {
+      this.series = normalizeRoomSeries(patch.series);
+    }
+
+    if (patch.rematch !== undefined) {
+      this.rematch = normalizeRematchVote(patch.rematch);
+    }
+
+    if (Array.isArray(patch.seatQueue)) {
+      this.seatQueue = [...new Set(patch.seatQueue)];
+    }
+
+    if (patch.nextServerSeed !== undefined) {
+      this.nextServerSeed = patch.nextServerSeed;
+    }
+
     return this;
   }
 
@@ -131,6 +209,14 @@ class GameRoom {
       createdAt: this.createdAt,
       lastActivity: this.lastActivity,
       chatLog: [...this.chatLog],
+      isPrivate: this.isPrivate,
+      inviteCode: this.inviteCode,
+      access: normalizeRoomAccess(this.access),
+      bans: normalizeRoomBans(this.bans),
+      series: normalizeRoomSeries(this.series),
+      rematch: normalizeRematchVote(this.rematch),
+      seatQueue: [...this.seatQueue],
+      nextServerSeed: this.nextServerSeed,
     };
   }
 }
@@ -144,6 +230,13 @@ class Player {
     lives = defaultHostSettings.startingLives,
     isHost = false,
     isSpectator = false,
+    isBot = false,
+    botDifficulty = null,
+    accountId = null,
+    isMuted = false,
+    isReady = false,
+    standIn = null,
+    clientSeed = null,
     connectionStatus = 'connected',
     hand = [],
     currentBid = null,
@@ -162,6 +255,14 @@ class Player {
     this.lives = lives;
     this.isHost = Boolean(isHost);
     this.isSpectator = Boolean(isSpectator);
+    this.isBot = Boolean(isBot);
+    this.botDifficulty = this.isBot ? botDifficulty : null;
+    this.accountId = accountId ?? null;
+    this.isMuted = Boolean(isMuted);
+    this.isReady = Boolean(isReady);
+    this.standIn = standIn ? { ...standIn } : null;
+    // Entropy the player contributed to the shuffle of the rounds dealt next.
+    this.clientSeed = clientSeed ?? null;
     this.connectionStatus = connectionStatus;
     this.hand = Array.isArray(hand) ? [...hand] : [];
     this.currentBid = currentBid;
@@ -178,6 +279,13 @@ class Player {
       'lives',
       'isHost',
       'isSpectator',
+      'isBot',
+      'botDifficulty',
+      'accountId',
+      'isMuted',
+      'isReady',
+      'standIn',
+      'clientSeed',
       'connectionStatus',
       'currentBid',
       'tricksWon',
@@ -213,6 +321,13 @@ class Player {
       lives: this.lives,
       isHost: this.isHost,
       isSpectator: this.isSpectator,
+      isBot: this.isBot,
+      botDifficulty: this.botDifficulty,
+      accountId: this.accountId,
+      isMuted: this.isMuted,
+      isReady: this.isReady,
+      standIn: this.standIn ? { ...this.standIn } : null,
+      clientSeed: this.clientSeed,
       connectionStatus: this.connectionStatus,
       hand: [...this.hand],
       currentBid: this.currentBid,
@@ -314,9 +429,11 @@ class StateManager {
     this.players = new Map();
     this.games = new Map();
   this.sessions = new Map();
+    this.replays = new Map();
 
     this.snapshotPath = snapshotPath;
     this.snapshotDir = path.dirname(snapshotPath);
+    this.replayDir = path.join(this.snapshotDir, 'replays');
     this.snapshotIntervalMs = snapshotIntervalMs;
 
     this.logger = typeof logger?.child === 'function' ? logger.child({ module: 'stateManager' }) : logger;
@@ -430,6 +547,7 @@ class StateManager {
       players: Array.from(this.players.values()).map((player) => player.toJSON()),
       games: Array.from(this.games.entries()).map(([gameId, state]) => ({ gameId, state })),
       sessions: Array.from(this.sessions.values()).map((session) => session.toJSON()),
+      replays: Array.from(this.replays.values()),
       metadata: {
         lastPersist: this.lastPersistDetails,
       },
@@ -536,6 +654,14 @@ class StateManager {
         });
       }
 
+      if (Array.isArray(parsed.replays)) {
+        parsed.replays.forEach((replay) => {
+          if (replay?.gameId) {
+            this.replays.set(replay.gameId, replay);
+          }
+        });
+      }
+
       this.lastPersistDetails = parsed.metadata?.lastPersist ?? null;
 
       this.logger.info('state.restored', {
@@ -659,6 +785,94 @@ class StateManager {
     return this.games.delete(gameId);
   }
 
+  // Replays of games still in progress live in memory (and in the state
+  // snapshot); `saveReplay` moves a finished one to its own file under
+  // `<snapshot dir>/replays/`.
+  startReplay({ gameId, roomId, players = [], hostSettings = {} }) {
+    if (!gameId) {
+      throw new Error('startReplay requires a gameId');
+    }
+
+    const replay = {
+      version: 1,
+      gameId,
+      roomId: roomId ?? null,
+      players: players.map((player) => ({ ...player })),
+      hostSettings: { ...hostSettings },
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      events: [],
+    };
+
+    this.replays.set(gameId, replay);
+    return replay;
+  }
+
+  appendReplayEvent(gameId, { type, payload = {} } = {}) {
+    const replay = this.replays.get(gameId);
+    if (!replay || !type) {
+      return null;
+    }
+
+    const event = {
+      seq: replay.events.length + 1,
+      type,
+      at: new Date().toISOString(),
+      payload: JSON.parse(JSON.stringify(payload)),
+    };
+
+    replay.events.push(event);
+    return event;
+  }
+
+  getReplayPath(gameId) {
+    if (typeof gameId !== 'string' || !/^[\w-]+$/.test(gameId)) {
+      return null;
+    }
+
+    return path.join(this.replayDir, `${gameId}.json`);
+  }
+
+  async saveReplay(gameId) {
+    const replay = this.replays.get(gameId);
+    const replayPath = this.getReplayPath(gameId);
+    if (!replay || !replayPath) {
+      return null;
+    }
+
+    replay.completedAt = replay.completedAt ?? new Date().toISOString();
+
+    await fs.mkdir(this.replayDir, { recursive: true });
+    const tempPath = `${replayPath}.${Date.now()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(replay), 'utf8');
+    await fs.rename(tempPath, replayPath);
+
+    this.replays.delete(gameId);
+    this.logger.debug('state.replay_saved', { gameId, events: replay.events.length, path: replayPath });
+
+    return replayPath;
+  }
+
+  async loadReplay(gameId) {
+    if (this.replays.has(gameId)) {
+      return this.replays.get(gameId);
+    }
+
+    const replayPath = this.getReplayPath(gameId);
+    if (!replayPath) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(await fs.readFile(replayPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
   exportState() {
     return this.getSnapshotPayload();
   }
@@ -668,6 +882,7 @@ class StateManager {
     this.players.clear();
     this.games.clear();
     this.sessions.clear();
+    this.replays.clear();
   }
 
   appendRoomChatMessage(roomId, entry, { limit = 100 } = {}) {
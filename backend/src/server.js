@@ -11,7 +11,11 @@ const { Server } = require('socket.io');
 const config = require('./config/environment');
 const logger = require('./config/logger');
 const roomsRouter = require('./api/rooms');
+const gamesRouter = require('./api/games');
+const playersRouter = require('./api/players');
+const leaderboardRouter = require('./api/leaderboard');
 const { stateManager } = require('./modules/stateManager');
+const { accountManager } = require('./modules/accountManager');
 const { roomManager } = require('./modules/roomManager');
 const { registerRoomHandlers } = require('./socket/roomHandlers');
 const { configureSecurityHeaders } = require('./modules/security');
@@ -115,6 +119,9 @@ const createApp = () => {
   });
 
   app.use('/api/rooms', roomsRouter);
+  app.use('/api/games', gamesRouter);
+  app.use('/api/players', playersRouter);
+  app.use('/api/leaderboard', leaderboardRouter);
 
   app.use((req, res, next) => {
     const error = new Error('Not Found');
@@ -158,6 +165,7 @@ registerRoomHandlers(io, { roomManager, logger });
 
 const start = async () => {
   await stateManager.init();
+  await accountManager.init();
 
   return new Promise((resolve) => {
     httpServer.listen(config.app.port, () => {
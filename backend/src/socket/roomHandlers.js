@@ -6,35 +6,45 @@ const baseLogger = require('../config/logger');
 const {
   roomManager: defaultRoomManager,
   RoomManagerError,
-  DEFAULT_ROOMS,
+  describeRoomAccess,
+  MIN_PLAYERS,
 } = require('../modules/roomManager');
+const { stateManager: defaultStateManager } = require('../modules/stateManager');
 const {
-  stateManager: defaultStateManager,
-  GameState,
-} = require('../modules/stateManager');
+  accountManager: defaultAccountManager,
+  AccountManagerError,
+} = require('../modules/accountManager');
+const { createServerSeed: defaultCreateServerSeed, hashSeed } = require('../modules/cardEngine');
 const {
-  createDeck,
-  shuffleDeck,
-  drawVira,
-  applyViraToCards,
-} = require('../modules/cardEngine');
-const { calculateValidBids, validateBid } = require('../modules/gameLogic/bidding');
+  calculateValidBids,
+  normalizeBidRules,
+  describeBidRestriction,
+} = require('../modules/gameLogic/bidding');
 const {
   validateCardPlay: validateTrickCardPlay,
-  createTrickState,
-  recordCardPlay,
-  resolveTrick,
   removeCardFromHand,
 } = require('../modules/gameLogic/tricks');
-const { calculateRoundResults, determineNextCardCount } = require('../modules/gameLogic/rounds');
-const { buildGameCompletionPayload } = require('../modules/gameLogic/gameCompletion');
+const { normalizeRuleSet } = require('../modules/gameLogic/rounds');
+const { buildGameCompletionPayload, summarizePlayerPerformance } = require('../modules/gameLogic/gameCompletion');
+const {
+  BOT_DIFFICULTIES,
+  DEFAULT_BOT_DIFFICULTY,
+  createBotStrategy,
+} = require('../modules/gameLogic/bots');
 const {
-  DEFAULT_TURN_TIMER_SECONDS,
-  clampTurnTimerSeconds,
   calculateDeadline,
   selectAutoBid,
   selectAutoCard,
 } = require('../modules/gameLogic/turnTimer');
+const { scaleDelayMs, resolveTurnTimerSeconds } = require('../modules/gameLogic/gameSpeed');
+const { resolveInactivityPolicy } = require('../modules/gameLogic/inactivity');
+const {
+  DEFAULT_TIME_LIMIT,
+  normalizeTimeLimit,
+  resolveTimeLimitMs,
+  describeTimeLimit,
+} = require('../modules/gameLogic/timeLimit');
+const { createGame, reduce, DEFAULT_STARTING_LIVES } = require('../modules/gameEngine');
 const { GameRound } = require('../modules/stateManager/GameState');
 const {
   withRateLimit,
@@ -42,7 +52,8 @@ const {
   antiCheatManager,
   handleSocketDisconnect: handleSecurityDisconnect,
 } = require('../modules/security');
-const DEFAULT_GAME_TIME_LIMIT_MS = 60 * 60 * 1000;
+// Games saved before the limit became a host setting carry no `timeLimitMs`.
+const DEFAULT_GAME_TIME_LIMIT_MS = resolveTimeLimitMs(DEFAULT_TIME_LIMIT);
 const GAME_TIMER_TICK_MS = 60 * 1000;
 const GAME_TIMER_WARNING_MS = 5 * 60 * 1000;
 const ROUND_TRANSITION_DELAY_MS = 10000; // 10 seconds to view final trick before next round
@@ -55,6 +66,8 @@ const DISCONNECT_AUTO_RECHECK_DELAY_MS = 5 * 1000;
 const PENDING_ACTION_TTL_MS = 60 * 1000;
 const SESSION_SWEEP_INTERVAL_MS = 30 * 1000;
 const MIN_DISCONNECT_DELAY_MS = 1000;
+const MAX_PAUSE_MS = 10 * 60 * 1000; // a pause ends on its own after this long
+const PAUSE_VOTE_WINDOW_MS = 60 * 1000;
 
 const configuredTrickDelay = Number(process.env.TRICK_START_DELAY_MS);
 const TRICK_START_DELAY_MS = Number.isFinite(configuredTrickDelay) && configuredTrickDelay >= 0
@@ -63,6 +76,40 @@ const TRICK_START_DELAY_MS = Number.isFinite(configuredTrickDelay) && configured
     ? 0
     : 10000;
 
+const configuredBotDelay = Number(process.env.BOT_ACTION_DELAY_MS);
+const BOT_ACTION_DELAY_MS = Number.isFinite(configuredBotDelay) && configuredBotDelay >= 0
+  ? configuredBotDelay
+  : process.env.NODE_ENV === 'test'
+    ? 0
+    : 1200;
+
+// Host settings applied verbatim once `validateHostSettingsPayload` accepts them.
+const EDITABLE_HOST_SETTINGS = [
+  'gameSpeed',
+  'autoKickInactive',
+  'inactiveStrikeLimit',
+  'inactiveAction',
+  'autoStart',
+  'autoStartSeconds',
+];
+// Object-valued settings accept partial updates merged over the current value.
+const NESTED_HOST_SETTINGS = {
+  ruleSet: normalizeRuleSet,
+  bidRules: normalizeBidRules,
+  timeLimit: normalizeTimeLimit,
+};
+
+// Strategy used when the server acts on behalf of an idle or disconnected player.
+const AUTO_ACTION_DIFFICULTY = DEFAULT_BOT_DIFFICULTY;
+
+// How the rule-change chat line names each cancelled-trick rule.
+const CANCELLED_TRICK_SUMMARIES = {
+  nobody: 'cancelled tricks to nobody',
+  'lead-player': 'cancelled tricks to the lead player',
+  'carry-over': 'cancelled tricks carried over',
+  'last-card': 'cancelled tricks to the last card played',
+};
+
 const trickControllers = new Map();
 
 const cloneDeep = (value) => {
@@ -78,7 +125,6 @@ const cloneDeep = (value) => {
 };
 
 const DISPLAY_NAME_REGEX = /^[A-Za-z0-9 ]{3,20}$/;
-const ROOM_IDS = new Set(DEFAULT_ROOMS.map((room) => room.roomId));
 
 const serializeCard = (card) =>
   typeof card?.toJSON === 'function'
@@ -87,6 +133,14 @@ const serializeCard = (card) =>
       ? { ...card }
       : card;
 
+// A round's server seed stays secret until the round is scored.
+const hideUnrevealedSeeds = (gameState) => ({
+  ...gameState,
+  rounds: (Array.isArray(gameState?.rounds) ? gameState.rounds : []).map((round) =>
+    round?.fairness && !round.completedAt ? { ...round, fairness: { ...round.fairness, serverSeed: null } } : round,
+  ),
+});
+
 const flattenVisibleCards = (view, resolveOwner) => {
   const visible = [];
   if (!view?.others) {
@@ -208,11 +262,30 @@ const mapPlayerInfo = (player) => {
     lives: snapshot.lives,
     isHost: Boolean(snapshot.isHost),
     isSpectator: Boolean(snapshot.isSpectator),
+    isBot: Boolean(snapshot.isBot),
+    ...(snapshot.isBot ? { botDifficulty: snapshot.botDifficulty ?? DEFAULT_BOT_DIFFICULTY } : {}),
+    ...(snapshot.accountId ? { accountId: snapshot.accountId } : {}),
+    ...(snapshot.isMuted ? { isMuted: true } : {}),
+    ...(snapshot.isReady ? { isReady: true } : {}),
+    ...(snapshot.standIn ? { standIn: { ...snapshot.standIn } } : {}),
     connectionStatus: snapshot.connectionStatus ?? 'connected',
   };
 };
 
 const mapJoinError = (error) => {
+  if (error instanceof AccountManagerError) {
+    const mapping = {
+      INVALID_PIN: 'invalid_pin',
+      PIN_LOCKED: 'pin_locked',
+      NAME_TAKEN: 'name_taken',
+    };
+
+    return {
+      error: mapping[error.code] ?? 'invalid_name',
+      message: error.message,
+    };
+  }
+
   if (error instanceof RoomManagerError) {
     const mapping = {
       ROOM_FULL: 'room_full',
@@ -221,6 +294,19 @@ const mapJoinError = (error) => {
       NAME_TAKEN: 'name_taken',
       DISPLAY_NAME_REQUIRED: 'invalid_name',
       ROOM_ID_REQUIRED: 'invalid_room',
+      BOT_NOT_FOUND: 'invalid_player',
+      PASSWORD_REQUIRED: 'password_required',
+      INVALID_PASSWORD: 'invalid_password',
+      PASSWORD_LOCKED: 'password_locked',
+      NOT_INVITED: 'not_invited',
+      SPECTATING_DISABLED: 'spectating_disabled',
+      BANNED: 'banned',
+      PLAYER_NOT_FOUND: 'invalid_player',
+      INVALID_TARGET: 'invalid_player',
+      INVALID_SEAT: 'invalid_seat',
+      REMATCH_NOT_OPEN: 'rematch_not_open',
+      GAME_NOT_ACTIVE: 'game_not_active',
+      SEAT_NOT_VACANT: 'seat_not_vacant',
     };
 
     return {
@@ -235,7 +321,8 @@ const mapJoinError = (error) => {
   };
 };
 
-const buildRoomJoinedPayload = (room, player, sessionId, roomManager) => {
+// `fairness` is the room's commitment to its next deal (`{ nextServerSeedHash }`).
+const buildRoomJoinedPayload = (room, player, sessionId, roomManager, fairness = null) => {
   const reference = room && typeof room.toJSON === 'function' ? room.toJSON() : room;
   const playerSnapshot = typeof player.toJSON === 'function' ? player.toJSON() : player;
 
@@ -258,14 +345,19 @@ const buildRoomJoinedPayload = (room, player, sessionId, roomManager) => {
   return {
     roomId: reference?.roomId ?? null,
     playerId: playerSnapshot.playerId,
+    accountId: playerSnapshot.accountId ?? null,
     isHost: Boolean(playerSnapshot.isHost),
     isSpectator: Boolean(playerSnapshot.isSpectator),
+    isMuted: Boolean(playerSnapshot.isMuted),
     currentPlayers,
     spectators: currentSpectators,
     spectatorCount: currentSpectators.length,
     gameState: reference?.gameState ?? null,
     hostSettings: reference?.hostSettings ? { ...reference.hostSettings } : null,
+    access: describeRoomAccess(reference?.access),
+    seatQueue: roomManager.describeSeatQueue(reference?.roomId),
     chatMessages,
+    fairness,
     sessionId,
   };
 };
@@ -286,7 +378,8 @@ const broadcastPlayerJoined = (socket, roomId, player) => {
   }
 };
 
-const broadcastPlayerLeft = (emitter, player, reason) => {
+// `expiresAt` marks a disconnect whose seat is held for a reconnect.
+const broadcastPlayerLeft = (emitter, player, reason, expiresAt = null) => {
   if (!emitter || typeof emitter.emit !== 'function') {
     return;
   }
@@ -295,6 +388,7 @@ const broadcastPlayerLeft = (emitter, player, reason) => {
   const payload = {
     playerId: snapshot?.playerId ?? null,
     reason,
+    ...(expiresAt ? { expiresAt } : {}),
   };
 
   if (snapshot?.isSpectator) {
@@ -354,7 +448,9 @@ const createRoomSocketHandlers = ({
   io,
   roomManager = defaultRoomManager,
   stateManager = defaultStateManager,
+  accountManager = defaultAccountManager,
   logger = baseLogger,
+  createServerSeed = defaultCreateServerSeed,
 } = {}) => {
   if (!io) {
     throw new Error('Socket.io server instance is required');
@@ -362,14 +458,58 @@ const createRoomSocketHandlers = ({
 
   const biddingControllers = new Map();
   const playingControllers = new Map();
+  const roundTransitionControllers = new Map();
   const gameTimers = new Map();
+  const pauseControllers = new Map();
+  const pauseVotes = new Map();
+  const lobbyCountdowns = new Map();
   const chatThrottle = new Map();
   const disconnectAutoControllers = new Map();
   const pendingActions = new Map();
+  const inactivityStrikes = new Map();
   let sessionSweepInterval = null;
 
   const getTurnTimerSeconds = (room) => {
-    return clampTurnTimerSeconds(room?.hostSettings?.turnTimer, DEFAULT_TURN_TIMER_SECONDS);
+    return resolveTurnTimerSeconds(room?.hostSettings?.turnTimer, room?.hostSettings?.gameSpeed);
+  };
+
+  const getBotActionDelayMs = (room) => scaleDelayMs(BOT_ACTION_DELAY_MS, room?.hostSettings?.gameSpeed);
+
+  // Each room's server seed is chosen, and its hash published, one deal ahead:
+  // players see the commitment (in `room_joined`, then `round_started` and
+  // `round_completed`) before their client seeds for that deal are read, so
+  // the server cannot pick a seed to suit them. The pending seed lives on the
+  // room, so it is saved with the room state and goes away with the room.
+  const getServerSeedCommitment = (roomId) => {
+    const room = roomManager.getRoom(roomId);
+    if (!room) {
+      return null;
+    }
+
+    if (!room.nextServerSeed) {
+      room.update({ nextServerSeed: createServerSeed() });
+    }
+
+    return hashSeed(room.nextServerSeed);
+  };
+
+  // Seeds for the next deal: the room's committed server seed plus whatever
+  // the seated players contributed with `set_client_seed`. Commits the seed
+  // for the deal after it.
+  const createRoundFairness = (room, players) => {
+    const serverSeedHash = getServerSeedCommitment(room.roomId);
+    const committedRoom = roomManager.getRoom(room.roomId);
+    const serverSeed = committedRoom.nextServerSeed;
+    committedRoom.update({ nextServerSeed: null });
+
+    return {
+      serverSeed,
+      serverSeedHash,
+      nextServerSeedHash: getServerSeedCommitment(room.roomId),
+      clientSeeds: Object.fromEntries(
+        players.filter((player) => player.clientSeed).map((player) => [player.playerId, player.clientSeed]),
+      ),
+    };
   };
 
   const clearBiddingTimer = (gameId) => {
@@ -533,7 +673,7 @@ const createRoomSocketHandlers = ({
     }
 
     socket.emit('game_state_update', {
-      gameState: snapshot,
+      gameState: hideUnrevealedSeeds(snapshot),
       yourPlayerId: player.playerId,
       lastUpdateTime: Date.now(),
     });
@@ -594,6 +734,12 @@ const createRoomSocketHandlers = ({
     if (currentRound) {
       summary.viraCard = currentRound.viraCard ?? null;
       summary.manilhaRank = currentRound.manilhaRank ?? null;
+      summary.ruleSet = {
+        deck: currentRound.deck ?? 'full',
+        manilhas: currentRound.manilhas ?? 'vira',
+        cancelledTricks: currentRound.cancelledTricks ?? 'nobody',
+      };
+      summary.dealerId = currentRound.dealerId ?? null;
       summary.bids = currentRound.bids ? { ...currentRound.bids } : {};
       const trickCount = Array.isArray(currentRound.tricks) ? currentRound.tricks.length : 0;
       summary.trickNumber = currentRound.activeTrickNumber ?? trickCount;
@@ -644,23 +790,6 @@ const createRoomSocketHandlers = ({
     return [];
   };
 
-  const setRoundHand = (round, playerId, cards) => {
-    if (!round || !playerId) {
-      return;
-    }
-
-    const normalized = Array.isArray(cards) ? [...cards] : [];
-
-    if (round.hands instanceof Map) {
-      round.hands.set(playerId, normalized);
-      return;
-    }
-
-    if (round.hands && typeof round.hands === 'object') {
-      round.hands[playerId] = normalized;
-    }
-  };
-
   const normalizeCardInput = (card) => {
     if (!card || typeof card !== 'object') {
       return { rank: null, suit: null };
@@ -687,36 +816,12 @@ const createRoomSocketHandlers = ({
     return round.tricks[round.tricks.length - 1] ?? null;
   };
 
-  const countCardsPlayed = (trick) => {
-    if (!trick || !trick.cardsPlayed) {
-      return 0;
-    }
-
-    if (trick.cardsPlayed instanceof Map) {
-      return trick.cardsPlayed.size;
-    }
-
-    if (typeof trick.cardsPlayed === 'object') {
-      return Object.keys(trick.cardsPlayed).length;
-    }
-
-    return 0;
-  };
-
-  const serializeCardsPlayed = (cardsPlayed) => {
-    if (cardsPlayed instanceof Map) {
-      return Object.fromEntries(
-        Array.from(cardsPlayed.entries(), ([playerId, card]) => [playerId, serializeCard(card)]),
-      );
-    }
-
-    if (cardsPlayed && typeof cardsPlayed === 'object') {
-      return Object.fromEntries(
-        Object.entries(cardsPlayed).map(([playerId, card]) => [playerId, serializeCard(card)]),
-      );
-    }
-
-    return {};
+  // Game-flow events are broadcast to the room and appended to the game's
+  // replay log in the same step, so the recording always matches what the
+  // table saw.
+  const broadcastGameEvent = ({ room, gameId, event, payload }) => {
+    io.to(room.roomId).emit(event, payload);
+    stateManager.appendReplayEvent(gameId, { type: event, payload });
   };
 
   const persistGame = ({ room, gameState }) => {
@@ -726,6 +831,35 @@ const createRoomSocketHandlers = ({
     return savedSnapshot;
   };
 
+  // Broadcasts what the game engine reported. `hands_dealt` reaches each
+  // player as their own view of the deal, and a resumed trick is announced
+  // again without being added to the replay twice. Rejections are answered
+  // by whoever dispatched the action.
+  const emitEngineEvents = ({ room, gameState, events, players = [] }) => {
+    events.forEach(({ type, payload, resumed }) => {
+      if (type === 'action_rejected') {
+        return;
+      }
+
+      if (type === 'hands_dealt') {
+        const round = gameState.rounds.find((entry) => entry.roundNumber === payload.roundNumber);
+        emitHandsToPlayers({
+          gameState,
+          round: new GameRound({ ...round, playerOrder: gameState.playerOrder }),
+          players,
+        });
+        return;
+      }
+
+      if (resumed) {
+        io.to(room.roomId).emit(type, payload);
+        return;
+      }
+
+      broadcastGameEvent({ room, gameId: gameState.gameId, event: type, payload });
+    });
+  };
+
   const scheduleTrickStart = ({ room, gameState, leadPlayerId = null, loggerRef = logger }) => {
     if (!gameState?.gameId || !room) {
       return;
@@ -746,10 +880,12 @@ const createRoomSocketHandlers = ({
       });
     };
 
-    if (TRICK_START_DELAY_MS === 0) {
+    const delayMs = scaleDelayMs(TRICK_START_DELAY_MS, room.hostSettings?.gameSpeed);
+
+    if (delayMs === 0) {
       triggerStart();
     } else {
-      const timer = setTimeout(triggerStart, TRICK_START_DELAY_MS);
+      const timer = setTimeout(triggerStart, delayMs);
 
       if (typeof timer.unref === 'function') {
         timer.unref();
@@ -757,6 +893,8 @@ const createRoomSocketHandlers = ({
 
       trickControllers.set(gameState.gameId, {
         timer,
+        run: triggerStart,
+        firesAt: Date.now() + delayMs,
         scheduledAt: Date.now(),
         leadPlayerId,
       });
@@ -766,13 +904,46 @@ const createRoomSocketHandlers = ({
       loggerRef.debug('trick.start_scheduled', {
         roomId: room.roomId,
         gameId: gameState.gameId,
-        delayMs: TRICK_START_DELAY_MS,
-        immediate: TRICK_START_DELAY_MS === 0,
+        delayMs,
+        immediate: delayMs === 0,
         leadPlayerId,
       });
     }
   };
 
+  // Credits the game to every participant who joined with a PIN and re-rates
+  // them; returns the rating changes keyed by playerId.
+  const recordAccountStats = ({ room, gameState, participantIds, standings = [], winner, loggerRef = logger }) => {
+    const performance = summarizePlayerPerformance({ gameState, winner });
+    let recorded = 0;
+
+    participantIds.forEach((playerId) => {
+      const accountId = roomManager.getPlayer(playerId)?.accountId;
+      if (accountId && accountManager.recordGame(accountId, performance[playerId] ?? { won: playerId === winner })) {
+        recorded += 1;
+      }
+    });
+
+    const ratingChanges = accountManager.recordRatedGame({
+      roomId: room.roomId,
+      standings: standings.map((entry) => ({
+        ...entry,
+        accountId: roomManager.getPlayer(entry.playerId)?.accountId ?? null,
+      })),
+    });
+
+    if (recorded > 0) {
+      accountManager.persist().catch((error) => {
+        loggerRef?.error?.('accounts.persist_failed', {
+          gameId: gameState.gameId,
+          message: error.message,
+        });
+      });
+    }
+
+    return ratingChanges;
+  };
+
   const completeGame = ({ room, gameState, reason = 'victory', loggerRef = logger }) => {
     if (!room || !gameState) {
       return gameState;
@@ -792,9 +963,15 @@ const createRoomSocketHandlers = ({
     clearBiddingTimer(referenceState.gameId);
     clearTrickTimer(referenceState.gameId);
     clearPlayingTimer(referenceState.gameId);
+    clearInactivityStrikes(referenceState.gameId);
+    clearPauseTimer(referenceState.gameId);
+    clearPauseVote(referenceState.gameId);
+    clearTimeout(roundTransitionControllers.get(referenceState.gameId)?.timer);
+    roundTransitionControllers.delete(referenceState.gameId);
 
     const mutableState = cloneDeep(referenceState);
     mutableState.currentPhase = 'completed';
+    mutableState.pause = null;
     mutableState.endedAt = new Date().toISOString();
 
     const participantSet = new Set(Array.isArray(mutableState.playerOrder) ? mutableState.playerOrder : []);
@@ -862,6 +1039,15 @@ const createRoomSocketHandlers = ({
     mutableState.winner = payload.winner ?? null;
     mutableState.completionReason = reason;
 
+    payload.ratingChanges = recordAccountStats({
+      room,
+      gameState: referenceState,
+      participantIds: participantSet,
+      standings: payload.finalStandings,
+      winner: mutableState.winner,
+      loggerRef,
+    });
+
     const savedSnapshot = persistGame({ room, gameState: mutableState });
 
     room.update({
@@ -873,8 +1059,21 @@ const createRoomSocketHandlers = ({
 
     roomManager.assignHost(room);
     stateManager.upsertRoom(room);
+    broadcastExpiredSessions(roomManager.releaseStandIns(room.roomId));
+
+    payload.series = roomManager.recordSeriesResult({ roomId: room.roomId, winner: payload.winner });
+    roomManager.openRematchVote(room.roomId);
 
-    io.to(room.roomId).emit('game_completed', payload);
+    broadcastGameEvent({ room, gameId: mutableState.gameId, event: 'game_completed', payload });
+    syncLobbyReadyState(room);
+
+    stateManager.saveReplay(mutableState.gameId).catch((error) => {
+      loggerRef?.error?.('game.replay_save_failed', {
+        roomId: room.roomId,
+        gameId: mutableState.gameId,
+        error: error.message,
+      });
+    });
 
     emitGameTimerUpdate({
       roomId: room.roomId,
@@ -894,6 +1093,46 @@ const createRoomSocketHandlers = ({
     return savedSnapshot;
   };
 
+  // Out of time: either rank the table now, or make the round in play (the
+  // next one, between rounds) a sudden-death final round that ends the game.
+  const expireGameTime = ({ room, gameState }) => {
+    const { onExpiry } = normalizeTimeLimit(room.hostSettings?.timeLimit);
+    if (onExpiry !== 'sudden-death') {
+      return completeGame({ room, gameState, reason: 'timeout', loggerRef: logger });
+    }
+
+    if (Number.isFinite(gameState.finalRoundNumber)) {
+      return gameState;
+    }
+
+    const mutableState = cloneDeep(gameState);
+    const currentRound = Number.isFinite(mutableState.currentRound) ? mutableState.currentRound : 0;
+    mutableState.finalRoundNumber = mutableState.currentPhase === 'scoring' ? currentRound + 1 : Math.max(currentRound, 1);
+
+    const savedSnapshot = persistGame({ room, gameState: mutableState });
+
+    broadcastGameEvent({
+      room,
+      gameId: savedSnapshot.gameId,
+      event: 'final_round',
+      payload: { roundNumber: savedSnapshot.finalRoundNumber, reason: 'timeout' },
+    });
+    emitSystemChat({
+      room,
+      message: `Time is up — round ${savedSnapshot.finalRoundNumber} is the sudden-death final round.`,
+      io,
+      stateManager,
+    });
+
+    logger.info('game.final_round', {
+      roomId: room.roomId,
+      gameId: savedSnapshot.gameId,
+      roundNumber: savedSnapshot.finalRoundNumber,
+    });
+
+    return savedSnapshot;
+  };
+
   const scheduleGameTimer = ({ room, gameState }) => {
     if (!room || !gameState || !gameState.gameId) {
       return;
@@ -901,25 +1140,26 @@ const createRoomSocketHandlers = ({
 
     clearGameTimer(gameState.gameId);
 
-    const timeLimitMs = Number.isFinite(gameState.timeLimitMs)
-      ? gameState.timeLimitMs
-      : DEFAULT_GAME_TIME_LIMIT_MS;
+    // `null` means the host turned the limit off; once a sudden-death round
+    // is under way the limit has already been spent.
+    const timeLimitMs = gameState.timeLimitMs === undefined ? DEFAULT_GAME_TIME_LIMIT_MS : gameState.timeLimitMs;
     const startedAt = Date.parse(gameState.startedAt);
 
-    if (!Number.isFinite(timeLimitMs) || timeLimitMs <= 0 || Number.isNaN(startedAt)) {
+    if (
+      !Number.isFinite(timeLimitMs) ||
+      timeLimitMs <= 0 ||
+      Number.isNaN(startedAt) ||
+      Number.isFinite(gameState.finalRoundNumber)
+    ) {
       return;
     }
 
-    const deadline = startedAt + timeLimitMs;
+    // Time spent paused does not count against the limit.
+    const deadline = startedAt + timeLimitMs + (Number.isFinite(gameState.pausedMs) ? gameState.pausedMs : 0);
     const remaining = deadline - Date.now();
 
     if (remaining <= 0) {
-      completeGame({
-        room,
-        gameState,
-        reason: 'timeout',
-        loggerRef: logger,
-      });
+      expireGameTime({ room, gameState });
       return;
     }
 
@@ -936,12 +1176,7 @@ const createRoomSocketHandlers = ({
       const latestState = stateManager.getGame(gameState.gameId) ?? gameState;
       clearGameTimer(gameState.gameId);
       broadcast(0);
-      completeGame({
-        room: latestRoom,
-        gameState: latestState,
-        reason: 'timeout',
-        loggerRef: logger,
-      });
+      expireGameTime({ room: latestRoom, gameState: latestState });
     }, remaining);
 
     if (typeof timeout.unref === 'function') {
@@ -971,6 +1206,207 @@ const createRoomSocketHandlers = ({
     broadcast(remaining);
   };
 
+  // Per-game timers keep their callback and fire time, so a pause can stop
+  // them and a resume can restart them with exactly the time they had left.
+  const pausableControllers = [biddingControllers, playingControllers, trickControllers, roundTransitionControllers];
+
+  const isGamePaused = (gameState) => Boolean(gameState?.pause);
+
+  const freezeController = (controller, now = Date.now()) => {
+    if (!controller?.run) {
+      return;
+    }
+
+    clearTimeout(controller.timer);
+    controller.timer = null;
+    controller.frozenAt = now;
+    controller.remainingMs = Math.max(0, controller.firesAt - now);
+  };
+
+  const freezeGameTimers = (gameId, now) => {
+    pausableControllers.forEach((controllers) => freezeController(controllers.get(gameId), now));
+    clearGameTimer(gameId);
+  };
+
+  const thawGameTimers = (gameId, now) => {
+    pausableControllers.forEach((controllers) => {
+      const controller = controllers.get(gameId);
+      if (!controller?.run || controller.timer) {
+        return;
+      }
+
+      controller.timer = setTimeout(controller.run, controller.remainingMs);
+      if (typeof controller.timer.unref === 'function') {
+        controller.timer.unref();
+      }
+
+      controller.firesAt = now + controller.remainingMs;
+      if (Number.isFinite(controller.deadline)) {
+        controller.deadline += now - controller.frozenAt;
+      }
+    });
+  };
+
+  const clearPauseVote = (gameId) => {
+    const vote = pauseVotes.get(gameId);
+    if (vote) {
+      clearTimeout(vote.timer);
+      pauseVotes.delete(gameId);
+    }
+  };
+
+  const clearPauseTimer = (gameId) => {
+    const controller = pauseControllers.get(gameId);
+    if (controller) {
+      clearTimeout(controller.timer);
+      pauseControllers.delete(gameId);
+    }
+  };
+
+  const pauseGame = ({ room, gameState, pausedBy = null, reason = 'host', now = Date.now() }) => {
+    const { gameId } = gameState;
+    const gameTimer = gameTimers.get(gameId);
+    const remainingMs = gameTimer?.deadline ? Math.max(0, gameTimer.deadline - now) : null;
+
+    clearPauseVote(gameId);
+    freezeGameTimers(gameId, now);
+
+    const pause = {
+      pausedAt: new Date(now).toISOString(),
+      resumesAt: new Date(now + MAX_PAUSE_MS).toISOString(),
+      pausedBy,
+      reason,
+    };
+    const savedSnapshot = persistGame({ room, gameState: { ...gameState, pause } });
+
+    const timer = setTimeout(() => {
+      resumeGame({ roomId: room.roomId, gameId, reason: 'timeout' });
+    }, MAX_PAUSE_MS);
+
+    if (typeof timer.unref === 'function') {
+      timer.unref();
+    }
+
+    pauseControllers.set(gameId, { timer, roomId: room.roomId });
+
+    broadcastGameEvent({ room, gameId, event: 'game_paused', payload: { roomId: room.roomId, gameId, ...pause } });
+    emitGameTimerUpdate({ roomId: room.roomId, remainingMs, status: 'paused' });
+
+    logger.info('game.paused', { roomId: room.roomId, gameId, pausedBy, reason });
+
+    return savedSnapshot;
+  };
+
+  const resumeGame = ({ roomId, gameId, resumedBy = null, reason = 'host', now = Date.now() }) => {
+    const room = roomManager.getRoom(roomId);
+    const gameState = stateManager.getGame(gameId);
+    if (!room || !isGamePaused(gameState)) {
+      return null;
+    }
+
+    clearPauseTimer(gameId);
+    clearPauseVote(gameId);
+
+    const pausedMs = Math.max(0, now - Date.parse(gameState.pause.pausedAt));
+    const savedSnapshot = persistGame({
+      room,
+      gameState: {
+        ...gameState,
+        pause: null,
+        pausedMs: (Number.isFinite(gameState.pausedMs) ? gameState.pausedMs : 0) + pausedMs,
+      },
+    });
+
+    thawGameTimers(gameId, now);
+    scheduleGameTimer({ room, gameState: savedSnapshot });
+
+    broadcastGameEvent({
+      room,
+      gameId,
+      event: 'game_resumed',
+      payload: { roomId, gameId, resumedBy, reason, pausedMs },
+    });
+
+    [biddingControllers, playingControllers].forEach((controllers) => {
+      const controller = controllers.get(gameId);
+      if (controller?.deadline) {
+        emitTurnTimerUpdate({
+          roomId,
+          gameId,
+          playerId: controller.playerId ?? null,
+          phase: controller.phase,
+          deadline: controller.deadline,
+          duration: Math.max(0, Math.floor((controller.deadline - now) / 1000)),
+        });
+      }
+    });
+
+    logger.info('game.resumed', { roomId, gameId, resumedBy, reason, pausedMs });
+
+    return savedSnapshot;
+  };
+
+  // Seats with a say in pause votes: connected humans, or the spectator
+  // standing in for one.
+  const listPauseVoters = (gameState) =>
+    (gameState?.playerOrder ?? []).filter((playerId) => {
+      const seat = roomManager.getPlayer(playerId);
+      if (!seat || seat.isBot || seat.standIn?.type === 'bot') {
+        return false;
+      }
+
+      return seat.connectionStatus === 'connected' || seat.standIn?.type === 'spectator';
+    });
+
+  // A vote to pause (or to end the pause) passes once a majority of the
+  // voting seats back it, and lapses if none forms in time.
+  const castPauseVote = ({ room, gameState, playerId, action }) => {
+    const { gameId } = gameState;
+    let vote = pauseVotes.get(gameId);
+
+    if (!vote || vote.action !== action) {
+      clearPauseVote(gameId);
+
+      const timer = setTimeout(() => {
+        pauseVotes.delete(gameId);
+        io.to(room.roomId).emit('pause_vote', { roomId: room.roomId, gameId, action, votes: [], needed: null });
+      }, PAUSE_VOTE_WINDOW_MS);
+
+      if (typeof timer.unref === 'function') {
+        timer.unref();
+      }
+
+      vote = { action, votes: new Set(), timer, expiresAt: Date.now() + PAUSE_VOTE_WINDOW_MS };
+      pauseVotes.set(gameId, vote);
+    }
+
+    vote.votes.add(playerId);
+
+    const voters = listPauseVoters(gameState);
+    const votes = voters.filter((voterId) => vote.votes.has(voterId));
+    const needed = Math.floor(voters.length / 2) + 1;
+
+    if (votes.length >= needed) {
+      if (action === 'pause') {
+        pauseGame({ room, gameState, reason: 'vote' });
+      } else {
+        resumeGame({ roomId: room.roomId, gameId, reason: 'vote' });
+      }
+      return { passed: true, votes: votes.length, needed };
+    }
+
+    io.to(room.roomId).emit('pause_vote', {
+      roomId: room.roomId,
+      gameId,
+      action,
+      votes,
+      needed,
+      expiresAt: vote.expiresAt,
+    });
+
+    return { passed: false, votes: votes.length, needed };
+  };
+
   const finalizeRound = ({ room, gameState, roundIndex, loggerRef = logger }) => {
     if (!room || !gameState) {
       return gameState;
@@ -978,22 +1414,29 @@ const createRoomSocketHandlers = ({
 
     clearTrickTimer(gameState.gameId);
 
-    const mutableState = cloneDeep(gameState);
-    const rounds = Array.isArray(mutableState.rounds) ? mutableState.rounds : [];
-    const targetRound = rounds[roundIndex];
+    const playerOrder = Array.isArray(gameState.playerOrder) ? gameState.playerOrder : [];
+    const startingLives = room.hostSettings?.startingLives ?? DEFAULT_STARTING_LIVES;
+    const lives = {};
+    playerOrder.forEach((playerId) => {
+      const playerRecord = roomManager.getPlayer(playerId);
+      if (playerRecord) {
+        lives[playerId] = Number.isFinite(playerRecord.lives) ? playerRecord.lives : startingLives;
+      }
+    });
+
+    const { state: scoredState, events } = reduce(gameState, {
+      type: 'score_round',
+      roundIndex,
+      lives,
+      at: new Date().toISOString(),
+    });
+    const completed = events.find((event) => event.type === 'round_completed');
 
-    if (!targetRound) {
+    if (!completed) {
       return gameState;
     }
 
-    const playerOrder = Array.isArray(mutableState.playerOrder) ? [...mutableState.playerOrder] : [];
-    const calculated = calculateRoundResults({ round: targetRound, playerOrder });
-
-    targetRound.results = { ...calculated.actuals };
-    targetRound.completedAt = new Date().toISOString();
-
-    const resultsPayload = {};
-    const eliminatedPlayers = [];
+    const { roundNumber, results, eliminatedPlayers } = completed.payload;
     const now = new Date().toISOString();
 
     const updatedPlayersList = Array.isArray(room.players) ? [...room.players] : [];
@@ -1005,23 +1448,16 @@ const createRoomSocketHandlers = ({
         return;
       }
 
-      const bid = calculated.bids[playerId] ?? 0;
-      const actual = calculated.actuals[playerId] ?? 0;
-      const livesLost = calculated.livesLost[playerId] ?? 0;
-      const currentLives = Number.isFinite(playerRecord.lives) ? playerRecord.lives : room.hostSettings?.startingLives ?? 5;
-      const remainingLives = Math.max(0, currentLives - livesLost);
-
       playerRecord.update({
-        lives: remainingLives,
+        lives: results[playerId].livesRemaining,
         currentBid: null,
         hand: [],
       });
 
-      if (remainingLives <= 0) {
+      if (eliminatedPlayers.includes(playerId)) {
         playerRecord.update({
           isSpectator: true,
         });
-        eliminatedPlayers.push(playerId);
         const index = updatedPlayersList.indexOf(playerId);
         if (index !== -1) {
           updatedPlayersList.splice(index, 1);
@@ -1031,13 +1467,6 @@ const createRoomSocketHandlers = ({
 
       playerRecord.touch(now);
       stateManager.upsertPlayer(playerRecord);
-
-      resultsPayload[playerId] = {
-        bid,
-        actual,
-        livesLost,
-        livesRemaining: remainingLives,
-      };
     });
 
     room.update({
@@ -1046,23 +1475,21 @@ const createRoomSocketHandlers = ({
       lastActivity: now,
     });
 
+    // Disconnected players sit out the next deal even though they still have lives.
     const activePlayers = updatedPlayersList
       .map((playerId) => roomManager.getPlayer(playerId))
       .filter((player) => player && !player.isSpectator && player.connectionStatus === 'connected');
 
-    mutableState.playerOrder = activePlayers.map((player) => player.playerId);
-    mutableState.currentPlayerIndex = 0;
-    mutableState.currentPhase = 'scoring';
+    const mutableState = {
+      ...scoredState,
+      playerOrder: activePlayers.map((player) => player.playerId),
+    };
 
     roomManager.assignHost(room);
 
     const savedSnapshot = persistGame({ room, gameState: mutableState });
 
-    io.to(room.roomId).emit('round_completed', {
-      roundNumber: targetRound.roundNumber ?? roundIndex + 1,
-      results: resultsPayload,
-      eliminatedPlayers,
-    });
+    emitEngineEvents({ room, gameState: savedSnapshot, events });
 
     if (mutableState.playerOrder.length <= 1) {
       const reason = mutableState.playerOrder.length === 1 ? 'victory' : 'insufficient_players';
@@ -1074,32 +1501,49 @@ const createRoomSocketHandlers = ({
       });
     }
 
+    // The sudden-death round called when the time limit ran out ends the game.
+    if (
+      Number.isFinite(savedSnapshot.finalRoundNumber) &&
+      roundNumber >= savedSnapshot.finalRoundNumber
+    ) {
+      return completeGame({
+        room,
+        gameState: savedSnapshot,
+        reason: 'timeout',
+        loggerRef,
+      });
+    }
+
     if (loggerRef && typeof loggerRef.info === 'function') {
       loggerRef.info('round.completed', {
         roomId: room.roomId,
-        roundNumber: targetRound.roundNumber ?? roundIndex + 1,
+        roundNumber,
         eliminated: eliminatedPlayers,
       });
     }
 
     const scheduleNextRound = () => {
+      roundTransitionControllers.delete(savedSnapshot.gameId);
       const refreshedRoom = roomManager.getRoom(room.roomId) ?? room;
       const refreshedState = stateManager.getGame(savedSnapshot.gameId) ?? savedSnapshot;
 
       startNextRound({
         room: refreshedRoom,
         gameState: refreshedState,
-        previousRoundCardCount: targetRound.cardCount ?? 1,
         loggerRef,
       });
     };
 
     const delayMs = Number.isFinite(room?.hostSettings?.roundTransitionDelayMs)
       ? Math.max(0, room.hostSettings.roundTransitionDelayMs)
-      : ROUND_TRANSITION_DELAY_MS;
+      : scaleDelayMs(ROUND_TRANSITION_DELAY_MS, room?.hostSettings?.gameSpeed);
 
     if (typeof setTimeout === 'function') {
-      setTimeout(scheduleNextRound, delayMs);
+      roundTransitionControllers.set(savedSnapshot.gameId, {
+        timer: setTimeout(scheduleNextRound, delayMs),
+        run: scheduleNextRound,
+        firesAt: Date.now() + delayMs,
+      });
     } else if (typeof setImmediate === 'function') {
       setImmediate(scheduleNextRound);
     } else {
@@ -1109,12 +1553,7 @@ const createRoomSocketHandlers = ({
     return savedSnapshot;
   };
 
-  const startNextRound = ({
-    room,
-    gameState,
-    previousRoundCardCount = 1,
-    loggerRef = logger,
-  }) => {
+  const startNextRound = ({ room, gameState, loggerRef = logger }) => {
     if (!room || !gameState) {
       return gameState;
     }
@@ -1125,82 +1564,39 @@ const createRoomSocketHandlers = ({
       return gameState;
     }
 
-    const nextCardCount = determineNextCardCount({
-      previousCardCount: previousRoundCardCount,
-      playerCount: activePlayers.length,
+    const { state: dealtState, events } = reduce(gameState, {
+      type: 'start_round',
+      playerOrder: activePlayers.map((player) => player.playerId),
+      ruleSet: normalizeRuleSet(room.hostSettings?.ruleSet),
+      fairness: createRoundFairness(room, activePlayers),
+      at: new Date().toISOString(),
     });
 
-    const playerOrder = activePlayers.map((player) => player.playerId);
-    const deck = shuffleDeck(createDeck());
-    const { viraCard, remainingDeck, manilhaRank } = drawVira(deck);
-    const annotatedDeck = applyViraToCards(remainingDeck, viraCard.rank);
-    const { hands, remainingDeck: leftover } = dealHands({
-      playerOrder,
-      deck: annotatedDeck,
-      cardCount: nextCardCount,
-    });
-
-    const mutableState = cloneDeep(gameState);
-    mutableState.rounds = Array.isArray(mutableState.rounds) ? [...mutableState.rounds] : [];
-
-    const roundNumber = mutableState.rounds.length + 1;
-    const roundEntity = new GameRound({
-      roundNumber,
-      cardCount: nextCardCount,
-      viraCard: serializeCard(viraCard),
-      manilhaRank,
-      hands,
-      playerOrder,
-      isBlindRound: roundNumber === 1,
-    });
-
-    const roundSnapshot = roundEntity.toJSON();
-
-    mutableState.rounds.push({
-      ...roundSnapshot,
-      hands: roundSnapshot.hands,
-    });
-
-    mutableState.currentRound = roundNumber;
-    mutableState.currentPhase = 'bidding';
-    mutableState.playerOrder = playerOrder;
-    mutableState.currentPlayerIndex = 0;
-    mutableState.metadata = mutableState.metadata || {};
-    mutableState.metadata.viraCard = serializeCard(viraCard);
-    mutableState.metadata.deck = leftover.map((card) => serializeCard(card));
+    if (dealtState === gameState) {
+      return gameState;
+    }
 
-    const savedSnapshot = persistGame({ room, gameState: mutableState });
+    const savedSnapshot = persistGame({ room, gameState: dealtState });
+    const round = getCurrentRoundFromState(savedSnapshot);
 
     activePlayers.forEach((player) => {
-      const playerHand = roundSnapshot.hands[player.playerId] || [];
       player.update({
-        hand: playerHand.map((card) => serializeCard(card)),
+        hand: (round.hands[player.playerId] ?? []).map((card) => serializeCard(card)),
         currentBid: null,
         tricksWon: 0,
       });
       stateManager.upsertPlayer(player);
     });
 
-    io.to(room.roomId).emit('round_started', {
-      roundNumber,
-      cardCount: nextCardCount,
-      viraCard: serializeCard(viraCard),
-      isBlindRound: Boolean(roundEntity.isBlindRound),
-    });
-
-    emitHandsToPlayers({
-      gameState: savedSnapshot,
-      round: roundEntity,
-      players: activePlayers,
-    });
+    emitEngineEvents({ room, gameState: savedSnapshot, events, players: activePlayers });
 
     scheduleBiddingTurn({ room, gameState: savedSnapshot });
 
     if (loggerRef && typeof loggerRef.info === 'function') {
       loggerRef.info('round.started', {
         roomId: room.roomId,
-        roundNumber,
-        cardCount: nextCardCount,
+        roundNumber: round.roundNumber,
+        cardCount: round.cardCount,
       });
     }
 
@@ -1215,26 +1611,6 @@ const createRoomSocketHandlers = ({
     return gameState.playerOrder[index] ?? null;
   };
 
-  const findNextPlayerIndex = (gameState, round) => {
-    const order = Array.isArray(gameState?.playerOrder) ? gameState.playerOrder : [];
-    if (!order.length) {
-      return 0;
-    }
-
-    const currentIndex = gameState.currentPlayerIndex ?? 0;
-
-    for (let step = 1; step <= order.length; step += 1) {
-      const candidateIndex = (currentIndex + step) % order.length;
-      const candidateId = order[candidateIndex];
-      const hand = getRoundHand(round, candidateId);
-      if (hand.length > 0) {
-        return candidateIndex;
-      }
-    }
-
-    return currentIndex;
-  };
-
   const startNewTrick = ({ room, gameState, loggerRef = logger, leadPlayerId = null }) => {
     if (!gameState) {
       return gameState;
@@ -1242,106 +1618,154 @@ const createRoomSocketHandlers = ({
 
     clearTrickTimer(gameState.gameId);
 
-    const mutableState = cloneDeep(gameState);
-    const roundIndex = getRoundIndex(mutableState);
-    const round = mutableState.rounds?.[roundIndex];
-
-    if (!round) {
+    const { state: nextState, events } = reduce(gameState, {
+      type: 'start_trick',
+      leadPlayerId,
+      at: new Date().toISOString(),
+    });
+    const started = events.find((event) => event.type === 'trick_started');
+    if (!started) {
       return gameState;
     }
 
-    round.tricks = Array.isArray(round.tricks) ? round.tricks : [];
-    const lastTrick = round.tricks[round.tricks.length - 1];
+    const savedSnapshot = persistGame({ room, gameState: nextState });
+    emitEngineEvents({ room, gameState: savedSnapshot, events });
 
-    const resolveLeadPlayer = () => {
-      if (leadPlayerId) {
-        return leadPlayerId;
-      }
-      if (lastTrick?.leadPlayer) {
-        return lastTrick.leadPlayer;
-      }
-      return getLeadPlayer(mutableState);
-    };
+    const { trickNumber, leadPlayer } = started.payload;
+    schedulePlayingTurn({
+      room,
+      gameState: savedSnapshot,
+      playerId: leadPlayer,
+    });
 
-    const syncLeadIndex = (playerId) => {
-      if (!playerId || !Array.isArray(mutableState.playerOrder)) {
-        return;
-      }
-      const leadIndex = mutableState.playerOrder.indexOf(playerId);
-      if (leadIndex >= 0) {
-        mutableState.currentPlayerIndex = leadIndex;
+    const logEntry = { roomId: room.roomId, gameId: savedSnapshot.gameId, trickNumber, leadPlayer };
+    if (started.resumed) {
+      if (loggerRef && typeof loggerRef.debug === 'function') {
+        loggerRef.debug('trick.started.resync', logEntry);
       }
-    };
+    } else if (loggerRef && typeof loggerRef.info === 'function') {
+      loggerRef.info('trick.started', logEntry);
+    }
 
-    if (lastTrick && !lastTrick.completedAt) {
-      const leadPlayer = resolveLeadPlayer();
-      if (!leadPlayer) {
-        return gameState;
-      }
+    return savedSnapshot;
+  };
+
+  // Bots and players benched for inactivity keep their seat until the round
+  // ends; the server plays it for them at bot pace, as it does for an absent
+  // player's seat handed over to a bot.
+  const isServerControlledSeat = (playerId) => {
+    const player = roomManager.getPlayer(playerId);
+    return Boolean(player?.isBot || player?.isSpectator || player?.standIn?.type === 'bot');
+  };
 
-      syncLeadIndex(leadPlayer);
-      round.activeTrickNumber = lastTrick.trickNumber ?? round.activeTrickNumber ?? 1;
+  const clearInactivityStrikes = (gameId, playerId = null) => {
+    if (!playerId) {
+      inactivityStrikes.delete(gameId);
+      return;
+    }
 
-      const savedSnapshot = persistGame({ room, gameState: mutableState });
+    inactivityStrikes.get(gameId)?.delete(playerId);
+  };
 
-      io.to(room.roomId).emit('trick_started', {
-        trickNumber: lastTrick.trickNumber ?? round.activeTrickNumber,
-        leadPlayer,
-      });
+  const detachReplacedSocket = ({ socketId, roomId, playerId }) => {
+    const targetSocket = socketId ? io.sockets?.sockets?.get(socketId) : null;
 
-      schedulePlayingTurn({
-        room,
-        gameState: savedSnapshot,
-        playerId: leadPlayer,
-      });
+    if (targetSocket?.data?.playerId === playerId) {
+      Promise.resolve(targetSocket.leave?.(roomId)).catch(() => {});
+      targetSocket.data.sessionId = null;
+      targetSocket.data.playerId = null;
+      targetSocket.data.roomId = null;
+      targetSocket.emit('room_left', null);
+    }
 
-      if (loggerRef && typeof loggerRef.debug === 'function') {
-        loggerRef.debug('trick.started.resync', {
+    chatThrottle.delete(playerId);
+    pendingActions.delete(playerId);
+    cancelDisconnectAutoAction(playerId);
+  };
+
+  const removeInactivePlayer = ({ room, playerId, strikes, action }) => {
+    const socketId = roomManager.getPlayer(playerId)?.socketId ?? null;
+    let message;
+
+    try {
+      if (action === 'bot') {
+        const { player, previous } = roomManager.replaceWithBot({
           roomId: room.roomId,
-          gameId: savedSnapshot.gameId,
-          trickNumber: lastTrick.trickNumber ?? round.activeTrickNumber,
-          leadPlayer,
+          playerId,
+          difficulty: AUTO_ACTION_DIFFICULTY,
         });
-      }
 
-      return savedSnapshot;
-    }
+        io.to(room.roomId).emit('player_replaced', {
+          playerId,
+          previousDisplayName: previous.displayName,
+          reason: 'inactive',
+          strikes,
+          player: mapPlayerInfo(player),
+        });
+        detachReplacedSocket({ socketId, roomId: room.roomId, playerId });
+        message = `${previous.displayName} was replaced by ${player.displayName} after ${strikes} missed turns.`;
+      } else {
+        const { player } = roomManager.moveToSpectator({ roomId: room.roomId, playerId });
+        const targetSocket = socketId ? io.sockets?.sockets?.get(socketId) : null;
+        if (targetSocket?.data?.playerId === playerId) {
+          targetSocket.data.isSpectator = true;
+        }
 
-    const leadPlayer = resolveLeadPlayer();
-    if (!leadPlayer) {
-      return gameState;
+        io.to(room.roomId).emit('player_kicked', {
+          playerId,
+          displayName: player.displayName,
+          reason: 'inactive',
+          strikes,
+          movedTo: 'spectator',
+          player: mapPlayerInfo(player),
+        });
+        message = `${player.displayName} was moved to the spectators after ${strikes} missed turns.`;
+      }
+    } catch (error) {
+      logger.warn('inactivity.remove_failed', {
+        roomId: room.roomId,
+        playerId,
+        action,
+        error: error?.message ?? error,
+      });
+      return;
     }
 
-    syncLeadIndex(leadPlayer);
+    emitSystemChat({ room, message, io, stateManager });
 
-    const trickNumber = round.tricks.length + 1;
-    const trickState = createTrickState({ trickNumber, leadPlayer });
-    round.tricks.push(trickState);
-    round.activeTrickNumber = trickNumber;
+    logger.info('inactivity.player_removed', {
+      roomId: room.roomId,
+      playerId,
+      action,
+      strikes,
+    });
 
-    const savedSnapshot = persistGame({ room, gameState: mutableState });
+    maybeCompleteGameDueToPlayerCount({ room: roomManager.getRoom(room.roomId) ?? room });
+  };
 
-    io.to(room.roomId).emit('trick_started', {
-      trickNumber,
-      leadPlayer,
-    });
+  // Counts consecutive auto-actions; any action the player makes on their own
+  // clears the count (see processBidSubmission and handlePlayCard).
+  const recordInactivityStrike = ({ gameId, roomId, playerId }) => {
+    const room = roomManager.getRoom(roomId);
+    const player = roomManager.getPlayer(playerId);
 
-    schedulePlayingTurn({
-      room,
-      gameState: savedSnapshot,
-      playerId: leadPlayer,
-    });
+    if (!room || !player || player.isBot || player.isSpectator) {
+      return 0;
+    }
 
-    if (loggerRef && typeof loggerRef.info === 'function') {
-      loggerRef.info('trick.started', {
-        roomId: room.roomId,
-        gameId: savedSnapshot.gameId,
-        trickNumber,
-        leadPlayer,
-      });
+    const strikesForGame = inactivityStrikes.get(gameId) ?? new Map();
+    const strikes = (strikesForGame.get(playerId) ?? 0) + 1;
+    strikesForGame.set(playerId, strikes);
+    inactivityStrikes.set(gameId, strikesForGame);
+
+    const policy = resolveInactivityPolicy(room.hostSettings);
+    if (!policy.enabled || strikes < policy.strikeLimit) {
+      return strikes;
     }
 
-    return savedSnapshot;
+    strikesForGame.delete(playerId);
+    removeInactivePlayer({ room, playerId, strikes, action: policy.action });
+    return strikes;
   };
 
   const handleBiddingTimeout = ({ gameId, roomId, playerId, validBids }) => {
@@ -1364,14 +1788,17 @@ const createRoomSocketHandlers = ({
       return;
     }
 
-  const autoBid = selectAutoBid(validBids);
-
-    io.to(roomId).emit('auto_action', {
+    const strategyBid = createBotStrategy(AUTO_ACTION_DIFFICULTY).selectBid({
+      round,
+      playerOrder: snapshot.playerOrder ?? [],
       playerId,
-      action: 'auto_bid',
-      value: autoBid,
-      reason: 'timeout',
+      bidRules: room.hostSettings?.bidRules,
     });
+    const autoBid = Array.isArray(validBids) && !validBids.includes(strategyBid)
+      ? selectAutoBid(validBids)
+      : strategyBid;
+
+    recordInactivityStrike({ gameId, roomId, playerId });
 
     logger.info('bidding.auto_bid_timeout', {
       roomId,
@@ -1380,29 +1807,32 @@ const createRoomSocketHandlers = ({
       bid: autoBid,
     });
 
-    const mutableState = cloneDeep(snapshot);
-    const mutableRound = mutableState?.rounds?.[roundIndex];
-    if (!mutableRound) {
-      return;
-    }
-
-    const resultSnapshot = processBidSubmission({
+    const submitted = submitAutomaticBid({
       room,
-      gameState: mutableState,
+      gameState: snapshot,
       playerId,
       bid: autoBid,
       isAuto: true,
-      loggerRef: logger,
+    });
+    if (!submitted) {
+      return;
+    }
+
+    io.to(roomId).emit('auto_action', {
+      playerId,
+      action: 'auto_bid',
+      value: submitted.bid,
+      reason: 'timeout',
     });
 
     recordCompletedAction({
       playerId,
       action: 'submit_bid',
-      payload: { bid: autoBid },
+      payload: { bid: submitted.bid },
       metadata: {
         roomId,
         gameId,
-        roundNumber: (resultSnapshot ?? mutableState ?? snapshot)?.currentRound ?? null,
+        roundNumber: submitted.snapshot.currentRound ?? null,
         phase: 'bidding',
         auto: true,
         reason: 'timeout',
@@ -1438,6 +1868,8 @@ const createRoomSocketHandlers = ({
       playerId: currentPlayerId,
       bids: round.bids ?? {},
       isBlindRound: Boolean(round.isBlindRound),
+      bidRules: room.hostSettings?.bidRules,
+      dealerId: round.dealerId ?? null,
     });
 
     const turnTimerSeconds = getTurnTimerSeconds(room);
@@ -1462,15 +1894,25 @@ const createRoomSocketHandlers = ({
       duration: turnTimerSeconds,
     });
 
-    const timer = setTimeout(() => {
+    const isBotTurn = isServerControlledSeat(currentPlayerId);
+    const delayMs = isBotTurn ? getBotActionDelayMs(room) : turnTimerSeconds * 1000;
+
+    const run = () => {
       biddingControllers.delete(gameState.gameId);
+      if (isBotTurn) {
+        handleBotTurn({ gameId: gameState.gameId, roomId: room.roomId, playerId: currentPlayerId });
+        return;
+      }
+
       handleBiddingTimeout({
         gameId: gameState.gameId,
         roomId: room.roomId,
         playerId: currentPlayerId,
         validBids: bidInfo.validBids,
       });
-    }, turnTimerSeconds * 1000);
+    };
+
+    const timer = setTimeout(run, delayMs);
 
     if (typeof timer.unref === 'function') {
       timer.unref();
@@ -1478,11 +1920,18 @@ const createRoomSocketHandlers = ({
 
     biddingControllers.set(gameState.gameId, {
       timer,
+      run,
+      firesAt: Date.now() + delayMs,
+      phase: 'bidding',
       deadline,
       playerId: currentPlayerId,
       roomId: room.roomId,
       validBids: bidInfo.validBids,
     });
+
+    if (isGamePaused(stateManager.getGame(gameState.gameId))) {
+      freezeController(biddingControllers.get(gameState.gameId));
+    }
   };
 
   const schedulePlayingTurn = ({ room, gameState, playerId }) => {
@@ -1507,14 +1956,24 @@ const createRoomSocketHandlers = ({
     const seconds = getTurnTimerSeconds(room);
     const deadline = calculateDeadline(seconds);
 
-    const timer = setTimeout(() => {
+    const isBotTurn = isServerControlledSeat(playerId);
+    const delayMs = isBotTurn ? getBotActionDelayMs(room) : seconds * 1000;
+
+    const run = () => {
       playingControllers.delete(gameState.gameId);
+      if (isBotTurn) {
+        handleBotTurn({ gameId: gameState.gameId, roomId: room.roomId, playerId });
+        return;
+      }
+
       handlePlayTimeout({
         gameId: gameState.gameId,
         roomId: room.roomId,
         playerId,
       });
-    }, seconds * 1000);
+    };
+
+    const timer = setTimeout(run, delayMs);
 
     if (typeof timer.unref === 'function') {
       timer.unref();
@@ -1522,11 +1981,18 @@ const createRoomSocketHandlers = ({
 
     playingControllers.set(gameState.gameId, {
       timer,
+      run,
+      firesAt: Date.now() + delayMs,
+      phase: 'playing',
       deadline,
       playerId,
       roomId: room.roomId,
     });
 
+    if (isGamePaused(stateManager.getGame(gameState.gameId))) {
+      freezeController(playingControllers.get(gameState.gameId));
+    }
+
     emitTurnTimerUpdate({
       roomId: room.roomId,
       gameId: gameState.gameId,
@@ -1537,58 +2003,52 @@ const createRoomSocketHandlers = ({
     });
   };
 
-  const processBidSubmission = ({ room, gameState, playerId, bid, isAuto = false, loggerRef = logger }) => {
+  // `onRejected` receives the engine's rejection (`{ action, error, message,
+  // ... }`) when the bid breaks the rules; the game is left untouched.
+  const processBidSubmission = ({
+    room,
+    gameState,
+    playerId,
+    bid,
+    isAuto = false,
+    loggerRef = logger,
+    onRejected = null,
+  }) => {
     if (!gameState) {
       return null;
     }
 
-    clearBiddingTimer(gameState.gameId);
-
-    const roundIndex = Math.max(0, (gameState.currentRound ?? 1) - 1);
-    const round = gameState.rounds?.[roundIndex];
+    const { state: nextState, events } = reduce(gameState, {
+      type: 'submit_bid',
+      playerId,
+      bid,
+      bidRules: room.hostSettings?.bidRules,
+    });
 
-    if (!round) {
+    const rejection = events.find((event) => event.type === 'action_rejected');
+    if (rejection) {
+      onRejected?.(rejection.payload);
       return null;
     }
 
-    if (!round.bids || typeof round.bids !== 'object') {
-      round.bids = {};
-    }
+    clearBiddingTimer(gameState.gameId);
 
-    if (Object.prototype.hasOwnProperty.call(round.bids, playerId)) {
-      return null;
+    if (!isAuto) {
+      clearInactivityStrikes(gameState.gameId, playerId);
     }
 
-    round.bids[playerId] = bid;
-
     const playerRecord = roomManager.getPlayer(playerId);
     if (playerRecord) {
-      playerRecord.update({ currentBid: bid });
+      playerRecord.update({ currentBid: nextState.rounds[getRoundIndex(nextState)].bids[playerId] });
       stateManager.upsertPlayer(playerRecord);
     }
 
-    const totalPlayers = Array.isArray(gameState.playerOrder) ? gameState.playerOrder.length : 0;
-    const bidsSubmitted = Object.keys(round.bids).length;
-    const allBidsSubmitted = totalPlayers > 0 && bidsSubmitted >= totalPlayers;
-
-    if (allBidsSubmitted) {
-      gameState.currentPhase = 'playing';
-      gameState.currentPlayerIndex = 0;
-    } else {
-      const nextIndex = ((gameState.currentPlayerIndex ?? 0) + 1) % totalPlayers;
-      gameState.currentPlayerIndex = nextIndex;
-    }
-
-    const savedSnapshot = stateManager.setGame(gameState.gameId, gameState);
-    const currentRoundSnapshot = savedSnapshot?.rounds?.[roundIndex] ?? null;
-
-    updateRoomSummary(room, savedSnapshot, currentRoundSnapshot);
+    const savedSnapshot = persistGame({ room, gameState: nextState });
+    emitEngineEvents({ room, gameState: savedSnapshot, events });
 
-    io.to(room.roomId).emit('bid_submitted', {
-      playerId,
-      bid,
-      ...(allBidsSubmitted ? { allBids: currentRoundSnapshot?.bids ? { ...currentRoundSnapshot.bids } : {} } : {}),
-    });
+    const totalPlayers = savedSnapshot.playerOrder.length;
+    const bidsSubmitted = Object.keys(getCurrentRoundFromState(savedSnapshot).bids).length;
+    const allBidsSubmitted = savedSnapshot.currentPhase === 'playing';
 
     loggerRef.info('bidding.bid_recorded', {
       roomId: room.roomId,
@@ -1624,11 +2084,73 @@ const createRoomSocketHandlers = ({
     return snapshotWithTrick ?? savedSnapshot;
   };
 
+  // Bids placed for a seat (timeouts, bots) must not stall the turn: a bid the
+  // engine rejects falls back to the first valid bid, and if that is refused
+  // too the turn is scheduled again. Returns `{ snapshot, bid }`, or null.
+  const submitAutomaticBid = ({ room, gameState, playerId, bid, isAuto = false, loggerRef = logger }) => {
+    const submit = (candidate) =>
+      processBidSubmission({
+        room,
+        gameState,
+        playerId,
+        bid: candidate,
+        isAuto,
+        loggerRef,
+        onRejected: (rejection) => {
+          loggerRef.warn('bidding.auto_bid_rejected', {
+            roomId: room.roomId,
+            gameId: gameState.gameId,
+            playerId,
+            bid: candidate,
+            error: rejection.error,
+            message: rejection.message,
+          });
+        },
+      });
+
+    const snapshot = submit(bid);
+    if (snapshot) {
+      return { snapshot, bid };
+    }
+
+    const round = getCurrentRoundFromState(gameState);
+    if (round) {
+      const { validBids } = calculateValidBids({
+        cardCount: round.cardCount ?? 0,
+        playerOrder: gameState.playerOrder ?? [],
+        playerId,
+        bids: round.bids ?? {},
+        isBlindRound: Boolean(round.isBlindRound),
+        bidRules: room.hostSettings?.bidRules,
+        dealerId: round.dealerId ?? null,
+      });
+      const fallbackBid = selectAutoBid(validBids);
+      const fallbackSnapshot = fallbackBid !== bid ? submit(fallbackBid) : null;
+      if (fallbackSnapshot) {
+        return { snapshot: fallbackSnapshot, bid: fallbackBid };
+      }
+    }
+
+    scheduleBiddingTurn({ room, gameState });
+    return null;
+  };
+
+  // A spectator standing in for an absent player bids and plays as that seat.
+  const resolveActingSeat = (socket) => {
+    const { playerId, roomId, isSpectator } = socket.data ?? {};
+    const seat = isSpectator && playerId && roomId ? roomManager.findStandInSeat({ roomId, playerId }) : null;
+
+    return {
+      playerId: seat?.playerId ?? playerId,
+      isSpectator: Boolean(isSpectator) && !seat,
+    };
+  };
+
   const handlePlayCard = async (socket, payload, socketLogger, options = {}) => {
     const { isAuto = false } = options ?? {};
-    const playerId = socket.data?.playerId;
+    const { playerId, isSpectator } = resolveActingSeat(socket);
     const roomId = socket.data?.roomId;
-  let cardPayload = normalizeCardInput(payload?.card);
+    const cardPayload = normalizeCardInput(payload?.card);
 
     if (!playerId || !roomId) {
       socket.emit('action_error', {
@@ -1639,6 +2161,15 @@ const createRoomSocketHandlers = ({
       return;
     }
 
+    if (isSpectator) {
+      socket.emit('action_error', {
+        action: 'play_card',
+        error: 'invalid_turn',
+        message: 'Spectators cannot play cards.',
+      });
+      return;
+    }
+
     if (!cardPayload.rank || !cardPayload.suit) {
       socket.emit('action_error', {
         action: 'play_card',
@@ -1678,251 +2209,90 @@ const createRoomSocketHandlers = ({
       return;
     }
 
-    if (storedGame.currentPhase !== 'playing') {
+    if (isGamePaused(storedGame)) {
       socket.emit('action_error', {
         action: 'play_card',
-        error: 'invalid_phase',
-        message: 'Cards can only be played during the playing phase.',
+        error: 'game_paused',
+        message: 'The game is paused.',
       });
       return;
     }
 
     clearPlayingTimer(gameId);
 
-    const roundIndex = getRoundIndex(storedGame);
-    const storedRound = storedGame.rounds?.[roundIndex];
-    if (!storedRound) {
-      socket.emit('action_error', {
-        action: 'play_card',
-        error: 'invalid_round',
-        message: 'Unable to locate the current round.',
-      });
-      return;
-    }
-
-    const expectedPlayerId = getLeadPlayer(storedGame);
-    if (!expectedPlayerId || expectedPlayerId !== playerId) {
-      socket.emit('action_error', {
-        action: 'play_card',
-        error: 'invalid_turn',
-        message: 'It is not your turn to play a card.',
-        currentPlayer: expectedPlayerId,
-      });
-      return;
-    }
-
-  const mutableState = cloneDeep(storedGame);
-  const mutableRound = mutableState.rounds?.[roundIndex];
-    mutableRound.tricks = Array.isArray(mutableRound.tricks) ? mutableRound.tricks : [];
-
-    let trickState = getCurrentTrick(mutableRound);
-    if (!trickState || trickState.completedAt) {
-      const fallbackLead = getLeadPlayer(mutableState) ?? playerId;
-      const trickNumber = mutableRound.tricks.length + 1;
-      trickState = createTrickState({ trickNumber, leadPlayer: fallbackLead });
-      mutableRound.tricks.push(trickState);
-      mutableRound.activeTrickNumber = trickNumber;
-    }
-
-    const currentHand = getRoundHand(mutableRound, playerId);
-
-    if (
-      mutableRound.isBlindRound &&
-      (!cardPayload.rank || !cardPayload.suit)
-    ) {
-      const fallbackCard = Array.isArray(currentHand) && currentHand.length > 0 ? currentHand[0] : null;
-
-      if (!fallbackCard) {
-        socket.emit('action_error', {
-          action: 'play_card',
-          error: 'card_not_in_hand',
-          message: 'No cards available to play for blind round.',
-        });
-        return;
-      }
-
-      cardPayload = serializeCard(fallbackCard);
-    }
-
-    const validation = validateTrickCardPlay({
-      round: mutableRound,
-      trick: trickState,
+    const { state: nextState, events } = reduce(storedGame, {
+      type: 'play_card',
       playerId,
       card: cardPayload,
-      expectedPlayerId,
+      at: new Date().toISOString(),
     });
 
-    if (!validation.isValid) {
-      socket.emit('action_error', {
-        action: 'play_card',
-        error: validation.code ?? 'invalid_card',
-        message: validation.reason ?? 'Card cannot be played at this time.',
-        details: validation.details ?? null,
-      });
-      return;
-    }
-
-    const { hand: updatedRoundHand, removed } = removeCardFromHand(currentHand, cardPayload);
-
-    if (!removed) {
-      socket.emit('action_error', {
-        action: 'play_card',
-        error: 'card_not_in_hand',
-        message: 'The selected card is not available in your hand.',
-      });
+    const rejection = events.find((event) => event.type === 'action_rejected');
+    if (rejection) {
+      socket.emit('action_error', rejection.payload);
       return;
     }
 
-    setRoundHand(mutableRound, playerId, updatedRoundHand);
+    const played = events.find((event) => event.type === 'card_played').payload;
+    const completed = events.find((event) => event.type === 'trick_completed')?.payload ?? null;
 
     const playerRecord = roomManager.getPlayer(playerId);
     if (playerRecord) {
-      const { hand: updatedPlayerHand } = removeCardFromHand(playerRecord.hand ?? [], cardPayload);
+      const { hand: updatedPlayerHand } = removeCardFromHand(playerRecord.hand ?? [], played.card);
       playerRecord.update({
         hand: updatedPlayerHand,
       });
       stateManager.upsertPlayer(playerRecord);
     }
 
-    recordCardPlay(trickState, {
-      playerId,
-      card: removed,
-    });
-
-    const viraRank = mutableRound?.viraCard?.rank ?? null;
-    const evaluation = resolveTrick({
-      trick: trickState,
-      viraRank,
-    });
-
-    trickState.currentLeader = evaluation.winner ?? null;
-    trickState.currentWinningCard = evaluation.winningCard ? { ...evaluation.winningCard } : null;
-    trickState.cancelledCards = Array.isArray(evaluation.cancelledCards)
-      ? evaluation.cancelledCards.map((card) => ({ ...card }))
-      : [];
-
-    mutableRound.activeTrickNumber = trickState.trickNumber;
-
-    const totalPlayers = Array.isArray(mutableState.playerOrder) ? mutableState.playerOrder.length : 0;
-    const playedCount = countCardsPlayed(trickState);
-    const trickComplete = totalPlayers > 0 && playedCount >= totalPlayers;
+    const winnerRecord = completed?.winner ? roomManager.getPlayer(completed.winner) : null;
+    if (winnerRecord) {
+      winnerRecord.update({
+        tricksWon: (winnerRecord.tricksWon ?? 0) + 1,
+      });
+      stateManager.upsertPlayer(winnerRecord);
+    }
 
-    const previousIndex = mutableState.currentPlayerIndex ?? 0;
-    let nextPlayerId = null;
-    let leadForNextTrick = null;
-    let moreTricksPending = false;
-
-    if (!trickComplete) {
-      const nextIndex = findNextPlayerIndex(mutableState, mutableRound);
-      if (nextIndex !== previousIndex) {
-        mutableState.currentPlayerIndex = nextIndex;
-        nextPlayerId = mutableState.playerOrder[nextIndex] ?? null;
-      }
-    } else {
-      const resolution = evaluation;
-
-      trickState.winner = resolution.winner ?? null;
-      trickState.cancelledCards = Array.isArray(resolution.cancelledCards)
-        ? resolution.cancelledCards.map((card) => ({ ...card }))
-        : [];
-      trickState.winningCard = resolution.winningCard ? { ...resolution.winningCard } : null;
-      trickState.completedAt = new Date().toISOString();
-
-      leadForNextTrick = trickState.winner ?? trickState.leadPlayer ?? getLeadPlayer(mutableState);
-
-      if (trickState.winner) {
-        const winnerIndex = mutableState.playerOrder.indexOf(trickState.winner);
-        if (winnerIndex !== -1) {
-          mutableState.currentPlayerIndex = winnerIndex;
-        }
-
-        const winnerRecord = roomManager.getPlayer(trickState.winner);
-        if (winnerRecord) {
-          winnerRecord.update({
-            tricksWon: (winnerRecord.tricksWon ?? 0) + 1,
-          });
-          stateManager.upsertPlayer(winnerRecord);
-        }
-      } else if (leadForNextTrick) {
-        const leadIndex = mutableState.playerOrder.indexOf(leadForNextTrick);
-        if (leadIndex !== -1) {
-          mutableState.currentPlayerIndex = leadIndex;
-        }
-      }
-
-      const completedTricks = mutableRound.tricks.filter((entry) => entry.completedAt).length;
-      const totalTricksThisRound = Number.isInteger(mutableRound.cardCount) && mutableRound.cardCount > 0
-        ? mutableRound.cardCount
-        : mutableRound.tricks.length;
-      moreTricksPending = completedTricks < totalTricksThisRound;
-
-      if (!moreTricksPending) {
-        mutableState.currentPhase = 'scoring';
-      }
-    }
-
-    const playedCardRecord = (() => {
-      if (trickState.cardsPlayed instanceof Map) {
-        return serializeCard(trickState.cardsPlayed.get(playerId));
-      }
-      if (trickState.cardsPlayed && typeof trickState.cardsPlayed === 'object') {
-        return serializeCard(trickState.cardsPlayed[playerId]);
-      }
-      return serializeCard(removed);
-    })();
-
-    const savedSnapshot = persistGame({ room, gameState: mutableState });
+    const savedSnapshot = persistGame({ room, gameState: nextState });
+    const trickNumber = getCurrentRoundFromState(savedSnapshot).activeTrickNumber;
 
     recordCompletedAction({
       playerId,
       action: 'play_card',
-      payload: { card: playedCardRecord },
+      payload: { card: played.card },
       metadata: {
         roomId,
         gameId,
-        trickNumber: trickState.trickNumber,
+        trickNumber,
         phase: savedSnapshot.currentPhase ?? 'playing',
         auto: isAuto,
       },
       status: isAuto ? 'auto' : 'completed',
     });
 
-    const leadingCardPayload = evaluation.winningCard ? serializeCard(evaluation.winningCard) : null;
-    const cancelledCardsPayload = Array.isArray(evaluation.cancelledCards)
-      ? evaluation.cancelledCards.map((card) => serializeCard(card))
-      : [];
+    if (!isAuto) {
+      clearInactivityStrikes(gameId, playerId);
+    }
 
-    io.to(room.roomId).emit('card_played', {
-      playerId,
-      card: playedCardRecord,
-      nextPlayer: trickComplete ? null : nextPlayerId,
-      currentLeader: evaluation.winner ?? null,
-      winningCard: leadingCardPayload,
-      cancelledCards: cancelledCardsPayload,
-    });
+    broadcastGameEvent({ room, gameId, event: 'card_played', payload: played });
 
     socketLogger.info('socket.play_card', {
       roomId,
       gameId,
       playerId,
-      trickNumber: trickState.trickNumber,
-      trickComplete,
+      trickNumber,
+      trickComplete: Boolean(completed),
     });
 
-    if (!trickComplete) {
+    if (!completed) {
       schedulePlayingTurn({
         room,
         gameState: savedSnapshot,
-        playerId: nextPlayerId,
+        playerId: played.nextPlayer,
       });
       return;
     }
 
-    const cardsPlayedRecord = serializeCardsPlayed(trickState.cardsPlayed);
-    const completedCancelledCards = Array.isArray(trickState.cancelledCards)
-      ? trickState.cancelledCards.map((card) => serializeCard(card))
-      : [];
-
     emitTurnTimerUpdate({
       roomId: room.roomId,
       gameId,
@@ -1932,26 +2302,20 @@ const createRoomSocketHandlers = ({
       duration: null,
     });
 
-    io.to(room.roomId).emit('trick_completed', {
-      trickNumber: trickState.trickNumber,
-      cardsPlayed: cardsPlayedRecord,
-      winner: trickState.winner ?? null,
-  cancelledCards: completedCancelledCards,
-      nextTrick: moreTricksPending,
-    });
+    broadcastGameEvent({ room, gameId, event: 'trick_completed', payload: completed });
 
-    if (moreTricksPending) {
+    if (completed.nextTrick) {
       scheduleTrickStart({
         room,
         gameState: savedSnapshot,
         loggerRef: socketLogger,
-        leadPlayerId: leadForNextTrick ?? getLeadPlayer(savedSnapshot),
+        leadPlayerId: getLeadPlayer(savedSnapshot),
       });
     } else {
       finalizeRound({
         room,
         gameState: savedSnapshot,
-        roundIndex,
+        roundIndex: getRoundIndex(savedSnapshot),
         loggerRef: socketLogger,
       });
     }
@@ -1991,9 +2355,13 @@ const createRoomSocketHandlers = ({
       return;
     }
 
-    const hand = getRoundHand(round, playerId);
-    const autoCard = selectAutoCard({
-      hand,
+    const autoCard = createBotStrategy(AUTO_ACTION_DIFFICULTY).selectCard({
+      round,
+      trick,
+      playerId,
+      playerOrder: snapshot.playerOrder ?? [],
+    }) ?? selectAutoCard({
+      hand: getRoundHand(round, playerId),
       round,
       trick,
       playerId,
@@ -2008,6 +2376,8 @@ const createRoomSocketHandlers = ({
 
     const autoLogger = typeof logger.child === 'function' ? logger.child({ scope: 'auto-play' }) : logger;
 
+    recordInactivityStrike({ gameId, roomId, playerId });
+
     io.to(roomId).emit('auto_action', {
       playerId,
       action: 'auto_card',
@@ -2034,6 +2404,79 @@ const createRoomSocketHandlers = ({
     });
   }
 
+  function handleBotTurn({ gameId, roomId, playerId }) {
+    const room = roomManager.getRoom(roomId);
+    const snapshot = stateManager.getGame(gameId);
+
+    if (!room || !snapshot) {
+      return;
+    }
+
+    const round = getCurrentRoundFromState(snapshot);
+    if (!round || getLeadPlayer(snapshot) !== playerId) {
+      return;
+    }
+
+    const botLogger = typeof logger.child === 'function' ? logger.child({ scope: 'bot', playerId }) : logger;
+    const seat = roomManager.getPlayer(playerId);
+    const strategy = createBotStrategy(seat?.standIn?.difficulty ?? seat?.botDifficulty);
+
+    if (snapshot.currentPhase === 'bidding') {
+      if (round.bids && Object.prototype.hasOwnProperty.call(round.bids, playerId)) {
+        return;
+      }
+
+      const bid = strategy.selectBid({
+        round,
+        playerOrder: snapshot.playerOrder ?? [],
+        playerId,
+        bidRules: room.hostSettings?.bidRules,
+      });
+
+      botLogger.debug('bot.bid_selected', { roomId, gameId, bid, difficulty: strategy.level });
+
+      submitAutomaticBid({ room, gameState: snapshot, playerId, bid, loggerRef: botLogger });
+      return;
+    }
+
+    if (snapshot.currentPhase !== 'playing') {
+      return;
+    }
+
+    const trick = getCurrentTrick(round);
+    const card = strategy.selectCard({
+      round,
+      trick: trick && !trick.completedAt ? trick : null,
+      playerId,
+      playerOrder: snapshot.playerOrder ?? [],
+    });
+
+    if (!card) {
+      return;
+    }
+
+    const botSocket = {
+      data: {
+        playerId,
+        roomId,
+        gameId,
+      },
+      emit: (event, payload) => {
+        if (event === 'action_error') {
+          botLogger.warn('bot.action_rejected', { roomId, gameId, ...payload });
+        }
+      },
+    };
+
+    Promise.resolve(handlePlayCard(botSocket, { card: serializeCard(card) }, botLogger)).catch((error) => {
+      botLogger.error('bot.play_card_failed', {
+        roomId,
+        gameId,
+        error: error?.message ?? error,
+      });
+    });
+  }
+
   const cancelDisconnectAutoAction = (playerId) => {
     if (!playerId) {
       return;
@@ -2053,7 +2496,12 @@ const createRoomSocketHandlers = ({
 
   const processDisconnectAutoAction = ({ roomId, playerId }) => {
     const playerRecord = roomManager.getPlayer(playerId);
-    if (!playerRecord || playerRecord.connectionStatus === 'connected' || playerRecord.isSpectator) {
+    if (
+      !playerRecord ||
+      playerRecord.connectionStatus === 'connected' ||
+      playerRecord.isSpectator ||
+      playerRecord.standIn
+    ) {
       cancelDisconnectAutoAction(playerId);
       return;
     }
@@ -2075,7 +2523,7 @@ const createRoomSocketHandlers = ({
     }
 
     const gameState = stateManager.getGame(room.gameState.gameId);
-    if (!gameState) {
+    if (!gameState || isGamePaused(gameState)) {
       scheduleDisconnectAutoAction({ roomId, playerId, delayMs: DISCONNECT_AUTO_RECHECK_DELAY_MS });
       return;
     }
@@ -2104,6 +2552,8 @@ const createRoomSocketHandlers = ({
         playerId,
         bids: round.bids ?? {},
         isBlindRound: Boolean(round.isBlindRound),
+        bidRules: room.hostSettings?.bidRules,
+        dealerId: round.dealerId ?? null,
       });
 
       handleBiddingTimeout({
@@ -2139,7 +2589,12 @@ const createRoomSocketHandlers = ({
     }
 
     const playerRecord = roomManager.getPlayer(playerId);
-    if (!playerRecord || playerRecord.connectionStatus === 'connected' || playerRecord.isSpectator) {
+    if (
+      !playerRecord ||
+      playerRecord.connectionStatus === 'connected' ||
+      playerRecord.isSpectator ||
+      playerRecord.standIn
+    ) {
       cancelDisconnectAutoAction(playerId);
       return;
     }
@@ -2208,6 +2663,10 @@ const createRoomSocketHandlers = ({
 
       broadcastPlayerLeft(io.to(roomId), payloadPlayer, 'disconnected');
     });
+
+    new Set(expired.map((entry) => entry?.room?.roomId ?? entry?.roomId).filter(Boolean)).forEach((roomId) =>
+      promoteSeatQueue(roomManager.getRoom(roomId)),
+    );
   };
 
   if (!sessionSweepInterval && typeof setInterval === 'function') {
@@ -2217,6 +2676,7 @@ const createRoomSocketHandlers = ({
         broadcastExpiredSessions(expired);
       }
       prunePendingActions();
+      roomManager.cleanupIdleRooms?.();
     }, SESSION_SWEEP_INTERVAL_MS);
 
     if (sessionSweepInterval && typeof sessionSweepInterval.unref === 'function') {
@@ -2240,7 +2700,7 @@ const createRoomSocketHandlers = ({
     }
 
     socket.emit('game_state_update', {
-      gameState: snapshot,
+      gameState: hideUnrevealedSeeds(snapshot),
       yourPlayerId: player.playerId,
       lastUpdateTime: Date.now(),
     });
@@ -2256,7 +2716,9 @@ const createRoomSocketHandlers = ({
     const playerIds = Array.isArray(room.players) ? room.players : [];
     return playerIds
       .map((playerId) => roomManager.getPlayer(playerId))
-      .filter((player) => player && !player.isSpectator && player.connectionStatus === 'connected');
+      .filter(
+        (player) => player && !player.isSpectator && (player.connectionStatus === 'connected' || player.standIn),
+      );
   };
 
   const maybeCompleteGameDueToPlayerCount = ({ room, reason = 'insufficient_players', loggerRef = logger }) => {
@@ -2301,7 +2763,9 @@ const createRoomSocketHandlers = ({
         return session.expiresAt > Date.now();
       });
 
-    if (reconnectablePlayers.length >= 2) {
+    const hasHumanPlayer = reconnectablePlayers.some((player) => !player.isBot);
+
+    if (reconnectablePlayers.length >= 2 && hasHumanPlayer) {
       return;
     }
 
@@ -2318,26 +2782,7 @@ const createRoomSocketHandlers = ({
     });
   };
 
-  const dealHands = ({ playerOrder, deck, cardCount }) => {
-    const hands = new Map();
-    let cursor = 0;
-
-    playerOrder.forEach((playerId) => {
-      const slice = deck.slice(cursor, cursor + cardCount);
-      hands.set(
-        playerId,
-        slice.map((card) => serializeCard(card)),
-      );
-      cursor += cardCount;
-    });
-
-    return {
-      hands,
-      remainingDeck: deck.slice(cursor),
-    };
-  };
-
-  const emitHandsToPlayers = ({ gameState, round, players }) => {
+  const emitHandsToPlayers = ({ gameState, round, players, recordReplay = true }) => {
     const participants = Array.isArray(players) ? players : [];
     const displayNameCache = new Map();
 
@@ -2347,6 +2792,23 @@ const createRoomSocketHandlers = ({
       gameId: gameState?.gameId,
     });
 
+    // Players only ever see their own view of the deal; the replay keeps
+    // every hand so the whole table can be shown afterwards.
+    if (recordReplay && round?.hands instanceof Map) {
+      stateManager.appendReplayEvent(gameState?.gameId, {
+        type: 'hands_dealt',
+        payload: {
+          roundNumber: round.roundNumber,
+          hands: Object.fromEntries(
+            Array.from(round.hands.entries(), ([handOwnerId, hand]) => [
+              handOwnerId,
+              hand.map((card) => serializeCard(card)),
+            ]),
+          ),
+        },
+      });
+    }
+
     participants.forEach((entry) => {
       if (!entry) {
         return;
@@ -2381,14 +2843,22 @@ const createRoomSocketHandlers = ({
     };
 
     participants.forEach((player) => {
+      if (player?.isBot || player?.standIn?.type === 'bot') {
+        return;
+      }
+
+      // A seat handed over to a spectator deals to the spectator instead.
+      const standIn = player?.standIn?.playerId ? roomManager.getPlayer(player.standIn.playerId) : null;
+      const socketId = standIn ? standIn.socketId : player?.socketId;
+
       logger.debug('emitHandsToPlayers checking player', {
         playerId: player?.playerId,
-        hasSocketId: !!player?.socketId,
-        socketId: player?.socketId,
+        hasSocketId: !!socketId,
+        socketId,
         connectionStatus: player?.connectionStatus,
       });
 
-      if (!player?.socketId) {
+      if (!socketId) {
         logger.warn('emitHandsToPlayers: player missing socketId', {
           playerId: player?.playerId,
           displayName: player?.displayName,
@@ -2396,11 +2866,11 @@ const createRoomSocketHandlers = ({
         return;
       }
 
-      const targetSocket = io.sockets?.sockets?.get(player.socketId);
+      const targetSocket = io.sockets?.sockets?.get(socketId);
       if (!targetSocket) {
         logger.warn('emitHandsToPlayers: socket not found', {
           playerId: player?.playerId,
-          socketId: player?.socketId,
+          socketId,
         });
         return;
       }
@@ -2440,6 +2910,257 @@ const createRoomSocketHandlers = ({
     });
   };
 
+  // Deals the first round for `activePlayers`; callers have already checked
+  // that the room may start. Shared by `start_game`, the lobby countdown and
+  // rematches, which are the only starts that keep the running series.
+  const startGameForRoom = ({ room, activePlayers, rematch = false }) => {
+    cancelLobbyCountdown(room.roomId);
+    roomManager.clearReadyStates(room.roomId);
+
+    if (rematch) {
+      roomManager.closeRematchVote(room.roomId);
+    } else {
+      roomManager.resetSeries(room.roomId);
+    }
+
+    const playerOrder = activePlayers.map((player) => player.playerId);
+    const { state: gameState, events } = reduce(
+      createGame({
+        roomId: room.roomId,
+        playerOrder,
+        startingLives: room.hostSettings?.startingLives ?? DEFAULT_STARTING_LIVES,
+        timeLimitMs: resolveTimeLimitMs(room.hostSettings?.timeLimit),
+      }),
+      {
+        type: 'start_round',
+        ruleSet: normalizeRuleSet(room.hostSettings?.ruleSet),
+        fairness: createRoundFairness(room, activePlayers),
+        at: new Date().toISOString(),
+      },
+    );
+    const currentRound = getCurrentRoundFromState(gameState);
+
+    activePlayers.forEach((player) => {
+      player.update({
+        hand: currentRound.hands[player.playerId] ?? [],
+        currentBid: null,
+        tricksWon: 0,
+      });
+      stateManager.upsertPlayer(player);
+    });
+
+    room.update({
+      status: 'playing',
+      lastActivity: new Date().toISOString(),
+    });
+
+    const savedSnapshot = persistGame({ room, gameState });
+
+    stateManager.startReplay({
+      gameId: gameState.gameId,
+      roomId: room.roomId,
+      players: activePlayers.map((player) => ({
+        playerId: player.playerId,
+        displayName: player.displayName ?? player.playerId,
+      })),
+      hostSettings: room.hostSettings,
+    });
+
+    broadcastGameEvent({
+      room,
+      gameId: gameState.gameId,
+      event: 'game_started',
+      payload: {
+        gameId: gameState.gameId,
+        playerOrder,
+        hostSettings: room.hostSettings,
+      },
+    });
+
+    emitEngineEvents({ room, gameState: savedSnapshot, events, players: activePlayers });
+
+    clearTrickTimer(gameState.gameId);
+    scheduleBiddingTurn({ room, gameState: savedSnapshot });
+    scheduleGameTimer({ room, gameState: savedSnapshot });
+
+    return savedSnapshot;
+  };
+
+  const emitSeatQueue = (roomId) => {
+    io.to(roomId).emit('seat_queue_updated', {
+      roomId,
+      queue: roomManager.describeSeatQueue(roomId),
+    });
+  };
+
+  // Seats the spectators waiting in the seat queue once seats free up between
+  // games. A promotion reads as the spectator leaving and a player joining.
+  const promoteSeatQueue = (room) => {
+    if (!room || room.status === 'playing') {
+      return [];
+    }
+
+    const promoted = roomManager.promoteQueuedSpectators(room.roomId);
+
+    promoted.forEach((player) => {
+      const targetSocket = player.socketId ? io.sockets?.sockets?.get(player.socketId) : null;
+      if (targetSocket?.data?.playerId === player.playerId) {
+        targetSocket.data.isSpectator = false;
+      }
+
+      broadcastPlayerLeft(io.to(room.roomId), { ...player, isSpectator: true }, 'promoted');
+      io.to(room.roomId).emit('player_joined', { player: mapPlayerInfo(player), promoted: true });
+    });
+
+    if (promoted.length) {
+      emitSeatQueue(room.roomId);
+    }
+
+    return promoted;
+  };
+
+  // Ends a rematch vote that did not lead to a rematch and seats the queue it
+  // held back.
+  const abandonRematchVote = (room) => {
+    if (!roomManager.describeRematchVote(room.roomId)) {
+      return;
+    }
+
+    roomManager.closeRematchVote(room.roomId);
+    promoteSeatQueue(room);
+  };
+
+  // Re-evaluates the lobby ready check after anything that can change it:
+  // starts or cancels the auto-start countdown and broadcasts the result. An
+  // open rematch vote depends on the same changes and is settled first.
+  const syncLobbyReadyState = (room) => {
+    if (!room || room.status === 'playing') {
+      return;
+    }
+
+    if (syncRematchState(room)) {
+      return;
+    }
+
+    promoteSeatQueue(room);
+
+    const readiness = roomManager.describeLobbyReadiness(room.roomId);
+    const canStart = readiness.allReady && readiness.withinBounds;
+
+    if (room.hostSettings?.autoStart && canStart) {
+      if (!lobbyCountdowns.has(room.roomId)) {
+        scheduleLobbyCountdown(room);
+      }
+    } else {
+      cancelLobbyCountdown(room.roomId);
+    }
+
+    const countdown = lobbyCountdowns.get(room.roomId);
+
+    io.to(room.roomId).emit('lobby_ready_state', {
+      roomId: room.roomId,
+      players: readiness.players,
+      readyCount: readiness.readyCount,
+      allReady: readiness.allReady,
+      canStart,
+      autoStart: Boolean(room.hostSettings?.autoStart),
+      countdown: countdown
+        ? {
+            seconds: countdown.seconds,
+            endsAt: new Date(countdown.endsAt).toISOString(),
+            remainingMs: Math.max(0, countdown.endsAt - Date.now()),
+          }
+        : null,
+    });
+  };
+
+  // Broadcasts the open rematch vote, or starts the rematch once everyone
+  // still at the table has accepted. Returns true when a game was started.
+  const syncRematchState = (room) => {
+    const vote = roomManager.describeRematchVote(room.roomId);
+    if (!vote) {
+      return false;
+    }
+
+    if (vote.players.length === 0) {
+      abandonRematchVote(room);
+      return false;
+    }
+
+    if (vote.allAccepted && vote.withinBounds) {
+      startRematch(room);
+      return true;
+    }
+
+    io.to(room.roomId).emit('rematch_state', {
+      roomId: room.roomId,
+      players: vote.players,
+      acceptedCount: vote.acceptedCount,
+      canStart: vote.withinBounds,
+      series: vote.series,
+    });
+
+    return false;
+  };
+
+  const startRematch = (room, { forcedBy = null } = {}) => {
+    const gameState = startGameForRoom({ room, activePlayers: getActivePlayers(room), rematch: true });
+
+    logger.info('socket.rematch_started', {
+      roomId: room.roomId,
+      gameId: gameState.gameId,
+      playerCount: gameState.playerOrder.length,
+      forcedBy,
+    });
+
+    return gameState;
+  };
+
+  const cancelLobbyCountdown = (roomId) => {
+    const entry = lobbyCountdowns.get(roomId);
+    if (!entry) {
+      return;
+    }
+
+    clearTimeout(entry.timeout);
+    lobbyCountdowns.delete(roomId);
+  };
+
+  const scheduleLobbyCountdown = (room) => {
+    const roomId = room.roomId;
+    const seconds = room.hostSettings?.autoStartSeconds ?? 10;
+
+    const timeout = setTimeout(() => {
+      lobbyCountdowns.delete(roomId);
+
+      const latestRoom = roomManager.getRoom(roomId);
+      if (!latestRoom || latestRoom.status === 'playing') {
+        return;
+      }
+
+      const readiness = roomManager.describeLobbyReadiness(roomId);
+      if (!latestRoom.hostSettings?.autoStart || !readiness.allReady || !readiness.withinBounds) {
+        syncLobbyReadyState(latestRoom);
+        return;
+      }
+
+      abandonRematchVote(latestRoom);
+      const gameState = startGameForRoom({ room: latestRoom, activePlayers: getActivePlayers(latestRoom) });
+
+      logger.info('socket.auto_start', {
+        roomId,
+        gameId: gameState.gameId,
+        playerCount: gameState.playerOrder.length,
+      });
+    }, seconds * 1000);
+
+    if (typeof timeout.unref === 'function') {
+      timeout.unref();
+    }
+
+    lobbyCountdowns.set(roomId, { timeout, seconds, endsAt: Date.now() + seconds * 1000 });
+  };
+
   const handleStartGame = async (socket, socketLogger) => {
     const playerId = socket.data?.playerId;
     const roomId = socket.data?.roomId;
@@ -2483,9 +3204,10 @@ const createRoomSocketHandlers = ({
       return;
     }
 
+    abandonRematchVote(room);
     const activePlayers = getActivePlayers(room);
 
-    if (activePlayers.length < 2) {
+    if (activePlayers.length < MIN_PLAYERS) {
       socket.emit('action_error', {
         action: 'start_game',
         error: 'insufficient_players',
@@ -2494,82 +3216,18 @@ const createRoomSocketHandlers = ({
       return;
     }
 
-    const playerOrder = activePlayers.map((player) => player.playerId);
-    const shuffledDeck = shuffleDeck(createDeck());
-    const { viraCard, remainingDeck, manilhaRank } = drawVira(shuffledDeck);
-    const annotatedDeck = applyViraToCards(remainingDeck, viraCard.rank);
-
-    const cardCount = 1;
-    const { hands, remainingDeck: leftover } = dealHands({
-      playerOrder,
-      deck: annotatedDeck,
-      cardCount,
-    });
+    const gameState = startGameForRoom({ room, activePlayers });
 
-    const gameState = new GameState({
+    socketLogger.info('socket.start_game', {
       roomId: room.roomId,
-      playerOrder,
+      gameId: gameState.gameId,
+      playerCount: gameState.playerOrder.length,
     });
+  };
 
-    gameState.metadata.deck = leftover.map((card) => serializeCard(card));
-    gameState.metadata.viraCard = serializeCard(viraCard);
-
-    const currentRound = gameState.startRound({
-      cardCount,
-      viraCard: serializeCard(viraCard),
-      manilhaRank,
-      hands,
-    });
-
-    activePlayers.forEach((player) => {
-      const playerHand = hands.get(player.playerId) ?? [];
-      player.update({
-        hand: playerHand,
-        currentBid: null,
-        tricksWon: 0,
-      });
-      stateManager.upsertPlayer(player);
-    });
-
-    room.update({
-      status: 'playing',
-      lastActivity: new Date().toISOString(),
-    });
-
-    const savedSnapshot = stateManager.setGame(gameState.gameId, gameState);
-    const currentRoundSnapshot = savedSnapshot?.rounds?.[savedSnapshot.currentRound - 1] ?? null;
-
-    updateRoomSummary(room, savedSnapshot, currentRoundSnapshot);
-
-    io.to(room.roomId).emit('game_started', {
-      gameId: gameState.gameId,
-      playerOrder,
-      hostSettings: room.hostSettings,
-    });
-
-    io.to(room.roomId).emit('round_started', {
-      roundNumber: currentRound.roundNumber,
-      cardCount: currentRound.cardCount,
-      viraCard: serializeCard(viraCard),
-      isBlindRound: currentRound.isBlindRound,
-    });
-
-    emitHandsToPlayers({ gameState, round: currentRound, players: activePlayers });
-
-  clearTrickTimer(gameState.gameId);
-    scheduleBiddingTurn({ room, gameState: savedSnapshot });
-    scheduleGameTimer({ room, gameState: savedSnapshot });
-
-    socketLogger.info('socket.start_game', {
-      roomId: room.roomId,
-      gameId: gameState.gameId,
-      playerCount: playerOrder.length,
-    });
-  };
-
-  const handleChatMessage = async (socket, payload, socketLogger, ack) => {
-    const playerId = socket.data?.playerId;
-    const roomId = socket.data?.roomId;
+  const handleChatMessage = async (socket, payload, socketLogger, ack) => {
+    const playerId = socket.data?.playerId;
+    const roomId = socket.data?.roomId;
 
     if (!playerId || !roomId) {
       socket.emit('action_error', {
@@ -2605,6 +3263,16 @@ const createRoomSocketHandlers = ({
       return;
     }
 
+    if (player.isMuted) {
+      socket.emit('action_error', {
+        action: 'chat_message',
+        error: 'muted',
+        message: 'The host has muted you.',
+      });
+      ack?.({ error: 'muted' });
+      return;
+    }
+
     if (player.isSpectator && room.hostSettings?.allowSpectatorChat === false) {
       socket.emit('action_error', {
         action: 'chat_message',
@@ -2705,11 +3373,41 @@ const createRoomSocketHandlers = ({
       return;
     }
 
+    const validation = inputValidator.validateHostSettingsPayload(payload ?? {});
+    if (!validation.valid) {
+      socket.emit('action_error', {
+        action: 'update_host_settings',
+        error: 'invalid_settings',
+        message: validation.errors.join(' '),
+      });
+      ack?.({ error: 'invalid_settings' });
+      return;
+    }
+
     const updates = {};
     if (Object.prototype.hasOwnProperty.call(payload ?? {}, 'allowSpectatorChat')) {
       updates.allowSpectatorChat = Boolean(payload.allowSpectatorChat);
     }
 
+    EDITABLE_HOST_SETTINGS.forEach((key) => {
+      const value = validation.validated[key];
+      if (value !== undefined && value !== room.hostSettings?.[key]) {
+        updates[key] = value;
+      }
+    });
+
+    Object.entries(NESTED_HOST_SETTINGS).forEach(([key, normalize]) => {
+      if (!validation.validated[key]) {
+        return;
+      }
+
+      const current = normalize(room.hostSettings?.[key]);
+      const next = normalize({ ...current, ...validation.validated[key] });
+      if (Object.keys(next).some((field) => next[field] !== current[field])) {
+        updates[key] = next;
+      }
+    });
+
     if (!Object.keys(updates).length) {
       ack?.({ status: 'noop' });
       return;
@@ -2721,6 +3419,7 @@ const createRoomSocketHandlers = ({
     stateManager.upsertRoom(room);
 
     emitHostSettingsUpdate(io, room);
+    syncLobbyReadyState(room);
 
     if (
       Object.prototype.hasOwnProperty.call(updates, 'allowSpectatorChat') &&
@@ -2736,6 +3435,49 @@ const createRoomSocketHandlers = ({
       });
     }
 
+    if (Object.prototype.hasOwnProperty.call(updates, 'gameSpeed')) {
+      emitSystemChat({
+        room,
+        message: `Game speed set to ${updates.gameSpeed} by the host.`,
+        io,
+        stateManager,
+      });
+    }
+
+    if (Object.prototype.hasOwnProperty.call(updates, 'ruleSet')) {
+      const { progression, blindRounds, maxCards, deck, manilhas, cancelledTricks } = updates.ruleSet;
+      emitSystemChat({
+        room,
+        message: `Rules set to ${progression} progression, ${blindRounds} blind rounds, ${
+          maxCards ? `max ${maxCards} cards` : 'no card cap'
+        }, ${deck === 'clean' ? '40-card' : '52-card'} deck, ${
+          manilhas === 'fixed' ? 'fixed manilhas' : 'manilhas from the vira'
+        }, ${CANCELLED_TRICK_SUMMARIES[cancelledTricks]} by the host.`,
+        io,
+        stateManager,
+      });
+    }
+
+    if (Object.prototype.hasOwnProperty.call(updates, 'timeLimit')) {
+      emitSystemChat({
+        room,
+        message: `Time limit updated by the host. ${describeTimeLimit(updates.timeLimit)}`,
+        io,
+        stateManager,
+      });
+    }
+
+    if (Object.prototype.hasOwnProperty.call(updates, 'bidRules')) {
+      emitSystemChat({
+        room,
+        message: `Bid rules updated by the host. ${
+          describeBidRestriction(updates.bidRules) ?? 'No bid restriction.'
+        }`,
+        io,
+        stateManager,
+      });
+    }
+
     socketLogger?.info?.('socket.update_host_settings', {
       roomId,
       playerId,
@@ -2745,244 +3487,1096 @@ const createRoomSocketHandlers = ({
     ack?.({ status: 'ok', hostSettings: { ...room.hostSettings } });
   };
 
-  const validateJoinPayload = (payload) => {
-    if (!payload || typeof payload !== 'object') {
-      return {
-        valid: false,
-        error: {
-          error: 'invalid_name',
-          message: 'Join payload is required',
-        },
-      };
-    }
-
-    const normalizedRoomId = typeof payload.roomId === 'string' ? payload.roomId.trim() : '';
-    const normalizedName = normalizeDisplayName(payload.displayName);
+  const resolveHostContext = (socket, action, ack, notHostMessage = 'Only the host can do that.') => {
+    const playerId = socket.data?.playerId;
+    const roomId = socket.data?.roomId;
+    const room = playerId && roomId ? roomManager.getRoom(roomId) : null;
+    const player = room ? roomManager.getPlayer(playerId) : null;
 
-    if (!ROOM_IDS.has(normalizedRoomId)) {
-      return {
-        valid: false,
-        error: {
-          error: 'invalid_room',
-          message: 'Selected room is not available',
-        },
-      };
+    if (!room || !player) {
+      socket.emit('action_error', {
+        action,
+        error: 'invalid_state',
+        message: 'You must join a room before managing it.',
+      });
+      ack?.({ error: 'invalid_state' });
+      return null;
     }
 
-    if (!DISPLAY_NAME_REGEX.test(normalizedName)) {
-      return {
-        valid: false,
-        error: {
-          error: 'invalid_name',
-          message: 'Display name must be 3-20 characters (letters, numbers, spaces)',
-        },
-      };
+    if (!player.isHost) {
+      socket.emit('action_error', {
+        action,
+        error: 'not_host',
+        message: notHostMessage,
+      });
+      ack?.({ error: 'not_host' });
+      return null;
     }
 
-    const requestedRole = typeof payload.role === 'string' ? payload.role.trim().toLowerCase() : null;
-    const wantsSpectator =
-      payload?.spectator === true ||
-      payload?.joinAs === 'spectator' ||
-      requestedRole === 'spectator';
+    return { room, player };
+  };
 
-    return {
-      valid: true,
-      roomId: normalizedRoomId,
-      displayName: normalizedName,
-      isSpectator: wantsSpectator,
-    };
+  const emitRoomActionError = (socket, action, error, ack) => {
+    const mapped = mapJoinError(error);
+    socket.emit('action_error', {
+      action,
+      error: mapped.error,
+      message: mapped.message,
+    });
+    ack?.({ error: mapped.error });
   };
 
-  const handleJoinRoom = async (socket, payload, socketLogger) => {
-    const validation = validateJoinPayload(payload);
+  const handleAddBot = async (socket, payload, socketLogger, ack) => {
+    const context = resolveHostContext(socket, 'add_bot', ack, 'Only the host can manage bots.');
+    if (!context) {
+      return;
+    }
 
+    const validation = inputValidator.validateAddBotPayload(payload ?? {});
     if (!validation.valid) {
-      socket.emit('join_error', validation.error);
+      socket.emit('action_error', {
+        action: 'add_bot',
+        error: 'invalid_payload',
+        message: validation.errors.join(' '),
+      });
+      ack?.({ error: 'invalid_payload' });
       return;
     }
 
-    if (socket.data?.roomId && socket.data.roomId !== validation.roomId) {
-      await handleLeaveRoom(socket, 'voluntary', socketLogger);
+    const difficulty = payload?.difficulty ?? DEFAULT_BOT_DIFFICULTY;
+    if (!BOT_DIFFICULTIES.includes(difficulty)) {
+      socket.emit('action_error', {
+        action: 'add_bot',
+        error: 'invalid_difficulty',
+        message: `Bot difficulty must be one of: ${BOT_DIFFICULTIES.join(', ')}.`,
+      });
+      ack?.({ error: 'invalid_difficulty' });
+      return;
     }
 
-    if (socket.data?.roomId === validation.roomId) {
-      socket.emit('join_error', {
-        error: 'invalid_room',
-        message: 'You are already in this room',
+    let result;
+    try {
+      result = roomManager.addBot({
+        roomId: context.room.roomId,
+        displayName: validation.validated.displayName ?? null,
+        difficulty,
       });
+    } catch (error) {
+      emitRoomActionError(socket, 'add_bot', error, ack);
+      return;
+    }
+
+    const bot = mapPlayerInfo(result.player);
+    io.to(context.room.roomId).emit('player_joined', { player: bot });
+    syncLobbyReadyState(context.room);
+
+    socketLogger?.info?.('socket.add_bot', {
+      roomId: context.room.roomId,
+      playerId: context.player.playerId,
+      botId: bot.playerId,
+    });
+
+    ack?.({ status: 'ok', player: bot });
+  };
+
+  const handleRemoveBot = async (socket, payload, socketLogger, ack) => {
+    const context = resolveHostContext(socket, 'remove_bot', ack, 'Only the host can manage bots.');
+    if (!context) {
       return;
     }
 
+    let result;
     try {
-      const { room, player, sessionId } = roomManager.joinRoom({
-        roomId: validation.roomId,
-        displayName: validation.displayName,
-        socketId: socket.id,
-        isSpectator: Boolean(validation.isSpectator),
+      result = roomManager.removeBot({
+        roomId: context.room.roomId,
+        playerId: payload?.playerId,
       });
+    } catch (error) {
+      emitRoomActionError(socket, 'remove_bot', error, ack);
+      return;
+    }
 
-      socket.data = socket.data || {};
-      socket.data.sessionId = sessionId;
-      socket.data.playerId = player.playerId;
-      socket.data.roomId = room.roomId;
-      socket.data.isSpectator = Boolean(player.isSpectator);
+    broadcastPlayerLeft(io.to(context.room.roomId), result.player, 'removed');
+    syncLobbyReadyState(context.room);
 
-      await socket.join(room.roomId);
+    socketLogger?.info?.('socket.remove_bot', {
+      roomId: context.room.roomId,
+      playerId: context.player.playerId,
+      botId: result.player.playerId,
+    });
 
-      socketLogger.info('socket.join_room_success', {
-        roomId: room.roomId,
-        playerId: player.playerId,
-      });
+    ack?.({ status: 'ok', playerId: result.player.playerId });
+  };
 
-      const freshRoom = roomManager.getRoom(room.roomId) ?? room;
-      const payloadToSend = buildRoomJoinedPayload(freshRoom, player, sessionId, roomManager);
+  const handleRoomAccessUpdate = async (socket, payload, socketLogger, ack) => {
+    const context = resolveHostContext(socket, 'update_room_access', ack, 'Only the host can lock the room.');
+    if (!context) {
+      return;
+    }
 
-      socket.emit('room_joined', payloadToSend);
-      broadcastPlayerJoined(socket, room.roomId, player);
+    const validation = inputValidator.validateRoomAccessPayload(payload ?? {});
+    if (!validation.valid) {
+      socket.emit('action_error', {
+        action: 'update_room_access',
+        error: 'invalid_access',
+        message: validation.errors.join(' '),
+      });
+      ack?.({ error: 'invalid_access' });
+      return;
+    }
 
-      if (payloadToSend.isSpectator) {
-        sendSpectatorStateSync({ socket, room: freshRoom, player });
+    // Each invited name must belong to an account; the invite goes to it.
+    const { invitedNames, ...accessUpdate } = validation.validated;
+    if (Array.isArray(invitedNames)) {
+      const invitedAccounts = invitedNames.map((name) => accountManager.findAccountByName(name));
+      const unknownNames = invitedNames.filter((name, index) => !invitedAccounts[index]);
+
+      if (unknownNames.length > 0) {
+        socket.emit('action_error', {
+          action: 'update_room_access',
+          error: 'invalid_access',
+          message: `Invited players must have an account: ${unknownNames.join(', ')}.`,
+        });
+        ack?.({ error: 'invalid_access' });
+        return;
       }
 
-      broadcastExpiredSessions(roomManager.cleanupExpiredSessions());
-    } catch (error) {
-      const mapped = mapJoinError(error);
-      socketLogger.warn('socket.join_room_failed', {
-        roomId: validation.roomId,
-        message: error.message,
-        code: error.code,
-      });
-      socket.emit('join_error', mapped);
+      accessUpdate.invitedAccounts = invitedAccounts;
     }
+
+    const access = await roomManager.updateRoomAccess({ roomId: context.room.roomId, ...accessUpdate });
+
+    io.to(context.room.roomId).emit('room_access_updated', {
+      roomId: context.room.roomId,
+      access,
+    });
+
+    socketLogger?.info?.('socket.update_room_access', {
+      roomId: context.room.roomId,
+      playerId: context.player.playerId,
+      hasPassword: access.hasPassword,
+      inviteOnly: access.inviteOnly,
+      spectators: access.spectators,
+    });
+
+    ack?.({ status: 'ok', access });
   };
 
-  const handleSubmitBid = async (socket, payload, socketLogger) => {
-    const playerId = socket.data?.playerId;
-    const roomId = socket.data?.roomId;
-    const bidInput = payload?.bid;
+  // Shared checks for the moderation commands: host only, a valid payload and
+  // a target other than the host themselves.
+  const resolveModerationContext = (socket, action, payload, ack) => {
+    const context = resolveHostContext(socket, action, ack, 'Only the host can moderate the room.');
+    if (!context) {
+      return null;
+    }
 
-    if (!playerId || !roomId) {
-      socket.emit('action_error', {
-        action: 'submit_bid',
-        error: 'invalid_state',
-        message: 'You must join a room before submitting a bid.',
-      });
-      return;
+    const validation = inputValidator.validateModerationPayload(payload ?? {});
+    const error = !validation.valid
+      ? validation.errors.join(' ')
+      : validation.validated.playerId === context.player.playerId
+        ? 'You cannot do that to yourself.'
+        : null;
+
+    if (error) {
+      socket.emit('action_error', { action, error: 'invalid_player', message: error });
+      ack?.({ error: 'invalid_player' });
+      return null;
     }
 
-    if (!Number.isFinite(Number(bidInput))) {
-      socket.emit('action_error', {
-        action: 'submit_bid',
-        error: 'invalid_bid',
-        message: 'Bid value must be a number.',
-      });
+    return { ...context, ...validation.validated };
+  };
+
+  const removeFromRoom = async (socket, action, payload, socketLogger, ack) => {
+    const context = resolveModerationContext(socket, action, payload, ack);
+    if (!context) {
       return;
     }
 
-    const room = roomManager.getRoom(roomId);
-    if (!room) {
-      socket.emit('action_error', {
-        action: 'submit_bid',
-        error: 'invalid_room',
-        message: 'Room no longer exists.',
-      });
+    const { room, playerId } = context;
+    let result;
+    try {
+      result =
+        action === 'ban_player'
+          ? roomManager.banPlayer({
+              roomId: room.roomId,
+              playerId,
+              ...(context.durationMinutes ? { durationMs: context.durationMinutes * 60 * 1000 } : {}),
+            })
+          : roomManager.kickPlayer({ roomId: room.roomId, playerId });
+    } catch (error) {
+      emitRoomActionError(socket, action, error, ack);
       return;
     }
 
-    const gameId = socket.data?.gameId ?? room?.gameState?.gameId;
-    if (!gameId) {
-      socket.emit('action_error', {
-        action: 'submit_bid',
-        error: 'game_not_active',
-        message: 'No active game found for this room.',
-      });
-      return;
+    const reason = action === 'ban_player' ? 'banned' : 'kicked';
+    const expiresAt = result.ban?.expiresAt ?? null;
+    const targetSocket = result.socketId ? io.sockets?.sockets?.get(result.socketId) : null;
+    if (targetSocket?.data?.playerId === playerId) {
+      targetSocket.emit('removed_from_room', { roomId: room.roomId, reason, expiresAt });
     }
+    detachReplacedSocket({ socketId: result.socketId, roomId: room.roomId, playerId });
+    resumeReleasedSeat(room.roomId, result.releasedSeatId);
 
-    const storedGame = stateManager.getGame(gameId);
-    if (!storedGame) {
+    broadcastPlayerLeft(io.to(room.roomId), result.player, reason);
+    syncLobbyReadyState(roomManager.getRoom(room.roomId));
+    emitSystemChat({
+      room: roomManager.getRoom(room.roomId) ?? room,
+      message: `${result.player.displayName} was ${reason === 'banned' ? 'banned' : 'removed'} by the host.`,
+      io,
+      stateManager,
+    });
+
+    socketLogger?.info?.(`socket.${action}`, {
+      roomId: room.roomId,
+      playerId: context.player.playerId,
+      targetId: playerId,
+      expiresAt,
+    });
+
+    ack?.({ status: 'ok', playerId, reason, expiresAt });
+  };
+
+  const handleKickPlayer = (socket, payload, socketLogger, ack) =>
+    removeFromRoom(socket, 'kick_player', payload, socketLogger, ack);
+
+  const handleBanPlayer = (socket, payload, socketLogger, ack) =>
+    removeFromRoom(socket, 'ban_player', payload, socketLogger, ack);
+
+  const handleTransferHost = async (socket, payload, socketLogger, ack) => {
+    const context = resolveModerationContext(socket, 'transfer_host', payload, ack);
+    if (!context) {
+      return;
+    }
+
+    let result;
+    try {
+      result = roomManager.transferHost({ roomId: context.room.roomId, playerId: context.playerId });
+    } catch (error) {
+      emitRoomActionError(socket, 'transfer_host', error, ack);
+      return;
+    }
+
+    io.to(context.room.roomId).emit('host_changed', {
+      roomId: context.room.roomId,
+      hostId: result.player.playerId,
+      previousHostId: result.previousHostId,
+    });
+    emitSystemChat({
+      room: context.room,
+      message: `${result.player.displayName} is now the host.`,
+      io,
+      stateManager,
+    });
+
+    socketLogger?.info?.('socket.transfer_host', {
+      roomId: context.room.roomId,
+      playerId: context.player.playerId,
+      hostId: result.player.playerId,
+    });
+
+    ack?.({ status: 'ok', hostId: result.player.playerId });
+  };
+
+  const handleMutePlayer = async (socket, payload, socketLogger, ack) => {
+    const context = resolveModerationContext(socket, 'mute_player', payload, ack);
+    if (!context) {
+      return;
+    }
+
+    const muted = context.muted ?? true;
+    let player;
+    try {
+      player = roomManager.setPlayerMuted({ roomId: context.room.roomId, playerId: context.playerId, muted });
+    } catch (error) {
+      emitRoomActionError(socket, 'mute_player', error, ack);
+      return;
+    }
+
+    io.to(context.room.roomId).emit('player_muted', {
+      roomId: context.room.roomId,
+      playerId: player.playerId,
+      isMuted: player.isMuted,
+    });
+    emitSystemChat({
+      room: context.room,
+      message: `${player.displayName} was ${player.isMuted ? 'muted' : 'unmuted'} by the host.`,
+      io,
+      stateManager,
+    });
+
+    socketLogger?.info?.('socket.mute_player', {
+      roomId: context.room.roomId,
+      playerId: context.player.playerId,
+      targetId: player.playerId,
+      muted: player.isMuted,
+    });
+
+    ack?.({ status: 'ok', playerId: player.playerId, isMuted: player.isMuted });
+  };
+
+  const resolveMemberContext = (socket, action, ack, message) => {
+    const playerId = socket.data?.playerId;
+    const roomId = socket.data?.roomId;
+    const room = playerId && roomId ? roomManager.getRoom(roomId) : null;
+
+    if (!room) {
+      socket.emit('action_error', {
+        action,
+        error: 'invalid_state',
+        message,
+      });
+      ack?.({ error: 'invalid_state' });
+      return null;
+    }
+
+    return { room, roomId, playerId };
+  };
+
+  const handleSeatQueue = async (socket, action, payload, socketLogger, ack) => {
+    const context = resolveMemberContext(socket, action, ack, 'You must join a room before queueing for a seat.');
+    if (!context) {
+      return;
+    }
+
+    const { room, roomId, playerId } = context;
+
+    const validation = inputValidator.validateSeatQueuePayload(payload ?? {});
+    if (!validation.valid) {
+      socket.emit('action_error', {
+        action,
+        error: 'invalid_payload',
+        message: validation.errors.join(' '),
+      });
+      ack?.({ error: 'invalid_payload' });
+      return;
+    }
+
+    try {
+      if (action === 'join_seat_queue') {
+        const verifiedPasswordHash = await roomManager.verifyRoomPassword({
+          roomId,
+          password: validation.validated.password ?? null,
+          attemptKey: socket.id,
+        });
+        roomManager.joinSeatQueue({ roomId, playerId, verifiedPasswordHash });
+      } else {
+        roomManager.leaveSeatQueue({ roomId, playerId });
+      }
+    } catch (error) {
+      emitRoomActionError(socket, action, error, ack);
+      return;
+    }
+
+    // A free lobby seat is taken straight away, which broadcasts the queue.
+    if (!promoteSeatQueue(room).length) {
+      emitSeatQueue(roomId);
+    }
+    syncLobbyReadyState(room);
+
+    const queue = roomManager.describeSeatQueue(roomId);
+    socketLogger?.info?.(`socket.${action}`, { roomId, playerId, queueLength: queue.length });
+
+    ack?.({
+      status: 'ok',
+      position: queue.find((entry) => entry.playerId === playerId)?.position ?? null,
+      promoted: !roomManager.getPlayer(playerId)?.isSpectator,
+    });
+  };
+
+  const handleSetReady = async (socket, payload, socketLogger, ack) => {
+    const context = resolveMemberContext(socket, 'set_ready', ack, 'You must join a room before readying up.');
+    if (!context) {
+      return;
+    }
+
+    const { room, roomId, playerId } = context;
+
+    const validation = inputValidator.validateReadyPayload(payload ?? {});
+    if (!validation.valid) {
+      socket.emit('action_error', {
+        action: 'set_ready',
+        error: 'invalid_payload',
+        message: validation.errors.join(' '),
+      });
+      ack?.({ error: 'invalid_payload' });
+      return;
+    }
+
+    let player;
+    try {
+      player = roomManager.setPlayerReady({ roomId, playerId, ready: validation.validated.ready });
+    } catch (error) {
+      emitRoomActionError(socket, 'set_ready', error, ack);
+      return;
+    }
+
+    syncLobbyReadyState(room);
+
+    socketLogger?.info?.('socket.set_ready', {
+      roomId,
+      playerId,
+      ready: player.isReady,
+    });
+
+    ack?.({ status: 'ok', isReady: player.isReady });
+  };
+
+  // The seed only affects rounds dealt after it arrives; the current deal's
+  // seeds were already published in `round_started`. The ack repeats the
+  // server seed hash already committed for the next deal.
+  const handleSetClientSeed = async (socket, payload, socketLogger, ack) => {
+    const context = resolveMemberContext(
+      socket,
+      'set_client_seed',
+      ack,
+      'You must join a room before contributing a shuffle seed.',
+    );
+    if (!context) {
+      return;
+    }
+
+    const { roomId, playerId } = context;
+
+    const validation = inputValidator.validateClientSeedPayload(payload ?? {});
+    if (!validation.valid) {
+      socket.emit('action_error', {
+        action: 'set_client_seed',
+        error: 'invalid_payload',
+        message: validation.errors.join(' '),
+      });
+      ack?.({ error: 'invalid_payload' });
+      return;
+    }
+
+    const player = roomManager.getPlayer(playerId);
+    player.update({ clientSeed: validation.validated.clientSeed });
+    stateManager.upsertPlayer(player);
+
+    socketLogger?.info?.('socket.set_client_seed', {
+      roomId,
+      playerId,
+    });
+
+    ack?.({ status: 'ok', clientSeed: player.clientSeed, nextServerSeedHash: getServerSeedCommitment(roomId) });
+  };
+
+  const handleVoteRematch = async (socket, payload, socketLogger, ack) => {
+    const context = resolveMemberContext(socket, 'vote_rematch', ack, 'You must join a room before voting.');
+    if (!context) {
+      return;
+    }
+
+    const { room, roomId, playerId } = context;
+
+    const validation = inputValidator.validateRematchPayload(payload ?? {});
+    if (!validation.valid) {
+      socket.emit('action_error', {
+        action: 'vote_rematch',
+        error: 'invalid_payload',
+        message: validation.errors.join(' '),
+      });
+      ack?.({ error: 'invalid_payload' });
+      return;
+    }
+
+    try {
+      roomManager.castRematchVote({ roomId, playerId, accept: validation.validated.accept });
+    } catch (error) {
+      emitRoomActionError(socket, 'vote_rematch', error, ack);
+      return;
+    }
+
+    socketLogger?.info?.('socket.vote_rematch', {
+      roomId,
+      playerId,
+      accept: validation.validated.accept,
+    });
+
+    const started = syncRematchState(room);
+
+    ack?.({ status: 'ok', started });
+  };
+
+  const handleForceRematch = async (socket, socketLogger, ack) => {
+    const context = resolveHostContext(socket, 'force_rematch', ack, 'Only the host can force a rematch.');
+    if (!context) {
+      return;
+    }
+
+    try {
+      roomManager.resolveOpenRematch(context.room.roomId);
+    } catch (error) {
+      emitRoomActionError(socket, 'force_rematch', error, ack);
+      return;
+    }
+
+    if (getActivePlayers(context.room).length < MIN_PLAYERS) {
+      socket.emit('action_error', {
+        action: 'force_rematch',
+        error: 'insufficient_players',
+        message: 'At least two connected players are required to start the game.',
+      });
+      ack?.({ error: 'insufficient_players' });
+      return;
+    }
+
+    const gameState = startRematch(context.room, { forcedBy: context.player.playerId });
+
+    socketLogger?.info?.('socket.force_rematch', {
+      roomId: context.room.roomId,
+      playerId: context.player.playerId,
+      gameId: gameState.gameId,
+    });
+
+    ack?.({ status: 'ok', gameId: gameState.gameId });
+  };
+
+  // The host pauses and resumes outright; anyone else at the table casts a
+  // vote towards the same action.
+  const handlePauseRequest = async (socket, action, socketLogger, ack) => {
+    const eventName = action === 'pause' ? 'pause_game' : 'resume_game';
+    const context = resolveMemberContext(socket, eventName, ack, 'You must join a room before pausing the game.');
+    if (!context) {
+      return;
+    }
+
+    const { room, roomId } = context;
+    const gameState = room.gameState?.gameId ? stateManager.getGame(room.gameState.gameId) : null;
+    const { playerId, isSpectator } = resolveActingSeat(socket);
+
+    const rejection =
+      room.status !== 'playing' || !gameState || gameState.currentPhase === 'completed'
+        ? ['game_not_active', 'No game is running in this room.']
+        : isGamePaused(gameState) === (action === 'pause')
+          ? ['invalid_state', action === 'pause' ? 'The game is already paused.' : 'The game is not paused.']
+          : isSpectator
+            ? ['invalid_player', 'Spectators cannot pause the game.']
+            : null;
+
+    if (rejection) {
+      socket.emit('action_error', { action: eventName, error: rejection[0], message: rejection[1] });
+      ack?.({ error: rejection[0] });
+      return;
+    }
+
+    if (roomManager.getPlayer(socket.data.playerId)?.isHost) {
+      if (action === 'pause') {
+        pauseGame({ room, gameState, pausedBy: playerId });
+      } else {
+        resumeGame({ roomId, gameId: gameState.gameId, resumedBy: playerId });
+      }
+
+      socketLogger?.info?.(`socket.${eventName}`, { roomId, playerId });
+      ack?.({ status: 'ok', passed: true });
+      return;
+    }
+
+    const result = castPauseVote({ room, gameState, playerId, action });
+
+    socketLogger?.info?.(`socket.${eventName}_vote`, { roomId, playerId, ...result });
+    ack?.({ status: 'ok', ...result });
+  };
+
+  const emitSeatStandIn = (room, seatId, standIn) => {
+    io.to(room.roomId).emit('seat_stand_in', {
+      roomId: room.roomId,
+      playerId: seatId,
+      standIn: standIn ? { ...standIn } : null,
+    });
+  };
+
+  // Turn timers pick bot or human pace when they are scheduled, so a new
+  // occupant on the seat whose turn it is restarts that turn.
+  const restartTurnIfSeatActive = (room, seatId) => {
+    const snapshot = room?.gameState?.gameId ? stateManager.getGame(room.gameState.gameId) : null;
+
+    if (snapshot?.currentPhase === 'bidding') {
+      if (snapshot.playerOrder?.[snapshot.currentPlayerIndex ?? 0] === seatId) {
+        scheduleBiddingTurn({ room, gameState: snapshot });
+      }
+      return;
+    }
+
+    if (snapshot?.currentPhase === 'playing' && getLeadPlayer(snapshot) === seatId) {
+      schedulePlayingTurn({ room, gameState: snapshot, playerId: seatId });
+    }
+  };
+
+  const resendSeatHand = (room, seat) => {
+    const snapshot = room?.gameState?.gameId ? stateManager.getGame(room.gameState.gameId) : null;
+    const round = getCurrentRoundFromState(snapshot);
+    if (!round?.hands || !seat) {
+      return;
+    }
+
+    emitHandsToPlayers({ gameState: snapshot, round: new GameRound(round), players: [seat], recordReplay: false });
+  };
+
+  // The seat goes back to waiting for its player, covered by the disconnect
+  // auto-action as it was before the hand-over.
+  const resumeReleasedSeat = (roomId, seatId) => {
+    const room = seatId ? roomManager.getRoom(roomId) : null;
+    if (!room) {
+      return;
+    }
+
+    emitSeatStandIn(room, seatId, null);
+    scheduleDisconnectAutoAction({ roomId, playerId: seatId });
+    restartTurnIfSeatActive(room, seatId);
+  };
+
+  const handleHandOverSeat = async (socket, payload, socketLogger, ack) => {
+    const context = resolveHostContext(socket, 'hand_over_seat', ack, 'Only the host can hand over a seat.');
+    if (!context) {
+      return;
+    }
+
+    const validation = inputValidator.validateHandOverPayload(payload ?? {});
+    if (!validation.valid) {
+      socket.emit('action_error', {
+        action: 'hand_over_seat',
+        error: 'invalid_payload',
+        message: validation.errors.join(' '),
+      });
+      ack?.({ error: 'invalid_payload' });
+      return;
+    }
+
+    const { room } = context;
+    const { playerId, spectatorId = null } = validation.validated;
+    let result;
+    try {
+      result = roomManager.assignStandIn({
+        roomId: room.roomId,
+        seatPlayerId: playerId,
+        spectatorId,
+        difficulty: AUTO_ACTION_DIFFICULTY,
+      });
+    } catch (error) {
+      emitRoomActionError(socket, 'hand_over_seat', error, ack);
+      return;
+    }
+
+    cancelDisconnectAutoAction(playerId);
+    emitSeatStandIn(room, playerId, result.standIn);
+
+    if (spectatorId) {
+      const standInSocketId = roomManager.getPlayer(spectatorId)?.socketId;
+      io.sockets?.sockets?.get(standInSocketId)?.emit('seat_assigned', {
+        roomId: room.roomId,
+        playerId,
+        displayName: result.seat.displayName,
+      });
+      resendSeatHand(room, roomManager.getPlayer(playerId));
+    }
+
+    restartTurnIfSeatActive(room, playerId);
+    emitSystemChat({
+      room,
+      message: spectatorId
+        ? `${result.standIn.displayName} took over ${result.seat.displayName}'s seat.`
+        : `A bot is playing ${result.seat.displayName}'s seat.`,
+      io,
+      stateManager,
+    });
+
+    socketLogger?.info?.('socket.hand_over_seat', {
+      roomId: room.roomId,
+      playerId: context.player.playerId,
+      seatId: playerId,
+      standIn: result.standIn.type,
+    });
+
+    ack?.({ status: 'ok', playerId, standIn: result.standIn });
+  };
+
+  const emitSeatsUpdated = (room, seatOrder) => {
+    io.to(room.roomId).emit('seats_updated', {
+      roomId: room.roomId,
+      seatOrder,
+    });
+  };
+
+  const readSeatPayload = (socket, action, payload, ack) => {
+    const validation = inputValidator.validateSeatPayload(payload ?? {});
+    if (!validation.valid) {
+      socket.emit('action_error', {
+        action,
+        error: 'invalid_seat',
+        message: validation.errors.join(' '),
+      });
+      ack?.({ error: 'invalid_seat' });
+      return null;
+    }
+
+    return validation.validated;
+  };
+
+  const handleChooseSeat = async (socket, payload, socketLogger, ack) => {
+    const context = resolveMemberContext(socket, 'choose_seat', ack, 'You must join a room before picking a seat.');
+    if (!context) {
+      return;
+    }
+
+    const validated = readSeatPayload(socket, 'choose_seat', payload, ack);
+    if (!validated) {
+      return;
+    }
+
+    let seatOrder;
+    try {
+      seatOrder = roomManager.moveToSeat({
+        roomId: context.roomId,
+        playerId: context.playerId,
+        seatIndex: validated.seatIndex,
+      });
+    } catch (error) {
+      emitRoomActionError(socket, 'choose_seat', error, ack);
+      return;
+    }
+
+    emitSeatsUpdated(context.room, seatOrder);
+
+    socketLogger?.info?.('socket.choose_seat', {
+      roomId: context.roomId,
+      playerId: context.playerId,
+      seatIndex: validated.seatIndex,
+    });
+
+    ack?.({ status: 'ok', seatOrder });
+  };
+
+  const handleArrangeSeats = async (socket, payload, socketLogger, ack) => {
+    const context = resolveHostContext(socket, 'arrange_seats', ack, 'Only the host can arrange the seats.');
+    if (!context) {
+      return;
+    }
+
+    const validated = readSeatPayload(socket, 'arrange_seats', payload, ack);
+    if (!validated) {
+      return;
+    }
+
+    let seatOrder;
+    try {
+      seatOrder = roomManager.setSeatOrder({ roomId: context.room.roomId, order: validated.order });
+    } catch (error) {
+      emitRoomActionError(socket, 'arrange_seats', error, ack);
+      return;
+    }
+
+    emitSeatsUpdated(context.room, seatOrder);
+
+    socketLogger?.info?.('socket.arrange_seats', {
+      roomId: context.room.roomId,
+      playerId: context.player.playerId,
+      seatOrder,
+    });
+
+    ack?.({ status: 'ok', seatOrder });
+  };
+
+  const handleShuffleSeats = async (socket, socketLogger, ack) => {
+    const context = resolveHostContext(socket, 'shuffle_seats', ack, 'Only the host can shuffle the seats.');
+    if (!context) {
+      return;
+    }
+
+    let seatOrder;
+    try {
+      seatOrder = roomManager.shuffleSeats({ roomId: context.room.roomId });
+    } catch (error) {
+      emitRoomActionError(socket, 'shuffle_seats', error, ack);
+      return;
+    }
+
+    emitSeatsUpdated(context.room, seatOrder);
+    emitSystemChat({
+      room: context.room,
+      message: 'The host shuffled the seats.',
+      io,
+      stateManager,
+    });
+
+    socketLogger?.info?.('socket.shuffle_seats', {
+      roomId: context.room.roomId,
+      playerId: context.player.playerId,
+      seatOrder,
+    });
+
+    ack?.({ status: 'ok', seatOrder });
+  };
+
+  const validateJoinPayload = (payload) => {
+    if (!payload || typeof payload !== 'object') {
+      return {
+        valid: false,
+        error: {
+          error: 'invalid_name',
+          message: 'Join payload is required',
+        },
+      };
+    }
+
+    const roomCheck = inputValidator.validateRoomId(payload.roomId, {
+      isKnownRoom: (roomId) => Boolean(roomManager.getRoom(roomId)),
+    });
+    const normalizedRoomId = roomCheck.normalized ?? '';
+    const normalizedName = normalizeDisplayName(payload.displayName);
+
+    if (!roomCheck.valid) {
+      return {
+        valid: false,
+        error: {
+          error: 'invalid_room',
+          message: 'Selected room is not available',
+        },
+      };
+    }
+
+    if (!DISPLAY_NAME_REGEX.test(normalizedName)) {
+      return {
+        valid: false,
+        error: {
+          error: 'invalid_name',
+          message: 'Display name must be 3-20 characters (letters, numbers, spaces)',
+        },
+      };
+    }
+
+    let pin = null;
+    if (payload.pin !== undefined && payload.pin !== null && payload.pin !== '') {
+      const pinCheck = inputValidator.validatePin(payload.pin);
+      if (!pinCheck.valid) {
+        return {
+          valid: false,
+          error: {
+            error: 'invalid_pin',
+            message: pinCheck.error,
+          },
+        };
+      }
+      pin = pinCheck.normalized;
+    }
+
+    let password = null;
+    if (payload.password !== undefined && payload.password !== null && payload.password !== '') {
+      const passwordCheck = inputValidator.validateRoomPassword(payload.password);
+      if (!passwordCheck.valid) {
+        return {
+          valid: false,
+          error: {
+            error: 'invalid_password',
+            message: passwordCheck.error,
+          },
+        };
+      }
+      password = passwordCheck.value;
+    }
+
+    const requestedRole = typeof payload.role === 'string' ? payload.role.trim().toLowerCase() : null;
+    const wantsSpectator =
+      payload?.spectator === true ||
+      payload?.joinAs === 'spectator' ||
+      requestedRole === 'spectator';
+
+    return {
+      valid: true,
+      roomId: normalizedRoomId,
+      displayName: normalizedName,
+      isSpectator: wantsSpectator,
+      queueForSeat: payload?.queueForSeat === true,
+      pin,
+      password,
+    };
+  };
+
+  const handleJoinRoom = async (socket, payload, socketLogger) => {
+    const validation = validateJoinPayload(payload);
+
+    if (!validation.valid) {
+      socket.emit('join_error', validation.error);
+      return;
+    }
+
+    if (socket.data?.roomId && socket.data.roomId !== validation.roomId) {
+      await handleLeaveRoom(socket, 'voluntary', socketLogger);
+    }
+
+    if (socket.data?.roomId === validation.roomId) {
+      socket.emit('join_error', {
+        error: 'invalid_room',
+        message: 'You are already in this room',
+      });
+      return;
+    }
+
+    try {
+      const verifiedPasswordHash = await roomManager.verifyRoomPassword({
+        roomId: validation.roomId,
+        password: validation.password,
+        attemptKey: socket.id,
+      });
+
+      // Joining with a PIN signs into (or claims) the account for that name; a
+      // new account is only stored once the join has gone through.
+      const authentication = validation.pin
+        ? await accountManager.authenticate({
+            displayName: validation.displayName,
+            pin: validation.pin,
+            attemptKey: socket.id,
+          })
+        : null;
+
+      if (authentication?.created) {
+        accountManager.assertClaimable(authentication.account);
+      }
+
+      const { room, player, sessionId } = roomManager.joinRoom({
+        roomId: validation.roomId,
+        displayName: validation.displayName,
+        socketId: socket.id,
+        isSpectator: Boolean(validation.isSpectator),
+        accountId: authentication?.account.accountId ?? null,
+        verifiedPasswordHash,
+        previousSessionId: socket.handshake?.auth?.sessionId ?? null,
+        queueForSeat: validation.queueForSeat,
+      });
+
+      if (authentication?.created) {
+        accountManager.claim(authentication.account);
+        accountManager.persist().catch((error) => {
+          socketLogger.error('accounts.persist_failed', { message: error.message });
+        });
+      }
+
+      socket.data = socket.data || {};
+      socket.data.sessionId = sessionId;
+      socket.data.playerId = player.playerId;
+      socket.data.roomId = room.roomId;
+      socket.data.isSpectator = Boolean(player.isSpectator);
+
+      await socket.join(room.roomId);
+
+      socketLogger.info('socket.join_room_success', {
+        roomId: room.roomId,
+        playerId: player.playerId,
+      });
+
+      const freshRoom = roomManager.getRoom(room.roomId) ?? room;
+      const payloadToSend = buildRoomJoinedPayload(freshRoom, player, sessionId, roomManager, {
+        nextServerSeedHash: getServerSeedCommitment(freshRoom.roomId),
+      });
+
+      socket.emit('room_joined', payloadToSend);
+      broadcastPlayerJoined(socket, room.roomId, player);
+      if (payloadToSend.seatQueue.some((entry) => entry.playerId === player.playerId)) {
+        emitSeatQueue(room.roomId);
+      }
+      syncLobbyReadyState(freshRoom);
+
+      if (payloadToSend.isSpectator) {
+        sendSpectatorStateSync({ socket, room: freshRoom, player });
+      }
+
+      broadcastExpiredSessions(roomManager.cleanupExpiredSessions());
+    } catch (error) {
+      const mapped = mapJoinError(error);
+      socketLogger.warn('socket.join_room_failed', {
+        roomId: validation.roomId,
+        message: error.message,
+        code: error.code,
+      });
+      socket.emit('join_error', mapped);
+    }
+  };
+
+  const handleSubmitBid = async (socket, payload, socketLogger) => {
+    const { playerId, isSpectator } = resolveActingSeat(socket);
+    const roomId = socket.data?.roomId;
+    const bidInput = payload?.bid;
+
+    if (!playerId || !roomId) {
+      socket.emit('action_error', {
+        action: 'submit_bid',
+        error: 'invalid_state',
+        message: 'You must join a room before submitting a bid.',
+      });
+      return;
+    }
+
+    if (isSpectator) {
       socket.emit('action_error', {
         action: 'submit_bid',
-        error: 'game_not_active',
-        message: 'Game state unavailable.',
+        error: 'invalid_turn',
+        message: 'Spectators cannot submit bids.',
       });
       return;
     }
 
-    if (storedGame.currentPhase !== 'bidding') {
+    if (!Number.isFinite(Number(bidInput))) {
       socket.emit('action_error', {
         action: 'submit_bid',
-        error: 'invalid_phase',
-        message: 'Bids can only be submitted during the bidding phase.',
+        error: 'invalid_bid',
+        message: 'Bid value must be a number.',
       });
       return;
     }
 
-    const roundIndex = Math.max(0, (storedGame.currentRound ?? 1) - 1);
-    const round = storedGame.rounds?.[roundIndex];
-
-    if (!round) {
+    const room = roomManager.getRoom(roomId);
+    if (!room) {
       socket.emit('action_error', {
         action: 'submit_bid',
-        error: 'invalid_round',
-        message: 'Unable to locate the current round.',
+        error: 'invalid_room',
+        message: 'Room no longer exists.',
       });
       return;
     }
 
-    if (round.bids && Object.prototype.hasOwnProperty.call(round.bids, playerId)) {
+    const gameId = socket.data?.gameId ?? room?.gameState?.gameId;
+    if (!gameId) {
       socket.emit('action_error', {
         action: 'submit_bid',
-        error: 'already_bid',
-        message: 'Bid already submitted for this round.',
+        error: 'game_not_active',
+        message: 'No active game found for this room.',
       });
       return;
     }
 
-    const currentPlayerId = Array.isArray(storedGame.playerOrder)
-      ? storedGame.playerOrder[storedGame.currentPlayerIndex ?? 0]
-      : null;
-
-    if (currentPlayerId !== playerId) {
+    const storedGame = stateManager.getGame(gameId);
+    if (!storedGame) {
       socket.emit('action_error', {
         action: 'submit_bid',
-        error: 'invalid_turn',
-        message: 'It is not your turn to bid.',
-        currentPlayer: currentPlayerId,
+        error: 'game_not_active',
+        message: 'Game state unavailable.',
       });
       return;
     }
 
-    const outcome = validateBid({
-      cardCount: round.cardCount ?? 0,
-      bid: Number(bidInput),
-      playerId,
-      playerOrder: storedGame.playerOrder ?? [],
-      bids: round.bids ?? {},
-      isBlindRound: Boolean(round.isBlindRound),
-    });
-
-    if (!outcome.isValid) {
+    if (isGamePaused(storedGame)) {
       socket.emit('action_error', {
         action: 'submit_bid',
-        error: outcome.code ?? 'invalid_bid',
-        message: outcome.reason ?? 'Bid is not valid for this turn.',
-        details: outcome.details ?? null,
+        error: 'game_paused',
+        message: 'The game is paused.',
       });
       return;
     }
 
-    const normalizedBid = Math.trunc(Number(bidInput));
-    const mutableState = cloneDeep(storedGame);
-
     const updatedSnapshot = processBidSubmission({
       room,
-      gameState: mutableState,
+      gameState: storedGame,
       playerId,
-      bid: normalizedBid,
+      bid: Number(bidInput),
       loggerRef: socketLogger,
+      onRejected: (rejection) => socket.emit('action_error', rejection),
     });
 
+    if (!updatedSnapshot) {
+      return;
+    }
+
+    const normalizedBid = getCurrentRoundFromState(updatedSnapshot).bids[playerId];
+
     recordCompletedAction({
       playerId,
       action: 'submit_bid',
@@ -3030,6 +4624,8 @@ const createRoomSocketHandlers = ({
           reason,
         });
 
+        resumeReleasedSeat(result.room.roomId, result.releasedSeatId);
+
         const activeRoom = roomManager.getRoom(result.room.roomId);
         if (activeRoom) {
           maybeCompleteGameDueToPlayerCount({
@@ -3037,6 +4633,7 @@ const createRoomSocketHandlers = ({
             reason: reason === 'voluntary' ? 'player_left' : 'disconnected',
             loggerRef: socketLogger,
           });
+          syncLobbyReadyState(activeRoom);
         }
       }
     } catch (error) {
@@ -3071,7 +4668,8 @@ const createRoomSocketHandlers = ({
       });
 
       if (result?.room?.roomId && result?.player?.playerId) {
-        broadcastPlayerLeft(socket.to(result.room.roomId), result.player, 'disconnected');
+        broadcastPlayerLeft(socket.to(result.room.roomId), result.player, 'disconnected', result.expiresAt);
+        syncLobbyReadyState(roomManager.getRoom(result.room.roomId));
         chatThrottle.delete(result.player.playerId);
         socketLogger.info('socket.player_disconnected', {
           roomId: result.room.roomId,
@@ -3084,6 +4682,7 @@ const createRoomSocketHandlers = ({
           roomId: result.room.roomId,
           playerId: result.player.playerId,
         });
+        resumeReleasedSeat(result.room.roomId, result.releasedSeatId);
 
         const activeRoom = roomManager.getRoom(result.room.roomId);
         if (activeRoom) {
@@ -3118,6 +4717,7 @@ const createRoomSocketHandlers = ({
       });
 
       cancelDisconnectAutoAction(player.playerId);
+      const reclaimed = roomManager.clearStandIn(player.playerId);
 
       socket.data = socket.data || {};
       socket.data.sessionId = resolvedSessionId;
@@ -3130,10 +4730,13 @@ const createRoomSocketHandlers = ({
       socket.emit('connection_status', { status: 'reconnected' });
 
       const freshRoom = roomManager.getRoom(room.roomId) ?? room;
-      const payloadToSend = buildRoomJoinedPayload(freshRoom, player, resolvedSessionId, roomManager);
+      const payloadToSend = buildRoomJoinedPayload(freshRoom, player, resolvedSessionId, roomManager, {
+        nextServerSeedHash: getServerSeedCommitment(freshRoom.roomId),
+      });
 
       socket.emit('room_joined', payloadToSend);
       broadcastPlayerJoined(socket, room.roomId, player);
+      syncLobbyReadyState(freshRoom);
 
       if (payloadToSend.isSpectator) {
         sendSpectatorStateSync({ socket, room: freshRoom, player });
@@ -3142,6 +4745,16 @@ const createRoomSocketHandlers = ({
         replayCachedActionsForPlayer(socket, player.playerId);
       }
 
+      if (reclaimed) {
+        const standInSocketId = reclaimed.playerId ? roomManager.getPlayer(reclaimed.playerId)?.socketId : null;
+        io.sockets?.sockets?.get(standInSocketId)?.emit('seat_released', {
+          roomId: room.roomId,
+          playerId: player.playerId,
+        });
+        emitSeatStandIn(freshRoom, player.playerId, null);
+        restartTurnIfSeatActive(freshRoom, player.playerId);
+      }
+
       socketLogger.info('socket.reconnected', {
         roomId: room.roomId,
         playerId: player.playerId,
@@ -3277,6 +4890,310 @@ const createRoomSocketHandlers = ({
       }
     });
 
+    socket.on('update_room_access', async (payload, ack) => {
+      try {
+        await handleRoomAccessUpdate(socket, payload ?? {}, socketLogger, ack);
+      } catch (error) {
+        socketLogger.error('socket.update_room_access_unexpected_error', {
+          message: error.message,
+        });
+        socket.emit('action_error', {
+          action: 'update_room_access',
+          error: 'internal_error',
+          message: 'Unable to update room access due to an unexpected error.',
+        });
+        ack?.({ error: 'internal_error' });
+      }
+    });
+
+    socket.on('add_bot', async (payload, ack) => {
+      try {
+        await handleAddBot(socket, payload ?? {}, socketLogger, ack);
+      } catch (error) {
+        socketLogger.error('socket.add_bot_unexpected_error', {
+          message: error.message,
+        });
+        socket.emit('action_error', {
+          action: 'add_bot',
+          error: 'internal_error',
+          message: 'Unable to add a bot due to an unexpected error.',
+        });
+        ack?.({ error: 'internal_error' });
+      }
+    });
+
+    socket.on('remove_bot', async (payload, ack) => {
+      try {
+        await handleRemoveBot(socket, payload ?? {}, socketLogger, ack);
+      } catch (error) {
+        socketLogger.error('socket.remove_bot_unexpected_error', {
+          message: error.message,
+        });
+        socket.emit('action_error', {
+          action: 'remove_bot',
+          error: 'internal_error',
+          message: 'Unable to remove the bot due to an unexpected error.',
+        });
+        ack?.({ error: 'internal_error' });
+      }
+    });
+
+    socket.on('kick_player', async (payload, ack) => {
+      try {
+        await handleKickPlayer(socket, payload ?? {}, socketLogger, ack);
+      } catch (error) {
+        socketLogger.error('socket.kick_player_unexpected_error', {
+          message: error.message,
+        });
+        socket.emit('action_error', {
+          action: 'kick_player',
+          error: 'internal_error',
+          message: 'Unable to remove the player due to an unexpected error.',
+        });
+        ack?.({ error: 'internal_error' });
+      }
+    });
+
+    socket.on('ban_player', async (payload, ack) => {
+      try {
+        await handleBanPlayer(socket, payload ?? {}, socketLogger, ack);
+      } catch (error) {
+        socketLogger.error('socket.ban_player_unexpected_error', {
+          message: error.message,
+        });
+        socket.emit('action_error', {
+          action: 'ban_player',
+          error: 'internal_error',
+          message: 'Unable to ban the player due to an unexpected error.',
+        });
+        ack?.({ error: 'internal_error' });
+      }
+    });
+
+    socket.on('transfer_host', async (payload, ack) => {
+      try {
+        await handleTransferHost(socket, payload ?? {}, socketLogger, ack);
+      } catch (error) {
+        socketLogger.error('socket.transfer_host_unexpected_error', {
+          message: error.message,
+        });
+        socket.emit('action_error', {
+          action: 'transfer_host',
+          error: 'internal_error',
+          message: 'Unable to hand over host due to an unexpected error.',
+        });
+        ack?.({ error: 'internal_error' });
+      }
+    });
+
+    socket.on('mute_player', async (payload, ack) => {
+      try {
+        await handleMutePlayer(socket, payload ?? {}, socketLogger, ack);
+      } catch (error) {
+        socketLogger.error('socket.mute_player_unexpected_error', {
+          message: error.message,
+        });
+        socket.emit('action_error', {
+          action: 'mute_player',
+          error: 'internal_error',
+          message: 'Unable to update the mute due to an unexpected error.',
+        });
+        ack?.({ error: 'internal_error' });
+      }
+    });
+
+    socket.on('set_ready', async (payload, ack) => {
+      try {
+        await handleSetReady(socket, payload ?? {}, socketLogger, ack);
+      } catch (error) {
+        socketLogger.error('socket.set_ready_unexpected_error', {
+          message: error.message,
+        });
+        socket.emit('action_error', {
+          action: 'set_ready',
+          error: 'internal_error',
+          message: 'Unable to update your ready state due to an unexpected error.',
+        });
+        ack?.({ error: 'internal_error' });
+      }
+    });
+
+    socket.on('set_client_seed', async (payload, ack) => {
+      try {
+        await handleSetClientSeed(socket, payload ?? {}, socketLogger, ack);
+      } catch (error) {
+        socketLogger.error('socket.set_client_seed_unexpected_error', {
+          message: error.message,
+        });
+        socket.emit('action_error', {
+          action: 'set_client_seed',
+          error: 'internal_error',
+          message: 'Unable to record your shuffle seed due to an unexpected error.',
+        });
+        ack?.({ error: 'internal_error' });
+      }
+    });
+
+    socket.on('choose_seat', async (payload, ack) => {
+      try {
+        await handleChooseSeat(socket, payload ?? {}, socketLogger, ack);
+      } catch (error) {
+        socketLogger.error('socket.choose_seat_unexpected_error', {
+          message: error.message,
+        });
+        socket.emit('action_error', {
+          action: 'choose_seat',
+          error: 'internal_error',
+          message: 'Unable to change seats due to an unexpected error.',
+        });
+        ack?.({ error: 'internal_error' });
+      }
+    });
+
+    socket.on('arrange_seats', async (payload, ack) => {
+      try {
+        await handleArrangeSeats(socket, payload ?? {}, socketLogger, ack);
+      } catch (error) {
+        socketLogger.error('socket.arrange_seats_unexpected_error', {
+          message: error.message,
+        });
+        socket.emit('action_error', {
+          action: 'arrange_seats',
+          error: 'internal_error',
+          message: 'Unable to arrange the seats due to an unexpected error.',
+        });
+        ack?.({ error: 'internal_error' });
+      }
+    });
+
+    socket.on('shuffle_seats', async (payload, ack) => {
+      try {
+        await handleShuffleSeats(socket, socketLogger, ack);
+      } catch (error) {
+        socketLogger.error('socket.shuffle_seats_unexpected_error', {
+          message: error.message,
+        });
+        socket.emit('action_error', {
+          action: 'shuffle_seats',
+          error: 'internal_error',
+          message: 'Unable to shuffle the seats due to an unexpected error.',
+        });
+        ack?.({ error: 'internal_error' });
+      }
+    });
+
+    socket.on('vote_rematch', async (payload, ack) => {
+      try {
+        await handleVoteRematch(socket, payload ?? {}, socketLogger, ack);
+      } catch (error) {
+        socketLogger.error('socket.vote_rematch_unexpected_error', {
+          message: error.message,
+        });
+        socket.emit('action_error', {
+          action: 'vote_rematch',
+          error: 'internal_error',
+          message: 'Unable to record the rematch vote due to an unexpected error.',
+        });
+        ack?.({ error: 'internal_error' });
+      }
+    });
+
+    socket.on('force_rematch', async (payload, ack) => {
+      try {
+        await handleForceRematch(socket, socketLogger, ack);
+      } catch (error) {
+        socketLogger.error('socket.force_rematch_unexpected_error', {
+          message: error.message,
+        });
+        socket.emit('action_error', {
+          action: 'force_rematch',
+          error: 'internal_error',
+          message: 'Unable to start the rematch due to an unexpected error.',
+        });
+        ack?.({ error: 'internal_error' });
+      }
+    });
+
+    socket.on('pause_game', async (payload, ack) => {
+      try {
+        await handlePauseRequest(socket, 'pause', socketLogger, ack);
+      } catch (error) {
+        socketLogger.error('socket.pause_game_unexpected_error', {
+          message: error.message,
+        });
+        socket.emit('action_error', {
+          action: 'pause_game',
+          error: 'internal_error',
+          message: 'Unable to pause the game due to an unexpected error.',
+        });
+        ack?.({ error: 'internal_error' });
+      }
+    });
+
+    socket.on('resume_game', async (payload, ack) => {
+      try {
+        await handlePauseRequest(socket, 'resume', socketLogger, ack);
+      } catch (error) {
+        socketLogger.error('socket.resume_game_unexpected_error', {
+          message: error.message,
+        });
+        socket.emit('action_error', {
+          action: 'resume_game',
+          error: 'internal_error',
+          message: 'Unable to resume the game due to an unexpected error.',
+        });
+        ack?.({ error: 'internal_error' });
+      }
+    });
+
+    socket.on('hand_over_seat', async (payload, ack) => {
+      try {
+        await handleHandOverSeat(socket, payload ?? {}, socketLogger, ack);
+      } catch (error) {
+        socketLogger.error('socket.hand_over_seat_unexpected_error', {
+          message: error.message,
+        });
+        socket.emit('action_error', {
+          action: 'hand_over_seat',
+          error: 'internal_error',
+          message: 'Unable to hand over the seat due to an unexpected error.',
+        });
+        ack?.({ error: 'internal_error' });
+      }
+    });
+
+    socket.on('join_seat_queue', async (payload, ack) => {
+      try {
+        await handleSeatQueue(socket, 'join_seat_queue', payload ?? {}, socketLogger, ack);
+      } catch (error) {
+        socketLogger.error('socket.join_seat_queue_unexpected_error', {
+          message: error.message,
+        });
+        socket.emit('action_error', {
+          action: 'join_seat_queue',
+          error: 'internal_error',
+          message: 'Unable to update the seat queue due to an unexpected error.',
+        });
+        ack?.({ error: 'internal_error' });
+      }
+    });
+
+    socket.on('leave_seat_queue', async (payload, ack) => {
+      try {
+        await handleSeatQueue(socket, 'leave_seat_queue', payload ?? {}, socketLogger, ack);
+      } catch (error) {
+        socketLogger.error('socket.leave_seat_queue_unexpected_error', {
+          message: error.message,
+        });
+        socket.emit('action_error', {
+          action: 'leave_seat_queue',
+          error: 'internal_error',
+          message: 'Unable to update the seat queue due to an unexpected error.',
+        });
+        ack?.({ error: 'internal_error' });
+      }
+    });
+
     socket.on('disconnect', async (reason) => {
       await handleDisconnect(socket, reason, socketLogger);
     });
@@ -0,0 +1,83 @@
+'use strict';
+
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const request = require('supertest');
+
+const { app } = require('../../src/server');
+const { stateManager } = require('../../src/modules/stateManager');
+
+describe('Games API contracts', () => {
+  let tmpDir;
+  let originalReplayDir;
+
+  beforeAll(async () => {
+    await stateManager.init();
+  });
+
+  afterAll(async () => {
+    await stateManager.stop();
+  });
+
+  beforeEach(async () => {
+    stateManager.clear();
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'truco-games-api-'));
+    originalReplayDir = stateManager.replayDir;
+    stateManager.replayDir = tmpDir;
+  });
+
+  afterEach(async () => {
+    stateManager.replayDir = originalReplayDir;
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('returns the recorded event log of a finished game', async () => {
+    stateManager.startReplay({
+      gameId: 'game-replay',
+      roomId: 'itajuba',
+      players: [{ playerId: 'player-1', displayName: 'Ana' }],
+    });
+    stateManager.appendReplayEvent('game-replay', {
+      type: 'bid_submitted',
+      payload: { playerId: 'player-1', bid: 1 },
+    });
+    await stateManager.saveReplay('game-replay');
+
+    const response = await request(app).get('/api/games/game-replay/replay').expect(200);
+
+    expect(response.body).toMatchObject({
+      gameId: 'game-replay',
+      roomId: 'itajuba',
+      players: [{ playerId: 'player-1', displayName: 'Ana' }],
+      completedAt: expect.any(String),
+      events: [
+        {
+          seq: 1,
+          type: 'bid_submitted',
+          payload: { playerId: 'player-1', bid: 1 },
+        },
+      ],
+    });
+  });
+
+  it('refuses to reveal a game that is still being played', async () => {
+    stateManager.startReplay({ gameId: 'game-live', roomId: 'itajuba' });
+
+    const response = await request(app).get('/api/games/game-live/replay').expect(409);
+
+    expect(response.body).toEqual({
+      error: 'replay_not_ready',
+      message: 'Game game-live is still in progress',
+    });
+  });
+
+  it('returns 404 when no replay exists', async () => {
+    const response = await request(app).get('/api/games/unknown/replay').expect(404);
+
+    expect(response.body).toEqual({
+      error: 'replay_not_found',
+      message: 'Replay for game unknown was not found',
+    });
+  });
+});
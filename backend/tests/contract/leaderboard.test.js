@@ -0,0 +1,62 @@
+'use strict';
+
+const request = require('supertest');
+
+const { app } = require('../../src/server');
+const { accountManager } = require('../../src/modules/accountManager');
+
+describe('Leaderboard API contracts', () => {
+  let ana;
+  let bruno;
+
+  beforeEach(async () => {
+    accountManager.clear();
+    ana = accountManager.claim((await accountManager.authenticate({ displayName: 'Ana', pin: '1234' })).account);
+    bruno = accountManager.claim((await accountManager.authenticate({ displayName: 'Bruno', pin: '5678' })).account);
+    accountManager.recordRatedGame({
+      roomId: 'itajuba',
+      standings: [
+        { playerId: 'p1', accountId: bruno.accountId, livesRemaining: 1 },
+        { playerId: 'p2', accountId: ana.accountId, livesRemaining: 0 },
+      ],
+    });
+  });
+
+  afterAll(() => {
+    accountManager.clear();
+  });
+
+  it('returns the global leaderboard', async () => {
+    const response = await request(app).get('/api/leaderboard').expect(200);
+
+    expect(response.body).toEqual({
+      scope: 'global',
+      entries: [
+        { rank: 1, accountId: bruno.accountId, displayName: 'Bruno', rating: 1516, games: 1 },
+        { rank: 2, accountId: ana.accountId, displayName: 'Ana', rating: 1484, games: 1 },
+      ],
+    });
+  });
+
+  it('returns per-room leaderboards and honours the limit', async () => {
+    const response = await request(app).get('/api/leaderboard/rooms/itajuba?limit=1').expect(200);
+
+    expect(response.body).toEqual({
+      scope: 'room',
+      roomId: 'itajuba',
+      entries: [{ rank: 1, accountId: bruno.accountId, displayName: 'Bruno', rating: 1516, games: 1 }],
+    });
+
+    const empty = await request(app).get('/api/leaderboard/rooms/piranguinho').expect(200);
+    expect(empty.body.entries).toEqual([]);
+  });
+
+  it('returns 404 for unknown rooms', async () => {
+    const response = await request(app).get('/api/leaderboard/rooms/atlantis').expect(404);
+
+    expect(response.body).toEqual({
+      error: 'room_not_found',
+      message: 'Room atlantis was not found',
+    });
+  });
+});
@@ -0,0 +1,61 @@
+'use strict';
+
+const request = require('supertest');
+
+const { app } = require('../../src/server');
+const { accountManager } = require('../../src/modules/accountManager');
+
+describe('Players API contracts', () => {
+  beforeEach(() => {
+    accountManager.clear();
+  });
+
+  afterAll(() => {
+    accountManager.clear();
+  });
+
+  it('returns accumulated statistics for an account', async () => {
+    const account = accountManager.claim(
+      (await accountManager.authenticate({ displayName: 'Ana', pin: '1234' })).account,
+    );
+    accountManager.recordGame(account.accountId, {
+      won: true,
+      roundsPlayed: 5,
+      exactBids: 4,
+      livesLost: 2,
+      manilhasHeld: 3,
+    });
+
+    const response = await request(app).get(`/api/players/${account.accountId}/stats`).expect(200);
+
+    expect(response.body).toEqual({
+      accountId: account.accountId,
+      displayName: 'Ana',
+      createdAt: expect.any(String),
+      lastPlayedAt: expect.any(String),
+      stats: {
+        gamesPlayed: 1,
+        wins: 1,
+        roundsPlayed: 5,
+        exactBids: 4,
+        livesLost: 2,
+        manilhasHeld: 3,
+        bidAccuracy: 0.8,
+        averageLivesLostPerRound: 0.4,
+      },
+      ratings: {
+        global: { rating: 1500, games: 0 },
+        rooms: {},
+      },
+    });
+  });
+
+  it('returns 404 for unknown accounts', async () => {
+    const response = await request(app).get('/api/players/unknown/stats').expect(404);
+
+    expect(response.body).toEqual({
+      error: 'player_not_found',
+      message: 'Player unknown was not found',
+    });
+  });
+});
@@ -122,5 +122,34 @@ describe('Rooms API contracts', () => {
 
   it('returns 404 for unknown rooms', async () => {
     await request(app).get('/api/rooms/unknown-room').expect(404);
+    await request(app).get('/api/rooms/not a room!').expect(404);
+  });
+
+  it('creates private rooms that are reachable by invite code but not listed', async () => {
+    const created = await request(app).post('/api/rooms').send({ displayName: 'Mesa da Ana' }).expect(201);
+
+    expect(created.body).toMatchObject({
+      roomId: expect.stringMatching(/^[a-z2-9]{6}$/),
+      displayName: 'Mesa da Ana',
+      isPrivate: true,
+      players: [],
+      gameStatus: 'waiting',
+    });
+    expect(created.body.inviteCode).toBe(created.body.roomId);
+
+    const listed = await request(app).get('/api/rooms').expect(200);
+    expect(listed.body.map((room) => room.roomId)).not.toContain(created.body.roomId);
+
+    const byCode = await request(app).get(`/api/rooms/${created.body.inviteCode.toUpperCase()}`).expect(200);
+    expect(byCode.body).toMatchObject({ roomId: created.body.roomId, isPrivate: true });
+  });
+
+  it('rejects private rooms without a usable name', async () => {
+    const response = await request(app).post('/api/rooms').send({ displayName: '<b>' }).expect(400);
+
+    expect(response.body).toEqual({
+      error: 'invalid_room_name',
+      message: 'Room name must be 3-30 letters, numbers, spaces, hyphens or apostrophes',
+    });
   });
 });
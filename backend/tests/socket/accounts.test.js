@@ -0,0 +1,279 @@
+'use strict';
+
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+
+const { createStateManager } = require('../../src/modules/stateManager');
+const { createRoomManager, DEFAULT_ROOMS } = require('../../src/modules/roomManager');
+const { createRoomSocketHandlers } = require('../../src/socket/roomHandlers');
+const { createAccountManager } = require('../../src/modules/accountManager');
+const { GameState } = require('../../src/modules/stateManager/GameState');
+
+const createTestLogger = () => {
+  const logger = {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    child: jest.fn(),
+  };
+  logger.child.mockReturnValue(logger);
+  return logger;
+};
+
+const createIoStub = () => {
+  const io = {
+    to: jest.fn(),
+    emittedRooms: [],
+  };
+
+  io.to.mockImplementation((roomId) => {
+    const emitter = {
+      emit: jest.fn(),
+    };
+
+    io.emittedRooms.push({ roomId, emitter });
+    return emitter;
+  });
+
+  return io;
+};
+
+const createMockSocket = (id, overrides = {}) => {
+  const socket = {
+    id,
+    data: {},
+    handshake: { auth: {} },
+    emit: jest.fn(),
+    join: jest.fn().mockResolvedValue(undefined),
+    leave: jest.fn().mockResolvedValue(undefined),
+    to: jest.fn(),
+    on: jest.fn(),
+    conn: { transport: { name: 'polling' } },
+    handlers: {},
+    emittedRooms: [],
+    ...overrides,
+  };
+
+  socket.to.mockImplementation((roomId) => {
+    const emitter = {
+      emit: jest.fn(),
+    };
+
+    socket.emittedRooms.push({ roomId, emitter });
+    return emitter;
+  });
+
+  socket.on.mockImplementation((event, handler) => {
+    socket.handlers[event] = handler;
+    return socket;
+  });
+
+  return socket;
+};
+
+const readWhenWritten = async (filePath, attempts = 100) => {
+  for (let attempt = 0; attempt < attempts; attempt += 1) {
+    try {
+      return await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+
+  throw new Error(`${filePath} was not written`);
+};
+
+describe('player accounts', () => {
+  let tmpDir;
+  let stateManager;
+  let roomManager;
+  let accountManager;
+  let io;
+  let logger;
+  let connectionHandler;
+  const roomId = DEFAULT_ROOMS[0].roomId;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'truco-accounts-socket-'));
+    logger = createTestLogger();
+    io = createIoStub();
+
+    stateManager = createStateManager({
+      snapshotPath: path.join(tmpDir, 'state.json'),
+      snapshotIntervalMs: 0,
+      logger,
+      bindProcessEvents: false,
+    });
+    await stateManager.init();
+
+    roomManager = createRoomManager({ stateManager, logger });
+    accountManager = createAccountManager({ stateManager, logger });
+    await accountManager.init();
+
+    connectionHandler = createRoomSocketHandlers({ io, roomManager, stateManager, accountManager, logger });
+  });
+
+  afterEach(async () => {
+    connectionHandler?.__testHooks?.stopSessionSweep?.();
+    await stateManager.stop();
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  const connectSocket = async (id) => {
+    const socket = createMockSocket(id);
+    await connectionHandler(socket);
+    return socket;
+  };
+
+  const findEmit = (socket, eventName) => socket.emit.mock.calls.find(([name]) => name === eventName)?.[1];
+
+  it('signs players into their account when they join with a PIN', async () => {
+    const first = await connectSocket('socket-1');
+    await first.handlers.join_room({ roomId, displayName: 'Ana Maria', pin: '1234' });
+
+    const joined = findEmit(first, 'room_joined');
+    expect(joined.accountId).toEqual(expect.any(String));
+    expect(roomManager.getPlayer(joined.playerId).accountId).toBe(joined.accountId);
+    expect(joined.currentPlayers[0].accountId).toBe(joined.accountId);
+
+    const saved = JSON.parse(await readWhenWritten(path.join(tmpDir, 'accounts.json')));
+    expect(saved.accounts.map((account) => account.displayName)).toEqual(['Ana Maria']);
+
+    await first.handlers.leave_room();
+
+    const impostor = await connectSocket('socket-2');
+    await impostor.handlers.join_room({ roomId, displayName: 'Ana Maria', pin: '9999' });
+    expect(findEmit(impostor, 'join_error')).toEqual({
+      error: 'invalid_pin',
+      message: 'Incorrect PIN for this display name',
+    });
+
+    const malformed = await connectSocket('socket-3');
+    await malformed.handlers.join_room({ roomId, displayName: 'Bruno', pin: '12' });
+    expect(findEmit(malformed, 'join_error')).toEqual({ error: 'invalid_pin', message: 'PIN must be 4-8 digits' });
+
+    const guest = await connectSocket('socket-4');
+    await guest.handlers.join_room({ roomId, displayName: 'Carla' });
+    expect(findEmit(guest, 'room_joined').accountId).toBeNull();
+  });
+
+  it('only creates the account once the join has gone through', async () => {
+    await roomManager.updateRoomAccess({ roomId, password: 'segredo' });
+
+    const locked = await connectSocket('socket-1');
+    await locked.handlers.join_room({ roomId, displayName: 'Ana', pin: '1234' });
+    expect(findEmit(locked, 'join_error')).toMatchObject({ error: 'password_required' });
+
+    const other = await connectSocket('socket-2');
+    await other.handlers.join_room({ roomId, displayName: 'Ana', pin: '9999', password: 'segredo' });
+    const joined = findEmit(other, 'room_joined');
+    expect(accountManager.getAccount(joined.accountId)).toMatchObject({ displayName: 'Ana' });
+  });
+
+  it('only lets the invited account into an invite-only room', async () => {
+    const host = await connectSocket('socket-host');
+    await host.handlers.join_room({ roomId, displayName: 'Host Player' });
+
+    const unknownAck = jest.fn();
+    await host.handlers.update_room_access({ inviteOnly: true, invitedNames: ['Bia'] }, unknownAck);
+    expect(unknownAck).toHaveBeenCalledWith({ error: 'invalid_access' });
+
+    const bia = accountManager.claim((await accountManager.authenticate({ displayName: 'Bia', pin: '1234' })).account);
+    const inviteAck = jest.fn();
+    await host.handlers.update_room_access({ inviteOnly: true, invitedNames: ['bia'] }, inviteAck);
+    expect(inviteAck).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'ok', access: expect.objectContaining({ invitedNames: ['Bia'] }) }),
+    );
+
+    const impostor = await connectSocket('socket-impostor');
+    await impostor.handlers.join_room({ roomId, displayName: 'Bia' });
+    expect(findEmit(impostor, 'join_error')).toMatchObject({ error: 'not_invited' });
+
+    const invited = await connectSocket('socket-invited');
+    await invited.handlers.join_room({ roomId, displayName: 'Bia', pin: '1234' });
+    expect(findEmit(invited, 'room_joined').accountId).toBe(bia.accountId);
+  });
+
+  it('credits finished games to the accounts of the players who took part', async () => {
+    const signUp = async (credentials) =>
+      accountManager.claim((await accountManager.authenticate(credentials)).account);
+    const account = await signUp({ displayName: 'Ana', pin: '1234' });
+    const brunoAccount = await signUp({ displayName: 'Bruno', pin: '5678' });
+    const ana = roomManager.joinRoom({ roomId, displayName: 'Ana', accountId: account.accountId }).player.playerId;
+    const bruno = roomManager.joinRoom({ roomId, displayName: 'Bruno', accountId: brunoAccount.accountId }).player
+      .playerId;
+
+    const room = roomManager.getRoom(roomId);
+    room.update({ status: 'playing', players: [ana, bruno], spectators: [] });
+    stateManager.upsertRoom(room);
+    roomManager.getPlayer(bruno).update({ lives: 0 });
+
+    const gameState = new GameState({ roomId, playerOrder: [ana, bruno], gameId: 'game-accounts' });
+    const round = gameState.startRound({
+      cardCount: 1,
+      viraCard: { rank: '4', suit: 'clubs' },
+      manilhaRank: '5',
+      hands: new Map([
+        [ana, [{ rank: '5', suit: 'hearts', isManilha: true }]],
+        [bruno, [{ rank: 'K', suit: 'spades' }]],
+      ]),
+    });
+    round.bids.set(ana, 1);
+    round.bids.set(bruno, 1);
+    round.tricks.push({ winner: ana, cardsPlayed: {} });
+    round.completedAt = new Date().toISOString();
+
+    connectionHandler.__testHooks.completeGame({ room, gameState, reason: 'victory', loggerRef: logger });
+
+    expect(accountManager.getAccount(account.accountId).stats).toEqual({
+      gamesPlayed: 1,
+      wins: 1,
+      roundsPlayed: 1,
+      exactBids: 1,
+      livesLost: 0,
+      manilhasHeld: 1,
+      bidAccuracy: 1,
+      averageLivesLostPerRound: 0,
+    });
+
+    const completed = io.emittedRooms
+      .flatMap(({ emitter }) => emitter.emit.mock.calls)
+      .find(([eventName]) => eventName === 'game_completed')[1];
+    expect(completed.ratingChanges).toEqual({
+      [ana]: { accountId: account.accountId, rating: 1516, delta: 16, roomRating: 1516, roomDelta: 16 },
+      [bruno]: { accountId: brunoAccount.accountId, rating: 1484, delta: -16, roomRating: 1484, roomDelta: -16 },
+    });
+  });
+
+  it('does not credit a bot replacement to the account of the player it replaced', async () => {
+    const signUp = async (credentials) =>
+      accountManager.claim((await accountManager.authenticate(credentials)).account);
+    const account = await signUp({ displayName: 'Ana', pin: '1234' });
+    const brunoAccount = await signUp({ displayName: 'Bruno', pin: '5678' });
+    const ana = roomManager.joinRoom({ roomId, displayName: 'Ana', accountId: account.accountId }).player.playerId;
+    const bruno = roomManager.joinRoom({ roomId, displayName: 'Bruno', accountId: brunoAccount.accountId }).player
+      .playerId;
+
+    const room = roomManager.getRoom(roomId);
+    room.update({ status: 'playing', players: [ana, bruno], spectators: [] });
+    stateManager.upsertRoom(room);
+    roomManager.replaceWithBot({ roomId, playerId: ana });
+    roomManager.getPlayer(bruno).update({ lives: 0 });
+
+    const gameState = new GameState({ roomId, playerOrder: [ana, bruno], gameId: 'game-bot-seat' });
+    connectionHandler.__testHooks.completeGame({ room, gameState, reason: 'victory', loggerRef: logger });
+
+    expect(accountManager.getAccount(account.accountId)).toMatchObject({
+      stats: expect.objectContaining({ gamesPlayed: 0, wins: 0 }),
+      ratings: { global: { rating: 1500, games: 0 }, rooms: {} },
+    });
+    expect(accountManager.getAccount(brunoAccount.accountId).stats.gamesPlayed).toBe(1);
+    expect(accountManager.getAccount(brunoAccount.accountId).ratings.global).toEqual({ rating: 1500, games: 0 });
+  });
+});
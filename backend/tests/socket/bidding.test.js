@@ -287,6 +287,38 @@ describe('submit_bid socket handler', () => {
     });
   });
 
+  it('applies the host bid rules outside blind rounds', async () => {
+    const hostSocket = await connectSocket('socket-host');
+    const socketTwo = await connectSocket('socket-two');
+
+    await joinRoom(hostSocket, 'Host Player');
+    const playerTwoId = await joinRoom(socketTwo, 'Player Two');
+
+    await hostSocket.handlers.update_host_settings(
+      { ruleSet: { blindRounds: 'none' }, bidRules: { restriction: 'dealer', tolerance: 0 } },
+      jest.fn(),
+    );
+    await hostSocket.handlers.start_game();
+    await flushAsync();
+
+    const turn = findEmittedPayloads(io, 'bidding_turn').at(-1);
+    expect(turn.metadata).toMatchObject({
+      restrictionApplied: false,
+      bidRules: { restriction: 'dealer', tolerance: 0 },
+    });
+
+    await hostSocket.handlers.submit_bid({ bid: 1 });
+    await flushAsync();
+    await socketTwo.handlers.submit_bid({ bid: 0 });
+
+    const errorCall = socketTwo.emit.mock.calls.find(([event]) => event === 'action_error');
+    expect(errorCall[1]).toMatchObject({ action: 'submit_bid', error: 'dealer_restriction' });
+    expect(errorCall[1].message).toMatch(/dealer restriction/i);
+
+    const gameSnapshot = stateManager.getGame(roomManager.getRoom(roomId).gameState.gameId);
+    expect(gameSnapshot.rounds[0].bids[playerTwoId]).toBeUndefined();
+  });
+
   it('auto bids when player timer expires', async () => {
     const hostSocket = await connectSocket('socket-host');
     const socketTwo = await connectSocket('socket-two');
@@ -312,12 +344,14 @@ describe('submit_bid socket handler', () => {
     expect(autoEvents.at(-1)).toMatchObject({
       playerId: playerIds[0],
       action: 'auto_bid',
-      value: 0,
+      value: expect.any(Number),
       reason: 'timeout',
     });
+    const autoBid = autoEvents.at(-1).value;
+    expect([0, 1]).toContain(autoBid);
 
     let gameSnapshot = stateManager.getGame(gameId);
-    expect(gameSnapshot.rounds[0].bids[playerIds[0]]).toBe(0);
+    expect(gameSnapshot.rounds[0].bids[playerIds[0]]).toBe(autoBid);
 
   await socketTwo.handlers.submit_bid({ bid: 0 });
     await flushAsync();
@@ -0,0 +1,237 @@
+'use strict';
+
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+
+// Lets a test force the bid a bot strategy picks.
+const mockBotBid = { value: null };
+jest.mock('../../src/modules/gameLogic/bots', () => {
+  const actual = jest.requireActual('../../src/modules/gameLogic/bots');
+  return {
+    ...actual,
+    createBotStrategy: (...args) => {
+      const strategy = actual.createBotStrategy(...args);
+      return mockBotBid.value === null
+        ? strategy
+        : { ...strategy, selectBid: () => mockBotBid.value };
+    },
+  };
+});
+
+const { createStateManager } = require('../../src/modules/stateManager');
+const { createRoomManager, DEFAULT_ROOMS } = require('../../src/modules/roomManager');
+const { createRoomSocketHandlers } = require('../../src/socket/roomHandlers');
+
+const createTestLogger = () => {
+  const logger = {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    child: jest.fn(),
+  };
+  logger.child.mockReturnValue(logger);
+  return logger;
+};
+
+const createIoStub = () => {
+  const sockets = new Map();
+  const io = {
+    to: jest.fn((roomId) => {
+      const emitter = {
+        emit: jest.fn(),
+      };
+      io.emittedRooms.push({ roomId, emitter });
+      return emitter;
+    }),
+    sockets: {
+      sockets,
+    },
+    emittedRooms: [],
+  };
+
+  return io;
+};
+
+const createMockSocket = (id, overrides = {}) => {
+  const socket = {
+    id,
+    data: {},
+    handshake: { auth: {} },
+    emit: jest.fn(),
+    join: jest.fn().mockResolvedValue(undefined),
+    leave: jest.fn().mockResolvedValue(undefined),
+    to: jest.fn(),
+    on: jest.fn(),
+    conn: { transport: { name: 'websocket' } },
+    handlers: {},
+    ...overrides,
+  };
+
+  socket.to.mockImplementation((roomId) => {
+    const emitter = {
+      emit: jest.fn(),
+    };
+    socket.emittedRooms = socket.emittedRooms || [];
+    socket.emittedRooms.push({ roomId, emitter });
+    return emitter;
+  });
+
+  socket.on.mockImplementation((event, handler) => {
+    socket.handlers[event] = handler;
+    return socket;
+  });
+
+  return socket;
+};
+
+const findEmittedPayloads = (io, eventName) =>
+  io.emittedRooms
+    .flatMap((entry) => entry.emitter.emit.mock.calls.filter((call) => call[0] === eventName))
+    .map((call) => call[1]);
+
+const flushAsync = () => Promise.resolve();
+
+describe('bot players', () => {
+  let tmpDir;
+  let stateManager;
+  let roomManager;
+  let io;
+  let logger;
+  let connectionHandler;
+  const roomId = DEFAULT_ROOMS[0].roomId;
+
+  beforeEach(async () => {
+    jest.useFakeTimers();
+
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'truco-bots-'));
+    logger = createTestLogger();
+    io = createIoStub();
+
+    stateManager = createStateManager({
+      snapshotPath: path.join(tmpDir, 'state.json'),
+      snapshotIntervalMs: 0,
+      logger,
+      bindProcessEvents: false,
+    });
+    await stateManager.init();
+
+    roomManager = createRoomManager({
+      stateManager,
+      logger,
+    });
+
+    connectionHandler = createRoomSocketHandlers({ io, roomManager, stateManager, logger });
+  });
+
+  afterEach(async () => {
+    mockBotBid.value = null;
+    jest.runOnlyPendingTimers();
+    jest.useRealTimers();
+    await stateManager.stop();
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  const connectSocket = async (id) => {
+    const socket = createMockSocket(id);
+    await connectionHandler(socket);
+    io.sockets.sockets.set(socket.id, socket);
+    return socket;
+  };
+
+  it('lets only the host add bots to the lobby', async () => {
+    const hostSocket = await connectSocket('socket-host');
+    const guestSocket = await connectSocket('socket-guest');
+    await hostSocket.handlers.join_room({ roomId, displayName: 'Host Player' });
+    await guestSocket.handlers.join_room({ roomId, displayName: 'Guest Player' });
+
+    const guestAck = jest.fn();
+    await guestSocket.handlers.add_bot({}, guestAck);
+    expect(guestAck).toHaveBeenCalledWith({ error: 'not_host' });
+
+    const hostAck = jest.fn();
+    await hostSocket.handlers.add_bot({}, hostAck);
+
+    expect(hostAck).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'ok', player: expect.objectContaining({ isBot: true }) }),
+    );
+    expect(findEmittedPayloads(io, 'player_joined').at(-1).player.isBot).toBe(true);
+  });
+
+  it('rejects bot names that are not valid display names', async () => {
+    const hostSocket = await connectSocket('socket-host');
+    await hostSocket.handlers.join_room({ roomId, displayName: 'Host Player' });
+
+    const invalidAck = jest.fn();
+    await hostSocket.handlers.add_bot({ displayName: '<script>' }, invalidAck);
+    expect(invalidAck).toHaveBeenCalledWith({ error: 'invalid_payload' });
+    expect(findEmittedPayloads(io, 'player_joined').some(({ player }) => player.isBot)).toBe(false);
+
+    const namedAck = jest.fn();
+    await hostSocket.handlers.add_bot({ displayName: '  Robo   Ana ' }, namedAck);
+    expect(namedAck.mock.calls[0][0].player.displayName).toBe('Robo Ana');
+  });
+
+  it('lets bots bid and play their turns through the regular game flow', async () => {
+    const hostSocket = await connectSocket('socket-host');
+    await hostSocket.handlers.join_room({ roomId, displayName: 'Host Player' });
+    const hostId = hostSocket.data.playerId;
+
+    const ack = jest.fn();
+    await hostSocket.handlers.add_bot({}, ack);
+    const botId = ack.mock.calls[0][0].player.playerId;
+
+    await hostSocket.handlers.start_game();
+    await flushAsync();
+
+    const { gameId } = roomManager.getRoom(roomId).toJSON().gameState;
+
+    await hostSocket.handlers.submit_bid({ bid: 0 });
+    await flushAsync();
+    jest.advanceTimersByTime(0);
+    await flushAsync();
+
+    let gameSnapshot = stateManager.getGame(gameId);
+    expect(Object.keys(gameSnapshot.rounds[0].bids)).toEqual([hostId, botId]);
+    expect(gameSnapshot.currentPhase).toBe('playing');
+
+    const [hostCard] = gameSnapshot.rounds[0].hands[hostId];
+    await hostSocket.handlers.play_card({ card: hostCard });
+    await flushAsync();
+    jest.advanceTimersByTime(0);
+    await flushAsync();
+
+    const plays = findEmittedPayloads(io, 'card_played').map((payload) => payload.playerId);
+    expect(plays).toEqual([hostId, botId]);
+    expect(findEmittedPayloads(io, 'round_completed')).toHaveLength(1);
+  });
+
+  it('falls back to a valid bid when the engine rejects the bot bid', async () => {
+    const hostSocket = await connectSocket('socket-host');
+    await hostSocket.handlers.join_room({ roomId, displayName: 'Host Player' });
+
+    const ack = jest.fn();
+    await hostSocket.handlers.add_bot({}, ack);
+    const botId = ack.mock.calls[0][0].player.playerId;
+
+    await hostSocket.handlers.start_game();
+    await flushAsync();
+
+    const { gameId } = roomManager.getRoom(roomId).toJSON().gameState;
+    mockBotBid.value = 99;
+
+    await hostSocket.handlers.submit_bid({ bid: 0 });
+    await flushAsync();
+    jest.advanceTimersByTime(0);
+    await flushAsync();
+
+    const gameSnapshot = stateManager.getGame(gameId);
+    expect(gameSnapshot.rounds[0].bids[botId]).toBe(0);
+    expect(gameSnapshot.currentPhase).toBe('playing');
+    expect(logger.warn).toHaveBeenCalledWith(
+      'bidding.auto_bid_rejected',
+      expect.objectContaining({ playerId: botId, bid: 99 }),
+    );
+  });
+});
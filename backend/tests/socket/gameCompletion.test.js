@@ -197,6 +197,82 @@ describe('game completion flow', () => {
     jest.clearAllTimers();
   });
 
+  it('passes the deal to the next surviving seat for the following round', () => {
+    jest.useFakeTimers();
+
+    const { finalizeRound } = handler.__testHooks;
+
+    const playerA = joinPlayer('Ana');
+    const playerB = joinPlayer('Bruno');
+    const playerC = joinPlayer('Carla');
+
+    const room = roomManager.getRoom(roomId);
+    room.update({
+      status: 'playing',
+      players: [playerA, playerB, playerC],
+      spectators: [],
+      hostSettings: {
+        ...room.hostSettings,
+        startingLives: 3,
+        roundTransitionDelayMs: 0,
+      },
+      gameState: {
+        gameId: 'game-dealer',
+        currentRound: 1,
+      },
+    });
+    stateManager.upsertRoom(room);
+
+    [playerA, playerB, playerC].forEach((id) => {
+      const playerRecord = roomManager.getPlayer(id);
+      playerRecord.update({ lives: id === playerC ? 1 : 3, isSpectator: false });
+      stateManager.upsertPlayer(playerRecord);
+    });
+
+    const baseCard = new Card('7', 'diamonds');
+    const gameState = new GameState({
+      roomId,
+      playerOrder: [playerA, playerB, playerC],
+      gameId: 'game-dealer',
+    });
+
+    const round = gameState.startRound({
+      cardCount: 1,
+      viraCard: baseCard.toJSON(),
+      manilhaRank: Card.getManilhaRank(baseCard.rank),
+      hands: new Map([
+        [playerA, [{ rank: '4', suit: 'clubs' }]],
+        [playerB, [{ rank: '5', suit: 'hearts' }]],
+        [playerC, [{ rank: '6', suit: 'spades' }]],
+      ]),
+      dealerId: playerB,
+    });
+    expect(gameState.getCurrentPlayer()).toBe(playerC);
+
+    round.bids.set(playerA, 1);
+    round.bids.set(playerB, 0);
+    round.bids.set(playerC, 1);
+    round.tricks.push({ winner: playerA });
+
+    finalizeRound({
+      room,
+      gameState: stateManager.setGame(gameState.gameId, gameState),
+      roundIndex: 0,
+      loggerRef: logger,
+    });
+
+    jest.advanceTimersByTime(0);
+
+    const [roundStarted] = getEmittedEvents(io, 'round_started');
+    expect(roundStarted.payload).toMatchObject({ roundNumber: 2, dealerId: playerA, firstBidderId: playerB });
+
+    const savedGame = stateManager.getGame('game-dealer');
+    expect(savedGame.dealerId).toBe(playerA);
+    expect(savedGame.playerOrder[savedGame.currentPlayerIndex]).toBe(playerB);
+
+    jest.clearAllTimers();
+  });
+
   it('resets lobby state and broadcasts completion payload when completeGame is invoked', () => {
     const { completeGame } = handler.__testHooks;
 
@@ -362,4 +438,83 @@ describe('game completion flow', () => {
 
     jest.clearAllTimers();
   });
+
+  it('plays a sudden-death final round when the host picked it for the time limit', () => {
+    jest.useFakeTimers();
+
+    const { scheduleGameTimer, finalizeRound } = handler.__testHooks;
+
+    const playerA = joinPlayer('Ana');
+    const playerB = joinPlayer('Bruno');
+
+    const room = roomManager.getRoom(roomId);
+    room.update({
+      status: 'playing',
+      players: [playerA, playerB],
+      spectators: [],
+      hostSettings: {
+        ...room.hostSettings,
+        startingLives: 3,
+        timeLimit: { minutes: 30, onExpiry: 'sudden-death' },
+      },
+      gameState: {
+        gameId: 'game-sudden-death',
+        currentRound: 1,
+      },
+    });
+    stateManager.upsertRoom(room);
+
+    [playerA, playerB].forEach((id) => {
+      const record = roomManager.getPlayer(id);
+      record.update({ lives: 3, isSpectator: false });
+      stateManager.upsertPlayer(record);
+    });
+
+    const baseCard = new Card('6', 'hearts');
+    const gameState = new GameState({
+      roomId,
+      playerOrder: [playerA, playerB],
+      timeLimitMs: 200,
+      startedAt: new Date(Date.now() - 150),
+      gameId: 'game-sudden-death',
+    });
+
+    const round = gameState.startRound({
+      cardCount: 1,
+      viraCard: baseCard.toJSON(),
+      manilhaRank: Card.getManilhaRank(baseCard.rank),
+      hands: new Map([
+        [playerA, [{ rank: '4', suit: 'clubs' }]],
+        [playerB, [{ rank: '5', suit: 'diamonds' }]],
+      ]),
+    });
+    round.bids.set(playerA, 1);
+    round.bids.set(playerB, 0);
+    round.tricks.push({ winner: playerA });
+
+    scheduleGameTimer({ room, gameState: stateManager.setGame(gameState.gameId, gameState) });
+    jest.advanceTimersByTime(250);
+
+    expect(getEmittedEvents(io, 'game_completed')).toHaveLength(0);
+    expect(getEmittedEvents(io, 'final_round')[0].payload).toEqual({ roundNumber: 1, reason: 'timeout' });
+    expect(stateManager.getGame('game-sudden-death').finalRoundNumber).toBe(1);
+
+    finalizeRound({
+      room: roomManager.getRoom(roomId),
+      gameState: stateManager.getGame('game-sudden-death'),
+      roundIndex: 0,
+      loggerRef: logger,
+    });
+
+    const [completion] = getEmittedEvents(io, 'game_completed');
+    expect(completion.payload).toMatchObject({
+      reason: 'timeout',
+      winner: playerA,
+      tieBreak: { decidedBy: 'tricksWon' },
+    });
+    expect(completion.payload.tieBreak.explanation).toMatch(/^After the sudden-death round/);
+    expect(getEmittedEvents(io, 'round_started')).toHaveLength(0);
+
+    jest.clearAllTimers();
+  });
 });
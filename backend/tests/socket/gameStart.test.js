@@ -102,6 +102,9 @@ describe('start_game socket handler', () => {
   });
 
   afterEach(async () => {
+    connectionHandler?.__testHooks?.stopSessionSweep?.();
+    jest.clearAllTimers();
+    jest.useRealTimers();
     await stateManager.stop();
     await fs.rm(tmpDir, { recursive: true, force: true });
   });
@@ -182,6 +185,85 @@ describe('start_game socket handler', () => {
     expect(gameRecord.currentRound).toBe(1);
   });
 
+  it('applies the host rule set to the opening round', async () => {
+    const hostSocket = await connectSocket('socket-host');
+    await joinRoom(hostSocket, 'Host Player');
+
+    const socketTwo = await connectSocket('socket-two');
+    await joinRoom(socketTwo, 'Player Two');
+
+    const updateAck = jest.fn();
+    await hostSocket.handlers.update_host_settings(
+      { ruleSet: { progression: 'descending', maxCards: 4, blindRounds: 'single-card' } },
+      updateAck,
+    );
+    expect(updateAck).toHaveBeenCalledWith(
+      expect.objectContaining({
+        status: 'ok',
+        hostSettings: expect.objectContaining({
+          ruleSet: {
+            progression: 'descending',
+            maxCards: 4,
+            blindRounds: 'single-card',
+            deck: 'full',
+            manilhas: 'vira',
+            cancelledTricks: 'nobody',
+          },
+        }),
+      }),
+    );
+
+    await hostSocket.handlers.start_game();
+
+    const roundStartedCall = io.emittedRooms
+      .flatMap((entry) => entry.emitter.emit.mock.calls)
+      .find(([event]) => event === 'round_started');
+    expect(roundStartedCall[1]).toMatchObject({
+      roundNumber: 1,
+      cardCount: 4,
+      isBlindRound: false,
+      ruleSet: { progression: 'descending', maxCards: 4, blindRounds: 'single-card' },
+    });
+
+    const hostDeal = hostSocket.emit.mock.calls.find(([event]) => event === 'cards_dealt');
+    expect(hostDeal[1].hand).toHaveLength(4);
+    expect(hostDeal[1].hand.some((card) => card.hidden)).toBe(false);
+  });
+
+  it('deals from the clean deck with fixed manilhas and no vira', async () => {
+    const hostSocket = await connectSocket('socket-host');
+    await joinRoom(hostSocket, 'Host Player');
+
+    const socketTwo = await connectSocket('socket-two');
+    await joinRoom(socketTwo, 'Player Two');
+
+    await hostSocket.handlers.update_host_settings({
+      ruleSet: { progression: 'descending', deck: 'clean', manilhas: 'fixed' },
+    });
+    await hostSocket.handlers.start_game();
+
+    const roundStartedCall = io.emittedRooms
+      .flatMap((entry) => entry.emitter.emit.mock.calls)
+      .find(([event]) => event === 'round_started');
+    expect(roundStartedCall[1]).toMatchObject({
+      cardCount: 20,
+      viraCard: null,
+      ruleSet: expect.objectContaining({ deck: 'clean', manilhas: 'fixed' }),
+    });
+
+    const hands = [hostSocket, socketTwo].flatMap(
+      (socket) => socket.emit.mock.calls.find(([event]) => event === 'cards_dealt')[1].hand,
+    );
+    expect(hands).toHaveLength(40);
+    expect(hands.some((card) => ['8', '9', '10'].includes(card.rank))).toBe(false);
+    expect(hands.filter((card) => card.isManilha).map((card) => `${card.rank}${card.suit}`).sort()).toEqual([
+      '4clubs',
+      '7diamonds',
+      '7hearts',
+      'Aspades',
+    ]);
+  });
+
   it('prevents non-host players from starting the game', async () => {
     const hostSocket = await connectSocket('socket-host');
     await joinRoom(hostSocket, 'Host Player');
@@ -195,4 +277,238 @@ describe('start_game socket handler', () => {
     expect(errorCall).toBeDefined();
     expect(errorCall[1]).toMatchObject({ action: 'start_game', error: 'not_host' });
   });
+
+  it('deals the game in the seat order picked in the lobby', async () => {
+    const hostSocket = await connectSocket('socket-host');
+    const hostPlayerId = await joinRoom(hostSocket, 'Host Player');
+
+    const socketTwo = await connectSocket('socket-two');
+    const playerTwoId = await joinRoom(socketTwo, 'Player Two');
+
+    const socketThree = await connectSocket('socket-three');
+    const playerThreeId = await joinRoom(socketThree, 'Player Three');
+
+    const chooseAck = jest.fn();
+    await socketThree.handlers.choose_seat({ seatIndex: 0 }, chooseAck);
+    expect(chooseAck).toHaveBeenCalledWith({ status: 'ok', seatOrder: [playerThreeId, hostPlayerId, playerTwoId] });
+
+    const guestArrangeAck = jest.fn();
+    await socketTwo.handlers.arrange_seats({ order: [playerTwoId, hostPlayerId, playerThreeId] }, guestArrangeAck);
+    expect(guestArrangeAck).toHaveBeenCalledWith({ error: 'not_host' });
+
+    const partialAck = jest.fn();
+    await hostSocket.handlers.arrange_seats({ order: [playerTwoId, hostPlayerId] }, partialAck);
+    expect(partialAck).toHaveBeenCalledWith({ error: 'invalid_seat' });
+
+    await hostSocket.handlers.arrange_seats({ order: [playerTwoId, playerThreeId, hostPlayerId] }, jest.fn());
+
+    const seatUpdates = io.emittedRooms
+      .flatMap((entry) => entry.emitter.emit.mock.calls)
+      .filter(([event]) => event === 'seats_updated');
+    expect(seatUpdates.pop()[1]).toEqual({ roomId, seatOrder: [playerTwoId, playerThreeId, hostPlayerId] });
+
+    await hostSocket.handlers.start_game();
+
+    const gameStarted = io.emittedRooms
+      .flatMap((entry) => entry.emitter.emit.mock.calls)
+      .find(([event]) => event === 'game_started');
+    expect(gameStarted[1].playerOrder).toEqual([playerTwoId, playerThreeId, hostPlayerId]);
+
+    const seatAck = jest.fn();
+    await socketTwo.handlers.choose_seat({ seatIndex: 2 }, seatAck);
+    expect(seatAck).toHaveBeenCalledWith({ error: 'game_in_progress' });
+  });
+
+  it('lets the host shuffle the seats', async () => {
+    const hostSocket = await connectSocket('socket-host');
+    const hostPlayerId = await joinRoom(hostSocket, 'Host Player');
+
+    const socketTwo = await connectSocket('socket-two');
+    const playerTwoId = await joinRoom(socketTwo, 'Player Two');
+
+    const ack = jest.fn();
+    await hostSocket.handlers.shuffle_seats({}, ack);
+
+    expect(ack).toHaveBeenCalledWith({ status: 'ok', seatOrder: expect.any(Array) });
+    expect([...ack.mock.calls[0][0].seatOrder].sort()).toEqual([hostPlayerId, playerTwoId].sort());
+    expect(stateManager.getRoom(roomId).players).toEqual(ack.mock.calls[0][0].seatOrder);
+  });
+
+  const lastReadyState = () =>
+    io.emittedRooms
+      .flatMap((entry) => entry.emitter.emit.mock.calls)
+      .filter(([event]) => event === 'lobby_ready_state')
+      .pop()?.[1];
+
+  it('broadcasts ready toggles without starting the game on its own', async () => {
+    const hostSocket = await connectSocket('socket-host');
+    const hostPlayerId = await joinRoom(hostSocket, 'Host Player');
+
+    const socketTwo = await connectSocket('socket-two');
+    const playerTwoId = await joinRoom(socketTwo, 'Player Two');
+
+    const ack = jest.fn();
+    await hostSocket.handlers.set_ready({ ready: true }, ack);
+
+    expect(ack).toHaveBeenCalledWith({ status: 'ok', isReady: true });
+    expect(lastReadyState()).toEqual({
+      roomId,
+      players: [
+        { playerId: hostPlayerId, isReady: true },
+        { playerId: playerTwoId, isReady: false },
+      ],
+      readyCount: 1,
+      allReady: false,
+      canStart: false,
+      autoStart: false,
+      countdown: null,
+    });
+
+    await socketTwo.handlers.set_ready({ ready: true });
+    expect(lastReadyState()).toMatchObject({ allReady: true, canStart: true, countdown: null });
+    expect(stateManager.getRoom(roomId).status).not.toBe('playing');
+
+    const invalidAck = jest.fn();
+    await socketTwo.handlers.set_ready({ ready: 'yes' }, invalidAck);
+    expect(invalidAck).toHaveBeenCalledWith({ error: 'invalid_payload' });
+  });
+
+  it('auto-starts after the host countdown once every seated player is ready', async () => {
+    jest.useFakeTimers();
+
+    const hostSocket = await connectSocket('socket-host');
+    await joinRoom(hostSocket, 'Host Player');
+
+    const socketTwo = await connectSocket('socket-two');
+    await joinRoom(socketTwo, 'Player Two');
+
+    await hostSocket.handlers.update_host_settings({ autoStart: true, autoStartSeconds: 5 }, jest.fn());
+    await hostSocket.handlers.set_ready({ ready: true });
+    await socketTwo.handlers.set_ready({ ready: true });
+
+    expect(lastReadyState().countdown).toEqual({ seconds: 5, endsAt: expect.any(String), remainingMs: 5000 });
+
+    await socketTwo.handlers.set_ready({ ready: false });
+    expect(lastReadyState().countdown).toBeNull();
+
+    await socketTwo.handlers.set_ready({ ready: true });
+    jest.advanceTimersByTime(4999);
+    expect(stateManager.getRoom(roomId).status).not.toBe('playing');
+
+    jest.advanceTimersByTime(1);
+    const room = stateManager.getRoom(roomId);
+    expect(room.status).toBe('playing');
+    expect(
+      io.emittedRooms.flatMap((entry) => entry.emitter.emit.mock.calls).some(([event]) => event === 'game_started'),
+    ).toBe(true);
+    expect(room.players.every((playerId) => stateManager.getPlayer(playerId).isReady === false)).toBe(true);
+  });
+
+  const emittedPayloads = (eventName) =>
+    io.emittedRooms
+      .flatMap((entry) => entry.emitter.emit.mock.calls)
+      .filter(([event]) => event === eventName)
+      .map(([, payload]) => payload);
+
+  const finishGame = () => {
+    const room = stateManager.getRoom(roomId);
+    connectionHandler.__testHooks.completeGame({
+      room,
+      gameState: stateManager.getGame(room.gameState.gameId),
+      reason: 'victory',
+    });
+  };
+
+  it('starts a rematch once every remaining player accepts and keeps the series score', async () => {
+    const hostSocket = await connectSocket('socket-host');
+    const hostPlayerId = await joinRoom(hostSocket, 'Host Player');
+
+    const socketTwo = await connectSocket('socket-two');
+    const playerTwoId = await joinRoom(socketTwo, 'Player Two');
+
+    const socketThree = await connectSocket('socket-three');
+    const playerThreeId = await joinRoom(socketThree, 'Player Three');
+
+    await hostSocket.handlers.start_game();
+    finishGame();
+
+    const completed = emittedPayloads('game_completed').pop();
+    expect(completed.series.gamesPlayed).toBe(1);
+    expect(emittedPayloads('rematch_state').pop()).toMatchObject({
+      roomId,
+      players: [
+        { playerId: hostPlayerId, vote: 'pending' },
+        { playerId: playerTwoId, vote: 'pending' },
+        { playerId: playerThreeId, vote: 'pending' },
+      ],
+      acceptedCount: 0,
+      canStart: true,
+    });
+
+    const ack = jest.fn();
+    await hostSocket.handlers.vote_rematch({ accept: true }, ack);
+    expect(ack).toHaveBeenCalledWith({ status: 'ok', started: false });
+
+    await socketTwo.handlers.vote_rematch({ accept: true });
+    await socketThree.handlers.leave_room();
+
+    expect(emittedPayloads('game_started')).toHaveLength(2);
+    expect(emittedPayloads('game_started').pop().playerOrder).toEqual([hostPlayerId, playerTwoId]);
+
+    const room = stateManager.getRoom(roomId);
+    expect(room.status).toBe('playing');
+    expect(room.rematch).toBeNull();
+    expect(room.series.gamesPlayed).toBe(1);
+
+    finishGame();
+    expect(emittedPayloads('game_completed').pop().series.gamesPlayed).toBe(2);
+  });
+
+  it('lets only the host force a rematch past pending votes', async () => {
+    const hostSocket = await connectSocket('socket-host');
+    await joinRoom(hostSocket, 'Host Player');
+
+    const socketTwo = await connectSocket('socket-two');
+    await joinRoom(socketTwo, 'Player Two');
+
+    const earlyAck = jest.fn();
+    await hostSocket.handlers.force_rematch({}, earlyAck);
+    expect(earlyAck).toHaveBeenCalledWith({ error: 'rematch_not_open' });
+
+    await hostSocket.handlers.start_game();
+    finishGame();
+
+    await socketTwo.handlers.vote_rematch({ accept: false });
+    expect(emittedPayloads('rematch_state').pop().acceptedCount).toBe(0);
+
+    const guestAck = jest.fn();
+    await socketTwo.handlers.force_rematch({}, guestAck);
+    expect(guestAck).toHaveBeenCalledWith({ error: 'not_host' });
+
+    const hostAck = jest.fn();
+    await hostSocket.handlers.force_rematch({}, hostAck);
+    expect(hostAck).toHaveBeenCalledWith({ status: 'ok', gameId: expect.any(String) });
+    expect(stateManager.getRoom(roomId).status).toBe('playing');
+
+    const lateAck = jest.fn();
+    await socketTwo.handlers.vote_rematch({ accept: true }, lateAck);
+    expect(lateAck).toHaveBeenCalledWith({ error: 'game_in_progress' });
+  });
+
+  it('starts a fresh series when the host starts a game without a rematch', async () => {
+    const hostSocket = await connectSocket('socket-host');
+    await joinRoom(hostSocket, 'Host Player');
+
+    const socketTwo = await connectSocket('socket-two');
+    await joinRoom(socketTwo, 'Player Two');
+
+    await hostSocket.handlers.start_game();
+    finishGame();
+    expect(stateManager.getRoom(roomId).series.gamesPlayed).toBe(1);
+
+    await hostSocket.handlers.start_game();
+    const room = stateManager.getRoom(roomId);
+    expect(room.series).toEqual({ gamesPlayed: 0, wins: {} });
+    expect(room.rematch).toBeNull();
+  });
 });
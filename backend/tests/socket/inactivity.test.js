@@ -0,0 +1,217 @@
+'use strict';
+
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+
+const { createStateManager } = require('../../src/modules/stateManager');
+const { createRoomManager, DEFAULT_ROOMS } = require('../../src/modules/roomManager');
+const { createRoomSocketHandlers } = require('../../src/socket/roomHandlers');
+
+const createTestLogger = () => {
+  const logger = {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    child: jest.fn(),
+  };
+  logger.child.mockReturnValue(logger);
+  return logger;
+};
+
+const createIoStub = () => {
+  const sockets = new Map();
+  const io = {
+    to: jest.fn((roomId) => {
+      const emitter = {
+        emit: jest.fn(),
+      };
+      io.emittedRooms.push({ roomId, emitter });
+      return emitter;
+    }),
+    sockets: {
+      sockets,
+    },
+    emittedRooms: [],
+  };
+
+  return io;
+};
+
+const createMockSocket = (id, overrides = {}) => {
+  const socket = {
+    id,
+    data: {},
+    handshake: { auth: {} },
+    emit: jest.fn(),
+    join: jest.fn().mockResolvedValue(undefined),
+    leave: jest.fn().mockResolvedValue(undefined),
+    to: jest.fn(),
+    on: jest.fn(),
+    conn: { transport: { name: 'websocket' } },
+    handlers: {},
+    ...overrides,
+  };
+
+  socket.to.mockImplementation((roomId) => {
+    const emitter = {
+      emit: jest.fn(),
+    };
+    socket.emittedRooms = socket.emittedRooms || [];
+    socket.emittedRooms.push({ roomId, emitter });
+    return emitter;
+  });
+
+  socket.on.mockImplementation((event, handler) => {
+    socket.handlers[event] = handler;
+    return socket;
+  });
+
+  return socket;
+};
+
+const findEmittedPayloads = (io, eventName) =>
+  io.emittedRooms
+    .flatMap((entry) => entry.emitter.emit.mock.calls.filter((call) => call[0] === eventName))
+    .map((call) => call[1]);
+
+const flushAsync = () => Promise.resolve();
+
+describe('inactive player strikes', () => {
+  let tmpDir;
+  let stateManager;
+  let roomManager;
+  let io;
+  let logger;
+  let connectionHandler;
+  const roomId = DEFAULT_ROOMS[0].roomId;
+
+  beforeEach(async () => {
+    jest.useFakeTimers();
+
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'truco-inactivity-'));
+    logger = createTestLogger();
+    io = createIoStub();
+
+    stateManager = createStateManager({
+      snapshotPath: path.join(tmpDir, 'state.json'),
+      snapshotIntervalMs: 0,
+      logger,
+      bindProcessEvents: false,
+    });
+    await stateManager.init();
+
+    roomManager = createRoomManager({
+      stateManager,
+      logger,
+    });
+
+    connectionHandler = createRoomSocketHandlers({ io, roomManager, stateManager, logger });
+  });
+
+  afterEach(async () => {
+    jest.runOnlyPendingTimers();
+    jest.useRealTimers();
+    await stateManager.stop();
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  const connectSocket = async (id) => {
+    const socket = createMockSocket(id);
+    await connectionHandler(socket);
+    io.sockets.sockets.set(socket.id, socket);
+    return socket;
+  };
+
+  const seatIdleGuest = async (settings) => {
+    const hostSocket = await connectSocket('socket-host');
+    await hostSocket.handlers.join_room({ roomId, displayName: 'Host Player' });
+    const guestSocket = await connectSocket('socket-guest');
+    await guestSocket.handlers.join_room({ roomId, displayName: 'Idle Guest' });
+    await hostSocket.handlers.add_bot({}, jest.fn());
+
+    const settingsAck = jest.fn();
+    await hostSocket.handlers.update_host_settings(settings, settingsAck);
+    expect(settingsAck).toHaveBeenCalledWith(expect.objectContaining({ status: 'ok' }));
+
+    await hostSocket.handlers.start_game();
+    await flushAsync();
+
+    await hostSocket.handlers.submit_bid({ bid: 0 });
+    await flushAsync();
+
+    return { hostSocket, guestSocket, guestId: guestSocket.data.playerId };
+  };
+
+  const expireGuestBid = async () => {
+    jest.advanceTimersByTime(10_000);
+    await flushAsync();
+  };
+
+  it('keeps auto-playing until the strike limit is reached', async () => {
+    const { guestId } = await seatIdleGuest({ inactiveStrikeLimit: 2 });
+
+    await expireGuestBid();
+
+    expect(findEmittedPayloads(io, 'auto_action')).toEqual(
+      expect.arrayContaining([expect.objectContaining({ playerId: guestId, action: 'auto_bid' })]),
+    );
+    expect(findEmittedPayloads(io, 'player_kicked')).toHaveLength(0);
+    expect(roomManager.getPlayer(guestId).isSpectator).toBe(false);
+  });
+
+  it('moves the player to the spectators once the limit is reached', async () => {
+    const { guestSocket, guestId } = await seatIdleGuest({ inactiveStrikeLimit: 1, inactiveAction: 'spectator' });
+
+    await expireGuestBid();
+
+    expect(findEmittedPayloads(io, 'player_kicked')).toEqual([
+      expect.objectContaining({
+        playerId: guestId,
+        reason: 'inactive',
+        strikes: 1,
+        movedTo: 'spectator',
+        player: expect.objectContaining({ isSpectator: true }),
+      }),
+    ]);
+
+    const room = roomManager.getRoom(roomId);
+    expect(room.players).not.toContain(guestId);
+    expect(room.spectators).toContain(guestId);
+
+    await guestSocket.handlers.play_card({ card: { rank: '4', suit: 'clubs' } });
+    expect(guestSocket.emit).toHaveBeenCalledWith(
+      'action_error',
+      expect.objectContaining({ action: 'play_card', error: 'invalid_turn', message: 'Spectators cannot play cards.' }),
+    );
+  });
+
+  it('hands the seat to a bot when configured to replace idle players', async () => {
+    const { guestSocket, guestId } = await seatIdleGuest({ inactiveStrikeLimit: 1, inactiveAction: 'bot' });
+
+    await expireGuestBid();
+
+    const [replaced] = findEmittedPayloads(io, 'player_replaced');
+    expect(replaced).toMatchObject({
+      playerId: guestId,
+      previousDisplayName: 'Idle Guest',
+      reason: 'inactive',
+      player: expect.objectContaining({ isBot: true }),
+    });
+
+    expect(roomManager.getPlayer(guestId).isBot).toBe(true);
+    expect(roomManager.getRoom(roomId).players).toContain(guestId);
+    expect(guestSocket.data.playerId).toBeNull();
+    expect(guestSocket.emit).toHaveBeenCalledWith('room_left', null);
+  });
+
+  it('never strikes players when auto-kick is disabled', async () => {
+    const { guestId } = await seatIdleGuest({ autoKickInactive: false, inactiveStrikeLimit: 1 });
+
+    await expireGuestBid();
+
+    expect(findEmittedPayloads(io, 'player_kicked')).toHaveLength(0);
+    expect(roomManager.getPlayer(guestId).isSpectator).toBe(false);
+  });
+});
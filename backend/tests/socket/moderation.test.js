@@ -0,0 +1,237 @@
+'use strict';
+
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+
+const { createStateManager } = require('../../src/modules/stateManager');
+const { createRoomManager, DEFAULT_ROOMS } = require('../../src/modules/roomManager');
+const { createRoomSocketHandlers } = require('../../src/socket/roomHandlers');
+
+const createTestLogger = () => {
+  const logger = {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    child: jest.fn(),
+  };
+  logger.child.mockReturnValue(logger);
+  return logger;
+};
+
+const createIoStub = () => {
+  const sockets = new Map();
+  const io = {
+    to: jest.fn((roomId) => {
+      const emitter = {
+        emit: jest.fn(),
+      };
+      io.emittedRooms.push({ roomId, emitter });
+      return emitter;
+    }),
+    sockets: {
+      sockets,
+    },
+    emittedRooms: [],
+  };
+
+  return io;
+};
+
+const createMockSocket = (id, overrides = {}) => {
+  const socket = {
+    id,
+    data: {},
+    handshake: { auth: {} },
+    emit: jest.fn(),
+    join: jest.fn().mockResolvedValue(undefined),
+    leave: jest.fn().mockResolvedValue(undefined),
+    to: jest.fn(),
+    on: jest.fn(),
+    conn: { transport: { name: 'websocket' } },
+    handlers: {},
+    ...overrides,
+  };
+
+  socket.to.mockImplementation((roomId) => {
+    const emitter = {
+      emit: jest.fn(),
+    };
+    socket.emittedRooms = socket.emittedRooms || [];
+    socket.emittedRooms.push({ roomId, emitter });
+    return emitter;
+  });
+
+  socket.on.mockImplementation((event, handler) => {
+    socket.handlers[event] = handler;
+    return socket;
+  });
+
+  return socket;
+};
+
+const findEmittedPayloads = (io, eventName) =>
+  io.emittedRooms
+    .flatMap((entry) => entry.emitter.emit.mock.calls.filter((call) => call[0] === eventName))
+    .map((call) => call[1]);
+
+describe('host moderation', () => {
+  let tmpDir;
+  let stateManager;
+  let roomManager;
+  let io;
+  let logger;
+  let connectionHandler;
+  const roomId = DEFAULT_ROOMS[0].roomId;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'truco-moderation-'));
+    logger = createTestLogger();
+    io = createIoStub();
+
+    stateManager = createStateManager({
+      snapshotPath: path.join(tmpDir, 'state.json'),
+      snapshotIntervalMs: 0,
+      logger,
+      bindProcessEvents: false,
+    });
+    await stateManager.init();
+
+    roomManager = createRoomManager({
+      stateManager,
+      logger,
+    });
+
+    connectionHandler = createRoomSocketHandlers({ io, roomManager, stateManager, logger });
+  });
+
+  afterEach(async () => {
+    connectionHandler?.__testHooks?.stopSessionSweep?.();
+    await stateManager.stop();
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  const connectSocket = async (id, overrides = {}) => {
+    const socket = createMockSocket(id, overrides);
+    await connectionHandler(socket);
+    io.sockets.sockets.set(socket.id, socket);
+    return socket;
+  };
+
+  const joinTable = async () => {
+    const hostSocket = await connectSocket('socket-host');
+    const guestSocket = await connectSocket('socket-guest');
+    await hostSocket.handlers.join_room({ roomId, displayName: 'Host Player' });
+    await guestSocket.handlers.join_room({ roomId, displayName: 'Guest Player' });
+    return { hostSocket, guestSocket, guestId: guestSocket.data.playerId };
+  };
+
+  const lastJoinError = (socket) =>
+    socket.emit.mock.calls.filter(([eventName]) => eventName === 'join_error').pop()?.[1];
+
+  it('only lets the host moderate, and never against themselves', async () => {
+    const { hostSocket, guestSocket } = await joinTable();
+
+    const guestAck = jest.fn();
+    await guestSocket.handlers.kick_player({ playerId: hostSocket.data.playerId }, guestAck);
+    expect(guestAck).toHaveBeenCalledWith({ error: 'not_host' });
+
+    const selfAck = jest.fn();
+    await hostSocket.handlers.mute_player({ playerId: hostSocket.data.playerId }, selfAck);
+    expect(selfAck).toHaveBeenCalledWith({ error: 'invalid_player' });
+
+    const unknownAck = jest.fn();
+    await hostSocket.handlers.kick_player({ playerId: 'nobody' }, unknownAck);
+    expect(unknownAck).toHaveBeenCalledWith({ error: 'invalid_player' });
+  });
+
+  it('kicks a player out of the room and lets them rejoin', async () => {
+    const { hostSocket, guestSocket, guestId } = await joinTable();
+
+    const ack = jest.fn();
+    await hostSocket.handlers.kick_player({ playerId: guestId }, ack);
+
+    expect(ack).toHaveBeenCalledWith({ status: 'ok', playerId: guestId, reason: 'kicked', expiresAt: null });
+    expect(guestSocket.emit).toHaveBeenCalledWith('removed_from_room', { roomId, reason: 'kicked', expiresAt: null });
+    expect(guestSocket.emit).toHaveBeenCalledWith('room_left', null);
+    expect(guestSocket.data.roomId).toBeNull();
+    expect(findEmittedPayloads(io, 'player_left')).toContainEqual({ playerId: guestId, reason: 'kicked' });
+    expect(findEmittedPayloads(io, 'chat_message_received').pop()).toMatchObject({
+      type: 'system',
+      message: 'Guest Player was removed by the host.',
+    });
+
+    await guestSocket.handlers.join_room({ roomId, displayName: 'Guest Player' });
+    expect(guestSocket.data.roomId).toBe(roomId);
+  });
+
+  it('bans a player by name and by session until the ban expires', async () => {
+    const { hostSocket, guestSocket, guestId } = await joinTable();
+    const bannedSessionId = guestSocket.data.sessionId;
+
+    const ack = jest.fn();
+    await hostSocket.handlers.ban_player({ playerId: guestId, durationMinutes: 15 }, ack);
+
+    expect(ack).toHaveBeenCalledWith(expect.objectContaining({ status: 'ok', reason: 'banned' }));
+    const { expiresAt } = ack.mock.calls[0][0];
+    expect(Date.parse(expiresAt) - Date.now()).toBeGreaterThan(14 * 60 * 1000);
+    expect(stateManager.getRoom(roomId).bans).toEqual([
+      expect.objectContaining({ displayName: 'Guest Player', sessionId: bannedSessionId, expiresAt }),
+    ]);
+
+    await guestSocket.handlers.join_room({ roomId, displayName: 'Guest Player' });
+    expect(lastJoinError(guestSocket)).toMatchObject({ error: 'banned' });
+
+    const renamedSocket = await connectSocket('socket-renamed', { handshake: { auth: { sessionId: bannedSessionId } } });
+    await renamedSocket.handlers.join_room({ roomId, displayName: 'Other Name' });
+    expect(lastJoinError(renamedSocket)).toMatchObject({ error: 'banned' });
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.parse(expiresAt) + 1);
+    await guestSocket.handlers.join_room({ roomId, displayName: 'Guest Player' });
+    jest.restoreAllMocks();
+    expect(guestSocket.data.roomId).toBe(roomId);
+  });
+
+  it('hands host to another player and keeps it there', async () => {
+    const { hostSocket, guestSocket, guestId } = await joinTable();
+
+    const ack = jest.fn();
+    await hostSocket.handlers.transfer_host({ playerId: guestId }, ack);
+
+    expect(ack).toHaveBeenCalledWith({ status: 'ok', hostId: guestId });
+    expect(findEmittedPayloads(io, 'host_changed')).toContainEqual({
+      roomId,
+      hostId: guestId,
+      previousHostId: hostSocket.data.playerId,
+    });
+
+    const lateSocket = await connectSocket('socket-late');
+    await lateSocket.handlers.join_room({ roomId, displayName: 'Late Player' });
+
+    expect(roomManager.getPlayer(guestId).isHost).toBe(true);
+    expect(roomManager.getPlayer(hostSocket.data.playerId).isHost).toBe(false);
+
+    const formerHostAck = jest.fn();
+    await hostSocket.handlers.kick_player({ playerId: guestId }, formerHostAck);
+    expect(formerHostAck).toHaveBeenCalledWith({ error: 'not_host' });
+    expect(guestSocket.data.roomId).toBe(roomId);
+  });
+
+  it('mutes and unmutes a player in chat', async () => {
+    const { hostSocket, guestSocket, guestId } = await joinTable();
+
+    await hostSocket.handlers.mute_player({ playerId: guestId, muted: true }, jest.fn());
+    expect(findEmittedPayloads(io, 'player_muted')).toContainEqual({ roomId, playerId: guestId, isMuted: true });
+
+    const mutedAck = jest.fn();
+    await guestSocket.handlers.chat_message({ message: 'hello?' }, mutedAck);
+    expect(mutedAck).toHaveBeenCalledWith({ error: 'muted' });
+
+    await hostSocket.handlers.mute_player({ playerId: guestId, muted: false }, jest.fn());
+
+    const chatAck = jest.fn();
+    await guestSocket.handlers.chat_message({ message: 'thanks' }, chatAck);
+    expect(chatAck).toHaveBeenCalledWith(expect.objectContaining({ status: 'ok' }));
+  });
+});
@@ -0,0 +1,195 @@
+'use strict';
+
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+
+const { createStateManager } = require('../../src/modules/stateManager');
+const { createRoomManager, DEFAULT_ROOMS } = require('../../src/modules/roomManager');
+const { createRoomSocketHandlers } = require('../../src/socket/roomHandlers');
+
+const createTestLogger = () => {
+  const logger = {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    child: jest.fn(),
+  };
+  logger.child.mockReturnValue(logger);
+  return logger;
+};
+
+const createIoStub = () => {
+  const sockets = new Map();
+  const io = {
+    to: jest.fn((roomId) => {
+      const emitter = {
+        emit: jest.fn(),
+      };
+      io.emittedRooms.push({ roomId, emitter });
+      return emitter;
+    }),
+    sockets: {
+      sockets,
+    },
+    emittedRooms: [],
+  };
+
+  return io;
+};
+
+const createMockSocket = (id, overrides = {}) => {
+  const socket = {
+    id,
+    data: {},
+    handshake: { auth: {} },
+    emit: jest.fn(),
+    join: jest.fn().mockResolvedValue(undefined),
+    leave: jest.fn().mockResolvedValue(undefined),
+    to: jest.fn(),
+    on: jest.fn(),
+    conn: { transport: { name: 'websocket' } },
+    handlers: {},
+    ...overrides,
+  };
+
+  socket.to.mockImplementation((roomId) => {
+    const emitter = {
+      emit: jest.fn(),
+    };
+    socket.emittedRooms = socket.emittedRooms || [];
+    socket.emittedRooms.push({ roomId, emitter });
+    return emitter;
+  });
+
+  socket.on.mockImplementation((event, handler) => {
+    socket.handlers[event] = handler;
+    return socket;
+  });
+
+  return socket;
+};
+
+const findEmittedPayloads = (io, eventName) =>
+  io.emittedRooms
+    .flatMap((entry) => entry.emitter.emit.mock.calls.filter((call) => call[0] === eventName))
+    .map((call) => call[1]);
+
+describe('pausing a running game', () => {
+  let tmpDir;
+  let stateManager;
+  let roomManager;
+  let io;
+  let logger;
+  let connectionHandler;
+  const roomId = DEFAULT_ROOMS[0].roomId;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'truco-pause-'));
+    logger = createTestLogger();
+    io = createIoStub();
+
+    stateManager = createStateManager({
+      snapshotPath: path.join(tmpDir, 'state.json'),
+      snapshotIntervalMs: 0,
+      logger,
+      bindProcessEvents: false,
+    });
+    await stateManager.init();
+
+    roomManager = createRoomManager({
+      stateManager,
+      logger,
+    });
+
+    connectionHandler = createRoomSocketHandlers({ io, roomManager, stateManager, logger });
+  });
+
+  afterEach(async () => {
+    connectionHandler?.__testHooks?.stopSessionSweep?.();
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    await stateManager.stop();
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  const connectSocket = async (id, overrides = {}) => {
+    const socket = createMockSocket(id, overrides);
+    await connectionHandler(socket);
+    io.sockets.sockets.set(socket.id, socket);
+    return socket;
+  };
+
+  const startTable = async (names) => {
+    const sockets = [];
+    for (const [index, displayName] of names.entries()) {
+      const socket = await connectSocket(`socket-${index}`);
+      await socket.handlers.join_room({ roomId, displayName });
+      sockets.push(socket);
+    }
+
+    await sockets[0].handlers.start_game();
+    return sockets;
+  };
+
+  const currentGame = () => stateManager.getGame(roomManager.getRoom(roomId).gameState.gameId);
+
+  it('freezes the turn timer while the host has the game paused', async () => {
+    jest.useFakeTimers();
+    const [hostSocket] = await startTable(['Host Player', 'Guest Player']);
+    const bidderSocket = hostSocket;
+
+    const before = findEmittedPayloads(io, 'turn_timer_update').pop();
+
+    const ack = jest.fn();
+    await hostSocket.handlers.pause_game({}, ack);
+    expect(ack).toHaveBeenCalledWith({ status: 'ok', passed: true });
+    expect(findEmittedPayloads(io, 'game_paused').pop()).toMatchObject({ roomId, reason: 'host' });
+    expect(currentGame().pause).toMatchObject({ reason: 'host', pausedBy: hostSocket.data.playerId });
+
+    jest.advanceTimersByTime(5 * 60 * 1000);
+    expect(findEmittedPayloads(io, 'auto_action')).toHaveLength(0);
+
+    await bidderSocket.handlers.submit_bid({ bid: 0 });
+    expect(bidderSocket.emit).toHaveBeenCalledWith('action_error', expect.objectContaining({ error: 'game_paused' }));
+
+    await hostSocket.handlers.resume_game({}, jest.fn());
+
+    expect(findEmittedPayloads(io, 'game_resumed').pop()).toMatchObject({ reason: 'host', pausedMs: 5 * 60 * 1000 });
+    expect(findEmittedPayloads(io, 'turn_timer_update').pop()).toMatchObject({
+      playerId: before.playerId,
+      deadline: before.deadline + 5 * 60 * 1000,
+    });
+    expect(currentGame()).toMatchObject({ pause: null, pausedMs: 5 * 60 * 1000 });
+
+    await bidderSocket.handlers.submit_bid({ bid: 0 });
+    expect(Object.keys(currentGame().rounds[0].bids)).toHaveLength(1);
+  });
+
+  it('pauses on a majority vote and resumes on its own after the longest pause', async () => {
+    jest.useFakeTimers();
+    const [hostSocket, guestSocket, thirdSocket] = await startTable(['Host Player', 'Guest Player', 'Third Player']);
+
+    const voteAck = jest.fn();
+    await guestSocket.handlers.pause_game({}, voteAck);
+    expect(voteAck).toHaveBeenCalledWith({ status: 'ok', passed: false, votes: 1, needed: 2 });
+    expect(findEmittedPayloads(io, 'pause_vote').pop()).toMatchObject({
+      action: 'pause',
+      votes: [guestSocket.data.playerId],
+      needed: 2,
+    });
+    expect(currentGame().pause).toBeFalsy();
+
+    await thirdSocket.handlers.pause_game({}, jest.fn());
+    expect(currentGame().pause).toMatchObject({ reason: 'vote', pausedBy: null });
+
+    const repeat = jest.fn();
+    await hostSocket.handlers.pause_game({}, repeat);
+    expect(repeat).toHaveBeenCalledWith({ error: 'invalid_state' });
+
+    jest.advanceTimersByTime(10 * 60 * 1000);
+    expect(findEmittedPayloads(io, 'game_resumed').pop()).toMatchObject({ reason: 'timeout' });
+    expect(currentGame().pause).toBeNull();
+  });
+});
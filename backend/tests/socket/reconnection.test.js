@@ -23,6 +23,7 @@ const createTestLogger = () => {
 const createIoStub = () => {
   const io = {
     to: jest.fn(),
+    sockets: { sockets: new Map() },
     emittedRooms: [],
   };
 
@@ -84,6 +85,7 @@ describe('socket reconnection handling', () => {
   const connectSocket = async (id, overrides = {}) => {
     const socket = createMockSocket(id, overrides);
     await connectionHandler(socket);
+    io.sockets.sockets.set(socket.id, socket);
     return socket;
   };
 
@@ -207,4 +209,61 @@ describe('socket reconnection handling', () => {
       reason: 'timeout',
     });
   });
+
+  it('hands an abandoned seat to a spectator until its player returns', async () => {
+    const hostSocket = await connectSocket('host');
+    await hostSocket.handlers.join_room({ roomId, displayName: 'Host Player' });
+
+    const guestSocket = await connectSocket('guest');
+    await guestSocket.handlers.join_room({ roomId, displayName: 'Guest Player' });
+
+    const thirdSocket = await connectSocket('third');
+    await thirdSocket.handlers.join_room({ roomId, displayName: 'Third Player' });
+
+    await hostSocket.handlers.start_game();
+
+    const watcherSocket = await connectSocket('watcher');
+    await watcherSocket.handlers.join_room({ roomId, displayName: 'Watcher', spectator: true });
+
+    const guestPlayerId = guestSocket.data.playerId;
+    const sessionId = guestSocket.data.sessionId;
+    await guestSocket.handlers.disconnect('transport close');
+
+    const ack = jest.fn();
+    await hostSocket.handlers.hand_over_seat(
+      { playerId: guestPlayerId, spectatorId: watcherSocket.data.playerId },
+      ack,
+    );
+
+    expect(ack).toHaveBeenCalledWith({
+      status: 'ok',
+      playerId: guestPlayerId,
+      standIn: { type: 'spectator', playerId: watcherSocket.data.playerId, displayName: 'Watcher' },
+    });
+    expect(connectionHandler.__testHooks.getDisconnectController(guestPlayerId)).toBeNull();
+
+    const watcherEvents = watcherSocket.emit.mock.calls.map(([eventName]) => eventName);
+    expect(watcherEvents).toEqual(expect.arrayContaining(['seat_assigned', 'cards_dealt']));
+
+    const gameId = roomManager.getRoom(roomId).gameState.gameId;
+    const round = stateManager.getGame(gameId).rounds[0];
+    const dealt = watcherSocket.emit.mock.calls.find(([eventName]) => eventName === 'cards_dealt')[1];
+    expect(dealt.hand).toHaveLength(round.hands[guestPlayerId].length);
+
+    let snapshot = stateManager.getGame(gameId);
+    while (snapshot.playerOrder[snapshot.currentPlayerIndex] !== guestPlayerId) {
+      const bidderId = snapshot.playerOrder[snapshot.currentPlayerIndex];
+      const bidderSocket = bidderId === hostSocket.data.playerId ? hostSocket : thirdSocket;
+      await bidderSocket.handlers.submit_bid({ bid: 0 });
+      snapshot = stateManager.getGame(gameId);
+    }
+
+    await watcherSocket.handlers.submit_bid({ bid: 0 });
+    expect(stateManager.getGame(gameId).rounds[0].bids[guestPlayerId]).toBe(0);
+
+    await connectSocket('guest-reconnect', { handshake: { auth: { sessionId } } });
+
+    expect(roomManager.getPlayer(guestPlayerId).standIn).toBeNull();
+    expect(watcherSocket.emit).toHaveBeenCalledWith('seat_released', { roomId, playerId: guestPlayerId });
+  });
 });
@@ -0,0 +1,317 @@
+'use strict';
+
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+
+const { createStateManager } = require('../../src/modules/stateManager');
+const { createRoomManager, DEFAULT_ROOMS } = require('../../src/modules/roomManager');
+const { createRoomSocketHandlers } = require('../../src/socket/roomHandlers');
+const { createSeededDeck, hashSeed } = require('../../src/modules/cardEngine');
+
+const createTestLogger = () => {
+  const logger = {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    child: jest.fn(),
+  };
+  logger.child.mockReturnValue(logger);
+  return logger;
+};
+
+const createIoStub = () => {
+  const sockets = new Map();
+  const io = {
+    to: jest.fn((roomId) => {
+      const emitter = {
+        emit: jest.fn(),
+      };
+      io.emittedRooms.push({ roomId, emitter });
+      return emitter;
+    }),
+    sockets: {
+      sockets,
+    },
+    emittedRooms: [],
+  };
+
+  return io;
+};
+
+const createMockSocket = (id, overrides = {}) => {
+  const socket = {
+    id,
+    data: {},
+    handshake: { auth: {} },
+    emit: jest.fn(),
+    join: jest.fn().mockResolvedValue(undefined),
+    leave: jest.fn().mockResolvedValue(undefined),
+    to: jest.fn(),
+    on: jest.fn(),
+    conn: { transport: { name: 'websocket' } },
+    handlers: {},
+    ...overrides,
+  };
+
+  socket.to.mockImplementation((roomId) => {
+    const emitter = {
+      emit: jest.fn(),
+    };
+    socket.emittedRooms = socket.emittedRooms || [];
+    socket.emittedRooms.push({ roomId, emitter });
+    return emitter;
+  });
+
+  socket.on.mockImplementation((event, handler) => {
+    socket.handlers[event] = handler;
+    return socket;
+  });
+
+  return socket;
+};
+
+const flushAsync = () => Promise.resolve();
+
+// Replays are written to disk without blocking the game flow; poll until the
+// file shows up.
+const readWhenWritten = async (filePath, attempts = 100) => {
+  for (let attempt = 0; attempt < attempts; attempt += 1) {
+    try {
+      return await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  throw new Error(`${filePath} was not written`);
+};
+
+describe('game replay recording', () => {
+  let tmpDir;
+  let stateManager;
+  let roomManager;
+  let io;
+  let logger;
+  let connectionHandler;
+  const roomId = DEFAULT_ROOMS[0].roomId;
+
+  beforeEach(async () => {
+    jest.useFakeTimers();
+
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'truco-replays-'));
+    logger = createTestLogger();
+    io = createIoStub();
+
+    stateManager = createStateManager({
+      snapshotPath: path.join(tmpDir, 'state.json'),
+      snapshotIntervalMs: 0,
+      logger,
+      bindProcessEvents: false,
+    });
+    await stateManager.init();
+
+    roomManager = createRoomManager({
+      stateManager,
+      logger,
+    });
+
+    connectionHandler = createRoomSocketHandlers({ io, roomManager, stateManager, logger });
+  });
+
+  afterEach(async () => {
+    jest.runOnlyPendingTimers();
+    jest.useRealTimers();
+    await stateManager.stop();
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  const connectSocket = async (id) => {
+    const socket = createMockSocket(id);
+    await connectionHandler(socket);
+    io.sockets.sockets.set(socket.id, socket);
+    return socket;
+  };
+
+  it('records the deal, bids, plays and round results, then saves the log when the game ends', async () => {
+    const hostSocket = await connectSocket('socket-host');
+    await hostSocket.handlers.join_room({ roomId, displayName: 'Host Player' });
+    const hostId = hostSocket.data.playerId;
+
+    const ack = jest.fn();
+    await hostSocket.handlers.add_bot({}, ack);
+    const botId = ack.mock.calls[0][0].player.playerId;
+
+    await hostSocket.handlers.start_game();
+    await flushAsync();
+
+    const { gameId } = roomManager.getRoom(roomId).toJSON().gameState;
+    const dealtHands = stateManager.getGame(gameId).rounds[0].hands;
+
+    await hostSocket.handlers.submit_bid({ bid: 0 });
+    await flushAsync();
+    jest.advanceTimersByTime(0);
+    await flushAsync();
+
+    const [hostCard] = dealtHands[hostId];
+    await hostSocket.handlers.play_card({ card: hostCard });
+    await flushAsync();
+    jest.advanceTimersByTime(0);
+    await flushAsync();
+
+    const replay = await stateManager.loadReplay(gameId);
+    expect(replay.completedAt).toBeNull();
+    expect(replay.players.map((player) => player.playerId)).toEqual([hostId, botId]);
+    expect(replay.events.map((event) => event.type)).toEqual([
+      'game_started',
+      'round_started',
+      'hands_dealt',
+      'bid_submitted',
+      'bid_submitted',
+      'trick_started',
+      'card_played',
+      'card_played',
+      'trick_completed',
+      'round_completed',
+    ]);
+    expect(replay.events.map((event) => event.seq)).toEqual(replay.events.map((_, index) => index + 1));
+
+    const handsDealt = replay.events.find((event) => event.type === 'hands_dealt');
+    expect(handsDealt.payload.hands[hostId]).toEqual([
+      expect.objectContaining({ rank: hostCard.rank, suit: hostCard.suit }),
+    ]);
+    expect(handsDealt.payload.hands[botId]).toHaveLength(1);
+
+    const trickCompleted = replay.events.find((event) => event.type === 'trick_completed');
+    expect(trickCompleted.payload).toEqual(expect.objectContaining({ cancelledCards: expect.any(Array) }));
+
+    const roundCompleted = replay.events.find((event) => event.type === 'round_completed');
+    expect(roundCompleted.payload.results[hostId]).toEqual(
+      expect.objectContaining({ livesLost: expect.any(Number), livesRemaining: expect.any(Number) }),
+    );
+
+    connectionHandler.__testHooks.completeGame({
+      room: roomManager.getRoom(roomId),
+      gameState: stateManager.getGame(gameId),
+      reason: 'victory',
+      loggerRef: logger,
+    });
+
+    const saved = JSON.parse(await readWhenWritten(path.join(tmpDir, 'replays', `${gameId}.json`)));
+    expect(saved.completedAt).toEqual(expect.any(String));
+    expect(saved.events.at(-1).type).toBe('game_completed');
+    expect(stateManager.replays.has(gameId)).toBe(false);
+  });
+
+  it('commits to the shuffle seeds and reveals them so the deal can be replayed', async () => {
+    let seedCount = 0;
+    connectionHandler = createRoomSocketHandlers({
+      io,
+      roomManager,
+      stateManager,
+      logger,
+      createServerSeed: () => {
+        seedCount += 1;
+        return `table-seed-${seedCount}`;
+      },
+    });
+
+    const hostSocket = await connectSocket('socket-host');
+    await hostSocket.handlers.join_room({ roomId, displayName: 'Host Player' });
+    const hostId = hostSocket.data.playerId;
+
+    // The first deal's server seed is committed before any client seed arrives.
+    const joined = hostSocket.emit.mock.calls.find(([event]) => event === 'room_joined')[1];
+    expect(joined.fairness).toEqual({ nextServerSeedHash: hashSeed('table-seed-1') });
+
+    const seedAck = jest.fn();
+    await hostSocket.handlers.set_client_seed({ clientSeed: 'host-entropy' }, seedAck);
+    expect(seedAck).toHaveBeenCalledWith({
+      status: 'ok',
+      clientSeed: 'host-entropy',
+      nextServerSeedHash: hashSeed('table-seed-1'),
+    });
+
+    const botAck = jest.fn();
+    await hostSocket.handlers.add_bot({}, botAck);
+    const botId = botAck.mock.calls[0][0].player.playerId;
+
+    await hostSocket.handlers.start_game();
+    await flushAsync();
+
+    const { gameId } = roomManager.getRoom(roomId).toJSON().gameState;
+
+    await hostSocket.handlers.submit_bid({ bid: 0 });
+    await flushAsync();
+    jest.advanceTimersByTime(0);
+    await flushAsync();
+
+    const [hostCard] = stateManager.getGame(gameId).rounds[0].hands[hostId];
+    await hostSocket.handlers.play_card({ card: hostCard });
+    await flushAsync();
+    jest.advanceTimersByTime(0);
+    await flushAsync();
+
+    const { events } = await stateManager.loadReplay(gameId);
+    const roundStarted = events.find((event) => event.type === 'round_started');
+    expect(roundStarted.payload.fairness).toEqual({
+      serverSeedHash: hashSeed('table-seed-1'),
+      nextServerSeedHash: hashSeed('table-seed-2'),
+      clientSeeds: { [hostId]: 'host-entropy' },
+      dealOrder: [hostId, botId],
+    });
+
+    const { fairness } = events.find((event) => event.type === 'round_completed').payload;
+    expect(hashSeed(fairness.serverSeed)).toBe(roundStarted.payload.fairness.serverSeedHash);
+    expect(fairness).toMatchObject({
+      serverSeed: 'table-seed-1',
+      nextServerSeedHash: hashSeed('table-seed-2'),
+      combinedSeed: `table-seed-1|${hostId}:host-entropy`,
+      dealOrder: [hostId, botId],
+    });
+
+    const [vira, hostDealt, botDealt] = createSeededDeck({
+      serverSeed: fairness.serverSeed,
+      clientSeeds: fairness.clientSeeds,
+    });
+    const { hands } = events.find((event) => event.type === 'hands_dealt').payload;
+    expect(roundStarted.payload.viraCard).toMatchObject({ rank: vira.rank, suit: vira.suit });
+    expect(hands[hostId]).toEqual([expect.objectContaining({ rank: hostDealt.rank, suit: hostDealt.suit })]);
+    expect(hands[botId]).toEqual([expect.objectContaining({ rank: botDealt.rank, suit: botDealt.suit })]);
+  });
+
+  it('saves the committed server seed with the room so a restart keeps the published hash', async () => {
+    connectionHandler = createRoomSocketHandlers({
+      io,
+      roomManager,
+      stateManager,
+      logger,
+      createServerSeed: () => 'table-seed-1',
+    });
+
+    const hostSocket = await connectSocket('socket-host');
+    await hostSocket.handlers.join_room({ roomId, displayName: 'Host Player' });
+
+    await stateManager.persist('test-suite');
+    const snapshot = JSON.parse(await fs.readFile(path.join(tmpDir, 'state.json'), 'utf8'));
+    expect(snapshot.rooms.find((room) => room.roomId === roomId).nextServerSeed).toBe('table-seed-1');
+
+    connectionHandler.__testHooks.stopSessionSweep();
+    connectionHandler = createRoomSocketHandlers({
+      io,
+      roomManager,
+      stateManager,
+      logger,
+      createServerSeed: () => 'restarted-seed',
+    });
+
+    const guestSocket = await connectSocket('socket-guest');
+    await guestSocket.handlers.join_room({ roomId, displayName: 'Guest Player' });
+    const joined = guestSocket.emit.mock.calls.find(([event]) => event === 'room_joined')[1];
+    expect(joined.fairness).toEqual({ nextServerSeedHash: hashSeed('table-seed-1') });
+    expect(JSON.stringify(joined)).not.toContain('table-seed-1');
+  });
+});
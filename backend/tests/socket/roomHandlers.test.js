@@ -5,7 +5,7 @@ const os = require('node:os');
 const path = require('node:path');
 
 const { createStateManager } = require('../../src/modules/stateManager');
-const { createRoomManager, DEFAULT_ROOMS } = require('../../src/modules/roomManager');
+const { createRoomManager, DEFAULT_ROOMS, MAX_PASSWORD_ATTEMPTS } = require('../../src/modules/roomManager');
 const { createRoomSocketHandlers } = require('../../src/socket/roomHandlers');
 
 const createTestLogger = () => {
@@ -176,6 +176,81 @@ describe('roomHandlers', () => {
     });
   });
 
+  it('lets players join a private room by its invite code', async () => {
+    const privateRoom = roomManager.createPrivateRoom({ displayName: 'Mesa da Ana' });
+    const socket = await connectSocket();
+
+    await socket.handlers.join_room({ roomId: `  ${privateRoom.inviteCode.toUpperCase()} `, displayName: 'Ana Maria' });
+
+    const joined = socket.emit.mock.calls.find(([eventName]) => eventName === 'room_joined');
+    expect(joined).toBeDefined();
+    expect(joined[1]).toMatchObject({ roomId: privateRoom.roomId });
+    expect(socket.join).toHaveBeenCalledWith(privateRoom.roomId);
+  });
+
+  it('lets the host lock the room and reports access errors on join', async () => {
+    const hostSocket = await connectSocket('socket-host');
+    await hostSocket.handlers.join_room({ roomId, displayName: 'Host Player' });
+
+    const guestSocket = await connectSocket('socket-guest');
+    await guestSocket.handlers.join_room({ roomId, displayName: 'Guest Player' });
+
+    const deniedAck = jest.fn();
+    await guestSocket.handlers.update_room_access({ password: 'segredo' }, deniedAck);
+    expect(deniedAck).toHaveBeenCalledWith({ error: 'not_host' });
+
+    const updateAck = jest.fn();
+    await hostSocket.handlers.update_room_access({ password: 'segredo', spectators: 'closed' }, updateAck);
+    expect(updateAck).toHaveBeenCalledWith({
+      status: 'ok',
+      access: { hasPassword: true, inviteOnly: false, invitedNames: [], spectators: 'closed' },
+    });
+
+    const accessBroadcast = io.emittedRooms
+      .filter((entry) => entry.roomId === roomId)
+      .flatMap((entry) => entry.emitter.emit.mock.calls)
+      .find(([eventName]) => eventName === 'room_access_updated');
+    expect(accessBroadcast[1]).toMatchObject({ roomId, access: { hasPassword: true } });
+
+    const joinErrorFor = async (payload) => {
+      const socket = await connectSocket();
+      await socket.handlers.join_room(payload);
+      return socket.emit.mock.calls.find(([eventName]) => eventName === 'join_error')?.[1];
+    };
+
+    expect(await joinErrorFor({ roomId, displayName: 'Late Player' })).toMatchObject({ error: 'password_required' });
+    expect(await joinErrorFor({ roomId, displayName: 'Late Player', password: 'errada' })).toMatchObject({
+      error: 'invalid_password',
+    });
+    expect(await joinErrorFor({ roomId, displayName: 'Watcher', spectator: true })).toMatchObject({
+      error: 'spectating_disabled',
+    });
+
+    const lateSocket = await connectSocket('socket-late');
+    await lateSocket.handlers.join_room({ roomId, displayName: 'Late Player', password: 'segredo' });
+    const joined = lateSocket.emit.mock.calls.find(([eventName]) => eventName === 'room_joined');
+    expect(joined[1].access).toMatchObject({ hasPassword: true, spectators: 'closed' });
+  });
+
+  it('reports a locked room once too many wrong passwords were tried', async () => {
+    await roomManager.updateRoomAccess({ roomId, password: 'segredo' });
+
+    const guesser = await connectSocket('socket-guesser');
+    for (let attempt = 0; attempt < MAX_PASSWORD_ATTEMPTS; attempt += 1) {
+      await guesser.handlers.join_room({ roomId, displayName: 'Guesser', password: 'errada' });
+    }
+    await guesser.handlers.join_room({ roomId, displayName: 'Guesser', password: 'segredo' });
+
+    const errors = guesser.emit.mock.calls
+      .filter(([eventName]) => eventName === 'join_error')
+      .map(([, payload]) => payload.error);
+    expect(errors).toEqual([
+      ...Array(MAX_PASSWORD_ATTEMPTS).fill('invalid_password'),
+      'password_locked',
+    ]);
+    expect(guesser.emit).not.toHaveBeenCalledWith('room_joined', expect.anything());
+  });
+
   it('handles leave_room by removing player and notifying the room', async () => {
     const socket = await connectSocket();
     await socket.handlers.join_room({ roomId, displayName: 'Ana Maria' });
@@ -327,6 +402,32 @@ describe('roomHandlers', () => {
     expect(actionError).toBeDefined();
   });
 
+  it('lets the host change the game speed and rejects unknown presets', async () => {
+    const hostSocket = await connectSocket('socket-host');
+    await hostSocket.handlers.join_room({ roomId, displayName: 'Host Player' });
+
+    const updateAck = jest.fn();
+    await hostSocket.handlers.update_host_settings({ gameSpeed: 'blitz' }, updateAck);
+
+    expect(updateAck).toHaveBeenCalledWith(
+      expect.objectContaining({
+        status: 'ok',
+        hostSettings: expect.objectContaining({ gameSpeed: 'blitz' }),
+      }),
+    );
+    expect(stateManager.getRoom(roomId).hostSettings.gameSpeed).toBe('blitz');
+
+    const invalidAck = jest.fn();
+    await hostSocket.handlers.update_host_settings({ gameSpeed: 'warp' }, invalidAck);
+
+    expect(invalidAck).toHaveBeenCalledWith({ error: 'invalid_settings' });
+    const actionError = hostSocket.emit.mock.calls.find(
+      ([eventName, payload]) => eventName === 'action_error' && payload.error === 'invalid_settings',
+    );
+    expect(actionError[1].message).toMatch(/Game speed/);
+    expect(stateManager.getRoom(roomId).hostSettings.gameSpeed).toBe('blitz');
+  });
+
   it('includes recent chat messages in room_joined payloads', async () => {
     const firstSocket = await connectSocket('socket-1');
     await firstSocket.handlers.join_room({ roomId, displayName: 'Player One' });
@@ -0,0 +1,220 @@
+'use strict';
+
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+
+const { createStateManager } = require('../../src/modules/stateManager');
+const { createRoomManager, DEFAULT_ROOMS } = require('../../src/modules/roomManager');
+const { createRoomSocketHandlers } = require('../../src/socket/roomHandlers');
+
+const createTestLogger = () => {
+  const logger = {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    child: jest.fn(),
+  };
+  logger.child.mockReturnValue(logger);
+  return logger;
+};
+
+const createIoStub = () => {
+  const sockets = new Map();
+  const io = {
+    to: jest.fn((roomId) => {
+      const emitter = {
+        emit: jest.fn(),
+      };
+      io.emittedRooms.push({ roomId, emitter });
+      return emitter;
+    }),
+    sockets: {
+      sockets,
+    },
+    emittedRooms: [],
+  };
+
+  return io;
+};
+
+const createMockSocket = (id, overrides = {}) => {
+  const socket = {
+    id,
+    data: {},
+    handshake: { auth: {} },
+    emit: jest.fn(),
+    join: jest.fn().mockResolvedValue(undefined),
+    leave: jest.fn().mockResolvedValue(undefined),
+    to: jest.fn(),
+    on: jest.fn(),
+    conn: { transport: { name: 'websocket' } },
+    handlers: {},
+    ...overrides,
+  };
+
+  socket.to.mockImplementation((roomId) => {
+    const emitter = {
+      emit: jest.fn(),
+    };
+    socket.emittedRooms = socket.emittedRooms || [];
+    socket.emittedRooms.push({ roomId, emitter });
+    return emitter;
+  });
+
+  socket.on.mockImplementation((event, handler) => {
+    socket.handlers[event] = handler;
+    return socket;
+  });
+
+  return socket;
+};
+
+const findEmittedPayloads = (io, eventName) =>
+  io.emittedRooms
+    .flatMap((entry) => entry.emitter.emit.mock.calls.filter((call) => call[0] === eventName))
+    .map((call) => call[1]);
+
+describe('seat queue', () => {
+  let tmpDir;
+  let stateManager;
+  let roomManager;
+  let io;
+  let logger;
+  let connectionHandler;
+  const roomId = DEFAULT_ROOMS[0].roomId;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'truco-seat-queue-'));
+    logger = createTestLogger();
+    io = createIoStub();
+
+    stateManager = createStateManager({
+      snapshotPath: path.join(tmpDir, 'state.json'),
+      snapshotIntervalMs: 0,
+      logger,
+      bindProcessEvents: false,
+    });
+    await stateManager.init();
+
+    roomManager = createRoomManager({
+      stateManager,
+      logger,
+    });
+
+    connectionHandler = createRoomSocketHandlers({ io, roomManager, stateManager, logger });
+  });
+
+  afterEach(async () => {
+    connectionHandler?.__testHooks?.stopSessionSweep?.();
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    await stateManager.stop();
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  const connectSocket = async (id, overrides = {}) => {
+    const socket = createMockSocket(id, overrides);
+    await connectionHandler(socket);
+    io.sockets.sockets.set(socket.id, socket);
+    return socket;
+  };
+
+  const joinedPayload = (socket) => socket.emit.mock.calls.find(([event]) => event === 'room_joined')?.[1];
+
+  it('queues a player who arrives mid-game and seats them once the rematch vote is over', async () => {
+    jest.useFakeTimers();
+    const hostSocket = await connectSocket('socket-host');
+    await hostSocket.handlers.join_room({ roomId, displayName: 'Host Player' });
+    const guestSocket = await connectSocket('socket-guest');
+    await guestSocket.handlers.join_room({ roomId, displayName: 'Guest Player' });
+    await hostSocket.handlers.start_game();
+
+    const lateSocket = await connectSocket('socket-late');
+    await lateSocket.handlers.join_room({ roomId, displayName: 'Late Player', queueForSeat: true });
+
+    const lateId = lateSocket.data.playerId;
+    expect(joinedPayload(lateSocket)).toMatchObject({
+      isSpectator: true,
+      seatQueue: [{ playerId: lateId, displayName: 'Late Player', position: 1 }],
+    });
+    expect(findEmittedPayloads(io, 'seat_queue_updated').pop()).toEqual({
+      roomId,
+      queue: [{ playerId: lateId, displayName: 'Late Player', position: 1 }],
+    });
+
+    const room = roomManager.getRoom(roomId);
+    connectionHandler.__testHooks.completeGame({
+      room,
+      gameState: stateManager.getGame(room.gameState.gameId),
+      reason: 'victory',
+      loggerRef: logger,
+    });
+
+    expect(roomManager.getRoom(roomId).rematch).not.toBeNull();
+    expect(roomManager.getRoom(roomId).seatQueue).toEqual([lateId]);
+    expect(findEmittedPayloads(io, 'player_joined').some(({ promoted }) => promoted)).toBe(false);
+
+    await hostSocket.handlers.start_game();
+
+    expect(findEmittedPayloads(io, 'spectator_left')).toContainEqual({ playerId: lateId, reason: 'promoted' });
+    expect(findEmittedPayloads(io, 'player_joined')).toContainEqual({
+      player: expect.objectContaining({ playerId: lateId, isSpectator: false }),
+      promoted: true,
+    });
+    expect(findEmittedPayloads(io, 'seat_queue_updated').pop()).toEqual({ roomId, queue: [] });
+    expect(roomManager.getRoom(roomId).players).toContain(lateId);
+    expect(lateSocket.data.isSpectator).toBe(false);
+    expect(findEmittedPayloads(io, 'game_started').pop().playerOrder).toContain(lateId);
+  });
+
+  it('does not seat the queue while the last game is voting on a rematch', async () => {
+    jest.useFakeTimers();
+    const hostSocket = await connectSocket('socket-host');
+    await hostSocket.handlers.join_room({ roomId, displayName: 'Host Player' });
+    const guestSocket = await connectSocket('socket-guest');
+    await guestSocket.handlers.join_room({ roomId, displayName: 'Guest Player' });
+    await hostSocket.handlers.start_game();
+
+    const room = roomManager.getRoom(roomId);
+    connectionHandler.__testHooks.completeGame({
+      room,
+      gameState: stateManager.getGame(room.gameState.gameId),
+      reason: 'victory',
+      loggerRef: logger,
+    });
+
+    const watcherSocket = await connectSocket('socket-watcher');
+    await watcherSocket.handlers.join_room({ roomId, displayName: 'Watcher', spectator: true });
+    const ack = jest.fn();
+    await watcherSocket.handlers.join_seat_queue({}, ack);
+
+    expect(ack).toHaveBeenCalledWith({ status: 'ok', position: 1, promoted: false });
+    expect(Object.keys(roomManager.getRoom(roomId).rematch.votes)).not.toContain(watcherSocket.data.playerId);
+
+    await hostSocket.handlers.vote_rematch({ accept: true });
+    await guestSocket.handlers.vote_rematch({ accept: true });
+
+    const rematch = findEmittedPayloads(io, 'game_started').pop();
+    expect(rematch.playerOrder).toEqual([hostSocket.data.playerId, guestSocket.data.playerId]);
+    expect(roomManager.getRoom(roomId).seatQueue).toEqual([watcherSocket.data.playerId]);
+  });
+
+  it('seats a spectator who queues while a lobby seat is free', async () => {
+    const hostSocket = await connectSocket('socket-host');
+    await hostSocket.handlers.join_room({ roomId, displayName: 'Host Player' });
+    const watcherSocket = await connectSocket('socket-watcher');
+    await watcherSocket.handlers.join_room({ roomId, displayName: 'Watcher', spectator: true });
+
+    const hostAck = jest.fn();
+    await hostSocket.handlers.join_seat_queue({}, hostAck);
+    expect(hostAck).toHaveBeenCalledWith({ error: 'invalid_player' });
+
+    const ack = jest.fn();
+    await watcherSocket.handlers.join_seat_queue({}, ack);
+
+    expect(ack).toHaveBeenCalledWith({ status: 'ok', position: null, promoted: true });
+    expect(roomManager.getPlayer(watcherSocket.data.playerId).isSpectator).toBe(false);
+  });
+});
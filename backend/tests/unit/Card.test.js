@@ -64,4 +64,27 @@ describe('Card', () => {
     expect(card.isManilha).toBe(false);
     expect(card.strength).toBe(Card.getBaseStrength('Q'));
   });
+
+  it('skips the 8s, 9s and 10s when the clean deck picks the manilha rank', () => {
+    expect(Card.getManilhaRank('7', { deck: 'clean' })).toBe('J');
+    expect(Card.isManilhaRank('J', '7', { deck: 'clean' })).toBe(true);
+    expect(() => Card.getManilhaRank('9', { deck: 'clean' })).toThrow('Invalid vira rank');
+  });
+
+  it('ranks the fixed manilhas above every other card regardless of the vira', () => {
+    const fixed = { manilhas: 'fixed' };
+    const order = [
+      Card.calculateStrength('4', 'clubs', null, fixed),
+      Card.calculateStrength('7', 'hearts', null, fixed),
+      Card.calculateStrength('A', 'spades', null, fixed),
+      Card.calculateStrength('7', 'diamonds', null, fixed),
+      Card.calculateStrength('3', 'clubs', null, fixed),
+    ];
+
+    expect([...order].sort((a, b) => b - a)).toEqual(order);
+
+    const sevenOfClubs = new Card('7', 'clubs').applyVira('6', fixed);
+    expect(sevenOfClubs.isManilha).toBe(false);
+    expect(sevenOfClubs.strength).toBe(Card.getBaseStrength('7'));
+  });
 });
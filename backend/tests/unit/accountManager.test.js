@@ -0,0 +1,227 @@
+'use strict';
+
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+
+const {
+  AccountManager,
+  AccountManagerError,
+  MAX_PIN_ATTEMPTS,
+  PIN_LOCKOUT_MS,
+} = require('../../src/modules/accountManager');
+
+const createTestLogger = () => {
+  const logger = {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    child: jest.fn(),
+  };
+  logger.child.mockReturnValue(logger);
+  return logger;
+};
+
+describe('AccountManager', () => {
+  let tmpDir;
+  let filePath;
+
+  const createManager = () =>
+    new AccountManager({
+      stateManager: { snapshotDir: tmpDir },
+      logger: createTestLogger(),
+      filePath,
+    });
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'truco-accounts-'));
+    filePath = path.join(tmpDir, 'accounts.json');
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  const signUp = async (manager, credentials) => manager.claim((await manager.authenticate(credentials)).account);
+
+  it('claims a display name on first use and requires the same PIN afterwards', async () => {
+    const manager = createManager();
+
+    const first = await manager.authenticate({ displayName: '  Ana   Paula ', pin: '1234' });
+    expect(first.created).toBe(true);
+    expect(first.account).toMatchObject({ displayName: 'Ana Paula', lastPlayedAt: null });
+    expect(first.account).not.toHaveProperty('pinHash');
+    expect(manager.getAccount(first.account.accountId)).toBeNull();
+
+    expect(manager.claim(first.account)).toEqual(first.account);
+
+    const again = await manager.authenticate({ displayName: 'ana paula', pin: '1234' });
+    expect(again).toEqual({ account: first.account, created: false });
+
+    await expect(manager.authenticate({ displayName: 'Ana Paula', pin: '9999' })).rejects.toThrow(AccountManagerError);
+    await expect(manager.authenticate({ displayName: 'Ana Paula', pin: '9999' })).rejects.toThrow(
+      expect.objectContaining({ code: 'INVALID_PIN' }),
+    );
+  });
+
+  it('refuses to claim a name another account took first', async () => {
+    const manager = createManager();
+
+    const first = await manager.authenticate({ displayName: 'Ana', pin: '1234' });
+    const second = await manager.authenticate({ displayName: 'ana', pin: '5678' });
+    manager.claim(second.account);
+
+    expect(() => manager.claim(first.account)).toThrow(expect.objectContaining({ code: 'NAME_TAKEN' }));
+  });
+
+  it('locks an account and the client out after too many wrong PINs', async () => {
+    const manager = createManager();
+    await signUp(manager, { displayName: 'Ana', pin: '1234' });
+    await signUp(manager, { displayName: 'Bruno', pin: '5678' });
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    for (let attempt = 0; attempt < MAX_PIN_ATTEMPTS; attempt += 1) {
+      await expect(manager.authenticate({ displayName: 'Ana', pin: '0000', attemptKey: 'socket-1' })).rejects.toThrow(
+        expect.objectContaining({ code: 'INVALID_PIN' }),
+      );
+    }
+
+    await expect(manager.authenticate({ displayName: 'Ana', pin: '1234', attemptKey: 'socket-2' })).rejects.toThrow(
+      expect.objectContaining({
+        code: 'PIN_LOCKED',
+        metadata: expect.objectContaining({ retryAfterMs: PIN_LOCKOUT_MS }),
+      }),
+    );
+    await expect(manager.authenticate({ displayName: 'Bruno', pin: '5678', attemptKey: 'socket-1' })).rejects.toThrow(
+      expect.objectContaining({ code: 'PIN_LOCKED' }),
+    );
+    await expect(
+      manager.authenticate({ displayName: 'Bruno', pin: '5678', attemptKey: 'socket-2' }),
+    ).resolves.toMatchObject({ created: false });
+
+    Date.now.mockReturnValue(now + PIN_LOCKOUT_MS);
+    await expect(
+      manager.authenticate({ displayName: 'Ana', pin: '1234', attemptKey: 'socket-1' }),
+    ).resolves.toMatchObject({ created: false });
+  });
+
+  it('accumulates game results into derived statistics', async () => {
+    const manager = createManager();
+    const account = await signUp(manager, { displayName: 'Ana', pin: '1234' });
+
+    expect(manager.getAccount(account.accountId).stats).toMatchObject({
+      gamesPlayed: 0,
+      bidAccuracy: null,
+      averageLivesLostPerRound: null,
+    });
+
+    manager.recordGame(account.accountId, {
+      won: true,
+      roundsPlayed: 4,
+      exactBids: 3,
+      livesLost: 1,
+      manilhasHeld: 2,
+    });
+    manager.recordGame(account.accountId, {
+      won: false,
+      roundsPlayed: 4,
+      exactBids: 1,
+      livesLost: 5,
+      manilhasHeld: 1,
+    });
+
+    const { stats, lastPlayedAt } = manager.getAccount(account.accountId);
+    expect(stats).toEqual({
+      gamesPlayed: 2,
+      wins: 1,
+      roundsPlayed: 8,
+      exactBids: 4,
+      livesLost: 6,
+      manilhasHeld: 3,
+      bidAccuracy: 0.5,
+      averageLivesLostPerRound: 0.75,
+    });
+    expect(lastPlayedAt).toEqual(expect.any(String));
+    expect(manager.recordGame('unknown', { won: true })).toBeNull();
+  });
+
+  it('persists accounts to disk and loads them on init', async () => {
+    const manager = createManager();
+    const account = await signUp(manager, { displayName: 'Ana', pin: '1234' });
+    manager.recordGame(account.accountId, { won: true, roundsPlayed: 2, exactBids: 2 });
+    await manager.persist();
+
+    const files = await fs.readdir(tmpDir);
+    expect(files).toEqual(['accounts.json']);
+
+    const restored = createManager();
+    await restored.init();
+
+    expect(restored.getAccount(account.accountId).stats).toMatchObject({
+      gamesPlayed: 1,
+      wins: 1,
+      exactBids: 2,
+    });
+    expect((await restored.authenticate({ displayName: 'Ana', pin: '1234' })).created).toBe(false);
+  });
+
+  it('starts empty when no accounts file exists yet', async () => {
+    const manager = createManager();
+    await manager.init();
+
+    expect(manager.getAccount('missing')).toBeNull();
+  });
+
+  it('rates signed-in players against each other and ranks them per scope', async () => {
+    const manager = createManager();
+    const ana = await signUp(manager, { displayName: 'Ana', pin: '1234' });
+    const bruno = await signUp(manager, { displayName: 'Bruno', pin: '5678' });
+
+    const changes = manager.recordRatedGame({
+      roomId: 'itajuba',
+      standings: [
+        { playerId: 'p-ana', accountId: ana.accountId, livesRemaining: 2 },
+        { playerId: 'p-guest', accountId: null, livesRemaining: 1 },
+        { playerId: 'p-bruno', accountId: bruno.accountId, livesRemaining: 0 },
+      ],
+    });
+
+    expect(changes).toEqual({
+      'p-ana': {
+        accountId: ana.accountId,
+        rating: 1516,
+        delta: 16,
+        roomRating: 1516,
+        roomDelta: 16,
+      },
+      'p-bruno': {
+        accountId: bruno.accountId,
+        rating: 1484,
+        delta: -16,
+        roomRating: 1484,
+        roomDelta: -16,
+      },
+    });
+    expect(manager.getAccount(ana.accountId).ratings).toEqual({
+      global: { rating: 1516, games: 1 },
+      rooms: { itajuba: { rating: 1516, games: 1 } },
+    });
+
+    expect(manager.listLeaderboard()).toEqual([
+      { rank: 1, accountId: ana.accountId, displayName: 'Ana', rating: 1516, games: 1 },
+      { rank: 2, accountId: bruno.accountId, displayName: 'Bruno', rating: 1484, games: 1 },
+    ]);
+    expect(manager.listLeaderboard({ roomId: 'itajuba', limit: 1 })).toHaveLength(1);
+    expect(manager.listLeaderboard({ roomId: 'piranguinho' })).toEqual([]);
+
+    expect(
+      manager.recordRatedGame({
+        roomId: 'itajuba',
+        standings: [{ playerId: 'p-ana', accountId: ana.accountId, livesRemaining: 1 }],
+      }),
+    ).toEqual({});
+  });
+});
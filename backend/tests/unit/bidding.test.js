@@ -68,6 +68,59 @@ describe('gameLogic/bidding', () => {
       expect(result.validBids).toEqual([0, 1]);
       expect(result.metadata.lastBidderRestrictionApplied).toBe(false);
     });
+
+    it('lifts the restriction when the room plays without one', () => {
+      const result = calculateValidBids({
+        cardCount,
+        playerId: 'player-3',
+        playerOrder,
+        bids: { 'player-1': 1, 'player-2': 0 },
+        bidRules: { restriction: 'none' },
+      });
+
+      expect(result.isLastBidder).toBe(true);
+      expect(result.restrictedBid).toBeNull();
+      expect(result.validBids).toEqual([0, 1, 2]);
+      expect(result.metadata.restrictionApplied).toBe(false);
+    });
+
+    it('restricts the dealer even when the dealer does not bid last', () => {
+      const bidRules = { restriction: 'dealer' };
+      const dealerTurn = calculateValidBids({
+        cardCount,
+        playerId: 'player-2',
+        playerOrder,
+        bids: { 'player-1': 1 },
+        bidRules,
+        dealerId: 'player-2',
+      });
+      const lastTurn = calculateValidBids({
+        cardCount,
+        playerId: 'player-3',
+        playerOrder,
+        bids: { 'player-1': 1, 'player-2': 0 },
+        bidRules,
+        dealerId: 'player-2',
+      });
+
+      expect(dealerTurn.restrictedBid).toBe(1);
+      expect(dealerTurn.validBids).toEqual([0, 2]);
+      expect(lastTurn.validBids).toEqual([0, 1, 2]);
+    });
+
+    it('forbids totals within the tolerance of the card count', () => {
+      const result = calculateValidBids({
+        cardCount: 3,
+        playerId: 'player-3',
+        playerOrder,
+        bids: { 'player-1': 1, 'player-2': 0 },
+        bidRules: { tolerance: 1 },
+      });
+
+      expect(result.restrictedBid).toBe(2);
+      expect(result.metadata.restrictedBids).toEqual([1, 2, 3]);
+      expect(result.validBids).toEqual([0]);
+    });
   });
 
   describe('validateBid', () => {
@@ -123,5 +176,20 @@ describe('gameLogic/bidding', () => {
       expect(outcome.details.validBids).toEqual([0, 1]);
       expect(outcome.details.metadata.lastBidderRestrictionApplied).toBe(false);
     });
+
+    it('reports the dealer rule when it rejects a bid', () => {
+      const outcome = validateBid({
+        cardCount: 1,
+        bid: 0,
+        playerId: 'player-2',
+        playerOrder,
+        bids: { 'player-1': 1 },
+        bidRules: { restriction: 'dealer' },
+      });
+
+      expect(outcome.isValid).toBe(false);
+      expect(outcome.code).toBe('dealer_restriction');
+      expect(outcome.reason).toMatch(/dealer restriction/i);
+    });
   });
 });
@@ -0,0 +1,142 @@
+'use strict';
+
+const {
+  createBotStrategy,
+  estimateExpectedTricks,
+  pickBotName,
+} = require('../../src/modules/gameLogic/bots');
+
+const medium = createBotStrategy('medium');
+
+const playerOrder = ['bot', 'human'];
+
+const createRound = (overrides = {}) => ({
+  cardCount: 2,
+  viraCard: { rank: '7', suit: 'hearts' },
+  isBlindRound: false,
+  bids: {},
+  tricks: [],
+  hands: {
+    bot: [
+      { rank: 'Q', suit: 'clubs' },
+      { rank: '8', suit: 'hearts' },
+    ],
+    human: [
+      { rank: '5', suit: 'spades' },
+      { rank: '6', suit: 'diamonds' },
+    ],
+  },
+  ...overrides,
+});
+
+describe('gameLogic/bots', () => {
+  it('expects more tricks when holding manilhas', () => {
+    const strong = estimateExpectedTricks({ round: createRound(), playerOrder, playerId: 'bot' });
+    const weak = estimateExpectedTricks({
+      round: createRound({
+        hands: {
+          bot: [
+            { rank: '4', suit: 'clubs' },
+            { rank: '5', suit: 'hearts' },
+          ],
+          human: [],
+        },
+      }),
+      playerOrder,
+      playerId: 'bot',
+    });
+
+    expect(strong).toBeGreaterThan(weak);
+  });
+
+  it('bids from the valid bids list honouring the last bidder restriction', () => {
+    const round = createRound({ bids: { human: 0 } });
+    const bid = medium.selectBid({ round, playerOrder: ['human', 'bot'], playerId: 'bot' });
+
+    expect(bid).not.toBe(2);
+    expect([0, 1]).toContain(bid);
+  });
+
+  it('plays the cheapest winning card while it still needs tricks', () => {
+    const round = createRound({ bids: { bot: 1, human: 0 } });
+    const trick = {
+      trickNumber: 1,
+      leadPlayer: 'human',
+      cardsPlayed: { human: { rank: '5', suit: 'spades' } },
+    };
+
+    expect(medium.selectCard({ round, trick, playerId: 'bot' })).toMatchObject({ rank: 'Q', suit: 'clubs' });
+  });
+
+  it('ducks under the current winner once its bid is met', () => {
+    const round = createRound({
+      bids: { bot: 0, human: 1 },
+      hands: {
+        bot: [
+          { rank: 'Q', suit: 'clubs' },
+          { rank: '4', suit: 'hearts' },
+        ],
+        human: [{ rank: '6', suit: 'diamonds' }],
+      },
+    });
+    const trick = {
+      trickNumber: 1,
+      leadPlayer: 'human',
+      cardsPlayed: { human: { rank: '5', suit: 'spades' } },
+    };
+
+    expect(medium.selectCard({ round, trick, playerId: 'bot' })).toMatchObject({ rank: '4', suit: 'hearts' });
+  });
+
+  it('falls back to medium for unknown difficulty levels', () => {
+    expect(createBotStrategy('impossible').level).toBe('medium');
+  });
+
+  it('plays random legal moves on easy', () => {
+    const easy = createBotStrategy('easy', { random: () => 0.99 });
+    const round = createRound();
+
+    expect(easy.selectBid({ round, playerOrder, playerId: 'bot' })).toBe(2);
+    expect(easy.selectCard({ round, trick: null, playerId: 'bot' })).toMatchObject({ rank: '8', suit: 'hearts' });
+  });
+
+  it('uses cards already seen this round to avoid leading into a known loss', () => {
+    const hard = createBotStrategy('hard');
+    const round = createRound({
+      cardCount: 3,
+      viraCard: { rank: '4', suit: 'clubs' },
+      bids: { bot: 1, human: 1, third: 1 },
+      hands: {
+        bot: [
+          { rank: '3', suit: 'hearts' },
+          { rank: 'K', suit: 'hearts' },
+        ],
+        human: [{ rank: '6', suit: 'spades' }],
+        third: [{ rank: '7', suit: 'spades' }],
+      },
+      tricks: [
+        {
+          trickNumber: 1,
+          completedAt: '2024-01-01T00:00:00.000Z',
+          winner: 'human',
+          cardsPlayed: {
+            bot: { rank: '4', suit: 'hearts' },
+            human: { rank: '5', suit: 'clubs' },
+            third: { rank: '5', suit: 'diamonds' },
+          },
+          cancelledCards: [],
+        },
+      ],
+    });
+    const trick = { trickNumber: 2, leadPlayer: 'bot', cardsPlayed: {} };
+
+    // Two of the four manilhas (5s) are gone, so the 3 is a safe bet to hold.
+    expect(hard.selectCard({ round, trick, playerId: 'bot', playerOrder: ['bot', 'human', 'third'] })).toMatchObject({
+      rank: '3',
+    });
+  });
+
+  it('picks unused bot names', () => {
+    expect(pickBotName(['Bot Ze'])).toBe('Bot Tiao');
+  });
+});
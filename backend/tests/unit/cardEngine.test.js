@@ -91,6 +91,62 @@ describe('cardEngine', () => {
     });
   });
 
+  describe('seeded shuffles', () => {
+    it('reproduces the same deck from the same seeds', () => {
+      const seeds = { serverSeed: 'server', clientSeeds: { p2: 'beta', p1: 'alpha' } };
+      const first = cardEngine.createSeededDeck(seeds).map((card) => card.displayName);
+      const again = cardEngine.createSeededDeck({ ...seeds, clientSeeds: { p1: 'alpha', p2: 'beta' } });
+
+      expect(again.map((card) => card.displayName)).toEqual(first);
+      expect(new Set(first).size).toBe(52);
+    });
+
+    it('changes the deal when any seed changes', () => {
+      const deal = (seeds) => cardEngine.createSeededDeck(seeds).map((card) => card.displayName).join();
+      const base = deal({ serverSeed: 'server', clientSeeds: { p1: 'alpha' } });
+
+      expect(deal({ serverSeed: 'server', clientSeeds: { p1: 'alphb' } })).not.toBe(base);
+      expect(deal({ serverSeed: 'servex', clientSeeds: { p1: 'alpha' } })).not.toBe(base);
+    });
+
+    it('commits to a server seed with its SHA-256 hash', () => {
+      expect(cardEngine.hashSeed('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+      expect(cardEngine.createServerSeed()).toMatch(/^[0-9a-f]{64}$/);
+    });
+  });
+
+  describe('deck and manilha variants', () => {
+    it('builds the clean 40-card deck without 8s, 9s and 10s', () => {
+      const deck = cardEngine.createDeck({ deck: 'clean' });
+
+      expect(deck).toHaveLength(40);
+      expect(deck.some((card) => ['8', '9', '10'].includes(card.rank))).toBe(false);
+    });
+
+    it('keeps the whole deck in play when manilhas are fixed', () => {
+      const deck = cardEngine.createDeck({ deck: 'clean' });
+      const { viraCard, remainingDeck, manilhaRank } = cardEngine.drawVira(deck, { manilhas: 'fixed' });
+
+      expect(viraCard).toBeNull();
+      expect(manilhaRank).toBeNull();
+      expect(remainingDeck).toHaveLength(40);
+    });
+
+    it('compares fixed manilhas in their traditional order', () => {
+      const fixed = { manilhas: 'fixed' };
+      const [zap, copas, espadilha, pica] = cardEngine.applyViraToCards(
+        [new Card('4', 'clubs'), new Card('7', 'hearts'), new Card('A', 'spades'), new Card('7', 'diamonds')],
+        null,
+        fixed,
+      );
+
+      expect([zap, copas, espadilha, pica].every((card) => card.isManilha)).toBe(true);
+      expect(cardEngine.compareCards(zap, copas, null, fixed)).toBe(1);
+      expect(cardEngine.compareCards(espadilha, copas, null, fixed)).toBe(-1);
+      expect(cardEngine.compareCards(pica, new Card('3', 'clubs'), null, fixed)).toBe(1);
+    });
+  });
+
   describe('compareCards', () => {
     it('compares cards considering manilha rules and suit hierarchy', () => {
       const viraRank = '7';
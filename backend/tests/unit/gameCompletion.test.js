@@ -5,6 +5,7 @@ const {
   calculateGameStats,
   buildStandings,
   determineWinner,
+  summarizePlayerPerformance,
 } = require('../../src/modules/gameLogic/gameCompletion');
 
 describe('game completion helpers', () => {
@@ -65,7 +66,70 @@ describe('game completion helpers', () => {
     ];
 
     expect(determineWinner(standings, 'normal')).toBe('ana');
-    expect(determineWinner(standings, 'timeout')).toBeNull();
+    expect(determineWinner(standings, 'timeout')).toBe('ana');
+    expect(determineWinner([{ playerId: 'ana', livesRemaining: 2 }, { playerId: 'bruno', livesRemaining: 2 }], 'timeout')).toBeNull();
+  });
+
+  it('ranks a timed-out game by lives, then bid accuracy, then tricks won', () => {
+    const round = (bids, winners) => ({
+      completedAt: '2025-01-01T00:01:00.000Z',
+      bids,
+      hands: {},
+      tricks: winners.map((winner) => ({ winner, cardsPlayed: {} })),
+    });
+
+    const payload = buildGameCompletionPayload({
+      reason: 'timeout',
+      gameState: {
+        rounds: [
+          round({ ana: 1, bruno: 1, carla: 0 }, ['ana', 'bruno']),
+          round({ ana: 1, bruno: 1, carla: 1 }, ['bruno', 'carla']),
+        ],
+      },
+      players: [
+        { playerId: 'ana', displayName: 'Ana', livesRemaining: 2 },
+        { playerId: 'bruno', displayName: 'Bruno', livesRemaining: 2 },
+        { playerId: 'carla', displayName: 'Carla', livesRemaining: 1 },
+      ],
+    });
+
+    expect(payload.winner).toBe('bruno');
+    expect(payload.finalStandings.map((entry) => entry.playerId)).toEqual(['bruno', 'ana', 'carla']);
+    expect(payload.finalStandings[0]).toMatchObject({ bidAccuracy: 1, tricksWon: 2 });
+    expect(payload.tieBreak).toEqual({
+      decidedBy: 'bidAccuracy',
+      explanation: 'Time ran out with Bruno and Ana level on lives; Bruno won on bid accuracy (100% vs 50%).',
+    });
+  });
+
+  it('counts cancelled tricks carried over to a trick towards its winner', () => {
+    const payload = buildGameCompletionPayload({
+      reason: 'timeout',
+      gameState: {
+        rounds: [
+          {
+            completedAt: '2025-01-01T00:01:00.000Z',
+            bids: { ana: 1, bruno: 2, carla: 0 },
+            hands: {},
+            tricks: [
+              { winner: null, resolution: 'carry-over', carriedTricks: 0, cardsPlayed: {} },
+              { winner: 'bruno', resolution: 'highest-card', carriedTricks: 1, cardsPlayed: {} },
+              { winner: 'ana', resolution: 'highest-card', carriedTricks: 0, cardsPlayed: {} },
+            ],
+          },
+        ],
+      },
+      players: [
+        { playerId: 'ana', displayName: 'Ana', livesRemaining: 2 },
+        { playerId: 'bruno', displayName: 'Bruno', livesRemaining: 2 },
+        { playerId: 'carla', displayName: 'Carla', livesRemaining: 1 },
+      ],
+    });
+
+    expect(payload.winner).toBe('bruno');
+    expect(payload.finalStandings[0]).toMatchObject({ playerId: 'bruno', bidAccuracy: 1, tricksWon: 2 });
+    expect(payload.finalStandings[1]).toMatchObject({ playerId: 'ana', bidAccuracy: 1, tricksWon: 1 });
+    expect(payload.tieBreak.decidedBy).toBe('tricksWon');
   });
 
   it('builds completion payload with stats, standings, and reason', () => {
@@ -90,4 +154,92 @@ describe('game completion helpers', () => {
     expect(payload.gameStats.totalTricks).toBe(1);
     expect(payload.gameStats.duration).toBeGreaterThan(0);
   });
+
+  it('places players knocked out later above those knocked out earlier', () => {
+    const payload = buildGameCompletionPayload({
+      reason: 'victory',
+      gameState: {
+        rounds: [
+          { hands: { ana: [], bruno: [], carla: [], davi: [] } },
+          { hands: { ana: [], bruno: [], carla: [] } },
+          { hands: { ana: [], carla: [] } },
+        ],
+      },
+      players: [
+        { playerId: 'ana', displayName: 'Ana', livesRemaining: 1 },
+        { playerId: 'bruno', displayName: 'Bruno', livesRemaining: 0 },
+        { playerId: 'carla', displayName: 'Carla', livesRemaining: 0 },
+        { playerId: 'davi', displayName: 'Davi', livesRemaining: 0 },
+      ],
+    });
+
+    expect(payload.finalStandings.map(({ playerId, placement }) => [playerId, placement])).toEqual([
+      ['ana', 1],
+      ['carla', 2],
+      ['bruno', 3],
+      ['davi', 4],
+    ]);
+  });
+
+  it('shares a placement between players the timeout ranking cannot separate', () => {
+    const payload = buildGameCompletionPayload({
+      reason: 'timeout',
+      gameState: { rounds: [] },
+      players: [
+        { playerId: 'ana', displayName: 'Ana', livesRemaining: 2 },
+        { playerId: 'bruno', displayName: 'Bruno', livesRemaining: 2 },
+        { playerId: 'carla', displayName: 'Carla', livesRemaining: 1 },
+      ],
+    });
+
+    expect(payload.finalStandings.map(({ playerId, placement }) => [playerId, placement])).toEqual([
+      ['ana', 1],
+      ['bruno', 1],
+      ['carla', 3],
+    ]);
+  });
+
+  it('summarizes bids, lives lost and manilhas held per player over completed rounds', () => {
+    const gameState = {
+      rounds: [
+        {
+          completedAt: '2025-01-01T00:01:00.000Z',
+          manilhaRank: '5',
+          bids: { ana: 1, bruno: 0 },
+          hands: { ana: [], bruno: [] },
+          tricks: [
+            {
+              winner: 'ana',
+              cardsPlayed: {
+                ana: { rank: '5', suit: 'clubs', isManilha: true },
+                bruno: { rank: 'K', suit: 'hearts' },
+              },
+            },
+          ],
+        },
+        {
+          completedAt: '2025-01-01T00:02:00.000Z',
+          manilhaRank: 'A',
+          bids: { ana: 2, bruno: 0 },
+          hands: { ana: [], bruno: [] },
+          tricks: [
+            { winner: 'bruno', cardsPlayed: { ana: { rank: '4', suit: 'clubs' }, bruno: { rank: 'A', suit: 'spades' } } },
+            { winner: 'ana', cardsPlayed: { ana: { rank: 'A', suit: 'hearts' }, bruno: { rank: '7', suit: 'clubs' } } },
+          ],
+        },
+        {
+          completedAt: null,
+          manilhaRank: '2',
+          bids: { ana: 1 },
+          hands: { ana: [{ rank: '2', suit: 'clubs' }] },
+          tricks: [],
+        },
+      ],
+    };
+
+    expect(summarizePlayerPerformance({ gameState, winner: 'ana' })).toEqual({
+      ana: { won: true, roundsPlayed: 2, exactBids: 1, livesLost: 1, manilhasHeld: 2 },
+      bruno: { won: false, roundsPlayed: 2, exactBids: 1, livesLost: 1, manilhasHeld: 1 },
+    });
+  });
 });
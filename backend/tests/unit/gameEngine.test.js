@@ -0,0 +1,357 @@
+'use strict';
+
+const { hashSeed } = require('../../src/modules/cardEngine');
+const {
+  GAME_ACTIONS,
+  createGame,
+  reduce,
+  reduceAll,
+  getCurrentPlayerId,
+} = require('../../src/modules/gameEngine');
+
+const at = '2026-01-01T12:00:00.000Z';
+
+const createFairness = (serverSeed) => ({
+  serverSeed,
+  serverSeedHash: hashSeed(serverSeed),
+  clientSeeds: {},
+});
+
+const dealFirstRound = (playerOrder = ['p1', 'p2', 'p3']) =>
+  reduce(createGame({ roomId: 'room-1', gameId: 'game-1', playerOrder, startingLives: 3 }), {
+    type: 'start_round',
+    at,
+    ruleSet: { blindRounds: 'none' },
+    fairness: createFairness('engine'),
+  });
+
+const getRound = (state) => state.rounds[state.currentRound - 1];
+
+describe('game engine', () => {
+  it('deals a round from the fairness seeds without mutating the input', () => {
+    const game = createGame({
+      roomId: 'room-1',
+      gameId: 'game-1',
+      playerOrder: ['p1', 'p2', 'p3'],
+    });
+    const snapshot = JSON.parse(JSON.stringify(game));
+    const action = {
+      type: 'start_round',
+      at,
+      ruleSet: { blindRounds: 'none' },
+      fairness: createFairness('engine'),
+    };
+
+    const { state, events } = reduce(game, action);
+
+    expect(game).toEqual(snapshot);
+    expect(reduce(game, action).state.rounds[0].hands).toEqual(state.rounds[0].hands);
+    expect(events.map((event) => event.type)).toEqual(['round_started', 'hands_dealt']);
+    expect(events[0].payload).toMatchObject({
+      roundNumber: 1,
+      cardCount: 1,
+      dealerId: 'p3',
+      firstBidderId: 'p1',
+      fairness: { serverSeedHash: hashSeed('engine') },
+    });
+    expect(events[0].payload.fairness).not.toHaveProperty('serverSeed');
+    expect(state).toMatchObject({ currentPhase: 'bidding', currentRound: 1, dealerId: 'p3' });
+    expect(getCurrentPlayerId(state)).toBe('p1');
+    expect(Object.values(events[1].payload.hands).map((hand) => hand.length)).toEqual([1, 1, 1]);
+  });
+
+  it('rejects out-of-turn actions and leaves the state untouched', () => {
+    const { state } = dealFirstRound();
+
+    const outOfTurn = reduce(state, { type: 'submit_bid', playerId: 'p2', bid: 0 });
+    expect(outOfTurn.state).toBe(state);
+    expect(outOfTurn.events).toEqual([
+      {
+        type: 'action_rejected',
+        payload: expect.objectContaining({
+          action: 'submit_bid',
+          error: 'invalid_turn',
+          currentPlayer: 'p1',
+        }),
+      },
+    ]);
+
+    expect(
+      reduce(state, { type: 'play_card', at, playerId: 'p1', card: null }).events[0].payload.error,
+    ).toBe('invalid_phase');
+    expect(
+      reduce(state, { type: 'start_round', at, ruleSet: {}, fairness: createFairness('again') })
+        .events[0].payload.error,
+    ).toBe('invalid_phase');
+  });
+
+  it('plays a round from bids to scoring', () => {
+    const { state: dealt } = dealFirstRound();
+    const bidRules = { restriction: 'none' };
+
+    const bidding = reduceAll(dealt, [
+      { type: 'submit_bid', playerId: 'p1', bid: 1, bidRules },
+      { type: 'submit_bid', playerId: 'p2', bid: 0, bidRules },
+      { type: 'submit_bid', playerId: 'p3', bid: 0, bidRules },
+      { type: 'start_trick', at },
+    ]);
+
+    expect(bidding.state.currentPhase).toBe('playing');
+    expect(bidding.events.at(-2).payload.allBids).toEqual({ p1: 1, p2: 0, p3: 0 });
+    expect(bidding.events.at(-1)).toEqual({
+      type: 'trick_started',
+      payload: { trickNumber: 1, leadPlayer: 'p1' },
+    });
+
+    const hands = getRound(bidding.state).hands;
+    const playing = reduceAll(
+      bidding.state,
+      ['p1', 'p2', 'p3'].map((playerId) => ({
+        type: 'play_card',
+        at,
+        playerId,
+        card: hands[playerId][0],
+      })),
+    );
+    const trickCompleted = playing.events.find((event) => event.type === 'trick_completed');
+
+    expect(playing.state.currentPhase).toBe('scoring');
+    expect(trickCompleted.payload).toMatchObject({ trickNumber: 1, nextTrick: false });
+    expect(Object.values(getRound(playing.state).hands).flat()).toEqual([]);
+
+    const { state: scored, events } = reduce(playing.state, { type: 'score_round', at });
+    const { results, eliminatedPlayers } = events[0].payload;
+    const winner = trickCompleted.payload.winner;
+
+    expect(events[0].type).toBe('round_completed');
+    expect(eliminatedPlayers).toEqual([]);
+    Object.entries(results).forEach(([playerId, result]) => {
+      expect(result.actual).toBe(playerId === winner ? 1 : 0);
+      expect(result.livesRemaining).toBe(3 - result.livesLost);
+      expect(scored.lives[playerId]).toBe(result.livesRemaining);
+    });
+
+    expect(reduce(scored, { type: 'score_round', at }).events[0].payload.error).toBe(
+      'round_already_scored',
+    );
+  });
+
+  it('eliminates players who run out of lives', () => {
+    const { state: dealt } = dealFirstRound(['p1', 'p2']);
+    const bidRules = { restriction: 'none' };
+    const { state: bid } = reduceAll(dealt, [
+      { type: 'submit_bid', playerId: 'p1', bid: 1, bidRules },
+      { type: 'submit_bid', playerId: 'p2', bid: 1, bidRules },
+      { type: 'start_trick', at },
+    ]);
+    const hands = getRound(bid).hands;
+    const { state: played, events: playEvents } = reduceAll(bid, [
+      { type: 'play_card', at, playerId: 'p1', card: hands.p1[0] },
+      { type: 'play_card', at, playerId: 'p2', card: hands.p2[0] },
+    ]);
+    const winner = playEvents.at(-1).payload.winner;
+
+    // Bids of 1 each: whoever does not take the only trick loses their last life.
+    const { state: scored, events } = reduce(played, {
+      type: 'score_round',
+      at,
+      lives: { p1: 1, p2: 1 },
+    });
+    const losers = ['p1', 'p2'].filter((playerId) => playerId !== winner);
+
+    expect(events[0].payload.eliminatedPlayers).toEqual(losers);
+    expect(scored.playerOrder).toEqual(
+      ['p1', 'p2'].filter((playerId) => !losers.includes(playerId)),
+    );
+
+    expect(
+      reduce(scored, { type: 'start_round', at, ruleSet: {}, fairness: createFairness('round-2') })
+        .events[0].payload.error,
+    ).toBe('insufficient_players');
+  });
+
+  it('rejects a card the player does not hold', () => {
+    const { state: dealt } = dealFirstRound(['p1', 'p2']);
+    const bidRules = { restriction: 'none' };
+    const { state } = reduceAll(dealt, [
+      { type: 'submit_bid', playerId: 'p1', bid: 0, bidRules },
+      { type: 'submit_bid', playerId: 'p2', bid: 0, bidRules },
+      { type: 'start_trick', at },
+    ]);
+    const opponentCard = getRound(state).hands.p2[0];
+
+    const { state: after, events } = reduce(state, {
+      type: 'play_card',
+      at,
+      playerId: 'p1',
+      card: opponentCard,
+    });
+
+    expect(after).toBe(state);
+    expect(events[0].type).toBe('action_rejected');
+    expect(events[0].payload.error).toBe('card_not_in_hand');
+  });
+
+  it('carries a cancelled trick over to the next winner under the carry-over rule', () => {
+    const { state: dealt } = reduce(
+      createGame({ roomId: 'room-1', gameId: 'game-1', playerOrder: ['p1', 'p2'] }),
+      {
+        type: 'start_round',
+        at,
+        ruleSet: { blindRounds: 'none', cancelledTricks: 'carry-over' },
+        fairness: createFairness('carry'),
+      },
+    );
+    // Two tricks from a known vira: the kings cancel, then the ace wins.
+    const round = getRound(dealt);
+    round.cardCount = 2;
+    round.viraCard = { rank: '4', suit: 'clubs' };
+    round.hands = {
+      p1: [
+        { rank: 'K', suit: 'hearts' },
+        { rank: '6', suit: 'clubs' },
+      ],
+      p2: [
+        { rank: 'K', suit: 'spades' },
+        { rank: 'A', suit: 'diamonds' },
+      ],
+    };
+    const bidRules = { restriction: 'none' };
+
+    const first = reduceAll(dealt, [
+      { type: 'submit_bid', playerId: 'p1', bid: 2, bidRules },
+      { type: 'submit_bid', playerId: 'p2', bid: 0, bidRules },
+      { type: 'start_trick', at },
+      { type: 'play_card', at, playerId: 'p1', card: { rank: 'K', suit: 'hearts' } },
+      { type: 'play_card', at, playerId: 'p2', card: { rank: 'K', suit: 'spades' } },
+    ]);
+
+    expect(round.cancelledTricks).toBe('carry-over');
+    expect(first.events.at(-1).payload).toMatchObject({
+      winner: null,
+      resolution: 'carry-over',
+      carriedTricks: 0,
+      nextTrick: true,
+    });
+
+    const second = reduceAll(first.state, [
+      { type: 'start_trick', at, leadPlayerId: getCurrentPlayerId(first.state) },
+      { type: 'play_card', at, playerId: 'p1', card: { rank: '6', suit: 'clubs' } },
+      { type: 'play_card', at, playerId: 'p2', card: { rank: 'A', suit: 'diamonds' } },
+      { type: 'score_round', at },
+    ]);
+    const trickCompleted = second.events.find((event) => event.type === 'trick_completed');
+
+    expect(trickCompleted.payload).toMatchObject({
+      winner: 'p2',
+      resolution: 'highest-card',
+      carriedTricks: 1,
+      nextTrick: false,
+    });
+    expect(second.events.at(-1).payload.results).toMatchObject({
+      p1: { bid: 2, actual: 0, livesLost: 2 },
+      p2: { bid: 0, actual: 2, livesLost: 2 },
+    });
+  });
+
+  it('replays the same actions to the same state', () => {
+    const game = createGame({
+      roomId: 'room-1',
+      gameId: 'game-1',
+      playerOrder: ['p1', 'p2'],
+      startingLives: 3,
+    });
+    const bidRules = { restriction: 'none' };
+    const { state: dealt } = reduce(game, {
+      type: 'start_round',
+      at,
+      ruleSet: { blindRounds: 'none' },
+      fairness: createFairness('replay'),
+    });
+    const hands = getRound(dealt).hands;
+    const actions = [
+      {
+        type: 'start_round',
+        at,
+        ruleSet: { blindRounds: 'none' },
+        fairness: createFairness('replay'),
+      },
+      { type: 'submit_bid', playerId: 'p1', bid: 0, bidRules },
+      { type: 'submit_bid', playerId: 'p2', bid: 0, bidRules },
+      { type: 'start_trick', at },
+      { type: 'play_card', at, playerId: 'p1', card: hands.p1[0] },
+      { type: 'play_card', at, playerId: 'p2', card: hands.p2[0] },
+      { type: 'score_round', at },
+    ];
+
+    const first = reduceAll(game, actions);
+    const second = reduceAll(game, actions);
+
+    expect(second).toEqual(first);
+    expect(getRound(first.state)).toMatchObject({ startedAt: at, completedAt: at });
+    expect(getRound(first.state).tricks[0]).toMatchObject({ startedAt: at, completedAt: at });
+  });
+
+  it('rejects a deal without fairness seeds and actions without a timestamp', () => {
+    const game = createGame({ roomId: 'room-1', gameId: 'game-1', playerOrder: ['p1', 'p2'] });
+
+    const unseeded = reduce(game, { type: 'start_round', at, ruleSet: {} });
+    expect(unseeded.state).toBe(game);
+    expect(unseeded.events[0]).toMatchObject({
+      type: 'action_rejected',
+      payload: { action: 'start_round', error: 'invalid_action' },
+    });
+
+    const undated = reduce(game, {
+      type: 'start_round',
+      ruleSet: {},
+      fairness: createFairness('undated'),
+    });
+    expect(undated.state).toBe(game);
+    expect(undated.events[0].payload.error).toBe('invalid_action');
+
+    const { state: dealt } = dealFirstRound(['p1', 'p2']);
+    expect(reduce(dealt, { type: 'score_round' }).events[0].payload.error).toBe('invalid_action');
+  });
+
+  it('plays the first card in hand when a blind-round play names no card', () => {
+    const { state: dealt } = dealFirstRound(['p1', 'p2']);
+    getRound(dealt).isBlindRound = true;
+    const bidRules = { restriction: 'none' };
+    const { state } = reduceAll(dealt, [
+      { type: 'submit_bid', playerId: 'p1', bid: 0, bidRules },
+      { type: 'submit_bid', playerId: 'p2', bid: 0, bidRules },
+      { type: 'start_trick', at },
+    ]);
+    const [heldCard] = getRound(state).hands.p1;
+
+    const { state: after, events } = reduce(state, {
+      type: 'play_card',
+      at,
+      playerId: 'p1',
+      card: { rank: null, suit: null },
+    });
+
+    expect(events[0].type).toBe('card_played');
+    expect(events[0].payload.card).toMatchObject({ rank: heldCard.rank, suit: heldCard.suit });
+    expect(getRound(after).hands.p1).toEqual([]);
+
+    // Outside a blind round the card must still be named.
+    getRound(state).isBlindRound = false;
+    expect(
+      reduce(state, { type: 'play_card', at, playerId: 'p1', card: { rank: null, suit: null } })
+        .events[0].type,
+    ).toBe('action_rejected');
+  });
+
+  it('lists its actions and refuses unknown ones', () => {
+    expect(GAME_ACTIONS).toEqual([
+      'start_round',
+      'submit_bid',
+      'start_trick',
+      'play_card',
+      'score_round',
+    ]);
+    expect(() => reduce({}, { type: 'shuffle' })).toThrow(/Unknown game action/);
+  });
+});
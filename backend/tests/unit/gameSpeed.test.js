@@ -0,0 +1,55 @@
+'use strict';
+
+const {
+  GAME_SPEEDS,
+  DEFAULT_GAME_SPEED,
+  getGameSpeedProfile,
+  scaleDelayMs,
+  resolveTurnTimerSeconds,
+} = require('../../src/modules/gameLogic/gameSpeed');
+
+describe('gameSpeed module', () => {
+  it('exposes the slow, normal, fast and blitz presets', () => {
+    expect(GAME_SPEEDS).toEqual(['slow', 'normal', 'fast', 'blitz']);
+    expect(DEFAULT_GAME_SPEED).toBe('normal');
+  });
+
+  it('falls back to the normal profile for unknown speeds', () => {
+    expect(getGameSpeedProfile('warp')).toMatchObject({ name: 'normal', multiplier: 1 });
+    expect(getGameSpeedProfile(undefined).name).toBe('normal');
+  });
+
+  describe('scaleDelayMs', () => {
+    it('scales delays by the preset multiplier', () => {
+      expect(scaleDelayMs(10000, 'normal')).toBe(10000);
+      expect(scaleDelayMs(10000, 'slow')).toBe(15000);
+      expect(scaleDelayMs(10000, 'fast')).toBe(5000);
+      expect(scaleDelayMs(10000, 'blitz')).toBe(2500);
+    });
+
+    it('keeps zero and invalid delays at zero', () => {
+      expect(scaleDelayMs(0, 'slow')).toBe(0);
+      expect(scaleDelayMs('soon', 'slow')).toBe(0);
+    });
+  });
+
+  describe('resolveTurnTimerSeconds', () => {
+    it('leaves the configured timer untouched at normal speed', () => {
+      expect(resolveTurnTimerSeconds(10, 'normal')).toBe(10);
+      expect(resolveTurnTimerSeconds(45, 'normal')).toBe(30);
+    });
+
+    it('scales the timer and clamps it to the preset bounds', () => {
+      expect(resolveTurnTimerSeconds(10, 'slow')).toBe(15);
+      expect(resolveTurnTimerSeconds(10, 'fast')).toBe(5);
+      expect(resolveTurnTimerSeconds(10, 'blitz')).toBe(3);
+      expect(resolveTurnTimerSeconds(30, 'blitz')).toBe(7);
+      expect(resolveTurnTimerSeconds(30, 'slow')).toBe(45);
+    });
+
+    it('uses the scaled default when the timer is missing', () => {
+      expect(resolveTurnTimerSeconds(undefined, 'normal')).toBe(20);
+      expect(resolveTurnTimerSeconds(undefined, 'blitz')).toBe(5);
+    });
+  });
+});
@@ -92,4 +92,21 @@ describe('GameState', () => {
     expect(normalView.self).toEqual(secondHands.get('player-1'));
     expect(normalView.others['player-2']).toEqual([{ hidden: true }]);
   });
+
+  it('records the dealer and opens bidding with the next seat', () => {
+    const state = new GameState({ roomId: 'itajuba', playerOrder });
+
+    state.startRound({
+      cardCount: 1,
+      viraCard: { rank: '6', suit: 'spades' },
+      manilhaRank: '7',
+      hands: createHands(),
+      dealerId: 'player-2',
+    });
+
+    expect(state.dealerId).toBe('player-2');
+    expect(state.getCurrentRound().dealerId).toBe('player-2');
+    expect(state.getCurrentPlayer()).toBe('player-3');
+    expect(state.toJSON()).toMatchObject({ dealerId: 'player-2', rounds: [{ dealerId: 'player-2' }] });
+  });
 });
@@ -6,7 +6,19 @@ const {
   sanitizeHtml,
   sanitizeChatMessage,
   validateDisplayName,
+  validatePin,
   validateRoomId,
+  validateRoomName,
+  validateRoomPassword,
+  validateRoomAccessPayload,
+  validateModerationPayload,
+  validateAddBotPayload,
+  validateReadyPayload,
+  validateClientSeedPayload,
+  validateRematchPayload,
+  validateHandOverPayload,
+  validateSeatPayload,
+  validateSeatQueuePayload,
   validatePayloadSize,
   validateInteger,
   validateBoolean,
@@ -17,8 +29,9 @@ const {
   validateChatMessagePayload,
   validateHostSettingsPayload,
   LIMITS,
-  VALID_ROOM_IDS,
+  PATTERNS,
 } = require('../../src/modules/security/inputValidator');
+const { DEFAULT_ROOMS } = require('../../src/modules/roomManager');
 
 describe('Input Validator', () => {
   describe('sanitizeHtml', () => {
@@ -128,9 +141,24 @@ describe('Input Validator', () => {
     });
   });
 
+  describe('validatePin', () => {
+    test('should accept 4-8 digit PINs', () => {
+      expect(validatePin('1234')).toEqual({ valid: true, normalized: '1234' });
+      expect(validatePin(12345678)).toEqual({ valid: true, normalized: '12345678' });
+    });
+
+    test('should reject short, long or non-numeric PINs', () => {
+      ['123', '123456789', 'abcd', '12 34', null].forEach((pin) => {
+        const result = validatePin(pin);
+        expect(result.valid).toBe(false);
+        expect(result.error).toContain('4-8 digits');
+      });
+    });
+  });
+
   describe('validateRoomId', () => {
     test('should accept valid room IDs', () => {
-      VALID_ROOM_IDS.forEach(roomId => {
+      [...DEFAULT_ROOMS.map((room) => room.roomId), 'k7m2qx'].forEach(roomId => {
         const result = validateRoomId(roomId);
         expect(result.valid).toBe(true);
         expect(result.normalized).toBe(roomId);
@@ -144,9 +172,162 @@ describe('Input Validator', () => {
     });
 
     test('should reject invalid room IDs', () => {
-      const result = validateRoomId('invalid-room');
-      expect(result.valid).toBe(false);
-      expect(result.error).toContain('valid room');
+      ['no room!', 'x', '-itajuba', 'a'.repeat(40)].forEach(roomId => {
+        const result = validateRoomId(roomId);
+        expect(result.valid).toBe(false);
+        expect(result.error).toContain('valid room');
+      });
+    });
+
+    test('should reject room IDs the caller does not know about', () => {
+      const isKnownRoom = (roomId) => roomId === 'itajuba';
+
+      expect(validateRoomId('Itajuba', { isKnownRoom })).toEqual({ valid: true, normalized: 'itajuba' });
+      expect(validateRoomId('invalid-room', { isKnownRoom }).valid).toBe(false);
+    });
+  });
+
+  describe('validateRoomPassword', () => {
+    test('should accept passwords within the length limits', () => {
+      expect(validateRoomPassword('segredo')).toEqual({ valid: true, value: 'segredo' });
+    });
+
+    test('should reject short, blank, long or non-string passwords', () => {
+      ['abc', '      ', 'x'.repeat(65), 1234].forEach(password => {
+        const result = validateRoomPassword(password);
+        expect(result.valid).toBe(false);
+        expect(result.error).toContain('4-64 characters');
+      });
+    });
+  });
+
+  describe('validateRoomAccessPayload', () => {
+    test('should validate password, invite list and spectator access', () => {
+      const result = validateRoomAccessPayload({
+        password: null,
+        inviteOnly: true,
+        invitedNames: ['  Ana  Maria ', 'ana maria', 'Bruno'],
+        spectators: 'locked',
+      });
+
+      expect(result).toEqual({
+        valid: true,
+        validated: { password: null, inviteOnly: true, invitedNames: ['Ana Maria', 'Bruno'], spectators: 'locked' },
+      });
+    });
+
+    test('should reject unknown spectator modes and malformed names', () => {
+      expect(validateRoomAccessPayload({ spectators: 'friends' }).valid).toBe(false);
+      expect(validateRoomAccessPayload({ invitedNames: ['<b>'] }).valid).toBe(false);
+      expect(validateRoomAccessPayload({ inviteOnly: 'yes' }).valid).toBe(false);
+    });
+  });
+
+  describe('validateModerationPayload', () => {
+    test('should accept a target with optional ban duration and mute flag', () => {
+      expect(validateModerationPayload({ playerId: 'player-2', durationMinutes: 30 })).toEqual({
+        valid: true,
+        validated: { playerId: 'player-2', durationMinutes: 30 },
+      });
+      expect(validateModerationPayload({ playerId: 'player-2', muted: false }).validated.muted).toBe(false);
+    });
+
+    test('should reject missing targets and out-of-range durations', () => {
+      expect(validateModerationPayload({}).valid).toBe(false);
+      expect(validateModerationPayload({ playerId: 'player-2', durationMinutes: 0 }).valid).toBe(false);
+      expect(validateModerationPayload({ playerId: 'player-2', durationMinutes: 24 * 60 + 1 }).valid).toBe(false);
+      expect(validateModerationPayload({ playerId: 'player-2', muted: 'yes' }).valid).toBe(false);
+    });
+  });
+
+  describe('validateAddBotPayload', () => {
+    test('should accept an optional bot name held to the display name rules', () => {
+      expect(validateAddBotPayload({})).toEqual({ valid: true, validated: {} });
+      expect(validateAddBotPayload({ displayName: '  Robo   Ana ' }).validated).toEqual({ displayName: 'Robo Ana' });
+      expect(validateAddBotPayload({ displayName: '' }).validated).toEqual({ displayName: null });
+    });
+
+    test('should reject bot names that are not valid display names', () => {
+      expect(validateAddBotPayload({ displayName: '<b>Bot</b>' }).valid).toBe(false);
+      expect(validateAddBotPayload({ displayName: 'x'.repeat(21) }).valid).toBe(false);
+      expect(validateAddBotPayload({ displayName: 42 }).valid).toBe(false);
+    });
+  });
+
+  describe('validateSeatPayload', () => {
+    test('should accept a seat index or a seat order', () => {
+      expect(validateSeatPayload({ seatIndex: 2 }).validated).toEqual({ seatIndex: 2 });
+      expect(validateSeatPayload({ order: ['p2', 'p1'] }).validated).toEqual({ order: ['p2', 'p1'] });
+    });
+
+    test('should reject seats past the table size and malformed orders', () => {
+      expect(validateSeatPayload({ seatIndex: LIMITS.MAX_SEATS }).valid).toBe(false);
+      expect(validateSeatPayload({ seatIndex: -1 }).valid).toBe(false);
+      expect(validateSeatPayload({ order: 'p1,p2' }).valid).toBe(false);
+      expect(validateSeatPayload({ order: ['p1', 7] }).valid).toBe(false);
+    });
+  });
+
+  describe('validateReadyPayload', () => {
+    test('should require a boolean ready flag', () => {
+      expect(validateReadyPayload({ ready: true })).toEqual({ valid: true, validated: { ready: true } });
+      expect(validateReadyPayload({}).valid).toBe(false);
+      expect(validateReadyPayload({ ready: 1 }).valid).toBe(false);
+    });
+  });
+
+  describe('validateClientSeedPayload', () => {
+    test('should accept short url-safe seeds only', () => {
+      expect(validateClientSeedPayload({ clientSeed: 'a1-B_2' })).toEqual({
+        valid: true,
+        validated: { clientSeed: 'a1-B_2' },
+      });
+      expect(validateClientSeedPayload({}).valid).toBe(false);
+      expect(validateClientSeedPayload({ clientSeed: 'has space' }).valid).toBe(false);
+      expect(validateClientSeedPayload({ clientSeed: 'x'.repeat(65) }).errors[0]).toMatch(/Client seed/);
+    });
+  });
+
+  describe('validateRematchPayload', () => {
+    test('should require a boolean accept flag', () => {
+      expect(validateRematchPayload({ accept: false })).toEqual({ valid: true, validated: { accept: false } });
+      expect(validateRematchPayload({}).valid).toBe(false);
+      expect(validateRematchPayload({ accept: 'yes' }).valid).toBe(false);
+    });
+  });
+
+  describe('validateHandOverPayload', () => {
+    test('should require the seat and accept an optional spectator', () => {
+      expect(validateHandOverPayload({ playerId: 'seat-1' })).toEqual({
+        valid: true,
+        validated: { playerId: 'seat-1' },
+      });
+      expect(validateHandOverPayload({ playerId: 'seat-1', spectatorId: 'watcher-1' }).valid).toBe(true);
+      expect(validateHandOverPayload({ spectatorId: 'watcher-1' }).valid).toBe(false);
+      expect(validateHandOverPayload({ playerId: 'seat-1', spectatorId: '' }).valid).toBe(false);
+    });
+  });
+
+  describe('validateSeatQueuePayload', () => {
+    test('should accept an empty payload or a room password', () => {
+      expect(validateSeatQueuePayload({})).toEqual({ valid: true, validated: {} });
+      expect(validateSeatQueuePayload({ password: 'secret' })).toEqual({
+        valid: true,
+        validated: { password: 'secret' },
+      });
+      expect(validateSeatQueuePayload({ password: 'abc' }).valid).toBe(false);
+    });
+  });
+
+  describe('validateRoomName', () => {
+    test('should accept and normalize room names', () => {
+      expect(validateRoomName('  Mesa   da Família ')).toEqual({ valid: true, normalized: 'Mesa da Família' });
+    });
+
+    test('should reject short, long or markup-laden names', () => {
+      ['ab', 'a'.repeat(31), '<b>Mesa</b>', 42].forEach(name => {
+        expect(validateRoomName(name).valid).toBe(false);
+      });
     });
 
     test('should normalize room IDs', () => {
@@ -320,7 +501,7 @@ describe('Input Validator', () => {
 
     test('should reject invalid room ID', () => {
       const payload = {
-        roomId: 'invalid-room',
+        roomId: 'invalid room!',
         displayName: 'Player1',
       };
 
@@ -330,6 +511,27 @@ describe('Input Validator', () => {
       expect(result.errors.length).toBeGreaterThan(0);
     });
 
+    test('should validate an optional room password', () => {
+      expect(validateJoinRoomPayload({ roomId: 'itajuba', displayName: 'Player1', password: 'segredo' }).validated.password).toBe('segredo');
+      expect(validateJoinRoomPayload({ roomId: 'itajuba', displayName: 'Player1', password: 'abc' }).valid).toBe(false);
+    });
+
+    test('should validate an optional room password', () => {
+      const result = validateJoinRoomPayload({ roomId: 'itajuba', displayName: 'Player1', password: 'segredo' });
+
+      expect(result.valid).toBe(true);
+      expect(result.validated.password).toBe('segredo');
+      expect(validateJoinRoomPayload({ roomId: 'itajuba', displayName: 'Player1', password: 'abc' }).valid).toBe(false);
+    });
+
+    test('should accept an optional account PIN', () => {
+      const result = validateJoinRoomPayload({ roomId: 'itajuba', displayName: 'Player1', pin: '0042' });
+      expect(result.valid).toBe(true);
+      expect(result.validated.pin).toBe('0042');
+
+      expect(validateJoinRoomPayload({ roomId: 'itajuba', displayName: 'Player1', pin: '42' }).valid).toBe(false);
+    });
+
     test('should reject invalid display name', () => {
       const payload = {
         roomId: 'itajuba',
@@ -383,6 +585,26 @@ describe('Input Validator', () => {
       expect(result.validated.startingLives).toBe(5);
     });
 
+    test('should bound the auto-start countdown', () => {
+      expect(validateHostSettingsPayload({ autoStart: true, autoStartSeconds: 15 }).validated).toEqual({
+        autoStart: true,
+        autoStartSeconds: 15,
+      });
+      expect(validateHostSettingsPayload({ autoStartSeconds: LIMITS.MIN_AUTO_START_SECONDS - 1 }).valid).toBe(false);
+      expect(validateHostSettingsPayload({ autoStartSeconds: LIMITS.MAX_AUTO_START_SECONDS + 1 }).valid).toBe(false);
+    });
+
+    test('should accept a time limit or turning it off', () => {
+      expect(validateHostSettingsPayload({ timeLimit: { minutes: 90, onExpiry: 'sudden-death' } }).validated).toEqual({
+        timeLimit: { minutes: 90, onExpiry: 'sudden-death' },
+      });
+      expect(validateHostSettingsPayload({ timeLimit: { minutes: null } }).validated).toEqual({
+        timeLimit: { minutes: null },
+      });
+      expect(validateHostSettingsPayload({ timeLimit: { minutes: 1 } }).valid).toBe(false);
+      expect(validateHostSettingsPayload({ timeLimit: { onExpiry: 'coin-flip' } }).valid).toBe(false);
+    });
+
     test('should reject invalid startingLives', () => {
       const payload = { startingLives: 0 }; // Below minimum
       const result = validateHostSettingsPayload(payload);
@@ -408,6 +630,80 @@ describe('Input Validator', () => {
       expect(result.valid).toBe(true);
       expect(result.validated.startingLives).toBe(3);
     });
+
+    test('should accept known game speed presets', () => {
+      const result = validateHostSettingsPayload({ gameSpeed: 'blitz' });
+
+      expect(result.valid).toBe(true);
+      expect(result.validated.gameSpeed).toBe('blitz');
+    });
+
+    test('should reject unknown game speeds', () => {
+      const result = validateHostSettingsPayload({ gameSpeed: 'ludicrous' });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toMatch(/Game speed/);
+    });
+
+    test('should validate auto-kick settings', () => {
+      const result = validateHostSettingsPayload({
+        autoKickInactive: false,
+        inactiveStrikeLimit: 2,
+        inactiveAction: 'bot',
+      });
+
+      expect(result.valid).toBe(true);
+      expect(result.validated).toEqual({ autoKickInactive: false, inactiveStrikeLimit: 2, inactiveAction: 'bot' });
+    });
+
+    test('should reject out-of-range strike limits and unknown kick actions', () => {
+      expect(validateHostSettingsPayload({ inactiveStrikeLimit: 0 }).valid).toBe(false);
+      expect(validateHostSettingsPayload({ inactiveAction: 'ban' }).valid).toBe(false);
+    });
+
+    test('should validate rule set variants', () => {
+      const result = validateHostSettingsPayload({
+        ruleSet: { progression: 'up-down', blindRounds: 'single-card', maxCards: 5 },
+      });
+
+      expect(result.valid).toBe(true);
+      expect(result.validated.ruleSet).toEqual({ progression: 'up-down', blindRounds: 'single-card', maxCards: 5 });
+      expect(validateHostSettingsPayload({ ruleSet: { maxCards: null } }).validated.ruleSet).toEqual({ maxCards: null });
+    });
+
+    test('should reject malformed rule sets', () => {
+      expect(validateHostSettingsPayload({ ruleSet: 'descending' }).valid).toBe(false);
+      expect(validateHostSettingsPayload({ ruleSet: { progression: 'sideways' } }).valid).toBe(false);
+      expect(validateHostSettingsPayload({ ruleSet: { maxCards: 0 } }).valid).toBe(false);
+      expect(validateHostSettingsPayload({ ruleSet: { maxCards: 99 } }).errors[0]).toMatch(/Max cards/);
+    });
+
+    test('should validate deck and manilha variants', () => {
+      expect(validateHostSettingsPayload({ ruleSet: { deck: 'clean', manilhas: 'fixed' } }).validated.ruleSet).toEqual({
+        deck: 'clean',
+        manilhas: 'fixed',
+      });
+      expect(validateHostSettingsPayload({ ruleSet: { deck: 'short' } }).errors[0]).toMatch(/Deck/);
+      expect(validateHostSettingsPayload({ ruleSet: { manilhas: 'random' } }).errors[0]).toMatch(/Manilhas/);
+    });
+
+    test('should validate the cancelled-trick rule', () => {
+      expect(
+        validateHostSettingsPayload({ ruleSet: { cancelledTricks: 'carry-over' } }).validated.ruleSet,
+      ).toEqual({ cancelledTricks: 'carry-over' });
+      expect(validateHostSettingsPayload({ ruleSet: { cancelledTricks: 'dealer' } }).errors[0]).toMatch(
+        /Cancelled tricks/,
+      );
+    });
+
+    test('should validate bid rules', () => {
+      const result = validateHostSettingsPayload({ bidRules: { restriction: 'dealer', tolerance: 1 } });
+
+      expect(result.valid).toBe(true);
+      expect(result.validated.bidRules).toEqual({ restriction: 'dealer', tolerance: 1 });
+      expect(validateHostSettingsPayload({ bidRules: { restriction: 'first-bidder' } }).valid).toBe(false);
+      expect(validateHostSettingsPayload({ bidRules: { tolerance: 2 } }).errors[0]).toMatch(/Bid tolerance/);
+    });
   });
 
   describe('Configuration constants', () => {
@@ -417,11 +713,9 @@ describe('Input Validator', () => {
       expect(LIMITS.MAX_PAYLOAD_SIZE).toBeGreaterThan(0);
     });
 
-    test('should have valid room IDs configured', () => {
-      expect(VALID_ROOM_IDS.size).toBeGreaterThan(0);
-      VALID_ROOM_IDS.forEach(roomId => {
-        expect(typeof roomId).toBe('string');
-        expect(roomId.length).toBeGreaterThan(0);
+    test('should accept every default room ID', () => {
+      DEFAULT_ROOMS.forEach(({ roomId }) => {
+        expect(PATTERNS.ROOM_ID.test(roomId)).toBe(true);
       });
     });
   });
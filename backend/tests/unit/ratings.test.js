@@ -0,0 +1,71 @@
+'use strict';
+
+const { DEFAULT_RATING, calculateRatingChanges, expectedScore } = require('../../src/modules/gameLogic/ratings');
+
+describe('ratings', () => {
+  it('splits an even two-player game into equal and opposite changes', () => {
+    const changes = calculateRatingChanges({
+      standings: [
+        { playerId: 'ana', livesRemaining: 2 },
+        { playerId: 'bruno', livesRemaining: 0 },
+      ],
+    });
+
+    expect(changes).toEqual({
+      ana: { before: DEFAULT_RATING, after: DEFAULT_RATING + 16, delta: 16 },
+      bruno: { before: DEFAULT_RATING, after: DEFAULT_RATING - 16, delta: -16 },
+    });
+  });
+
+  it('scores every pairing by finishing order and treats equal lives as a draw', () => {
+    const changes = calculateRatingChanges({
+      standings: [
+        { playerId: 'ana', livesRemaining: 3 },
+        { playerId: 'bruno', livesRemaining: 0 },
+        { playerId: 'carla', livesRemaining: 0 },
+      ],
+      ratings: { ana: 1500, bruno: 1500, carla: 1500 },
+    });
+
+    expect(changes.ana.delta).toBe(16);
+    expect(changes.bruno.delta).toBe(-8);
+    expect(changes.carla.delta).toBe(-8);
+  });
+
+  it('scores pairings by placement when standings carry one', () => {
+    const changes = calculateRatingChanges({
+      standings: [
+        { playerId: 'ana', placement: 1, livesRemaining: 3 },
+        { playerId: 'bruno', placement: 2, livesRemaining: 0 },
+        { playerId: 'carla', placement: 3, livesRemaining: 0 },
+      ],
+      ratings: { ana: 1500, bruno: 1500, carla: 1500 },
+    });
+
+    expect(changes.ana.delta).toBe(16);
+    expect(changes.bruno.delta).toBe(0);
+    expect(changes.carla.delta).toBe(-16);
+  });
+
+  it('rewards upsets more than expected wins', () => {
+    expect(expectedScore(1700, 1500)).toBeGreaterThan(0.75);
+
+    const upset = calculateRatingChanges({
+      standings: [
+        { playerId: 'underdog', livesRemaining: 1 },
+        { playerId: 'favourite', livesRemaining: 0 },
+      ],
+      ratings: { underdog: 1400, favourite: 1600 },
+    });
+    const expected = calculateRatingChanges({
+      standings: [
+        { playerId: 'favourite', livesRemaining: 1 },
+        { playerId: 'underdog', livesRemaining: 0 },
+      ],
+      ratings: { underdog: 1400, favourite: 1600 },
+    });
+
+    expect(upset.underdog.delta).toBeGreaterThan(expected.favourite.delta);
+    expect(calculateRatingChanges({ standings: [{ playerId: 'solo', livesRemaining: 1 }] })).toEqual({});
+  });
+});
@@ -9,7 +9,10 @@ const {
   createRoomManager,
   RoomManagerError,
   RECONNECTION_WINDOW_MS,
+  PRIVATE_ROOM_IDLE_MS,
   DEFAULT_ROOMS,
+  MAX_PASSWORD_ATTEMPTS,
+  PASSWORD_LOCKOUT_MS,
 } = require('../../src/modules/roomManager');
 
 const createTestLogger = () => {
@@ -53,6 +56,7 @@ describe('RoomManager', () => {
 
   afterEach(async () => {
     jest.useRealTimers();
+    jest.restoreAllMocks();
     await stateManager.stop();
     await fs.rm(tmpDir, { recursive: true, force: true });
   });
@@ -63,6 +67,7 @@ describe('RoomManager', () => {
       displayName,
       socketId: options.socketId ?? null,
       isSpectator: options.isSpectator ?? false,
+      accountId: options.accountId ?? null,
     });
 
   it('allows a player to join and assigns host to the first entrant', () => {
@@ -212,4 +217,396 @@ describe('RoomManager', () => {
     expect(caughtError).toBeInstanceOf(RoomManagerError);
     expect(caughtError.code).toBe('SESSION_NOT_FOUND');
   });
+
+  it('adds bots as connected players that never take the host seat', () => {
+    const host = joinPlayer('Ana');
+    const { player: bot } = roomManager.addBot({ roomId: 'itajuba' });
+
+    expect(bot.isBot).toBe(true);
+    expect(bot.connectionStatus).toBe('connected');
+    expect(stateManager.getRoom('itajuba').players).toContain(bot.playerId);
+
+    roomManager.handleDisconnect({ sessionId: host.sessionId, reason: 'network_issue' });
+
+    expect(stateManager.getPlayer(bot.playerId).isHost).toBe(false);
+    expect(stateManager.getPlayer(host.player.playerId).isHost).toBe(true);
+  });
+
+  it('removes bots once the last human leaves the room', () => {
+    const host = joinPlayer('Ana');
+    const { player: bot } = roomManager.addBot({ roomId: 'itajuba' });
+
+    roomManager.leaveRoom({ sessionId: host.sessionId });
+
+    expect(stateManager.getPlayer(bot.playerId)).toBeNull();
+    expect(stateManager.getRoom('itajuba').players).toHaveLength(0);
+  });
+
+  it('only removes bot players through removeBot', () => {
+    const host = joinPlayer('Ana');
+
+    expect(() =>
+      roomManager.removeBot({ roomId: 'itajuba', playerId: host.player.playerId }),
+    ).toThrow(expect.objectContaining({ code: 'BOT_NOT_FOUND' }));
+  });
+
+  it('moves a seated player to the spectators and hands over the host seat', () => {
+    const host = joinPlayer('Ana');
+    const guest = joinPlayer('Bia');
+
+    const { player } = roomManager.moveToSpectator({ roomId: 'itajuba', playerId: host.player.playerId });
+
+    const room = stateManager.getRoom('itajuba');
+    expect(player).toMatchObject({ isSpectator: true, isHost: false });
+    expect(room.players).toEqual([guest.player.playerId]);
+    expect(room.spectators).toContain(host.player.playerId);
+    expect(stateManager.getPlayer(guest.player.playerId).isHost).toBe(true);
+  });
+
+  it('replaces a seated player with a bot that keeps the same seat', () => {
+    joinPlayer('Ana');
+    const guest = joinPlayer('Bia', { accountId: 'account-bia' });
+    stateManager.getPlayer(guest.player.playerId).update({ clientSeed: 'bia-seed' });
+
+    const { player, previous } = roomManager.replaceWithBot({
+      roomId: 'itajuba',
+      playerId: guest.player.playerId,
+      difficulty: 'hard',
+    });
+
+    expect(previous.displayName).toBe('Bia');
+    expect(player).toMatchObject({ playerId: guest.player.playerId, isBot: true, botDifficulty: 'hard' });
+    expect(player.displayName).not.toBe('Bia');
+    expect(player).toMatchObject({ accountId: null, clientSeed: null });
+    expect(roomManager.getSession(guest.sessionId)).toBeNull();
+    expect(stateManager.getRoom('itajuba').players).toContain(guest.player.playerId);
+  });
+
+  it('creates private rooms keyed by an invite code and caps how many are open', () => {
+    const room = roomManager.createPrivateRoom({ displayName: '  Mesa   da Ana ' });
+
+    expect(room).toMatchObject({ displayName: 'Mesa da Ana', isPrivate: true, status: 'waiting' });
+    expect(room.roomId).toMatch(/^[a-z2-9]{6}$/);
+    expect(room.inviteCode).toBe(room.roomId);
+
+    const result = roomManager.joinRoom({ roomId: room.roomId, displayName: 'Ana' });
+    expect(result.player.isHost).toBe(true);
+
+    const limited = createRoomManager({ stateManager, logger, maxPrivateRooms: 1 });
+    expect(() => limited.createPrivateRoom({ displayName: 'Second table' })).toThrow(
+      expect.objectContaining({ code: 'ROOM_LIMIT_REACHED' }),
+    );
+    expect(() => roomManager.createPrivateRoom({ displayName: '   ' })).toThrow(
+      expect.objectContaining({ code: 'ROOM_NAME_REQUIRED' }),
+    );
+  });
+
+  it('removes private rooms that have been empty for the idle window', () => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2025-01-01T12:00:00Z'));
+
+    const idle = roomManager.createPrivateRoom({ displayName: 'Idle table' });
+    const busy = roomManager.createPrivateRoom({ displayName: 'Busy table' });
+    roomManager.joinRoom({ roomId: busy.roomId, displayName: 'Ana' });
+
+    const start = Date.now();
+    expect(roomManager.cleanupIdleRooms(start + PRIVATE_ROOM_IDLE_MS - 1)).toEqual([]);
+    expect(roomManager.cleanupIdleRooms(start + PRIVATE_ROOM_IDLE_MS)).toEqual([idle.roomId]);
+
+    expect(stateManager.getRoom(idle.roomId)).toBeNull();
+    expect(stateManager.getRoom(busy.roomId)).not.toBeNull();
+    expect(stateManager.getRoom('itajuba')).not.toBeNull();
+  });
+
+  it('locks rooms with a password or an invite list and keeps spectating separate', async () => {
+    joinPlayer('Ana');
+
+    const access = await roomManager.updateRoomAccess({
+      roomId: 'itajuba',
+      password: 'segredo',
+      invitedAccounts: [{ accountId: 'account-bia', displayName: 'Bia' }],
+    });
+    expect(access).toEqual({ hasPassword: true, inviteOnly: false, invitedNames: ['Bia'], spectators: 'open' });
+    expect(stateManager.getRoom('itajuba').access.passwordHash).not.toBe('segredo');
+
+    expect(() => joinPlayer('Caio')).toThrow(expect.objectContaining({ code: 'PASSWORD_REQUIRED' }));
+    await expect(roomManager.verifyRoomPassword({ roomId: 'itajuba', password: 'errada' })).rejects.toMatchObject({
+      code: 'INVALID_PASSWORD',
+    });
+    const verifiedPasswordHash = await roomManager.verifyRoomPassword({ roomId: 'itajuba', password: 'segredo' });
+    expect(roomManager.joinRoom({ roomId: 'itajuba', displayName: 'Caio', verifiedPasswordHash }).player).toBeTruthy();
+    expect(() => joinPlayer('Bia')).toThrow(expect.objectContaining({ code: 'PASSWORD_REQUIRED' }));
+    expect(joinPlayer('Bia', { accountId: 'account-bia' }).player).toBeTruthy();
+    expect(joinPlayer('Duda', { isSpectator: true }).player.isSpectator).toBe(true);
+
+    await roomManager.updateRoomAccess({ roomId: 'itajuba', password: null, inviteOnly: true, spectators: 'locked' });
+    expect(() => joinPlayer('Edu')).toThrow(expect.objectContaining({ code: 'NOT_INVITED' }));
+    expect(() => joinPlayer('Edu', { isSpectator: true })).toThrow(expect.objectContaining({ code: 'NOT_INVITED' }));
+    expect(() => joinPlayer('Bia')).toThrow(expect.objectContaining({ code: 'NOT_INVITED' }));
+    expect(() => joinPlayer('Bia', { accountId: 'account-other' })).toThrow(
+      expect.objectContaining({ code: 'NOT_INVITED' }),
+    );
+
+    await roomManager.updateRoomAccess({ roomId: 'itajuba', inviteOnly: false, spectators: 'closed' });
+    expect(() => joinPlayer('Edu', { isSpectator: true })).toThrow(
+      expect.objectContaining({ code: 'SPECTATING_DISABLED' }),
+    );
+    expect(joinPlayer('Edu').player.isSpectator).toBe(false);
+  });
+
+  it('locks out repeated wrong room passwords until the lockout expires', async () => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2025-01-01T12:00:00Z'));
+    await roomManager.updateRoomAccess({ roomId: 'itajuba', password: 'segredo' });
+
+    const guess = (password, attemptKey = 'socket-1') =>
+      roomManager.verifyRoomPassword({ roomId: 'itajuba', password, attemptKey });
+
+    for (let attempt = 0; attempt < MAX_PASSWORD_ATTEMPTS; attempt += 1) {
+      await expect(guess('errada')).rejects.toMatchObject({ code: 'INVALID_PASSWORD' });
+    }
+
+    // The room is locked for every client, even with the right password.
+    await expect(guess('segredo')).rejects.toMatchObject({
+      code: 'PASSWORD_LOCKED',
+      metadata: { roomId: 'itajuba', retryAfterMs: PASSWORD_LOCKOUT_MS },
+    });
+    await expect(guess('segredo', 'socket-2')).rejects.toMatchObject({ code: 'PASSWORD_LOCKED' });
+
+    jest.setSystemTime(Date.now() + PASSWORD_LOCKOUT_MS);
+    const verifiedPasswordHash = await guess('segredo');
+    expect(roomManager.joinRoom({ roomId: 'itajuba', displayName: 'Caio', verifiedPasswordHash }).player).toBeTruthy();
+    await expect(guess('errada')).rejects.toMatchObject({ code: 'INVALID_PASSWORD' });
+  });
+
+  it('keeps seated players during a game but lets the host remove spectators', () => {
+    joinPlayer('Ana');
+    const guest = joinPlayer('Bruno');
+    const watcher = joinPlayer('Caio', { isSpectator: true });
+
+    stateManager.getRoom('itajuba').update({ status: 'playing' });
+
+    expect(() => roomManager.kickPlayer({ roomId: 'itajuba', playerId: guest.player.playerId })).toThrow(
+      expect.objectContaining({ code: 'ROOM_IN_PROGRESS' }),
+    );
+
+    const result = roomManager.kickPlayer({ roomId: 'itajuba', playerId: watcher.player.playerId });
+    expect(result.reason).toBe('kicked');
+    expect(stateManager.getPlayer(watcher.player.playerId)).toBeNull();
+    expect(stateManager.getRoom('itajuba').spectators).toEqual([]);
+  });
+
+  it('refuses banned names, sessions and accounts until the ban expires', () => {
+    joinPlayer('Ana');
+    const guest = roomManager.joinRoom({ roomId: 'itajuba', displayName: 'Bruno', accountId: 'account-1' });
+    const now = Date.now();
+
+    const { ban } = roomManager.banPlayer({
+      roomId: 'itajuba',
+      playerId: guest.player.playerId,
+      durationMs: 60 * 1000,
+      now,
+    });
+
+    expect(ban).toMatchObject({ displayName: 'Bruno', sessionId: guest.sessionId, accountId: 'account-1' });
+    expect(() => joinPlayer(' bruno ')).toThrow(expect.objectContaining({ code: 'BANNED' }));
+    expect(() =>
+      roomManager.joinRoom({ roomId: 'itajuba', displayName: 'Beto', accountId: 'account-1' }),
+    ).toThrow(expect.objectContaining({ code: 'BANNED' }));
+    expect(() =>
+      roomManager.joinRoom({ roomId: 'itajuba', displayName: 'Beto', previousSessionId: guest.sessionId }),
+    ).toThrow(expect.objectContaining({ code: 'BANNED' }));
+    expect(joinPlayer('Beto').player).toBeTruthy();
+
+    jest.spyOn(Date, 'now').mockReturnValue(now + 61 * 1000);
+    expect(joinPlayer('Bruno').player).toBeTruthy();
+  });
+
+  it('hands host only to connected, seated humans and keeps it after later joins', () => {
+    const host = joinPlayer('Ana');
+    const guest = joinPlayer('Bruno');
+    const watcher = joinPlayer('Caio', { isSpectator: true });
+
+    expect(() => roomManager.transferHost({ roomId: 'itajuba', playerId: watcher.player.playerId })).toThrow(
+      expect.objectContaining({ code: 'INVALID_TARGET' }),
+    );
+
+    const result = roomManager.transferHost({ roomId: 'itajuba', playerId: guest.player.playerId });
+    expect(result.previousHostId).toBe(host.player.playerId);
+
+    joinPlayer('Duda');
+    roomManager.handleDisconnect({ sessionId: host.sessionId });
+    roomManager.handleReconnect({ sessionId: host.sessionId });
+
+    expect(stateManager.getPlayer(guest.player.playerId).isHost).toBe(true);
+    expect(stateManager.getPlayer(host.player.playerId).isHost).toBe(false);
+  });
+
+  it('mutes and unmutes room members', () => {
+    joinPlayer('Ana');
+    const guest = joinPlayer('Bruno');
+
+    expect(roomManager.setPlayerMuted({ roomId: 'itajuba', playerId: guest.player.playerId }).isMuted).toBe(true);
+    expect(stateManager.getPlayer(guest.player.playerId).isMuted).toBe(true);
+
+    roomManager.setPlayerMuted({ roomId: 'itajuba', playerId: guest.player.playerId, muted: false });
+    expect(stateManager.getPlayer(guest.player.playerId).isMuted).toBe(false);
+  });
+
+  it('tracks lobby readiness for connected, seated players with bots always ready', () => {
+    const host = joinPlayer('Ana');
+    const guest = joinPlayer('Bruno');
+    const bot = roomManager.addBot({ roomId: 'itajuba' });
+
+    roomManager.setPlayerReady({ roomId: 'itajuba', playerId: host.player.playerId });
+    expect(roomManager.describeLobbyReadiness('itajuba')).toMatchObject({
+      readyCount: 2,
+      allReady: false,
+      withinBounds: true,
+    });
+
+    roomManager.setPlayerReady({ roomId: 'itajuba', playerId: guest.player.playerId });
+    expect(roomManager.describeLobbyReadiness('itajuba').players).toEqual([
+      { playerId: host.player.playerId, isReady: true },
+      { playerId: guest.player.playerId, isReady: true },
+      { playerId: bot.player.playerId, isReady: true },
+    ]);
+
+    roomManager.clearReadyStates('itajuba');
+    expect(stateManager.getPlayer(host.player.playerId).isReady).toBe(false);
+    expect(roomManager.describeLobbyReadiness('itajuba').readyCount).toBe(1);
+  });
+
+  it('moves players between seats and only accepts complete seat orders', () => {
+    const ana = joinPlayer('Ana').player.playerId;
+    const bruno = joinPlayer('Bruno').player.playerId;
+    const caio = joinPlayer('Caio').player.playerId;
+
+    expect(roomManager.moveToSeat({ roomId: 'itajuba', playerId: caio, seatIndex: 0 })).toEqual([caio, ana, bruno]);
+    expect(() => roomManager.moveToSeat({ roomId: 'itajuba', playerId: ana, seatIndex: 3 })).toThrow(
+      expect.objectContaining({ code: 'INVALID_SEAT' }),
+    );
+
+    expect(() => roomManager.setSeatOrder({ roomId: 'itajuba', order: [ana, ana, bruno] })).toThrow(
+      expect.objectContaining({ code: 'INVALID_SEAT' }),
+    );
+    expect(roomManager.setSeatOrder({ roomId: 'itajuba', order: [bruno, caio, ana] })).toEqual([bruno, caio, ana]);
+    expect(stateManager.getRoom('itajuba').players).toEqual([bruno, caio, ana]);
+
+    stateManager.getRoom('itajuba').update({ status: 'playing' });
+    expect(() => roomManager.shuffleSeats({ roomId: 'itajuba' })).toThrow(
+      expect.objectContaining({ code: 'ROOM_IN_PROGRESS' }),
+    );
+  });
+
+  it('runs rematch votes for the last game\'s players and keeps a running series', () => {
+    const ana = joinPlayer('Ana').player.playerId;
+    const bruno = joinPlayer('Bruno').player.playerId;
+    const bot = roomManager.addBot({ roomId: 'itajuba' }).player.playerId;
+
+    expect(() => roomManager.castRematchVote({ roomId: 'itajuba', playerId: ana })).toThrow(
+      expect.objectContaining({ code: 'REMATCH_NOT_OPEN' }),
+    );
+
+    expect(roomManager.recordSeriesResult({ roomId: 'itajuba', winner: ana })).toEqual({
+      gamesPlayed: 1,
+      wins: { [ana]: 1 },
+    });
+    roomManager.openRematchVote('itajuba');
+
+    const watcher = joinPlayer('Caio', { isSpectator: true }).player.playerId;
+    expect(() => roomManager.castRematchVote({ roomId: 'itajuba', playerId: watcher })).toThrow(
+      expect.objectContaining({ code: 'INVALID_TARGET' }),
+    );
+
+    roomManager.castRematchVote({ roomId: 'itajuba', playerId: ana, accept: true });
+    expect(roomManager.describeRematchVote('itajuba')).toMatchObject({
+      players: [
+        { playerId: ana, vote: 'accepted' },
+        { playerId: bruno, vote: 'pending' },
+        { playerId: bot, vote: 'accepted' },
+      ],
+      acceptedCount: 2,
+      allAccepted: false,
+      series: { gamesPlayed: 1, wins: { [ana]: 1 } },
+    });
+
+    roomManager.handleDisconnect({ playerId: bruno });
+    expect(roomManager.describeRematchVote('itajuba')).toMatchObject({ acceptedCount: 2, allAccepted: true });
+
+    roomManager.resetSeries('itajuba');
+    expect(roomManager.describeRematchVote('itajuba')).toBeNull();
+    expect(stateManager.getRoom('itajuba').series).toEqual({ gamesPlayed: 0, wins: {} });
+  });
+
+  it('hands a disconnected seat to a stand-in until the game ends', () => {
+    const ana = joinPlayer('Ana').player.playerId;
+    const bruno = joinPlayer('Bruno').player.playerId;
+    const caio = joinPlayer('Caio', { isSpectator: true }).player.playerId;
+
+    expect(() => roomManager.assignStandIn({ roomId: 'itajuba', seatPlayerId: bruno, spectatorId: caio })).toThrow(
+      expect.objectContaining({ code: 'GAME_NOT_ACTIVE' }),
+    );
+
+    stateManager.getRoom('itajuba').update({ status: 'playing' });
+    expect(() => roomManager.assignStandIn({ roomId: 'itajuba', seatPlayerId: bruno, spectatorId: caio })).toThrow(
+      expect.objectContaining({ code: 'SEAT_NOT_VACANT' }),
+    );
+
+    roomManager.handleDisconnect({ playerId: bruno });
+    expect(() => roomManager.assignStandIn({ roomId: 'itajuba', seatPlayerId: bruno, spectatorId: ana })).toThrow(
+      expect.objectContaining({ code: 'INVALID_TARGET' }),
+    );
+
+    const { standIn } = roomManager.assignStandIn({ roomId: 'itajuba', seatPlayerId: bruno, spectatorId: caio });
+    expect(standIn).toEqual({ type: 'spectator', playerId: caio, displayName: 'Caio' });
+    expect(roomManager.findStandInSeat({ roomId: 'itajuba', playerId: caio }).playerId).toBe(bruno);
+
+    roomManager.cleanupExpiredSessions(Date.now() + roomManager.reconnectionWindowMs + 1);
+    expect(stateManager.getRoom('itajuba').players).toEqual([ana, bruno]);
+    expect(roomManager.getSessionForPlayer(bruno)).toBeNull();
+
+    expect(roomManager.releaseStandIns('itajuba')).toEqual([expect.objectContaining({ reason: 'expired' })]);
+    expect(stateManager.getRoom('itajuba').players).toEqual([ana]);
+    expect(stateManager.getPlayer(caio).standIn).toBeNull();
+  });
+
+  it('queues would-be players for a seat and promotes them in order between games', () => {
+    const ana = joinPlayer('Ana').player.playerId;
+    const room = stateManager.getRoom('itajuba');
+    room.update({ status: 'playing' });
+
+    expect(() => joinPlayer('Bruno')).toThrow(expect.objectContaining({ code: 'ROOM_IN_PROGRESS' }));
+
+    const bruno = roomManager.joinRoom({ roomId: 'itajuba', displayName: 'Bruno', queueForSeat: true }).player;
+    expect(bruno.isSpectator).toBe(true);
+
+    const caio = joinPlayer('Caio', { isSpectator: true }).player.playerId;
+    const dani = joinPlayer('Dani', { isSpectator: true }).player.playerId;
+    roomManager.joinSeatQueue({ roomId: 'itajuba', playerId: caio });
+    expect(roomManager.joinSeatQueue({ roomId: 'itajuba', playerId: dani })).toEqual([
+      { playerId: bruno.playerId, displayName: 'Bruno', position: 1 },
+      { playerId: caio, displayName: 'Caio', position: 2 },
+      { playerId: dani, displayName: 'Dani', position: 3 },
+    ]);
+    expect(() => roomManager.joinSeatQueue({ roomId: 'itajuba', playerId: ana })).toThrow(
+      expect.objectContaining({ code: 'INVALID_TARGET' }),
+    );
+
+    expect(roomManager.promoteQueuedSpectators('itajuba')).toEqual([]);
+
+    roomManager.handleDisconnect({ playerId: caio });
+    roomManager.leaveSeatQueue({ roomId: 'itajuba', playerId: dani });
+    room.update({ status: 'waiting' });
+    roomManager.maxPlayers = 2;
+
+    expect(roomManager.promoteQueuedSpectators('itajuba')).toEqual([
+      expect.objectContaining({ playerId: bruno.playerId, isSpectator: false }),
+    ]);
+    expect(stateManager.getRoom('itajuba').players).toEqual([ana, bruno.playerId]);
+    expect(roomManager.describeSeatQueue('itajuba')).toEqual([{ playerId: caio, displayName: 'Caio', position: 1 }]);
+
+    roomManager.removePlayerById(caio);
+    expect(roomManager.describeSeatQueue('itajuba')).toEqual([]);
+  });
 });
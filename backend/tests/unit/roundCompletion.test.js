@@ -2,7 +2,10 @@
 
 const {
   calculateRoundResults,
+  determineFirstCardCount,
   determineNextCardCount,
+  isBlindRoundFor,
+  determineNextDealer,
   constants,
 } = require('../../src/modules/gameLogic/rounds');
 
@@ -40,6 +43,23 @@ describe('round completion calculations', () => {
     });
   });
 
+  it('credits the winner with the cancelled tricks carried into their trick', () => {
+    const round = {
+      bids: { alice: 3, bob: 0 },
+      tricks: [
+        { winner: null, resolution: 'carry-over', carriedTricks: 0 },
+        { winner: null, resolution: 'carry-over', carriedTricks: 1 },
+        { winner: 'alice', resolution: 'highest-card', carriedTricks: 2 },
+        { winner: null, resolution: 'carry-over', carriedTricks: 0 },
+      ],
+    };
+
+    const results = calculateRoundResults({ round, playerOrder: ['alice', 'bob'] });
+
+    expect(results.actuals).toEqual({ alice: 3, bob: 0 });
+    expect(results.livesLost).toEqual({ alice: 0, bob: 0 });
+  });
+
   it('treats missing or invalid bids as zero and counts trick wins', () => {
     const round = {
       bids: new Map([
@@ -94,4 +114,71 @@ describe('card count progression', () => {
     const result = determineNextCardCount({ previousCardCount: 3, playerCount: 0 });
     expect(result).toBe(3);
   });
+
+  it('caps ascending progression at the rule set max cards', () => {
+    const ruleSet = { progression: 'ascending', maxCards: 3 };
+
+    expect(determineNextCardCount({ previousCardCount: 2, playerCount: 4, ruleSet })).toBe(3);
+    expect(determineNextCardCount({ previousCardCount: 3, playerCount: 4, ruleSet })).toBe(3);
+  });
+
+  it('starts descending games at the max and bottoms out at one card', () => {
+    const ruleSet = { progression: 'descending', maxCards: 4 };
+
+    expect(determineFirstCardCount({ playerCount: 4, ruleSet })).toBe(4);
+    expect(determineNextCardCount({ previousCardCount: 4, playerCount: 4, ruleSet })).toBe(3);
+    expect(determineNextCardCount({ previousCardCount: 1, playerCount: 4, ruleSet })).toBe(1);
+  });
+
+  it('climbs to the max and back down for sobe e desce', () => {
+    const ruleSet = { progression: 'up-down', maxCards: 3 };
+    const counts = [determineFirstCardCount({ playerCount: 4, ruleSet })];
+
+    while (counts.length < 7) {
+      counts.push(
+        determineNextCardCount({
+          previousCardCount: counts[counts.length - 1],
+          playerCount: 4,
+          ruleSet,
+          previousCardCounts: counts,
+        }),
+      );
+    }
+
+    expect(counts).toEqual([1, 2, 3, 2, 1, 2, 3]);
+  });
+});
+
+describe('blind round detection', () => {
+  it('only blinds the first round by default', () => {
+    expect(isBlindRoundFor({ roundNumber: 1, cardCount: 1 })).toBe(true);
+    expect(isBlindRoundFor({ roundNumber: 5, cardCount: 1 })).toBe(false);
+  });
+
+  it('blinds every single-card round when configured', () => {
+    const ruleSet = { blindRounds: 'single-card' };
+
+    expect(isBlindRoundFor({ roundNumber: 5, cardCount: 1, ruleSet })).toBe(true);
+    expect(isBlindRoundFor({ roundNumber: 1, cardCount: 4, ruleSet })).toBe(false);
+    expect(isBlindRoundFor({ roundNumber: 1, cardCount: 1, ruleSet: { blindRounds: 'none' } })).toBe(false);
+  });
+});
+
+describe('dealer rotation', () => {
+  const seatOrder = ['p1', 'p2', 'p3', 'p4'];
+
+  it('lets the last seat deal first and then moves one seat along', () => {
+    expect(determineNextDealer({ seatOrder, playerOrder: seatOrder })).toBe('p4');
+    expect(determineNextDealer({ seatOrder, playerOrder: seatOrder, previousDealerId: 'p4' })).toBe('p1');
+    expect(determineNextDealer({ seatOrder, playerOrder: seatOrder, previousDealerId: 'p1' })).toBe('p2');
+  });
+
+  it('skips eliminated players, including an eliminated dealer', () => {
+    expect(
+      determineNextDealer({ seatOrder, playerOrder: ['p1', 'p3', 'p4'], previousDealerId: 'p1' }),
+    ).toBe('p3');
+    expect(
+      determineNextDealer({ seatOrder, playerOrder: ['p1', 'p4'], previousDealerId: 'p2' }),
+    ).toBe('p4');
+  });
 });
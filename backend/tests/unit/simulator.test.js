@@ -0,0 +1,112 @@
+'use strict';
+
+const {
+  normalizeSimulationOptions,
+  simulateGame,
+  runSimulations,
+  formatSimulationCsv,
+} = require('../../src/modules/gameLogic/simulator');
+
+describe('game simulator', () => {
+  it('plays a game to the end with bots only', () => {
+    const settings = normalizeSimulationOptions({
+      players: ['easy', 'medium', 'hard'],
+      seed: 'unit',
+    });
+    const game = simulateGame(settings);
+
+    expect(['victory', 'insufficient_players']).toContain(game.reason);
+    expect(game.rounds).toBeGreaterThan(0);
+    expect(game.tricks).toBeGreaterThanOrEqual(game.rounds);
+    expect(game.cancelledTricks).toBeLessThanOrEqual(game.tricks);
+    if (game.reason === 'victory') {
+      expect([1, 2, 3]).toContain(game.winnerSeat);
+    }
+
+    const firstRoundBids = game.bids.slice(0, 3);
+    expect(firstRoundBids.map((bid) => bid.position)).toEqual([1, 2, 3]);
+    expect(firstRoundBids.map((bid) => bid.seat)).toEqual([1, 2, 3]);
+    expect(firstRoundBids[2].isLast).toBe(true);
+  });
+
+  it('stops a game at the round limit', () => {
+    const settings = normalizeSimulationOptions({
+      players: 2,
+      startingLives: 50,
+      maxRounds: 3,
+      seed: 'unit',
+    });
+
+    expect(simulateGame(settings)).toMatchObject({
+      rounds: 3,
+      winnerSeat: null,
+      reason: 'round_limit',
+    });
+  });
+
+  it('summarizes a seeded run the same way every time', () => {
+    const options = { games: 5, players: ['easy', 'medium', 'hard', 'medium'], seed: 'balance' };
+    const summary = runSimulations(options);
+
+    expect(runSimulations(options)).toEqual(summary);
+    expect(runSimulations({ ...options, seed: 'other' })).not.toEqual(summary);
+
+    expect(summary.games).toBe(5);
+    expect(summary.settings.bidRules).toEqual({ restriction: 'last-bidder', tolerance: 0 });
+    expect(summary.seats.map((seat) => seat.difficulty)).toEqual([
+      'easy',
+      'medium',
+      'hard',
+      'medium',
+    ]);
+
+    const wins = summary.seats.reduce((total, seat) => total + seat.wins, 0);
+    expect(wins).toBe(summary.outcomes.victory);
+    expect(summary.outcomes.victory + summary.outcomes.noWinner + summary.outcomes.roundLimit).toBe(
+      5,
+    );
+
+    const seatBids = summary.seats.reduce((total, seat) => total + seat.bids, 0);
+    const positionBids = summary.bidPositions.reduce((total, entry) => total + entry.bids, 0);
+    expect(positionBids).toBe(seatBids);
+    expect(summary.bidPositions[0].bids).toBe(Math.round(summary.averageRounds * 5));
+    expect(summary.cancelledTricks.rate).toBeGreaterThanOrEqual(0);
+    expect(summary.cancelledTricks.rate).toBeLessThanOrEqual(1);
+  });
+
+  it('passes rule options through to the games', () => {
+    const summary = runSimulations({
+      games: 2,
+      players: 3,
+      seed: 'rules',
+      ruleSet: { deck: 'clean', manilhas: 'fixed', blindRounds: 'none' },
+      bidRules: { restriction: 'none' },
+    });
+
+    expect(summary.settings.ruleSet).toMatchObject({
+      deck: 'clean',
+      manilhas: 'fixed',
+      blindRounds: 'none',
+    });
+    expect(summary.settings.bidRules.restriction).toBe('none');
+    expect(summary.seats).toHaveLength(3);
+  });
+
+  it('rejects tables it cannot seat', () => {
+    expect(() => normalizeSimulationOptions({ players: ['medium'] })).toThrow(/2 to 10 players/);
+    expect(() => normalizeSimulationOptions({ players: ['medium', 'expert'] })).toThrow(
+      /Unknown bot difficulty/,
+    );
+    expect(() => normalizeSimulationOptions({ games: 0 })).toThrow(/positive integer/);
+  });
+
+  it('formats the summary as long-format CSV', () => {
+    const summary = runSimulations({ games: 2, players: 2, seed: 'csv' });
+    const lines = formatSimulationCsv(summary).split('\n');
+
+    expect(lines[0]).toBe('scope,id,metric,value');
+    expect(lines).toContain('game,,games,2');
+    expect(lines).toContain(`seat,1,winRate,${summary.seats[0].winRate}`);
+    expect(lines).toContain(`bidPosition,last,bidAccuracy,${summary.lastBidder.bidAccuracy ?? ''}`);
+  });
+});
@@ -140,6 +140,38 @@ describe('StateManager', () => {
     expect(game).toMatchObject({ roomId: 'itajuba', round: 1 });
   });
 
+  it('writes room bans and muted players into the snapshot', async () => {
+    const manager = new StateManager({
+      snapshotPath,
+      snapshotIntervalMs: 0,
+      logger,
+      processRef: fakeProcess,
+    });
+
+    await manager.init();
+
+    const ban = {
+      displayName: 'Bruno',
+      sessionId: 'session-2',
+      accountId: null,
+      bannedAt: '2026-01-01T10:00:00.000Z',
+      expiresAt: '2026-01-01T11:00:00.000Z',
+    };
+
+    manager.upsertRoom(new GameRoom({ roomId: 'itajuba', players: ['player-1'], bans: [ban] }));
+    manager.upsertPlayer(new Player({ playerId: 'player-1', displayName: 'Ana', roomId: 'itajuba', isMuted: true }));
+
+    await manager.persist('test-suite');
+
+    // Restoring rebuilds the models from the snapshot entries.
+    const snapshot = JSON.parse(await fs.readFile(snapshotPath, 'utf8'));
+    const room = new GameRoom(snapshot.rooms.find((entry) => entry.roomId === 'itajuba'));
+    const player = new Player(snapshot.players.find((entry) => entry.playerId === 'player-1'));
+
+    expect(room.bans).toEqual([ban]);
+    expect(player.isMuted).toBe(true);
+  });
+
   it('persists player sessions and restores them on init', async () => {
     const manager = new StateManager({
       snapshotPath,
@@ -243,4 +275,41 @@ describe('StateManager', () => {
 
     expect(fakeProcess.off).toHaveBeenCalledTimes(3);
   });
+
+  it('records replay events in order and moves finished replays to their own file', async () => {
+    const manager = new StateManager({
+      snapshotPath,
+      snapshotIntervalMs: 0,
+      logger,
+      processRef: fakeProcess,
+      bindProcessEvents: false,
+    });
+
+    manager.startReplay({
+      gameId: 'game-1',
+      roomId: 'itajuba',
+      players: [{ playerId: 'p1', displayName: 'Ana' }],
+    });
+    manager.appendReplayEvent('game-1', { type: 'bid_submitted', payload: { playerId: 'p1', bid: 1 } });
+    manager.appendReplayEvent('game-1', { type: 'card_played', payload: { playerId: 'p1' } });
+
+    expect(manager.appendReplayEvent('unknown-game', { type: 'card_played' })).toBeNull();
+    expect(manager.getSnapshotPayload().replays).toHaveLength(1);
+
+    const replayPath = await manager.saveReplay('game-1');
+
+    expect(replayPath).toBe(path.join(tmpDir, 'replays', 'game-1.json'));
+    expect(manager.replays.has('game-1')).toBe(false);
+
+    const replay = await manager.loadReplay('game-1');
+    expect(replay.completedAt).toEqual(expect.any(String));
+    expect(replay.players).toEqual([{ playerId: 'p1', displayName: 'Ana' }]);
+    expect(replay.events.map((event) => [event.seq, event.type])).toEqual([
+      [1, 'bid_submitted'],
+      [2, 'card_played'],
+    ]);
+
+    await expect(manager.loadReplay('missing')).resolves.toBeNull();
+    await expect(manager.loadReplay('../state')).resolves.toBeNull();
+  });
 });
@@ -147,6 +147,87 @@ describe('gameLogic/tricks', () => {
       expect(result.winner).toBeNull();
       expect(result.cancelledCards).toHaveLength(3);
     });
+
+    describe('when every card cancels', () => {
+      const createCancelledTrick = () => {
+        const trick = createTrickState({ trickNumber: 2, leadPlayer: 'player-2' });
+        recordCardPlay(trick, { playerId: 'player-2', card: { rank: 'K', suit: 'hearts' } });
+        recordCardPlay(trick, { playerId: 'player-3', card: { rank: '6', suit: 'clubs' } });
+        recordCardPlay(trick, { playerId: 'player-1', card: { rank: 'K', suit: 'spades' } });
+        recordCardPlay(trick, { playerId: 'player-4', card: { rank: '6', suit: 'diamonds' } });
+        return trick;
+      };
+
+      it('gives the trick to nobody by default', () => {
+        const result = resolveTrick({ trick: createCancelledTrick(), viraRank: '4' });
+
+        expect(result).toMatchObject({ winner: null, winningCard: null, resolution: 'nobody' });
+        expect(result.cancelledCards).toHaveLength(4);
+      });
+
+      it('gives the trick to its lead player', () => {
+        const result = resolveTrick({
+          trick: createCancelledTrick(),
+          viraRank: '4',
+          cancelledTrickRule: 'lead-player',
+        });
+
+        expect(result).toMatchObject({ winner: 'player-2', winningCard: null, resolution: 'lead-player' });
+      });
+
+      it('gives the trick to the last card played', () => {
+        const result = resolveTrick({
+          trick: createCancelledTrick(),
+          viraRank: '4',
+          cancelledTrickRule: 'last-card',
+        });
+
+        expect(result).toMatchObject({ winner: 'player-4', resolution: 'last-card' });
+        expect(result.winningCard).toMatchObject({ rank: '6', suit: 'diamonds' });
+      });
+
+      it('leaves a carried-over trick unclaimed and echoes what it carries', () => {
+        const result = resolveTrick({
+          trick: createCancelledTrick(),
+          viraRank: '4',
+          cancelledTrickRule: 'carry-over',
+          carriedTricks: 1,
+        });
+
+        expect(result).toMatchObject({ winner: null, resolution: 'carry-over', carriedTricks: 1 });
+      });
+
+      it('ignores the rule when a card survives', () => {
+        const trick = createCancelledTrick();
+        recordCardPlay(trick, { playerId: 'player-5', card: { rank: '2', suit: 'clubs' } });
+
+        const result = resolveTrick({ trick, viraRank: '4', cancelledTrickRule: 'last-card', carriedTricks: 2 });
+
+        expect(result).toMatchObject({ winner: 'player-5', resolution: 'highest-card', carriedTricks: 2 });
+      });
+    });
+
+    it('lets a fixed manilha survive a plain card of the same rank', () => {
+      const trick = createTrickState({ trickNumber: 1, leadPlayer: 'player-1' });
+      recordCardPlay(trick, {
+        playerId: 'player-1',
+        card: { rank: '7', suit: 'clubs' },
+      });
+      recordCardPlay(trick, {
+        playerId: 'player-2',
+        card: { rank: '7', suit: 'hearts' },
+      });
+      recordCardPlay(trick, {
+        playerId: 'player-3',
+        card: { rank: '3', suit: 'spades' },
+      });
+
+      const result = resolveTrick({ trick, viraRank: null, variant: { manilhas: 'fixed' } });
+
+      expect(result.winner).toBe('player-2');
+      expect(result.winningCard).toMatchObject({ rank: '7', suit: 'hearts', isManilha: true });
+      expect(result.cancelledCards).toHaveLength(0);
+    });
   });
 
   describe('removeCardFromHand', () => {
@@ -38,6 +38,11 @@ describe('turnTimer module', () => {
       expect(clampTurnTimerSeconds(12.8)).toBe(12);
       expect(clampTurnTimerSeconds(45)).toBe(MAX_TURN_TIMER_SECONDS);
     });
+
+    it('honours custom bounds', () => {
+      expect(clampTurnTimerSeconds(2, DEFAULT_TURN_TIMER_SECONDS, { min: 3, max: 10 })).toBe(3);
+      expect(clampTurnTimerSeconds(25, DEFAULT_TURN_TIMER_SECONDS, { min: 3, max: 10 })).toBe(10);
+    });
   });
 
   describe('calculateDeadline', () => {
@@ -13,6 +13,8 @@ import './modules/gameUI/bidding.js';
 import './modules/gameUI/gameBoard.js';
 import './modules/gameUI/scoring.js';
 import './modules/gameUI/gameOver.js';
+import './modules/gameUI/replay.js';
+import './modules/gameUI/leaderboard.js';
 import './modules/gameUI/chat.js';
 import './modules/gameUI/reconnection.js';
 
@@ -24,6 +24,21 @@ const SUIT_SYMBOLS = {
   diamonds: '♦',
 };
 
+// "Manilha velha": with a rule set's `manilhas: 'fixed'` these four cards are
+// the manilhas, strongest first, whatever the vira.
+export const FIXED_MANILHAS = [
+  { rank: '4', suit: 'clubs', name: 'Zap' },
+  { rank: '7', suit: 'hearts', name: 'Copas' },
+  { rank: 'A', suit: 'spades', name: 'Espadilha' },
+  { rank: '7', suit: 'diamonds', name: 'Pica-fumo' },
+];
+
+const findFixedManilha = (card) =>
+  FIXED_MANILHAS.find((manilha) => manilha.rank === card?.rank && manilha.suit === card?.suit) ?? null;
+
+export const isManilhaCard = (card, ruleSet = null) =>
+  ruleSet?.manilhas === 'fixed' ? Boolean(findFixedManilha(card)) : Boolean(card?.isManilha);
+
 const DRAG_THRESHOLD = 8;
 const DEAL_DELAY_STEP_MS = 80;
 
@@ -62,11 +77,11 @@ export const calculateContrastRatio = (foreground, background) => {
   return Number(((lighter + 0.05) / (darker + 0.05)).toFixed(2));
 };
 
-const buildAriaLabel = (card) => {
+const buildAriaLabel = (card, manilhaLabel) => {
   const rank = card.rank ?? 'Unknown rank';
   const suit = card.suit ? card.suit.replace(/^(.)/, (match) => match.toUpperCase()) : 'Unknown suit';
   const strength = Number.isFinite(card.strength) ? card.strength : 'unknown strength';
-  const suffix = card.isManilha ? ' — Manilha' : '';
+  const suffix = manilhaLabel ? ` — ${manilhaLabel}` : '';
   return `${rank} of ${suit}, strength ${strength}${suffix}`;
 };
 
@@ -186,10 +201,14 @@ const attachPointerInteractions = (element, card, handlers) => {
   });
 };
 
+// `options.ruleSet` is the round's rule set; with fixed manilhas the badge
+// names the card ("Manilha · Zap") instead of trusting the vira-based flag.
 export const createCardElement = (card, options = {}) => {
   const isHidden = Boolean(card?.hidden) && options.reveal !== true;
   const showStrength = Boolean(options.showStrength ?? true) && !isHidden;
-  const isManilha = Boolean(card?.isManilha) && !isHidden;
+  const isManilha = isManilhaCard(card, options.ruleSet) && !isHidden;
+  const fixedManilha = options.ruleSet?.manilhas === 'fixed' ? findFixedManilha(card) : null;
+  const manilhaLabel = isManilha ? (fixedManilha ? `Manilha · ${fixedManilha.name}` : 'Manilha') : '';
   const theme = isManilha ? CARD_THEMES.manilha : CARD_THEMES.default;
 
   // Optimized: Use template cloning for faster rendering
@@ -204,7 +223,7 @@ export const createCardElement = (card, options = {}) => {
     'data-suit': isHidden ? 'hidden' : card.suit ?? '',
     'data-strength': showStrength ? String(card.strength ?? '') : '',
     'data-manilha': isManilha ? 'true' : 'false',
-    'aria-label': isHidden ? 'Face-down card' : buildAriaLabel(card),
+    'aria-label': isHidden ? 'Face-down card' : buildAriaLabel(card, manilhaLabel),
     'tabindex': options.interactive ? '0' : '-1'
   };
   
@@ -227,7 +246,7 @@ export const createCardElement = (card, options = {}) => {
     }
     
     if (isManilha) {
-      html += `<span class="card-tile__manilha" data-testid="manilha-indicator">Manilha</span>`;
+      html += `<span class="card-tile__manilha" data-testid="manilha-indicator">${manilhaLabel}</span>`;
     }
     
     element.innerHTML = html;
@@ -0,0 +1,152 @@
+/**
+ * Deal Verification Module
+ * Re-runs a scored round's shuffle from its revealed seeds, the same way the
+ * server dealt it, so players can check the deal themselves.
+ */
+
+const SUITS = ['clubs', 'hearts', 'spades', 'diamonds'];
+const RANK_ORDER = ['4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A', '2', '3'];
+const CLEAN_RANK_ORDER = RANK_ORDER.filter((rank) => !['8', '9', '10'].includes(rank));
+
+const textEncoder = new TextEncoder();
+
+const sha256 = async (text) =>
+  new Uint8Array(await globalThis.crypto.subtle.digest('SHA-256', textEncoder.encode(text)));
+
+const toHex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * SHA-256 hex digest of a seed, as published in `serverSeedHash`.
+ * @param {string} seed
+ * @returns {Promise<string>}
+ */
+export const hashSeed = async (seed) => toHex(await sha256(String(seed)));
+
+/**
+ * The string the shuffle draws from: the server seed, then every
+ * `playerId:clientSeed` sorted by player id, joined with `|`.
+ * @param {{ serverSeed: string, clientSeeds?: Object<string, string> }} seeds
+ * @returns {string}
+ */
+export const combineSeeds = ({ serverSeed, clientSeeds = {} }) =>
+  [
+    String(serverSeed),
+    ...Object.keys(clientSeeds)
+      .sort()
+      .map((playerId) => `${playerId}:${clientSeeds[playerId]}`),
+  ].join('|');
+
+// SHA-256 of `${seed}:0`, `${seed}:1`, ... handed out in order.
+const createByteReader = (seed) => {
+  let block = 0;
+  let pool = [];
+
+  return async (size) => {
+    while (pool.length < size) {
+      pool = [...pool, ...(await sha256(`${seed}:${block}`))];
+      block += 1;
+    }
+
+    const bytes = pool.slice(0, size);
+    pool = pool.slice(size);
+    return bytes;
+  };
+};
+
+// Uniform index in 0..max: the fewest whole bytes covering max + 1 values,
+// drawn again while they fall in the uneven tail.
+const readIndex = async (max, readBytes) => {
+  const range = max + 1;
+  const bytesNeeded = Math.max(1, Math.ceil(Math.ceil(Math.log2(range)) / 8));
+  const maxValue = 2 ** (bytesNeeded * 8);
+  const limit = maxValue - (maxValue % range);
+
+  let value = limit;
+  while (value >= limit) {
+    const bytes = await readBytes(bytesNeeded);
+    value = bytes.reduce((total, byte) => total * 256 + byte, 0);
+  }
+
+  return value % range;
+};
+
+/**
+ * Deals a round again from its seeds.
+ * @param {Object} options
+ * @param {string} options.serverSeed - The revealed server seed
+ * @param {Object<string, string>} [options.clientSeeds] - Published client seeds
+ * @param {string[]} options.dealOrder - Seats in the order hands were dealt
+ * @param {number} options.cardCount - Cards per hand
+ * @param {{ deck?: string, manilhas?: string }} [options.ruleSet] - Card variant
+ * @returns {Promise<{ viraCard: Object|null, hands: Object<string, Object[]> }>}
+ */
+export const replayDeal = async ({ serverSeed, clientSeeds, dealOrder, cardCount, ruleSet }) => {
+  const ranks = ruleSet?.deck === 'clean' ? CLEAN_RANK_ORDER : RANK_ORDER;
+  const deck = SUITS.flatMap((suit) => ranks.map((rank) => ({ rank, suit })));
+  const readBytes = createByteReader(combineSeeds({ serverSeed, clientSeeds }));
+
+  for (let i = deck.length - 1; i > 0; i -= 1) {
+    const j = await readIndex(i, readBytes);
+    [deck[i], deck[j]] = [deck[j], deck[i]];
+  }
+
+  // With fixed manilhas no vira is turned.
+  const viraCard = ruleSet?.manilhas === 'fixed' ? null : deck.shift();
+  const hands = Object.fromEntries(
+    dealOrder.map((playerId, index) => [
+      playerId,
+      deck.slice(index * cardCount, (index + 1) * cardCount),
+    ]),
+  );
+
+  return { viraCard, hands };
+};
+
+const cardKey = (card) => `${card?.rank}:${card?.suit}`;
+
+/**
+ * Checks a scored round's revealed seeds against what this client saw: the
+ * hash committed before the deal, the vira and its own cards.
+ * @param {Object} options
+ * @param {Object} options.fairness - `round_completed` fairness
+ * @param {string|null} [options.committedServerSeedHash] - Hash promised before the deal
+ * @param {Object} options.round - The round as this client saw it
+ * @param {string|null} [options.playerId] - This client's seat
+ * @returns {Promise<{ verified: boolean, reason: string|null }>}
+ */
+export const verifyDeal = async ({ fairness, committedServerSeedHash = null, round, playerId = null }) => {
+  const fail = (reason) => ({ verified: false, reason });
+
+  if (!fairness?.serverSeed || !Array.isArray(fairness.dealOrder)) {
+    return fail('missing_seeds');
+  }
+
+  if ((await hashSeed(fairness.serverSeed)) !== fairness.serverSeedHash) {
+    return fail('hash_mismatch');
+  }
+
+  if (committedServerSeedHash && committedServerSeedHash !== fairness.serverSeedHash) {
+    return fail('commitment_mismatch');
+  }
+
+  const { viraCard, hands } = await replayDeal({
+    serverSeed: fairness.serverSeed,
+    clientSeeds: fairness.clientSeeds,
+    dealOrder: fairness.dealOrder,
+    cardCount: round?.cardCount ?? 0,
+    ruleSet: round?.ruleSet,
+  });
+
+  if (cardKey(viraCard) !== cardKey(round?.viraCard)) {
+    return fail('vira_mismatch');
+  }
+
+  // A hand restored after a reconnect may be missing cards already played.
+  const dealtKeys = new Set((hands[playerId] ?? []).map(cardKey));
+  const seenHand = Array.isArray(round?.dealtHand) ? round.dealtHand : [];
+  if (!seenHand.every((card) => dealtKeys.has(cardKey(card)))) {
+    return fail('hand_mismatch');
+  }
+
+  return { verified: true, reason: null };
+};
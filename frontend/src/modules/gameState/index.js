@@ -9,6 +9,8 @@ const createInitialTrickState = () => ({
   cardsPlayed: {},
   winner: null,
   cancelledCards: [],
+  resolution: null,
+  carriedTricks: 0,
   currentLeader: null,
   winningCard: null,
   completedAt: null,
@@ -36,6 +38,7 @@ const normalizeRoundResults = (payload = {}) => {
     roundNumber: Number.isFinite(payload?.roundNumber) ? payload.roundNumber : null,
     results: sanitized,
     eliminatedPlayers,
+    fairness: payload?.fairness ? { ...payload.fairness } : null,
     receivedAt: Date.now(),
   };
 };
@@ -52,6 +55,35 @@ const mergeLivesFromResults = (previous = {}, results = {}) => {
   return next;
 };
 
+const normalizeRatingChanges = (ratingChanges) => {
+  if (!ratingChanges || typeof ratingChanges !== 'object') {
+    return {};
+  }
+
+  return Object.fromEntries(
+    Object.entries(ratingChanges)
+      .filter(([, change]) => Number.isFinite(change?.rating) && Number.isFinite(change?.delta))
+      .map(([playerId, change]) => [
+        playerId,
+        {
+          rating: change.rating,
+          delta: change.delta,
+          roomRating: Number.isFinite(change.roomRating) ? change.roomRating : null,
+          roomDelta: Number.isFinite(change.roomDelta) ? change.roomDelta : null,
+        },
+      ]),
+  );
+};
+
+const normalizeSeries = (series) => ({
+  gamesPlayed: Number.isInteger(series?.gamesPlayed) ? series.gamesPlayed : 0,
+  wins: Object.fromEntries(
+    Object.entries(series?.wins && typeof series.wins === 'object' ? series.wins : {}).filter(([, wins]) =>
+      Number.isInteger(wins),
+    ),
+  ),
+});
+
 const normalizeGameResult = (payload = {}) => {
   const standings = Array.isArray(payload.finalStandings)
     ? payload.finalStandings.map((entry) => ({
@@ -59,26 +91,37 @@ const normalizeGameResult = (payload = {}) => {
         displayName: entry.displayName ?? null,
         livesRemaining: Number.isFinite(entry?.livesRemaining) ? entry.livesRemaining : null,
         totalRounds: Number.isFinite(entry?.totalRounds) ? entry.totalRounds : null,
+        bidAccuracy: Number.isFinite(entry?.bidAccuracy) ? entry.bidAccuracy : null,
+        tricksWon: Number.isFinite(entry?.tricksWon) ? entry.tricksWon : null,
       }))
     : [];
 
   return {
     winner: payload.winner ?? null,
+    reason: payload.reason ?? null,
+    tieBreak: payload.tieBreak?.explanation
+      ? { decidedBy: payload.tieBreak.decidedBy ?? null, explanation: payload.tieBreak.explanation }
+      : null,
     standings,
     stats: {
       duration: Number.isFinite(payload?.gameStats?.duration) ? payload.gameStats.duration : null,
       totalRounds: Number.isFinite(payload?.gameStats?.totalRounds) ? payload.gameStats.totalRounds : null,
       totalTricks: Number.isFinite(payload?.gameStats?.totalTricks) ? payload.gameStats.totalTricks : null,
     },
+    ratingChanges: normalizeRatingChanges(payload.ratingChanges),
+    series: normalizeSeries(payload.series),
     receivedAt: Date.now(),
   };
 };
 
 export const createInitialState = () => ({
   roomId: null,
+  gameId: null,
   playerId: null,
   isHost: false,
   isSpectator: false,
+  isMuted: false,
+  standingIn: null,
   phase: 'idle',
   round: {
     number: 0,
@@ -86,6 +129,8 @@ export const createInitialState = () => ({
     viraCard: null,
     manilhaRank: null,
     isBlindRound: false,
+    ruleSet: null,
+    dealerId: null,
   },
   playerOrder: [],
   currentTurn: null,
@@ -100,9 +145,14 @@ export const createInitialState = () => ({
   currentTrick: createInitialTrickState(),
   trickHistory: [],
   roundResults: null,
+  // Hash of the server seed committed for the room's next deal.
+  fairnessCommitment: null,
   playerLives: {},
   playerDirectory: {},
   gameResult: null,
+  rematch: null,
+  paused: null,
+  pauseVote: null,
   gameTimer: {
     remainingMs: null,
     status: 'idle',
@@ -287,6 +337,23 @@ export const createGameStateStore = ({ onChange } = {}) => {
   };
 };
 
+// The turn countdown stops while the game is paused: `turnRemainingMs` is
+// what was left of it, and the server sends a fresh deadline on resume.
+const normalizePause = (pause, turnEndsAt = null) => {
+  if (!pause || typeof pause !== 'object') {
+    return null;
+  }
+
+  const resumesAt = Date.parse(pause.resumesAt);
+
+  return {
+    pausedBy: pause.pausedBy ?? null,
+    reason: pause.reason ?? null,
+    resumesAt: Number.isFinite(resumesAt) ? resumesAt : null,
+    turnRemainingMs: Number.isFinite(turnEndsAt) ? Math.max(0, turnEndsAt - Date.now()) : null,
+  };
+};
+
 const applySnapshotToStore = (store, payload, { resetPending = true } = {}) => {
   if (!payload) {
     store.reset();
@@ -296,9 +363,15 @@ const applySnapshotToStore = (store, payload, { resetPending = true } = {}) => {
   store.setState((prev) => {
     const next = {
       roomId: payload.roomId ?? prev.roomId,
-      playerId: payload.playerId ?? prev.playerId,
+      playerId: prev.standingIn?.seatId ?? payload.playerId ?? prev.playerId,
       isHost: typeof payload.isHost === 'boolean' ? payload.isHost : prev.isHost,
-        isSpectator: typeof payload.isSpectator === 'boolean' ? payload.isSpectator : prev.isSpectator,
+      isSpectator: prev.standingIn
+        ? false
+        : typeof payload.isSpectator === 'boolean'
+          ? payload.isSpectator
+          : prev.isSpectator,
+      isMuted: typeof payload.isMuted === 'boolean' ? payload.isMuted : prev.isMuted,
+      fairnessCommitment: payload.fairness?.nextServerSeedHash ?? prev.fairnessCommitment ?? null,
       offline: false,
     };
 
@@ -326,6 +399,7 @@ const applySnapshotToStore = (store, payload, { resetPending = true } = {}) => {
           connectionStatus: player.connectionStatus ?? mergedDirectory[playerId]?.connectionStatus ?? 'connected',
           isHost: Boolean(player.isHost ?? mergedDirectory[playerId]?.isHost),
           isSpectator: Boolean(player.isSpectator ?? mergedDirectory[playerId]?.isSpectator),
+          isBot: Boolean(player.isBot ?? mergedDirectory[playerId]?.isBot),
         };
 
         if (Number.isFinite(player?.lives)) {
@@ -340,6 +414,7 @@ const applySnapshotToStore = (store, payload, { resetPending = true } = {}) => {
     const snapshot = payload.gameState;
     if (snapshot) {
       next.phase = snapshot.currentPhase ?? prev.phase ?? 'waiting';
+      next.gameId = snapshot.gameId ?? prev.gameId ?? null;
       next.playerOrder = Array.isArray(snapshot.playerOrder)
         ? [...snapshot.playerOrder]
         : prev.playerOrder;
@@ -350,6 +425,8 @@ const applySnapshotToStore = (store, payload, { resetPending = true } = {}) => {
         viraCard: snapshot.viraCard ?? prev.round.viraCard ?? null,
         manilhaRank: snapshot.manilhaRank ?? prev.round.manilhaRank ?? null,
         isBlindRound: snapshot.isBlindRound ?? prev.round.isBlindRound ?? false,
+        ruleSet: snapshot.ruleSet ?? prev.round.ruleSet ?? null,
+        dealerId: snapshot.dealerId ?? prev.round.dealerId ?? null,
       };
 
       next.currentTrick = {
@@ -371,6 +448,12 @@ const applySnapshotToStore = (store, payload, { resetPending = true } = {}) => {
       next.biddingMetadata = snapshot.biddingMetadata ?? null;
 
       next.turnEndsAt = typeof snapshot.turnEndsAt === 'number' ? snapshot.turnEndsAt : null;
+
+      // Room summaries leave `pause` out; full game snapshots carry it.
+      if (Object.prototype.hasOwnProperty.call(snapshot, 'pause')) {
+        next.paused = normalizePause(snapshot.pause, next.turnEndsAt);
+        next.pauseVote = null;
+      }
     } else if (!prev.phase || prev.phase === 'idle') {
       next.phase = 'waiting';
     }
@@ -436,6 +519,42 @@ const applyHostSettingsUpdate = (store, payload) => {
   }));
 };
 
+const handleGameStarted = (store, payload) => {
+  console.log('[GameState] game_started event received:', payload);
+  if (!payload) {
+    return;
+  }
+
+  const patch = { gameId: payload.gameId ?? null, rematch: null, paused: null, pauseVote: null };
+  if (Array.isArray(payload.playerOrder)) {
+    patch.playerOrder = [...payload.playerOrder];
+    console.log('[GameState] playerOrder set:', payload.playerOrder);
+  }
+
+  store.setState(patch);
+};
+
+// The vote only lists players still at the table; `vote` is 'accepted',
+// 'declined' or 'pending'.
+const applyRematchState = (store, payload) => {
+  if (!payload || typeof payload !== 'object') {
+    return;
+  }
+
+  store.setState({
+    rematch: {
+      players: Array.isArray(payload.players)
+        ? payload.players
+            .filter((entry) => typeof entry?.playerId === 'string')
+            .map((entry) => ({ playerId: entry.playerId, vote: entry.vote ?? 'pending' }))
+        : [],
+      acceptedCount: Number.isInteger(payload.acceptedCount) ? payload.acceptedCount : 0,
+      canStart: Boolean(payload.canStart),
+      series: normalizeSeries(payload.series),
+    },
+  });
+};
+
 const handleBiddingTurn = (store, payload) => {
   if (!payload) {
     return;
@@ -482,10 +601,48 @@ const applyTurnTimerUpdate = (store, payload) => {
       patch.phase = payload.phase;
     }
 
+    if (prev.paused) {
+      patch.paused = {
+        ...prev.paused,
+        turnRemainingMs: Number.isFinite(deadline) ? Math.max(0, deadline - Date.now()) : null,
+      };
+    }
+
     return patch;
   });
 };
 
+const applyGamePaused = (store, payload) => {
+  if (!payload || typeof payload !== 'object') {
+    return;
+  }
+
+  store.setState((prev) => ({
+    paused: normalizePause(payload, prev.turnEndsAt),
+    pauseVote: null,
+  }));
+};
+
+// `pause_vote` with no votes means the open vote lapsed.
+const applyPauseVote = (store, payload) => {
+  if (!payload || typeof payload !== 'object') {
+    return;
+  }
+
+  const votes = Array.isArray(payload.votes) ? payload.votes.filter((id) => typeof id === 'string') : [];
+
+  store.setState({
+    pauseVote: votes.length
+      ? {
+          action: payload.action === 'resume' ? 'resume' : 'pause',
+          votes,
+          needed: Number.isInteger(payload.needed) ? payload.needed : null,
+          expiresAt: Number.isFinite(Date.parse(payload.expiresAt)) ? Date.parse(payload.expiresAt) : null,
+        }
+      : null,
+  });
+};
+
 const handleBidSubmitted = (store, payload) => {
   if (!payload) {
     return;
@@ -619,10 +776,18 @@ const applyRoundStart = (store, payload) => {
     round: {
       number: payload.roundNumber ?? prev.round.number ?? 0,
       cardCount: payload.cardCount ?? prev.round.cardCount ?? 0,
-      viraCard: payload.viraCard ?? prev.round.viraCard ?? null,
+      // Fixed manilhas turn no vira, so an explicit null clears the last one.
+      viraCard: payload.viraCard === undefined ? prev.round.viraCard ?? null : payload.viraCard,
       manilhaRank: payload.manilhaRank ?? prev.round.manilhaRank ?? null,
       isBlindRound: Boolean(payload.isBlindRound ?? prev.round.isBlindRound),
+      ruleSet: payload.ruleSet ?? prev.round.ruleSet ?? null,
+      fairness: payload.fairness ?? null,
+      // The hash promised before this deal, checked once the seed is revealed.
+      committedServerSeedHash: prev.fairnessCommitment ?? null,
+      dealtHand: [],
+      dealerId: payload.dealerId ?? null,
     },
+    fairnessCommitment: payload.fairness?.nextServerSeedHash ?? prev.fairnessCommitment ?? null,
     currentTurn: payload.currentPlayer ?? null,
     bids: {},
     validBids: [],
@@ -665,6 +830,7 @@ const handleCardsDealt = (store, payload) => {
 
   store.setState((prev) => ({
     hand: sanitizeCardArray(payload.hand),
+    round: { ...prev.round, dealtHand: sanitizeCardArray(payload.hand) },
     visibleCards: sanitizeCardArray(payload.visibleCards),
     pending: {
       ...prev.pending,
@@ -694,6 +860,8 @@ const handleTrickStarted = (store, payload) => {
       cardsPlayed: {},
       winner: null,
       cancelledCards: [],
+      resolution: null,
+      carriedTricks: 0,
       currentLeader: payload.leadPlayer ?? null,
       winningCard: null,
       completedAt: null,
@@ -788,7 +956,11 @@ const handleTrickCompleted = (store, payload) => {
     });
 
     const winnerId = payload.winner ?? null;
-    const winningCard = winnerId && cardsPlayed[winnerId] ? cloneCard(cardsPlayed[winnerId]) : null;
+    // A cancelled trick handed to its lead player is won without a card.
+    const winningCard =
+      winnerId && cardsPlayed[winnerId] && payload.resolution !== 'lead-player'
+        ? cloneCard(cardsPlayed[winnerId])
+        : null;
 
     const trickResult = {
       number: payload.trickNumber ?? prev.currentTrick.number ?? 0,
@@ -798,6 +970,8 @@ const handleTrickCompleted = (store, payload) => {
       winningCard,
       cardsPlayed,
       cancelledCards: sanitizeCardArray(payload.cancelledCards),
+      resolution: payload.resolution ?? null,
+      carriedTricks: Number.isInteger(payload.carriedTricks) ? payload.carriedTricks : 0,
       completedAt: Date.now(),
     };
 
@@ -819,6 +993,56 @@ const handleTrickCompleted = (store, payload) => {
   });
 };
 
+// Inactive players are either benched (`player_kicked`) or their seat is handed
+// to a bot (`player_replaced`); both keep the same playerId in the game.
+const applySeatChange = (store, payload) => {
+  if (!payload?.playerId) {
+    return;
+  }
+
+  store.setState((prev) => {
+    const existing = prev.playerDirectory[payload.playerId] ?? { playerId: payload.playerId };
+    const player = payload.player ?? {};
+
+    return {
+      isSpectator: payload.playerId === prev.playerId ? Boolean(player.isSpectator) : prev.isSpectator,
+      playerDirectory: {
+        ...prev.playerDirectory,
+        [payload.playerId]: {
+          ...existing,
+          displayName: player.displayName ?? existing.displayName ?? payload.playerId,
+          isHost: Boolean(player.isHost),
+          isSpectator: Boolean(player.isSpectator),
+          isBot: Boolean(player.isBot),
+        },
+      },
+    };
+  });
+};
+
+// A spectator handed an absent player's seat plays as that seat until the
+// player comes back (`seat_released`) or the game ends.
+const applySeatAssigned = (store, payload) => {
+  if (!payload?.playerId) {
+    return;
+  }
+
+  store.setState((prev) => ({
+    playerId: payload.playerId,
+    isSpectator: false,
+    standingIn: {
+      seatId: payload.playerId,
+      displayName: payload.displayName ?? null,
+      ownPlayerId: prev.standingIn?.ownPlayerId ?? prev.playerId,
+    },
+  }));
+};
+
+const leaveStandInSeat = (prev) =>
+  prev.standingIn
+    ? { playerId: prev.standingIn.ownPlayerId, isSpectator: true, standingIn: null, hand: [], visibleCards: [] }
+    : {};
+
 const handleRoundCompleted = (store, payload) => {
   if (!payload) {
     return;
@@ -835,6 +1059,7 @@ const handleRoundCompleted = (store, payload) => {
     biddingMetadata: null,
     turnEndsAt: null,
     roundResults: normalized,
+    fairnessCommitment: normalized.fairness?.nextServerSeedHash ?? prev.fairnessCommitment,
     playerLives: mergeLivesFromResults(prev.playerLives, normalized.results),
     playerDirectory: (() => {
       const directory = { ...prev.playerDirectory };
@@ -894,8 +1119,11 @@ const handleGameCompleted = (store, payload) => {
   const normalized = normalizeGameResult(payload);
 
   store.setState((prev) => ({
+    ...leaveStandInSeat(prev),
     phase: 'completed',
     currentTurn: null,
+    paused: null,
+    pauseVote: null,
     roundResults: null,
     gameResult: normalized,
     playerLives: mergeLivesFromResults(prev.playerLives, Object.fromEntries(normalized.standings.map((entry) => [entry.playerId, { livesRemaining: entry.livesRemaining }]))),
@@ -958,6 +1186,45 @@ const handleGameTimerUpdate = (store, payload) => {
   }));
 };
 
+// The replay-only `hands_dealt` event carries every hand; they are shown face up
+// as visible cards, which `card_played` already prunes per owner.
+const handleReplayHandsDealt = (store, payload) => {
+  if (!payload?.hands || typeof payload.hands !== 'object') {
+    return;
+  }
+
+  store.setState({
+    hand: [],
+    visibleCards: Object.entries(payload.hands).flatMap(([ownerId, cards]) =>
+      sanitizeCardArray(cards).map((card) => ({ ...card, ownerId })),
+    ),
+  });
+};
+
+const REPLAY_EVENT_HANDLERS = {
+  game_started: handleGameStarted,
+  round_started: applyRoundStart,
+  hands_dealt: handleReplayHandsDealt,
+  bid_submitted: handleBidSubmitted,
+  trick_started: handleTrickStarted,
+  card_played: handleCardPlayed,
+  trick_completed: handleTrickCompleted,
+  round_completed: handleRoundCompleted,
+  game_completed: handleGameCompleted,
+};
+
+// Recorded replay events are the same payloads the server broadcast live, so
+// they go through the regular handlers. Returns false for unknown event types.
+export const applyReplayEvent = (store, event) => {
+  const handler = REPLAY_EVENT_HANDLERS[event?.type];
+  if (!handler) {
+    return false;
+  }
+
+  handler(store, event.payload);
+  return true;
+};
+
 export const init = async (context) => {
   if (!context || !context.networkClient) {
     throw new Error('GameState module requires networkClient in context');
@@ -996,6 +1263,10 @@ export const init = async (context) => {
       throw new Error('Cannot submit bid outside bidding phase');
     }
 
+    if (current.paused) {
+      throw new Error('The game is paused');
+    }
+
     if (!current.playerId) {
       throw new Error('Player identity unknown');
     }
@@ -1041,6 +1312,10 @@ export const init = async (context) => {
       throw new Error('Cannot play card outside playing phase');
     }
 
+    if (current.paused) {
+      throw new Error('The game is paused');
+    }
+
     if (!current.playerId) {
       throw new Error('Player identity unknown');
     }
@@ -1095,6 +1370,18 @@ export const init = async (context) => {
     });
   };
 
+  // The host pauses or resumes outright; anyone else seated casts a vote.
+  const requestPause = (event) => {
+    if (typeof networkClient.emit !== 'function') {
+      throw new Error('Network client cannot emit events');
+    }
+
+    networkClient.emit(event, {});
+  };
+
+  store.pauseGame = () => requestPause('pause_game');
+  store.resumeGame = () => requestPause('resume_game');
+
   const disposers = [];
   const socketHandlers = [];
   const pendingSubscriptions = [];
@@ -1162,13 +1449,7 @@ export const init = async (context) => {
   subscribeClient('host_settings_updated', (payload) => applyHostSettingsUpdate(store, payload));
 
   subscribeSocket('connection_status', (payload) => applyStatusChange(store, payload));
-  subscribeSocket('game_started', (payload) => {
-    console.log('[GameState] game_started event received:', payload);
-    if (payload && Array.isArray(payload.playerOrder)) {
-      store.setState({ playerOrder: [...payload.playerOrder] });
-      console.log('[GameState] playerOrder set:', payload.playerOrder);
-    }
-  });
+  subscribeSocket('game_started', (payload) => handleGameStarted(store, payload));
   subscribeSocket('bidding_turn', (payload) => handleBiddingTurn(store, payload));
   subscribeSocket('bid_submitted', (payload) => handleBidSubmitted(store, payload));
   subscribeSocket('action_error', (payload) => handleActionError(store, payload));
@@ -1179,10 +1460,18 @@ export const init = async (context) => {
   subscribeSocket('trick_completed', (payload) => handleTrickCompleted(store, payload));
   subscribeSocket('round_completed', (payload) => handleRoundCompleted(store, payload));
   subscribeSocket('game_completed', (payload) => handleGameCompleted(store, payload));
+  subscribeSocket('rematch_state', (payload) => applyRematchState(store, payload));
   subscribeSocket('game_timer_update', (payload) => handleGameTimerUpdate(store, payload));
+  subscribeSocket('game_paused', (payload) => applyGamePaused(store, payload));
+  subscribeSocket('game_resumed', () => store.setState({ paused: null, pauseVote: null }));
+  subscribeSocket('pause_vote', (payload) => applyPauseVote(store, payload));
   subscribeSocket('chat_message_received', (payload) => appendChatMessage(store, payload));
   subscribeSocket('host_settings_updated', (payload) => applyHostSettingsUpdate(store, payload));
   subscribeSocket('turn_timer_update', (payload) => applyTurnTimerUpdate(store, payload));
+  subscribeSocket('player_kicked', (payload) => applySeatChange(store, payload));
+  subscribeSocket('player_replaced', (payload) => applySeatChange(store, payload));
+  subscribeSocket('seat_assigned', (payload) => applySeatAssigned(store, payload));
+  subscribeSocket('seat_released', () => store.setState((prev) => leaveStandInSeat(prev)));
   subscribeSocket('action_sync', (payload) => handleActionSync(store, payload));
   subscribeSocket('game_state_update', (payload) => {
     if (!payload || typeof payload !== 'object') {
@@ -37,6 +37,7 @@ const createTemplate = () => {
       </div>
     </header>
     <p class="bidding__status" data-testid="bidding-status">Waiting for the bidding phase…</p>
+    <p class="bidding__paused" data-testid="bidding-paused" role="status" hidden>Game paused — the turn timer is stopped.</p>
     <div class="bidding__content">
       <ul class="bidding__players" data-testid="bidding-players" role="list"></ul>
       <div class="bidding__actions" data-testid="bid-actions">
@@ -115,7 +116,7 @@ const describePlayer = (context, playerId, selfId) => {
   };
 };
 
-const createBidButton = ({ value, disabled, onClick, isRestricted }) => {
+const createBidButton = ({ value, disabled, onClick, isRestricted, ruleLabel = 'last bidder rule' }) => {
   const button = document.createElement('button');
   button.type = 'button';
   button.className = 'bidding__option';
@@ -129,7 +130,7 @@ const createBidButton = ({ value, disabled, onClick, isRestricted }) => {
   if (isRestricted) {
     button.classList.add('bidding__option--restricted');
     button.disabled = true;
-    button.title = 'Restricted by last bidder rule';
+    button.title = `Restricted by ${ruleLabel}`;
   }
 
   button.addEventListener('click', () => {
@@ -150,12 +151,48 @@ const clearChildren = (element) => {
   }
 };
 
-const formatRestrictionMessage = ({ cardCount, restrictedBid }) => {
-  if (!Number.isFinite(restrictedBid)) {
+const describeRuleLabel = (bidRules) => (bidRules?.restriction === 'dealer' ? 'dealer rule' : 'last bidder rule');
+
+const describeForbiddenTotal = ({ bidRules, cardCount }) =>
+  bidRules?.tolerance > 0 ? `within ${bidRules.tolerance} of ${cardCount}` : `matching ${cardCount}`;
+
+const formatBidList = (values) =>
+  values.length > 1 ? `${values.slice(0, -1).join(', ')} or ${values[values.length - 1]}` : String(values[0]);
+
+// Bids this player may not make. Servers that predate configurable bid rules
+// only send `isLastBidder` and a single `restrictedBid`.
+const getRestrictedBids = (state) => {
+  const metadata = state.biddingMetadata ?? {};
+  if (!(metadata.restrictionApplied ?? state.isLastBidder)) {
+    return [];
+  }
+
+  if (Array.isArray(metadata.restrictedBids) && metadata.restrictedBids.length) {
+    return ensureSortedNumeric(metadata.restrictedBids);
+  }
+
+  return Number.isFinite(state.restrictedBid) ? [state.restrictedBid] : [];
+};
+
+const formatRestrictionMessage = ({ cardCount, restrictedBids, bidRules }) => {
+  if (!restrictedBids.length) {
+    return '';
+  }
+
+  return `You cannot choose ${formatBidList(restrictedBids)} — ${describeRuleLabel(bidRules)} prevents total bids ${describeForbiddenTotal({ bidRules, cardCount })}.`;
+};
+
+const formatBidRuleHint = ({ bidRules, cardCount }) => {
+  if (!bidRules) {
     return '';
   }
 
-  return `You cannot choose ${restrictedBid} — last bidder rule prevents total bids matching ${cardCount}.`;
+  if (bidRules.restriction === 'none') {
+    return 'No bid restriction';
+  }
+
+  const who = bidRules.restriction === 'dealer' ? 'Dealer' : 'Last bidder';
+  return `${who} cannot make total bids ${describeForbiddenTotal({ bidRules, cardCount })}`;
 };
 
 const getLatestError = (errors = []) => {
@@ -170,7 +207,7 @@ const shouldDisableBidding = ({ state, isSelfTurn }) => {
     return true;
   }
 
-  if (state.offline) {
+  if (state.offline || state.paused) {
     return true;
   }
 
@@ -202,6 +239,7 @@ export const init = async (context) => {
   const timerEl = section.querySelector('[data-testid="bidding-timer"]');
   const timerValueEl = section.querySelector('.bidding__timerValue');
   const statusEl = section.querySelector('[data-testid="bidding-status"]');
+  const pausedEl = section.querySelector('[data-testid="bidding-paused"]');
   const playersEl = section.querySelector('[data-testid="bidding-players"]');
   const optionsEl = section.querySelector('[data-testid="bid-options"]');
   const hintEl = section.querySelector('[data-testid="bidding-hint"]');
@@ -223,11 +261,19 @@ export const init = async (context) => {
     viewState.lastDeadline = null;
   };
 
-  const updateTimer = (deadline, { paused } = {}) => {
+  // `frozenMs` is what was left of the turn when the game was paused.
+  const updateTimer = (deadline, { paused, frozenMs = null } = {}) => {
     if (!timerEl || !timerValueEl) {
       return;
     }
 
+    if (Number.isFinite(frozenMs)) {
+      stopTimer();
+      timerEl.dataset.state = 'paused';
+      timerValueEl.textContent = formatSeconds(frozenMs / 1000);
+      return;
+    }
+
     if (!deadline) {
       timerValueEl.textContent = paused ? 'Paused' : '—';
       timerEl.dataset.state = paused ? 'paused' : 'idle';
@@ -359,15 +405,17 @@ export const init = async (context) => {
       optionsEl.append(button);
     });
 
-    if (state.isLastBidder && Number.isFinite(state.restrictedBid)) {
+    const ruleLabel = describeRuleLabel(state.biddingMetadata?.bidRules);
+    getRestrictedBids(state).forEach((value) => {
       const restrictedButton = createBidButton({
-        value: state.restrictedBid,
+        value,
         disabled: true,
         onClick: null,
         isRestricted: true,
+        ruleLabel,
       });
       optionsEl.append(restrictedButton);
-    }
+    });
   };
 
   const renderRestriction = (state) => {
@@ -375,8 +423,8 @@ export const init = async (context) => {
       return;
     }
 
-    const showRestriction = state.isLastBidder && Number.isFinite(state.restrictedBid);
-    if (!showRestriction) {
+    const restrictedBids = getRestrictedBids(state);
+    if (!restrictedBids.length) {
       restrictionEl.textContent = '';
       restrictionEl.hidden = true;
       return;
@@ -384,7 +432,8 @@ export const init = async (context) => {
 
     restrictionEl.textContent = formatRestrictionMessage({
       cardCount: state.round?.cardCount ?? 0,
-      restrictedBid: state.restrictedBid,
+      restrictedBids,
+      bidRules: state.biddingMetadata?.bidRules,
     });
     restrictionEl.hidden = false;
   };
@@ -400,7 +449,9 @@ export const init = async (context) => {
       ? `Bids so far: ${metadata.existingBidTotal}`
       : '';
 
-    const parts = [blindHint, totals].filter(Boolean);
+    const ruleHint = formatBidRuleHint({ bidRules: metadata.bidRules, cardCount: state.round?.cardCount ?? 0 });
+
+    const parts = [blindHint, totals, ruleHint].filter(Boolean);
 
     hintEl.textContent = parts.length ? parts.join(' · ') : '';
     hintEl.hidden = parts.length === 0;
@@ -433,6 +484,10 @@ export const init = async (context) => {
       return 'Offline — bids will resume when connection returns.';
     }
 
+    if (state.paused) {
+      return 'Game paused — bidding continues once it resumes.';
+    }
+
     if (!isSelfTurn) {
       const info = describePlayer(context, state.currentTurn, state.playerId);
       return info?.name ? `Waiting for ${info.name}…` : 'Waiting for the next player…';
@@ -463,8 +518,13 @@ export const init = async (context) => {
     renderHint(state);
     renderError(state);
 
+    pausedEl.hidden = !state.paused;
+
     const deadline = Number.isFinite(state.turnEndsAt) ? state.turnEndsAt : null;
-    updateTimer(deadline, { paused: state.offline });
+    updateTimer(deadline, {
+      paused: state.offline || Boolean(state.paused),
+      frozenMs: state.paused?.turnRemainingMs ?? null,
+    });
   };
 
   const unsubscribe = store.subscribe((nextState) => {
@@ -40,6 +40,7 @@ const createTemplate = () => {
 const describeChatError = (code) => {
   const map = {
     spectator_chat_disabled: 'Spectator chat is disabled by the host.',
+    muted: 'The host has muted you.',
     rate_limited: 'You are sending messages too quickly.',
     invalid_message: `Chat message must be between 1 and ${MAX_MESSAGE_LENGTH} characters.`,
     delivery_failure: 'Unable to deliver chat message. Please retry.',
@@ -216,12 +217,15 @@ export const init = async (context) => {
     const spectatorAllowed = state.hostSettings?.allowSpectatorChat !== false;
     const isSpectator = Boolean(state.isSpectator);
     const offline = Boolean(state.offline);
-    const canSend = !viewState.sending && !offline && (!isSpectator || spectatorAllowed);
+    const isMuted = Boolean(state.isMuted);
+    const canSend = !viewState.sending && !offline && !isMuted && (!isSpectator || spectatorAllowed);
 
     inputEl.disabled = !canSend;
     sendButton.disabled = !canSend || !inputEl.value.trim();
 
-    if (!spectatorAllowed && isSpectator) {
+    if (isMuted) {
+      updateStatusMessage('The host has muted you.');
+    } else if (!spectatorAllowed && isSpectator) {
       updateStatusMessage('Spectator chat disabled by host.');
     } else if (offline) {
       updateStatusMessage('Offline — messages paused.');
@@ -1,6 +1,6 @@
 import '../../css/gameBoard.css';
 import { registerModule } from '../moduleRegistry.js';
-import { createCardElement } from '../cardRenderer/index.js';
+import { createCardElement, FIXED_MANILHAS } from '../cardRenderer/index.js';
 
 const SUIT_SYMBOLS = {
   clubs: '♣',
@@ -125,14 +125,21 @@ const createTemplate = () => {
         </div>
         <span class="game-board__turn" data-testid="board-turn">Waiting…</span>
         <span class="game-board__timer" data-testid="board-timer" aria-live="polite">—</span>
+        <button type="button" class="game-board__pause" data-testid="board-pause-toggle" hidden>Pause</button>
+        <span class="game-board__pauseVote" data-testid="board-pause-vote" hidden></span>
       </div>
     </header>
+    <div class="game-board__paused" data-testid="board-paused" role="status" hidden>
+      <strong>Game paused</strong>
+      <span data-testid="board-paused-detail"></span>
+    </div>
     <div class="game-board__players" data-testid="board-players" role="list"></div>
     <div class="game-board__table" data-testid="board-table">
       <div class="game-board__trickStatus" data-testid="trick-status">
         <span data-testid="trick-label">Trick —</span>
         <span data-testid="trick-winner"></span>
       </div>
+      <p class="game-board__trickOutcome" data-testid="trick-outcome" hidden></p>
       <div class="game-board__slots" data-testid="trick-slots"></div>
     </div>
     <div class="game-board__hand" data-testid="player-hand">
@@ -149,6 +156,16 @@ const createTemplate = () => {
   return section;
 };
 
+// Places `count` seats on an ellipse around the table, starting at the bottom
+// and going clockwise. Returns percentages of the players container.
+const seatPosition = (index, count) => {
+  const angle = Math.PI / 2 + (2 * Math.PI * index) / count;
+  return {
+    x: 50 + 42 * Math.cos(angle),
+    y: 50 + 38 * Math.sin(angle),
+  };
+};
+
 const renderPlayers = (context, element, state) => {
   if (!element) {
     return;
@@ -161,11 +178,23 @@ const renderPlayers = (context, element, state) => {
     return;
   }
 
-  order.forEach((playerId) => {
+  // `playerOrder` is the seat order; rotate it so the local player sits at
+  // the bottom of the table and everyone else keeps their relative seat.
+  const selfIndex = order.indexOf(state.playerId);
+  const rotation = selfIndex === -1 ? 0 : selfIndex;
+  element.dataset.layout = 'ring';
+
+  order.forEach((playerId, seatIndex) => {
     const info = describePlayer(context, playerId, state.playerId);
+    const position = seatPosition((seatIndex - rotation + order.length) % order.length, order.length);
     const item = document.createElement('article');
     item.className = 'game-board__player';
     item.dataset.playerId = playerId;
+    item.dataset.seat = String(seatIndex + 1);
+    item.setAttribute('role', 'listitem');
+    item.setAttribute('aria-label', `Seat ${seatIndex + 1}: ${info.name}`);
+    item.style.setProperty('--seat-x', `${position.x.toFixed(2)}%`);
+    item.style.setProperty('--seat-y', `${position.y.toFixed(2)}%`);
     item.dataset.turn = state.currentTurn === playerId ? 'true' : 'false';
     item.dataset.self = info.isSelf ? 'true' : 'false';
 
@@ -180,6 +209,16 @@ const renderPlayers = (context, element, state) => {
       nameRow.appendChild(badge);
     }
 
+    if (state.round?.dealerId === playerId) {
+      item.dataset.dealer = 'true';
+      const dealerBadge = document.createElement('span');
+      dealerBadge.className = 'game-board__playerBadge game-board__playerBadge--dealer';
+      dealerBadge.dataset.testid = 'dealer-marker';
+      dealerBadge.title = 'Dealer';
+      dealerBadge.textContent = 'D';
+      nameRow.appendChild(dealerBadge);
+    }
+
     const status = document.createElement('span');
     status.className = 'game-board__playerStatus';
     status.dataset.status = info.connectionStatus ?? 'connected';
@@ -190,6 +229,33 @@ const renderPlayers = (context, element, state) => {
   });
 };
 
+// Explains how a finished trick was decided when every card in it cancelled
+// (the room's `cancelledTricks` rule), and what its winner collected on top
+// under `carry-over`. Empty for an ordinary trick.
+const describeTrickOutcome = (context, trick, selfId) => {
+  const winnerName = trick.winner ? describePlayer(context, trick.winner, selfId).name : null;
+
+  switch (trick.resolution) {
+    case 'nobody':
+      return 'Every card cancelled: nobody takes this trick.';
+    case 'lead-player':
+      return `Every card cancelled: the trick goes to ${winnerName}, who led it.`;
+    case 'last-card':
+      return `Every card cancelled: the trick goes to ${winnerName}, who played the last card.`;
+    case 'carry-over':
+      return 'Every card cancelled: whoever wins the next trick takes this one too.';
+    default:
+      break;
+  }
+
+  if (winnerName && trick.carriedTricks > 0) {
+    const carried = trick.carriedTricks === 1 ? '1 cancelled trick' : `${trick.carriedTricks} cancelled tricks`;
+    return `${winnerName} also takes ${carried} carried over.`;
+  }
+
+  return '';
+};
+
 const createSlot = ({
   player,
   card,
@@ -197,6 +263,7 @@ const createSlot = ({
   isCancelled,
   isLeader,
   isWinningCard,
+  ruleSet,
 }) => {
   const slot = document.createElement('div');
   slot.className = 'game-board__slot';
@@ -218,6 +285,7 @@ const createSlot = ({
       interactive: false,
       showStrength: false,
       reveal: true,
+      ruleSet,
     });
 
     if (isWinningCard) {
@@ -225,6 +293,15 @@ const createSlot = ({
     }
 
     cardShell.append(cardElement);
+
+    if (isCancelled) {
+      cardElement.classList.add('card-tile--cancelled');
+      const tag = document.createElement('span');
+      tag.className = 'game-board__cancelledTag';
+      tag.dataset.testid = 'cancelled-tag';
+      tag.textContent = 'Cancelled';
+      cardShell.append(tag);
+    }
   } else {
     const placeholder = document.createElement('span');
     placeholder.style.opacity = '0.5';
@@ -266,6 +343,15 @@ const renderTrick = (context, element, state) => {
     }
   }
 
+  const outcomeEl = element.parentElement?.querySelector('[data-testid="trick-outcome"]');
+  if (outcomeEl) {
+    const outcome = state.currentTrick.completedAt
+      ? describeTrickOutcome(context, state.currentTrick, state.playerId)
+      : '';
+    outcomeEl.textContent = outcome;
+    outcomeEl.hidden = !outcome;
+  }
+
   clearChildren(element);
 
   const order = Array.isArray(state.playerOrder) ? state.playerOrder : [];
@@ -295,6 +381,7 @@ const renderTrick = (context, element, state) => {
       isCancelled: Boolean(card && isCancelledCard(card)),
       isLeader,
       isWinningCard,
+      ruleSet: state.round?.ruleSet,
     });
     element.append(slot);
   });
@@ -327,7 +414,7 @@ const renderVisibleCards = (context, container, state) => {
   row.style.gap = '8px';
 
   visibleCards.forEach((card) => {
-  const cardEl = createCardElement(card, { interactive: false, showStrength: false });
+    const cardEl = createCardElement(card, { interactive: false, showStrength: false, ruleSet: state.round?.ruleSet });
     cardEl.style.minWidth = '72px';
     const owner = document.createElement('span');
     owner.style.fontSize = '0.65rem';
@@ -363,7 +450,8 @@ const renderHand = (context, container, state, handlePlay) => {
     state.playerId &&
     state.playerId === state.currentTurn &&
     !state.pending?.card &&
-    !state.offline;
+    !state.offline &&
+    !state.paused;
 
   hand.forEach((card) => {
     const handlers = canPlay
@@ -380,6 +468,7 @@ const renderHand = (context, container, state, handlePlay) => {
     const cardElement = createCardElement(card, {
       interactive: handlers,
       showStrength: false,
+      ruleSet: state.round?.ruleSet,
     });
 
     if (!canPlay) {
@@ -427,6 +516,65 @@ const renderHistory = (context, container, state) => {
   container.textContent = parts.join(' · ');
 };
 
+const getTurnSeconds = (state) =>
+  state.paused
+    ? Number.isFinite(state.paused.turnRemainingMs)
+      ? state.paused.turnRemainingMs / 1000
+      : null
+    : clampSeconds(state.turnEndsAt);
+
+const formatClock = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// The host pauses and resumes outright, other seated players vote; spectators
+// only see the overlay.
+const renderPause = (section, state, context) => {
+  const overlay = section.querySelector('[data-testid="board-paused"]');
+  const detailEl = section.querySelector('[data-testid="board-paused-detail"]');
+  const toggle = section.querySelector('[data-testid="board-pause-toggle"]');
+  const voteEl = section.querySelector('[data-testid="board-pause-vote"]');
+  const paused = state.paused ?? null;
+  const vote = state.pauseVote ?? null;
+
+  if (overlay && detailEl) {
+    overlay.hidden = !paused;
+    section.classList.toggle('game-board--paused', Boolean(paused));
+
+    if (paused) {
+      const by =
+        paused.reason === 'vote'
+          ? 'Paused by vote'
+          : `Paused by ${describePlayer(context, paused.pausedBy, state.playerId).name}`;
+      detailEl.textContent = Number.isFinite(paused.resumesAt)
+        ? `${by} · resumes by ${formatClock(paused.resumesAt)}`
+        : by;
+    } else {
+      detailEl.textContent = '';
+    }
+  }
+
+  if (toggle) {
+    const action = paused ? 'resume' : 'pause';
+    const hasVoted = Boolean(vote && vote.action === action && vote.votes.includes(state.playerId));
+
+    toggle.hidden = Boolean(state.isSpectator) || state.phase === 'completed';
+    toggle.dataset.action = action;
+    toggle.textContent = state.isHost
+      ? paused
+        ? 'Resume'
+        : 'Pause'
+      : `Vote to ${action}`;
+    toggle.disabled = hasVoted || Boolean(state.offline);
+  }
+
+  if (voteEl) {
+    voteEl.hidden = !vote;
+    voteEl.textContent = vote
+      ? `${vote.votes.length}${Number.isInteger(vote.needed) ? `/${vote.needed}` : ''} votes to ${vote.action}`
+      : '';
+  }
+};
+
 const renderMeta = (section, state, context) => {
   const roundEl = section.querySelector('[data-testid="board-round"]');
   if (roundEl) {
@@ -456,6 +604,14 @@ const renderMeta = (section, state, context) => {
       cardElement.setAttribute('aria-disabled', 'true');
       viraCardSlot.append(cardElement);
       viraWrapper.hidden = false;
+    } else if (state.round?.ruleSet?.manilhas === 'fixed') {
+      // No vira is turned with fixed manilhas; list them instead.
+      viraLabel.textContent = 'Fixed manilhas';
+      const placeholder = document.createElement('span');
+      placeholder.className = 'game-board__viraPlaceholder';
+      placeholder.textContent = FIXED_MANILHAS.map(({ rank, suit }) => `${rank}${SUIT_SYMBOLS[suit]}`).join(' ');
+      viraCardSlot.append(placeholder);
+      viraWrapper.hidden = false;
     } else {
       viraLabel.textContent = 'Vira —';
       const placeholder = document.createElement('span');
@@ -493,12 +649,13 @@ const renderMeta = (section, state, context) => {
 
   const timerEl = section.querySelector('[data-testid="board-timer"]');
   if (timerEl) {
-    const seconds = clampSeconds(state.turnEndsAt);
-    timerEl.textContent = formatSeconds(seconds);
+    timerEl.textContent = formatSeconds(getTurnSeconds(state));
   }
   if (handStatusEl) {
     if (state.offline) {
       handStatusEl.textContent = 'Offline';
+    } else if (state.paused) {
+      handStatusEl.textContent = 'Game paused';
     } else if (state.pending?.card) {
       handStatusEl.textContent = 'Waiting for server…';
     }
@@ -525,6 +682,21 @@ export const init = async (context) => {
   const visibleEl = section.querySelector('[data-testid="visible-cards"]');
   const historyEl = section.querySelector('[data-testid="trick-history"]');
   const timerEl = section.querySelector('[data-testid="board-timer"]');
+  const pauseToggle = section.querySelector('[data-testid="board-pause-toggle"]');
+
+  const handlePauseToggle = () => {
+    try {
+      if (store.getState().paused) {
+        store.resumeGame();
+      } else {
+        store.pauseGame();
+      }
+    } catch (error) {
+      context.renderSystemMessage?.('Pause failed', error?.message ?? 'Unable to pause the game.');
+    }
+  };
+
+  pauseToggle?.addEventListener('click', handlePauseToggle);
 
   // Timer update interval
   let timerInterval = null;
@@ -534,9 +706,8 @@ export const init = async (context) => {
     }
     timerInterval = setInterval(() => {
       const state = store.getState();
-      if (timerEl && state.turnEndsAt) {
-        const seconds = clampSeconds(state.turnEndsAt);
-        timerEl.textContent = formatSeconds(seconds);
+      if (timerEl && state.turnEndsAt && !state.paused) {
+        timerEl.textContent = formatSeconds(clampSeconds(state.turnEndsAt));
       }
     }, 100); // Update every 100ms for smooth countdown
   };
@@ -574,6 +745,7 @@ export const init = async (context) => {
     });
 
     renderMeta(section, state, context);
+    renderPause(section, state, context);
     renderPlayers(context, playersEl, state);
     renderTrick(context, slotsEl, state);
     renderHand(context, handEl, state, (card) => {
@@ -595,6 +767,7 @@ export const init = async (context) => {
       if (timerInterval) {
         clearInterval(timerInterval);
       }
+      pauseToggle?.removeEventListener('click', handlePauseToggle);
       unsubscribe?.();
       section.remove();
     },
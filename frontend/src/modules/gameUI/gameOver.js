@@ -17,6 +17,8 @@ const formatDuration = (durationMs) => {
   return `${minutes}m ${seconds.toString().padStart(2, '0')}s`;
 };
 
+const formatRatingDelta = (delta) => (delta > 0 ? `+${delta}` : `${delta}`);
+
 const createTemplate = () => {
   const section = document.createElement('section');
   section.className = 'game-over';
@@ -28,6 +30,7 @@ const createTemplate = () => {
       <p class="game-over__subtitle">Game over</p>
       <h2 class="game-over__winner" data-testid="game-over-winner">—</h2>
       <p class="game-over__message" data-testid="game-over-message"></p>
+      <p class="game-over__rating" data-testid="game-over-rating" hidden></p>
     </div>
     <div class="game-over__stats">
       <div class="game-over__stat">
@@ -44,9 +47,22 @@ const createTemplate = () => {
       </div>
     </div>
     <ol class="game-over__standings" data-testid="game-over-standings" role="list"></ol>
+    <section class="game-over__series" data-testid="series-score" hidden>
+      <h3 class="game-over__seriesTitle" data-testid="series-title"></h3>
+      <ol class="game-over__seriesList" data-testid="series-list" role="list"></ol>
+    </section>
+    <div class="game-over__rematch" data-testid="rematch-panel" hidden>
+      <p class="game-over__rematchStatus" data-testid="rematch-status" aria-live="polite"></p>
+      <div class="game-over__rematchActions">
+        <button type="button" class="game-over__rematchAccept" data-testid="rematch-accept" aria-pressed="false">Rematch</button>
+        <button type="button" class="game-over__rematchDecline" data-testid="rematch-decline" aria-pressed="false">Not this time</button>
+        <button type="button" class="game-over__rematchForce" data-testid="rematch-force" hidden>Start rematch now</button>
+      </div>
+    </div>
     <div class="game-over__actions">
       <button type="button" class="game-over__return" data-testid="return-to-lobby">Return to lobby</button>
       <button type="button" class="game-over__share" data-testid="share-results">Share results</button>
+      <button type="button" class="game-over__replay" data-testid="watch-replay" hidden>Watch replay</button>
       <button type="button" class="game-over__start" data-testid="start-new-game">Start new game</button>
     </div>
   `;
@@ -54,7 +70,7 @@ const createTemplate = () => {
   return section;
 };
 
-const renderStandings = ({ list, standings, playerId }) => {
+const renderStandings = ({ list, standings, playerId, ratingChanges = {} }) => {
   if (!list) {
     return;
   }
@@ -92,7 +108,10 @@ const renderStandings = ({ list, standings, playerId }) => {
 
     const metaEl = item.querySelector('[data-testid="standing-meta"]');
     if (metaEl) {
-      metaEl.textContent = `Rank #${rank}`;
+      const change = ratingChanges[entry.playerId];
+      metaEl.textContent = change
+        ? `Rank #${rank} · ${change.rating} (${formatRatingDelta(change.delta)})`
+        : `Rank #${rank}`;
     }
 
     const livesEl = item.querySelector('[data-testid="standing-lives"]');
@@ -110,6 +129,60 @@ const renderStandings = ({ list, standings, playerId }) => {
   });
 };
 
+// The series is only worth showing once a rematch has been played.
+const renderSeries = ({ container, title, list, series, nameOf }) => {
+  if (!container) {
+    return;
+  }
+
+  container.hidden = !series || series.gamesPlayed < 2;
+  if (container.hidden) {
+    return;
+  }
+
+  title.textContent = `Series · ${series.gamesPlayed} games`;
+
+  const entries = Object.entries(series.wins).sort(
+    ([leftId, leftWins], [rightId, rightWins]) => rightWins - leftWins || nameOf(leftId).localeCompare(nameOf(rightId)),
+  );
+
+  list.innerHTML = '';
+  entries.forEach(([playerId, wins]) => {
+    const item = document.createElement('li');
+    item.className = 'game-over__seriesEntry';
+    item.dataset.playerId = playerId;
+    item.textContent = `${nameOf(playerId)} — ${wins} ${wins === 1 ? 'win' : 'wins'}`;
+    list.append(item);
+  });
+};
+
+const renderRematch = ({ panel, statusEl, acceptButton, declineButton, forceButton, rematch, playerId, isHost }) => {
+  if (!panel) {
+    return;
+  }
+
+  panel.hidden = !rematch;
+  if (!rematch) {
+    return;
+  }
+
+  const ownVote = rematch.players.find((entry) => entry.playerId === playerId)?.vote ?? null;
+
+  statusEl.textContent = rematch.canStart
+    ? `${rematch.acceptedCount} of ${rematch.players.length} players want a rematch.`
+    : 'Not enough players left for a rematch.';
+
+  acceptButton.hidden = !ownVote;
+  declineButton.hidden = !ownVote;
+  acceptButton.setAttribute('aria-pressed', ownVote === 'accepted' ? 'true' : 'false');
+  declineButton.setAttribute('aria-pressed', ownVote === 'declined' ? 'true' : 'false');
+  acceptButton.disabled = ownVote === 'accepted' || !rematch.canStart;
+  declineButton.disabled = ownVote === 'declined';
+
+  forceButton.hidden = !isHost;
+  forceButton.disabled = !isHost || !rematch.canStart;
+};
+
 const buildSharePayload = ({ result }) => {
   if (!result) {
     return null;
@@ -148,6 +221,7 @@ export const init = async (context) => {
 
   const winnerEl = section.querySelector('[data-testid="game-over-winner"]');
   const messageEl = section.querySelector('[data-testid="game-over-message"]');
+  const ratingEl = section.querySelector('[data-testid="game-over-rating"]');
   const durationEl = section.querySelector('[data-testid="game-over-duration"]');
   const roundsEl = section.querySelector('[data-testid="game-over-rounds"]');
   const tricksEl = section.querySelector('[data-testid="game-over-tricks"]');
@@ -155,6 +229,15 @@ export const init = async (context) => {
   const returnButton = section.querySelector('[data-testid="return-to-lobby"]');
   const shareButton = section.querySelector('[data-testid="share-results"]');
   const startButton = section.querySelector('[data-testid="start-new-game"]');
+  const replayButton = section.querySelector('[data-testid="watch-replay"]');
+  const seriesEl = section.querySelector('[data-testid="series-score"]');
+  const seriesTitleEl = section.querySelector('[data-testid="series-title"]');
+  const seriesList = section.querySelector('[data-testid="series-list"]');
+  const rematchPanel = section.querySelector('[data-testid="rematch-panel"]');
+  const rematchStatusEl = section.querySelector('[data-testid="rematch-status"]');
+  const rematchAcceptButton = section.querySelector('[data-testid="rematch-accept"]');
+  const rematchDeclineButton = section.querySelector('[data-testid="rematch-decline"]');
+  const rematchForceButton = section.querySelector('[data-testid="rematch-force"]');
 
   const handleReturnToLobby = () => {
     context.networkClient?.emit?.('leave_room');
@@ -164,6 +247,18 @@ export const init = async (context) => {
     context.networkClient?.emit?.('start_game');
   };
 
+  const handleAcceptRematch = () => {
+    context.networkClient?.emit?.('vote_rematch', { accept: true });
+  };
+
+  const handleDeclineRematch = () => {
+    context.networkClient?.emit?.('vote_rematch', { accept: false });
+  };
+
+  const handleForceRematch = () => {
+    context.networkClient?.emit?.('force_rematch', {});
+  };
+
   const handleShare = (payload) => {
     const nav = typeof navigator !== 'undefined' ? navigator : null;
 
@@ -206,6 +301,16 @@ export const init = async (context) => {
   shareButton?.addEventListener('click', handleShareClick);
 
   startButton?.addEventListener('click', handleStartGame);
+  rematchAcceptButton?.addEventListener('click', handleAcceptRematch);
+  rematchDeclineButton?.addEventListener('click', handleDeclineRematch);
+  rematchForceButton?.addEventListener('click', handleForceRematch);
+
+  // The replay viewer registers `context.openReplay` once it is initialised.
+  const handleWatchReplay = () => {
+    context.openReplay?.(store.getState().gameId);
+  };
+
+  replayButton?.addEventListener('click', handleWatchReplay);
 
   const unsubscribe = store.subscribe((state) => {
     const result = state.gameResult;
@@ -227,7 +332,7 @@ export const init = async (context) => {
 
     if (messageEl) {
       if (result.reason === 'timeout') {
-        messageEl.textContent = 'Time limit reached — match ends in a draw.';
+        messageEl.textContent = result.tieBreak?.explanation ?? 'Time limit reached — match ends in a draw.';
       } else if (result.winner) {
         messageEl.textContent = `${winnerName} outlasted the table.`;
       } else {
@@ -247,9 +352,54 @@ export const init = async (context) => {
       tricksEl.textContent = Number.isFinite(result.stats?.totalTricks) ? result.stats.totalTricks : '—';
     }
 
-    renderStandings({ list: standingsList, standings: result.standings ?? [], playerId: state.playerId });
+    renderStandings({
+      list: standingsList,
+      standings: result.standings ?? [],
+      playerId: state.playerId,
+      ratingChanges: result.ratingChanges,
+    });
+
+    if (ratingEl) {
+      const change = state.playerId ? result.ratingChanges?.[state.playerId] : null;
+      ratingEl.hidden = !change;
+      ratingEl.textContent = change
+        ? `Your rating: ${change.rating} (${formatRatingDelta(change.delta)})${
+            Number.isFinite(change.roomDelta)
+              ? ` · this room: ${change.roomRating} (${formatRatingDelta(change.roomDelta)})`
+              : ''
+          }`
+        : '';
+    }
+
+    if (replayButton) {
+      replayButton.hidden = !state.gameId || typeof context.openReplay !== 'function';
+    }
 
     const isHost = Boolean(state.isHost);
+    const nameOf = (id) =>
+      result.standings?.find((entry) => entry.playerId === id)?.displayName ??
+      state.playerDirectory?.[id]?.displayName ??
+      id;
+
+    renderSeries({
+      container: seriesEl,
+      title: seriesTitleEl,
+      list: seriesList,
+      series: state.rematch?.series ?? result.series,
+      nameOf,
+    });
+
+    renderRematch({
+      panel: rematchPanel,
+      statusEl: rematchStatusEl,
+      acceptButton: rematchAcceptButton,
+      declineButton: rematchDeclineButton,
+      forceButton: rematchForceButton,
+      rematch: state.rematch,
+      playerId: state.playerId,
+      isHost,
+    });
+
     if (startButton) {
       startButton.hidden = !isHost;
       startButton.disabled = !isHost;
@@ -261,6 +411,10 @@ export const init = async (context) => {
     returnButton?.removeEventListener('click', handleReturnToLobby);
     shareButton?.removeEventListener('click', handleShareClick);
     startButton?.removeEventListener('click', handleStartGame);
+    rematchAcceptButton?.removeEventListener('click', handleAcceptRematch);
+    rematchDeclineButton?.removeEventListener('click', handleDeclineRematch);
+    rematchForceButton?.removeEventListener('click', handleForceRematch);
+    replayButton?.removeEventListener('click', handleWatchReplay);
     section.remove();
   };
 
@@ -5,6 +5,59 @@ const MINIMUM_PLAYERS = 2;
 const API_BASE = import.meta.env.VITE_API_URL ? String(import.meta.env.VITE_API_URL).replace(/\/+$/, '') : '';
 const ROOM_DETAILS_ENDPOINT = (roomId) => (API_BASE ? `${API_BASE}/api/rooms/${encodeURIComponent(roomId)}` : `/api/rooms/${encodeURIComponent(roomId)}`);
 
+const GAME_SPEEDS = ['slow', 'normal', 'fast', 'blitz'];
+const AUTO_KICK_STRIKES = [1, 2, 3, 5];
+const AUTO_START_SECONDS = [5, 10, 15, 30];
+const INACTIVE_ACTION_LABELS = {
+  spectator: 'Move to spectators',
+  bot: 'Replace with bot',
+};
+const CARD_PROGRESSION_LABELS = {
+  ascending: 'Ascending',
+  'up-down': 'Up then down',
+  descending: 'Start at max, descend',
+};
+const BLIND_ROUND_LABELS = {
+  first: 'First round',
+  'single-card': 'Every 1-card round',
+  none: 'None',
+};
+const MAX_CARD_OPTIONS = [3, 5, 7, 10];
+const DECK_LABELS = {
+  full: 'Full deck (52 cards)',
+  clean: 'Clean deck (40 cards, no 8/9/10)',
+};
+const MANILHA_MODE_LABELS = {
+  vira: 'From the vira',
+  fixed: 'Fixed (4♣ 7♥ A♠ 7♦)',
+};
+const CANCELLED_TRICK_LABELS = {
+  nobody: 'Nobody takes it',
+  'lead-player': 'Lead player takes it',
+  'carry-over': 'Carries over to the next winner',
+  'last-card': 'Last card played takes it',
+};
+const BID_RESTRICTION_LABELS = {
+  'last-bidder': 'Last bidder',
+  dealer: 'Dealer',
+  none: 'No restriction',
+};
+const BID_TOLERANCE_LABELS = {
+  0: 'Total ≠ cards',
+  1: 'Total ≠ cards ± 1',
+};
+const TIME_LIMIT_MINUTES = [15, 30, 45, 60, 90, 120];
+const TIME_LIMIT_EXPIRY_LABELS = {
+  ranking: 'Rank by lives, then bids, then tricks',
+  'sudden-death': 'Sudden-death final round',
+};
+
+const SPECTATOR_ACCESS_LABELS = {
+  open: 'Anyone can watch',
+  locked: 'Same rules as players',
+  closed: 'No spectators',
+};
+
 const CONNECTION_LABELS = {
   connected: 'Connected',
   reconnecting: 'Reconnecting…',
@@ -16,17 +69,18 @@ const formatPlural = (value, singular, plural) => {
   return `${count} ${count === 1 ? singular : plural}`;
 };
 
+const capitalize = (value) => String(value).replace(/^(.)/, (m) => m.toUpperCase());
+
 const describeConnection = (status) => CONNECTION_LABELS[status] ?? 'Unknown';
 
+// Seated players keep the server's order, which is the seat order the game is
+// dealt in; spectators follow, by name.
 const sortPlayers = (players = []) => {
-  const copy = Array.from(players);
-  copy.sort((a, b) => {
-    if (a.isHost !== b.isHost) {
-      return a.isHost ? -1 : 1;
-    }
-    return a.displayName.localeCompare(b.displayName, undefined, { sensitivity: 'base' });
-  });
-  return copy;
+  const seated = players.filter((player) => !player.isSpectator);
+  const spectators = players
+    .filter((player) => player.isSpectator)
+    .sort((a, b) => a.displayName.localeCompare(b.displayName, undefined, { sensitivity: 'base' }));
+  return [...seated, ...spectators];
 };
 
 const createTemplate = () => {
@@ -44,21 +98,147 @@ const createTemplate = () => {
     <ul class="game-setup__playerList" data-testid="player-list" role="list"></ul>
     <div class="game-setup__actions">
       <button class="game-setup__start" data-testid="start-game" type="button" disabled>Start game</button>
+      <button class="game-setup__ready" data-testid="ready-toggle" type="button" aria-pressed="false" hidden>I'm ready</button>
+      <p class="game-setup__countdown" data-testid="ready-countdown" aria-live="polite" hidden></p>
+      <div class="game-setup__seatQueue" data-testid="seat-queue" hidden>
+        <p class="game-setup__seatQueueStatus" data-testid="seat-queue-status" aria-live="polite"></p>
+        <button class="game-setup__seatQueueToggle" data-testid="seat-queue-toggle" type="button">Wait for a seat</button>
+      </div>
+      <button class="game-setup__shuffleSeats" data-testid="shuffle-seats" type="button" hidden>Shuffle seats</button>
+      <div class="game-setup__botControls" data-testid="bot-controls" hidden>
+        <select class="game-setup__botDifficulty" data-testid="bot-difficulty" aria-label="Bot difficulty">
+          <option value="easy">Easy</option>
+          <option value="medium" selected>Medium</option>
+          <option value="hard">Hard</option>
+        </select>
+        <button class="game-setup__addBot" data-testid="add-bot" type="button">Add bot</button>
+      </div>
       <p class="game-setup__hint" data-testid="start-hint">Waiting for players…</p>
     </div>
     <section class="game-setup__settings">
       <h3 class="game-setup__settingsTitle">Host settings</h3>
       <dl class="game-setup__settingsGrid" data-testid="host-settings"></dl>
     </section>
+    <section class="game-setup__settings" data-testid="room-access">
+      <h3 class="game-setup__settingsTitle">Room access</h3>
+      <p class="game-setup__accessSummary" data-testid="room-access-summary">Open to everyone</p>
+      <form class="game-setup__accessForm" data-testid="room-access-form" hidden novalidate>
+        <input type="password" name="accessPassword" maxlength="64" autocomplete="new-password"
+          placeholder="New password (blank keeps current)" aria-label="Room password" />
+        <label><input type="checkbox" name="removePassword" /> Remove password</label>
+        <label><input type="checkbox" name="inviteOnly" /> Invited players only</label>
+        <input type="text" name="invitedNames" placeholder="Invited names, comma separated" aria-label="Invited names" />
+        <select name="spectators" aria-label="Spectators">
+          ${Object.entries(SPECTATOR_ACCESS_LABELS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('')}
+        </select>
+        <button type="submit" data-testid="save-room-access">Save access</button>
+      </form>
+    </section>
   `;
 
   return section;
 };
 
-const createPlayerEntry = ({ player, isSelf }) => {
+const MODERATION_ACTIONS = [
+  { action: 'transfer_host', label: 'Make host', seatedOnly: true },
+  { action: 'mute_player', label: 'Mute' },
+  { action: 'kick_player', label: 'Kick' },
+  { action: 'ban_player', label: 'Ban' },
+];
+
+const createModerationControls = (player) => {
+  const controls = document.createElement('span');
+  controls.className = 'game-setup__moderation';
+  controls.setAttribute('data-testid', 'moderation-controls');
+
+  MODERATION_ACTIONS.forEach(({ action, label, seatedOnly }) => {
+    if (seatedOnly && (player.isSpectator || player.connectionStatus === 'disconnected')) {
+      return;
+    }
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'game-setup__moderate';
+    button.dataset.moderation = action;
+    button.dataset.playerId = player.playerId;
+    button.textContent = action === 'mute_player' && player.isMuted ? 'Unmute' : label;
+    if (action === 'mute_player') {
+      button.dataset.muted = player.isMuted ? 'true' : 'false';
+    }
+    controls.append(button);
+  });
+
+  return controls;
+};
+
+const createHandOverButton = (target, label) => {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'game-setup__moderate';
+  button.dataset.handOver = target;
+  button.textContent = label;
+  return button;
+};
+
+// Offered to the host for a disconnected player's seat mid-game: a spectator
+// can take over the hand, or a bot can play it until the player returns.
+const createHandOverControls = (player, spectators) => {
+  const controls = document.createElement('span');
+  controls.className = 'game-setup__handOver';
+  controls.setAttribute('data-testid', 'hand-over-controls');
+  controls.dataset.playerId = player.playerId;
+
+  if (spectators.length) {
+    const select = document.createElement('select');
+    select.className = 'game-setup__handOverSelect';
+    select.setAttribute('data-testid', 'hand-over-spectator');
+    select.setAttribute('aria-label', `Spectator to play for ${player.displayName ?? 'this player'}`);
+
+    spectators.forEach((spectator) => {
+      const option = document.createElement('option');
+      option.value = spectator.playerId;
+      option.textContent = spectator.displayName ?? spectator.playerId;
+      select.append(option);
+    });
+
+    controls.append(select, createHandOverButton('spectator', 'Hand over'));
+  }
+
+  controls.append(createHandOverButton('bot', 'Let a bot play'));
+  return controls;
+};
+
+const createPlayerEntry = ({
+  player,
+  isSelf,
+  seatIndex = null,
+  canRemoveBot = false,
+  canModerate = false,
+  canTakeSeat = false,
+  canArrange = false,
+  showReady = false,
+  handOverTo = null,
+}) => {
   const item = document.createElement('li');
   item.className = 'game-setup__player';
   item.setAttribute('data-testid', 'player-item');
+  item.dataset.bot = player.isBot ? 'true' : 'false';
+  item.dataset.playerId = player.playerId;
+
+  if (seatIndex !== null) {
+    item.dataset.seatIndex = String(seatIndex);
+    const seat = document.createElement('span');
+    seat.className = 'game-setup__seat';
+    seat.setAttribute('data-testid', 'seat-label');
+    seat.textContent = `Seat ${seatIndex + 1}`;
+    item.append(seat);
+  }
+
+  if (canArrange) {
+    item.draggable = true;
+  }
 
   if (player.isHost) {
     item.dataset.role = isSelf ? 'self host' : 'host';
@@ -80,17 +260,141 @@ const createPlayerEntry = ({ player, isSelf }) => {
 
   meta.append(status);
 
+  if (player.isBot) {
+    const botBadge = document.createElement('span');
+    botBadge.className = 'game-setup__botBadge';
+    botBadge.setAttribute('data-testid', 'bot-badge');
+    botBadge.textContent = player.botDifficulty ? `Bot · ${capitalize(player.botDifficulty)}` : 'Bot';
+    meta.append(botBadge);
+  }
+
   if (player.lives !== undefined && player.lives !== null) {
     const lives = document.createElement('span');
     lives.textContent = `${player.lives} lives`;
     meta.append(lives);
   }
 
+  if (player.isBot && canRemoveBot) {
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'game-setup__removeBot';
+    remove.setAttribute('data-testid', 'remove-bot');
+    remove.dataset.playerId = player.playerId;
+    remove.setAttribute('aria-label', `Remove ${player.displayName ?? 'bot'}`);
+    remove.textContent = '✕';
+    meta.append(remove);
+  }
+
+  if (showReady && player.isReady && !player.isSpectator) {
+    const ready = document.createElement('span');
+    ready.className = 'game-setup__readyBadge';
+    ready.setAttribute('data-testid', 'ready-badge');
+    ready.textContent = 'Ready';
+    meta.append(ready);
+  }
+
+  if (player.standIn) {
+    const standIn = document.createElement('span');
+    standIn.className = 'game-setup__standInBadge';
+    standIn.setAttribute('data-testid', 'stand-in-badge');
+    standIn.textContent =
+      player.standIn.type === 'bot' ? 'Played by a bot' : `Played by ${player.standIn.displayName ?? 'a spectator'}`;
+    meta.append(standIn);
+  }
+
+  if (player.isMuted) {
+    const muted = document.createElement('span');
+    muted.className = 'game-setup__mutedBadge';
+    muted.setAttribute('data-testid', 'muted-badge');
+    muted.textContent = 'Muted';
+    meta.append(muted);
+  }
+
+  if (canTakeSeat) {
+    const takeSeat = document.createElement('button');
+    takeSeat.type = 'button';
+    takeSeat.className = 'game-setup__takeSeat';
+    takeSeat.setAttribute('data-testid', 'take-seat');
+    takeSeat.dataset.seatIndex = String(seatIndex);
+    takeSeat.textContent = 'Sit here';
+    meta.append(takeSeat);
+  }
+
+  if (canModerate && !isSelf && !player.isBot) {
+    meta.append(createModerationControls(player));
+  }
+
+  if (handOverTo) {
+    meta.append(createHandOverControls(player, handOverTo));
+  }
+
   item.append(name, meta);
   return item;
 };
 
-const renderHostSettings = ({ hostSettings, container }) => {
+const describeAutoKick = (hostSettings) => {
+  if (hostSettings.autoKickInactive === false) {
+    return 'Off';
+  }
+
+  const strikes = hostSettings.inactiveStrikeLimit ?? 3;
+  return `After ${formatPlural(strikes, 'missed turn', 'missed turns')}`;
+};
+
+const describeAutoStart = (hostSettings) =>
+  hostSettings.autoStart ? `${hostSettings.autoStartSeconds ?? 10}s after everyone is ready` : 'Off';
+
+const describeTimeLimit = (minutes) => (minutes ? `${minutes} minutes` : 'No limit');
+
+const describeMaxCards = (maxCards) => (maxCards ? `Up to ${formatPlural(maxCards, 'card', 'cards')}` : 'Deck limit');
+
+const createSettingSelect = ({ setting, testId, label, options, value, numeric = false }) => {
+  const select = document.createElement('select');
+  select.className = 'game-setup__settingSelect';
+  select.dataset.setting = setting;
+  if (numeric) {
+    select.dataset.numeric = 'true';
+  }
+  select.setAttribute('data-testid', testId);
+  select.setAttribute('aria-label', label);
+
+  options.forEach((entry) => {
+    const option = document.createElement('option');
+    option.value = entry.value;
+    option.textContent = entry.label;
+    option.selected = entry.value === String(value);
+    select.append(option);
+  });
+
+  return select;
+};
+
+// Maps a settings <select> back to the `update_host_settings` payload.
+const readSettingSelect = (select) => {
+  const { setting } = select.dataset;
+  if (setting === 'autoKick') {
+    return select.value === 'off'
+      ? { autoKickInactive: false }
+      : { autoKickInactive: true, inactiveStrikeLimit: Number(select.value) };
+  }
+
+  if (setting === 'autoStart') {
+    return select.value === 'off' ? { autoStart: false } : { autoStart: true, autoStartSeconds: Number(select.value) };
+  }
+
+  // Numeric selects use an empty option for "no limit".
+  const value = select.dataset.numeric ? (select.value === '' ? null : Number(select.value)) : select.value;
+
+  // Dotted settings (`ruleSet.maxCards`) are partial updates of an object setting.
+  if (setting?.includes('.')) {
+    const [group, key] = setting.split('.');
+    return { [group]: { [key]: value } };
+  }
+
+  return setting ? { [setting]: value } : null;
+};
+
+const renderHostSettings = ({ hostSettings, container, canEdit = false }) => {
   container.innerHTML = '';
 
   if (!hostSettings) {
@@ -103,6 +407,10 @@ const renderHostSettings = ({ hostSettings, container }) => {
     return;
   }
 
+  const ruleSet = hostSettings.ruleSet ?? {};
+  const bidRules = hostSettings.bidRules ?? {};
+  const timeLimit = hostSettings.timeLimit ?? {};
+  const timeLimitMinutes = timeLimit.minutes === undefined ? 60 : timeLimit.minutes;
   const entries = [
     {
       label: 'Starting lives',
@@ -114,7 +422,206 @@ const renderHostSettings = ({ hostSettings, container }) => {
     },
     {
       label: 'Game speed',
-      value: hostSettings.gameSpeed ? hostSettings.gameSpeed.replace(/^(.)/, (m) => m.toUpperCase()) : 'Normal',
+      value: hostSettings.gameSpeed ? capitalize(hostSettings.gameSpeed) : 'Normal',
+      control: canEdit
+        ? createSettingSelect({
+            setting: 'gameSpeed',
+            testId: 'game-speed-select',
+            label: 'Game speed',
+            options: GAME_SPEEDS.map((speed) => ({ value: speed, label: capitalize(speed) })),
+            value: hostSettings.gameSpeed ?? 'normal',
+          })
+        : null,
+    },
+    {
+      label: 'Auto-kick idle players',
+      value: describeAutoKick(hostSettings),
+      control: canEdit
+        ? createSettingSelect({
+            setting: 'autoKick',
+            testId: 'auto-kick-select',
+            label: 'Auto-kick idle players',
+            options: [
+              { value: 'off', label: 'Off' },
+              ...AUTO_KICK_STRIKES.map((strikes) => ({
+                value: String(strikes),
+                label: `After ${formatPlural(strikes, 'missed turn', 'missed turns')}`,
+              })),
+            ],
+            value: hostSettings.autoKickInactive === false ? 'off' : hostSettings.inactiveStrikeLimit ?? 3,
+          })
+        : null,
+    },
+    {
+      label: 'Idle players',
+      value: INACTIVE_ACTION_LABELS[hostSettings.inactiveAction] ?? INACTIVE_ACTION_LABELS.spectator,
+      control: canEdit
+        ? createSettingSelect({
+            setting: 'inactiveAction',
+            testId: 'inactive-action-select',
+            label: 'Idle players',
+            options: Object.entries(INACTIVE_ACTION_LABELS).map(([value, label]) => ({ value, label })),
+            value: hostSettings.inactiveAction ?? 'spectator',
+          })
+        : null,
+    },
+    {
+      label: 'Auto-start',
+      value: describeAutoStart(hostSettings),
+      control: canEdit
+        ? createSettingSelect({
+            setting: 'autoStart',
+            testId: 'auto-start-select',
+            label: 'Auto-start',
+            options: [
+              { value: 'off', label: 'Off' },
+              ...AUTO_START_SECONDS.map((seconds) => ({
+                value: String(seconds),
+                label: `${seconds}s after everyone is ready`,
+              })),
+            ],
+            value: hostSettings.autoStart ? hostSettings.autoStartSeconds ?? 10 : 'off',
+          })
+        : null,
+    },
+    {
+      label: 'Card progression',
+      value: CARD_PROGRESSION_LABELS[ruleSet.progression] ?? CARD_PROGRESSION_LABELS.ascending,
+      control: canEdit
+        ? createSettingSelect({
+            setting: 'ruleSet.progression',
+            testId: 'card-progression-select',
+            label: 'Card progression',
+            options: Object.entries(CARD_PROGRESSION_LABELS).map(([value, label]) => ({ value, label })),
+            value: ruleSet.progression ?? 'ascending',
+          })
+        : null,
+    },
+    {
+      label: 'Blind rounds',
+      value: BLIND_ROUND_LABELS[ruleSet.blindRounds] ?? BLIND_ROUND_LABELS.first,
+      control: canEdit
+        ? createSettingSelect({
+            setting: 'ruleSet.blindRounds',
+            testId: 'blind-rounds-select',
+            label: 'Blind rounds',
+            options: Object.entries(BLIND_ROUND_LABELS).map(([value, label]) => ({ value, label })),
+            value: ruleSet.blindRounds ?? 'first',
+          })
+        : null,
+    },
+    {
+      label: 'Max cards',
+      value: describeMaxCards(ruleSet.maxCards),
+      control: canEdit
+        ? createSettingSelect({
+            setting: 'ruleSet.maxCards',
+            testId: 'max-cards-select',
+            label: 'Max cards',
+            options: [
+              { value: '', label: describeMaxCards(null) },
+              ...MAX_CARD_OPTIONS.map((count) => ({ value: String(count), label: describeMaxCards(count) })),
+            ],
+            value: ruleSet.maxCards ?? '',
+            numeric: true,
+          })
+        : null,
+    },
+    {
+      label: 'Deck',
+      value: DECK_LABELS[ruleSet.deck] ?? DECK_LABELS.full,
+      control: canEdit
+        ? createSettingSelect({
+            setting: 'ruleSet.deck',
+            testId: 'deck-select',
+            label: 'Deck',
+            options: Object.entries(DECK_LABELS).map(([value, label]) => ({ value, label })),
+            value: ruleSet.deck ?? 'full',
+          })
+        : null,
+    },
+    {
+      label: 'Manilhas',
+      value: MANILHA_MODE_LABELS[ruleSet.manilhas] ?? MANILHA_MODE_LABELS.vira,
+      control: canEdit
+        ? createSettingSelect({
+            setting: 'ruleSet.manilhas',
+            testId: 'manilhas-select',
+            label: 'Manilhas',
+            options: Object.entries(MANILHA_MODE_LABELS).map(([value, label]) => ({ value, label })),
+            value: ruleSet.manilhas ?? 'vira',
+          })
+        : null,
+    },
+    {
+      label: 'All cards cancelled',
+      value: CANCELLED_TRICK_LABELS[ruleSet.cancelledTricks] ?? CANCELLED_TRICK_LABELS.nobody,
+      control: canEdit
+        ? createSettingSelect({
+            setting: 'ruleSet.cancelledTricks',
+            testId: 'cancelled-tricks-select',
+            label: 'All cards cancelled',
+            options: Object.entries(CANCELLED_TRICK_LABELS).map(([value, label]) => ({ value, label })),
+            value: ruleSet.cancelledTricks ?? 'nobody',
+          })
+        : null,
+    },
+    {
+      label: 'Bid restriction',
+      value: BID_RESTRICTION_LABELS[bidRules.restriction] ?? BID_RESTRICTION_LABELS['last-bidder'],
+      control: canEdit
+        ? createSettingSelect({
+            setting: 'bidRules.restriction',
+            testId: 'bid-restriction-select',
+            label: 'Bid restriction',
+            options: Object.entries(BID_RESTRICTION_LABELS).map(([value, label]) => ({ value, label })),
+            value: bidRules.restriction ?? 'last-bidder',
+          })
+        : null,
+    },
+    {
+      label: 'Forbidden totals',
+      value: BID_TOLERANCE_LABELS[bidRules.tolerance ?? 0],
+      control: canEdit
+        ? createSettingSelect({
+            setting: 'bidRules.tolerance',
+            testId: 'bid-tolerance-select',
+            label: 'Forbidden totals',
+            options: Object.entries(BID_TOLERANCE_LABELS).map(([value, label]) => ({ value, label })),
+            value: bidRules.tolerance ?? 0,
+            numeric: true,
+          })
+        : null,
+    },
+    {
+      label: 'Time limit',
+      value: describeTimeLimit(timeLimitMinutes),
+      control: canEdit
+        ? createSettingSelect({
+            setting: 'timeLimit.minutes',
+            testId: 'time-limit-select',
+            label: 'Time limit',
+            options: [
+              { value: '', label: describeTimeLimit(null) },
+              ...TIME_LIMIT_MINUTES.map((minutes) => ({ value: String(minutes), label: describeTimeLimit(minutes) })),
+            ],
+            value: timeLimitMinutes ?? '',
+            numeric: true,
+          })
+        : null,
+    },
+    {
+      label: 'When time runs out',
+      value: TIME_LIMIT_EXPIRY_LABELS[timeLimit.onExpiry] ?? TIME_LIMIT_EXPIRY_LABELS.ranking,
+      control: canEdit
+        ? createSettingSelect({
+            setting: 'timeLimit.onExpiry',
+            testId: 'time-limit-expiry-select',
+            label: 'When time runs out',
+            options: Object.entries(TIME_LIMIT_EXPIRY_LABELS).map(([value, label]) => ({ value, label })),
+            value: timeLimit.onExpiry ?? 'ranking',
+          })
+        : null,
     },
     {
       label: 'Spectator chat',
@@ -122,15 +629,62 @@ const renderHostSettings = ({ hostSettings, container }) => {
     },
   ];
 
-  entries.forEach(({ label, value }) => {
+  entries.forEach(({ label, value, control }) => {
     const dt = document.createElement('dt');
     dt.textContent = label;
     const dd = document.createElement('dd');
-    dd.textContent = value;
+    if (control) {
+      dd.append(control);
+    } else {
+      dd.textContent = value;
+    }
     container.append(dt, dd);
   });
 };
 
+const describeRoomAccess = (access) => {
+  if (!access) {
+    return 'Open to everyone';
+  }
+
+  const parts = [];
+  if (access.hasPassword) {
+    parts.push('Password');
+  }
+
+  if (access.inviteOnly) {
+    const invited = Array.isArray(access.invitedNames) ? access.invitedNames.length : 0;
+    parts.push(`Invite only (${formatPlural(invited, 'name', 'names')})`);
+  }
+
+  if (access.spectators && access.spectators !== 'open') {
+    parts.push(`Spectators: ${SPECTATOR_ACCESS_LABELS[access.spectators] ?? access.spectators}`);
+  }
+
+  return parts.length ? parts.join(' · ') : 'Open to everyone';
+};
+
+// Builds the `update_room_access` payload. The password is only sent when
+// it changes: a new value sets it and "Remove password" clears it.
+const readRoomAccessForm = (form) => {
+  const payload = {
+    inviteOnly: form.elements.inviteOnly.checked,
+    invitedNames: form.elements.invitedNames.value
+      .split(',')
+      .map((name) => name.trim())
+      .filter(Boolean),
+    spectators: form.elements.spectators.value,
+  };
+
+  if (form.elements.removePassword.checked) {
+    payload.password = null;
+  } else if (form.elements.accessPassword.value) {
+    payload.password = form.elements.accessPassword.value;
+  }
+
+  return payload;
+};
+
 const getActivePlayers = (players = []) => players.filter((player) => !player.isSpectator);
 
 const shouldDisableStart = ({ isHost, isStarting, players, gameActive }) => {
@@ -146,23 +700,40 @@ const createLobbyController = ({
   statusEl,
   playerListEl,
   startButton,
+  readyButton,
+  countdownEl,
+  seatQueueEl,
+  seatQueueStatusEl,
+  seatQueueButton,
+  shuffleSeatsButton,
+  botControlsEl,
+  addBotButton,
   startHintEl,
   playerCountBadge,
   hostSettingsEl,
+  accessSummaryEl,
+  accessForm,
   context,
 }) => {
   const state = {
     roomId: null,
     playerId: null,
     isHost: false,
+    isSpectator: false,
     players: [],
+    seatQueue: [],
     spectatorCount: 0,
     isStarting: false,
     gameActive: false,
     hostSettings: null,
     hostSettingsRequestFor: null,
+    access: null,
+    readiness: null,
+    countdownDeadline: null,
   };
 
+  let countdownTimer = null;
+
   const updatePlayerBadge = () => {
     const activeCount = getActivePlayers(state.players).length;
     const spectators = Number.isFinite(state.spectatorCount) ? state.spectatorCount : 0;
@@ -183,11 +754,36 @@ const createLobbyController = ({
       return;
     }
 
-    const sorted = sortPlayers(state.players);
-    sorted.forEach((player) => {
+    const self = state.players.find((player) => player.playerId === state.playerId);
+    const canChangeSeats = !state.gameActive && Boolean(self) && !self.isSpectator;
+    const standInIds = new Set(state.players.map((player) => player.standIn?.playerId).filter(Boolean));
+    const freeSpectators = state.players.filter(
+      (player) =>
+        player.isSpectator &&
+        !player.isBot &&
+        player.connectionStatus !== 'disconnected' &&
+        !standInIds.has(player.playerId),
+    );
+    const canHandOver = (player) =>
+      state.isHost &&
+      state.gameActive &&
+      !player.isSpectator &&
+      !player.isBot &&
+      !player.standIn &&
+      player.connectionStatus === 'disconnected';
+
+    sortPlayers(state.players).forEach((player, index) => {
+      const isSelf = state.playerId === player.playerId;
       const item = createPlayerEntry({
         player,
-        isSelf: state.playerId === player.playerId,
+        isSelf,
+        seatIndex: player.isSpectator ? null : index,
+        canRemoveBot: state.isHost && !state.gameActive,
+        canModerate: state.isHost,
+        canTakeSeat: canChangeSeats && !isSelf && !player.isSpectator,
+        canArrange: state.isHost && !state.gameActive && !player.isSpectator,
+        showReady: !state.gameActive,
+        handOverTo: canHandOver(player) ? freeSpectators : null,
       });
       playerListEl.append(item);
     });
@@ -214,7 +810,104 @@ const createLobbyController = ({
       return;
     }
 
-    startHintEl.textContent = state.isStarting ? 'Starting game… shuffling cards.' : 'Tap Start game when everyone is ready.';
+    if (state.isStarting) {
+      startHintEl.textContent = 'Starting game… shuffling cards.';
+      return;
+    }
+
+    startHintEl.textContent =
+      state.readiness && !state.readiness.allReady
+        ? `${state.readiness.readyCount} of ${state.readiness.total} players ready — you can start anyway.`
+        : 'Tap Start game when everyone is ready.';
+  };
+
+  const updateReadyButton = () => {
+    const self = state.players.find((player) => player.playerId === state.playerId);
+    readyButton.hidden = !self || self.isSpectator || state.gameActive;
+    readyButton.setAttribute('aria-pressed', self?.isReady ? 'true' : 'false');
+  };
+
+  // Spectators can wait in the room's seat queue; the server seats them in
+  // order whenever a seat is free between games.
+  const updateSeatQueue = () => {
+    seatQueueEl.hidden = !state.roomId || !state.isSpectator;
+    if (seatQueueEl.hidden) {
+      return;
+    }
+
+    const entry = state.seatQueue.find((item) => item.playerId === state.playerId);
+    const waiting = state.seatQueue.length;
+
+    if (entry) {
+      seatQueueStatusEl.textContent = `You are #${entry.position} in line for a seat.`;
+    } else {
+      seatQueueStatusEl.textContent = waiting
+        ? `${formatPlural(waiting, 'spectator', 'spectators')} waiting for a seat.`
+        : 'Join the queue to take the next free seat.';
+    }
+
+    seatQueueButton.textContent = entry ? 'Leave the queue' : 'Wait for a seat';
+    seatQueueButton.setAttribute('aria-pressed', entry ? 'true' : 'false');
+  };
+
+  const renderCountdown = () => {
+    if (!state.countdownDeadline || state.gameActive) {
+      countdownEl.hidden = true;
+      countdownEl.textContent = '';
+      return;
+    }
+
+    const seconds = Math.max(0, Math.ceil((state.countdownDeadline - Date.now()) / 1000));
+    countdownEl.hidden = false;
+    countdownEl.textContent = `Everyone is ready — starting in ${seconds}s`;
+  };
+
+  const stopCountdown = () => {
+    if (countdownTimer) {
+      clearInterval(countdownTimer);
+      countdownTimer = null;
+    }
+    state.countdownDeadline = null;
+    renderCountdown();
+  };
+
+  // `lobby_ready_state` carries the ready flags of every seated player and,
+  // while the auto-start countdown runs, how long is left on it.
+  const applyReadyState = (payload) => {
+    if (!payload || (payload.roomId && payload.roomId !== state.roomId)) {
+      return;
+    }
+
+    const entries = Array.isArray(payload.players) ? payload.players : [];
+    const readiness = new Map(entries.map((entry) => [entry.playerId, Boolean(entry.isReady)]));
+    state.players = state.players.map((player) =>
+      readiness.has(player.playerId) ? { ...player, isReady: readiness.get(player.playerId) } : player,
+    );
+    state.readiness = {
+      readyCount: payload.readyCount ?? 0,
+      total: entries.length,
+      allReady: Boolean(payload.allReady),
+    };
+
+    if (payload.countdown) {
+      state.countdownDeadline = Date.now() + (payload.countdown.remainingMs ?? payload.countdown.seconds * 1000);
+      if (!countdownTimer) {
+        countdownTimer = setInterval(renderCountdown, 1000);
+      }
+      renderCountdown();
+    } else {
+      stopCountdown();
+    }
+
+    updatePlayerList();
+    updateReadyButton();
+    updateHint();
+  };
+
+  const clearReadyState = () => {
+    state.readiness = null;
+    state.players = state.players.map((player) => ({ ...player, isReady: false }));
+    stopCountdown();
   };
 
   const updateStatus = (message) => {
@@ -247,10 +940,52 @@ const createLobbyController = ({
     const shouldDisable = shouldDisableStart(state);
     startButton.disabled = shouldDisable;
     startButton.textContent = state.isStarting ? 'Starting…' : 'Start game';
+    botControlsEl.hidden = !state.isHost || state.gameActive;
+    shuffleSeatsButton.hidden = !state.isHost || state.gameActive || getActivePlayers(state.players).length < 2;
+    addBotButton.disabled = state.isStarting;
   };
 
   const updateHostSettings = () => {
-    renderHostSettings({ hostSettings: state.hostSettings, container: hostSettingsEl });
+    renderHostSettings({
+      hostSettings: state.hostSettings,
+      container: hostSettingsEl,
+      canEdit: state.isHost && !state.gameActive,
+    });
+  };
+
+  const applyHostSettings = (payload) => {
+    if (!payload?.hostSettings || (payload.roomId && payload.roomId !== state.roomId)) {
+      return;
+    }
+
+    state.hostSettings = { ...(state.hostSettings ?? {}), ...payload.hostSettings };
+    updateHostSettings();
+  };
+
+  const updateAccess = () => {
+    accessSummaryEl.textContent = describeRoomAccess(state.access);
+    accessForm.hidden = !state.isHost;
+  };
+
+  // Only called when the access settings change, so a host's unsaved edits
+  // are not overwritten by unrelated lobby updates.
+  const fillAccessForm = () => {
+    const access = state.access ?? {};
+    accessForm.elements.accessPassword.value = '';
+    accessForm.elements.removePassword.checked = false;
+    accessForm.elements.inviteOnly.checked = Boolean(access.inviteOnly);
+    accessForm.elements.invitedNames.value = (access.invitedNames ?? []).join(', ');
+    accessForm.elements.spectators.value = access.spectators ?? 'open';
+  };
+
+  const applyRoomAccess = (payload) => {
+    if (!payload?.access || (payload.roomId && payload.roomId !== state.roomId)) {
+      return;
+    }
+
+    state.access = { ...payload.access };
+    fillAccessForm();
+    updateAccess();
   };
 
   const updateVisibility = () => {
@@ -262,9 +997,12 @@ const createLobbyController = ({
     updatePlayerList();
     updatePlayerBadge();
     updateStartButton();
+    updateReadyButton();
+    updateSeatQueue();
     updateHint();
     updateStatus();
     updateHostSettings();
+    updateAccess();
   };
 
   const loadRoomDetails = async (roomId) => {
@@ -309,10 +1047,15 @@ const createLobbyController = ({
     if (!payload) {
       state.roomId = null;
       state.isHost = false;
+      state.isSpectator = false;
       state.players = [];
+      state.seatQueue = [];
       state.hostSettings = null;
+      state.access = null;
       state.gameActive = false;
       state.isStarting = false;
+      state.readiness = null;
+      stopCountdown();
       updateAll();
       return;
     }
@@ -320,9 +1063,16 @@ const createLobbyController = ({
     state.roomId = payload.roomId ?? state.roomId;
     state.playerId = payload.playerId ?? state.playerId;
     state.isHost = payload.isHost ?? state.isHost;
+    state.isSpectator = payload.isSpectator ?? state.isSpectator;
     state.players = Array.isArray(payload.currentPlayers) ? payload.currentPlayers : state.players;
+    state.seatQueue = Array.isArray(payload.seatQueue) ? payload.seatQueue : state.seatQueue;
     state.spectatorCount = Number.isFinite(payload.spectatorCount) ? payload.spectatorCount : state.spectatorCount;
 
+    if (payload.access) {
+      state.access = { ...payload.access };
+      fillAccessForm();
+    }
+
     if (payload.gameState) {
       const phase = payload.gameState.currentPhase;
       state.gameActive = phase && phase !== 'completed';
@@ -341,6 +1091,11 @@ const createLobbyController = ({
     updateAll,
     updateStartButton,
     applyRoomSnapshot,
+    applyHostSettings,
+    applyRoomAccess,
+    applyReadyState,
+    clearReadyState,
+    stopCountdown,
     loadRoomDetails,
   };
 };
@@ -357,18 +1112,39 @@ export const init = async (context) => {
   const statusEl = section.querySelector('[data-testid="lobby-status"]');
   const playerListEl = section.querySelector('[data-testid="player-list"]');
   const startButton = section.querySelector('[data-testid="start-game"]');
+  const readyButton = section.querySelector('[data-testid="ready-toggle"]');
+  const countdownEl = section.querySelector('[data-testid="ready-countdown"]');
+  const seatQueueEl = section.querySelector('[data-testid="seat-queue"]');
+  const seatQueueStatusEl = section.querySelector('[data-testid="seat-queue-status"]');
+  const seatQueueButton = section.querySelector('[data-testid="seat-queue-toggle"]');
+  const shuffleSeatsButton = section.querySelector('[data-testid="shuffle-seats"]');
+  const botControlsEl = section.querySelector('[data-testid="bot-controls"]');
+  const addBotButton = section.querySelector('[data-testid="add-bot"]');
+  const botDifficultyEl = section.querySelector('[data-testid="bot-difficulty"]');
   const startHintEl = section.querySelector('[data-testid="start-hint"]');
   const playerCountBadge = section.querySelector('[data-testid="player-count"]');
   const hostSettingsEl = section.querySelector('[data-testid="host-settings"]');
+  const accessSummaryEl = section.querySelector('[data-testid="room-access-summary"]');
+  const accessForm = section.querySelector('[data-testid="room-access-form"]');
 
   const lobby = createLobbyController({
     section,
     statusEl,
     playerListEl,
     startButton,
+    readyButton,
+    countdownEl,
+    seatQueueEl,
+    seatQueueStatusEl,
+    seatQueueButton,
+    shuffleSeatsButton,
+    botControlsEl,
+    addBotButton,
     startHintEl,
     playerCountBadge,
     hostSettingsEl,
+    accessSummaryEl,
+    accessForm,
     context,
   });
 
@@ -417,7 +1193,162 @@ export const init = async (context) => {
     }
   };
 
+  const toggleReady = () => {
+    if (readyButton.hidden || !networkClient?.emit) {
+      return;
+    }
+
+    networkClient.emit('set_ready', { ready: readyButton.getAttribute('aria-pressed') !== 'true' });
+  };
+
+  const toggleSeatQueue = () => {
+    if (seatQueueEl.hidden || !networkClient?.emit) {
+      return;
+    }
+
+    const queued = seatQueueButton.getAttribute('aria-pressed') === 'true';
+    networkClient.emit(queued ? 'leave_seat_queue' : 'join_seat_queue', {});
+  };
+
+  const takeSeat = (event) => {
+    const button = event.target.closest?.('[data-testid="take-seat"]');
+    if (!button || !networkClient?.emit) {
+      return;
+    }
+
+    networkClient.emit('choose_seat', { seatIndex: Number(button.dataset.seatIndex) });
+  };
+
+  const shuffleSeats = () => {
+    if (shuffleSeatsButton.hidden || !networkClient?.emit) {
+      return;
+    }
+
+    networkClient.emit('shuffle_seats', {});
+  };
+
+  // Hosts rearrange the table by dragging a seated player onto another seat.
+  let draggedPlayerId = null;
+
+  const startSeatDrag = (event) => {
+    const item = event.target.closest?.('[data-testid="player-item"][draggable="true"]');
+    draggedPlayerId = item?.dataset.playerId ?? null;
+    if (draggedPlayerId && event.dataTransfer) {
+      event.dataTransfer.effectAllowed = 'move';
+      event.dataTransfer.setData('text/plain', draggedPlayerId);
+    }
+  };
+
+  const allowSeatDrop = (event) => {
+    if (draggedPlayerId && event.target.closest?.('[data-seat-index]')) {
+      event.preventDefault();
+    }
+  };
+
+  const dropOnSeat = (event) => {
+    const target = event.target.closest?.('[data-seat-index]');
+    const playerId = draggedPlayerId;
+    draggedPlayerId = null;
+    if (!target || !playerId || !networkClient?.emit) {
+      return;
+    }
+
+    event.preventDefault();
+    const order = getActivePlayers(lobby.state.players)
+      .map((player) => player.playerId)
+      .filter((id) => id !== playerId);
+    order.splice(Number(target.dataset.seatIndex), 0, playerId);
+    networkClient.emit('arrange_seats', { order });
+  };
+
+  const addBot = () => {
+    if (botControlsEl.hidden || !networkClient?.emit) {
+      return;
+    }
+
+    networkClient.emit('add_bot', { difficulty: botDifficultyEl.value });
+  };
+
+  const removeBot = (event) => {
+    const button = event.target.closest?.('[data-testid="remove-bot"]');
+    if (!button || !networkClient?.emit) {
+      return;
+    }
+
+    networkClient.emit('remove_bot', { playerId: button.dataset.playerId });
+  };
+
+  // Kicks and bans need confirming; mutes and host hand-overs are easy to undo.
+  const moderatePlayer = (event) => {
+    const button = event.target.closest?.('button[data-moderation]');
+    if (!button || !networkClient?.emit) {
+      return;
+    }
+
+    const { moderation: action, playerId } = button.dataset;
+    const target = lobby.state.players.find((player) => player.playerId === playerId);
+    const name = target?.displayName ?? 'this player';
+
+    if (action === 'kick_player' || action === 'ban_player') {
+      const verb = action === 'ban_player' ? 'Ban' : 'Remove';
+      if (typeof window.confirm === 'function' && !window.confirm(`${verb} ${name} from the room?`)) {
+        return;
+      }
+    }
+
+    const payload = action === 'mute_player' ? { playerId, muted: button.dataset.muted !== 'true' } : { playerId };
+    networkClient.emit(action, payload);
+  };
+
+  const handOverSeat = (event) => {
+    const button = event.target.closest?.('button[data-hand-over]');
+    const controls = button?.closest('[data-testid="hand-over-controls"]');
+    if (!controls || !networkClient?.emit) {
+      return;
+    }
+
+    const { playerId } = controls.dataset;
+    const spectatorId = controls.querySelector('[data-testid="hand-over-spectator"]')?.value;
+    networkClient.emit(
+      'hand_over_seat',
+      button.dataset.handOver === 'spectator' && spectatorId ? { playerId, spectatorId } : { playerId },
+    );
+  };
+
+  const changeHostSetting = (event) => {
+    const select = event.target.closest?.('select[data-setting]');
+    const update = select ? readSettingSelect(select) : null;
+    if (!update || !networkClient?.emit) {
+      return;
+    }
+
+    networkClient.emit('update_host_settings', update);
+  };
+
+  const saveRoomAccess = (event) => {
+    event.preventDefault();
+    if (accessForm.hidden || !networkClient?.emit) {
+      return;
+    }
+
+    networkClient.emit('update_room_access', readRoomAccessForm(accessForm));
+    accessForm.elements.accessPassword.value = '';
+  };
+
   startButton.addEventListener('click', startGame);
+  readyButton.addEventListener('click', toggleReady);
+  seatQueueButton.addEventListener('click', toggleSeatQueue);
+  shuffleSeatsButton.addEventListener('click', shuffleSeats);
+  playerListEl.addEventListener('click', takeSeat);
+  playerListEl.addEventListener('dragstart', startSeatDrag);
+  playerListEl.addEventListener('dragover', allowSeatDrop);
+  playerListEl.addEventListener('drop', dropOnSeat);
+  addBotButton.addEventListener('click', addBot);
+  playerListEl.addEventListener('click', removeBot);
+  playerListEl.addEventListener('click', moderatePlayer);
+  playerListEl.addEventListener('click', handOverSeat);
+  hostSettingsEl.addEventListener('change', changeHostSetting);
+  accessForm.addEventListener('submit', saveRoomAccess);
 
   subscribe('room_joined', (payload) => {
     lobby.state.isStarting = false;
@@ -432,11 +1363,78 @@ export const init = async (context) => {
     lobby.applyRoomSnapshot(null);
   });
 
-  subscribe('player_joined', () => {
+  subscribe('player_joined', (payload) => {
     lobby.state.isStarting = false;
+    if (payload?.promoted && payload.player?.playerId === lobby.state.playerId) {
+      context.renderSystemMessage?.('You have a seat', 'A seat opened up — you will play in the next game.');
+    }
+  });
+
+  subscribe('host_settings_updated', (payload) => {
+    lobby.applyHostSettings(payload);
+  });
+
+  subscribe('room_access_updated', (payload) => {
+    lobby.applyRoomAccess(payload);
+  });
+
+  subscribe('lobby_ready_state', (payload) => {
+    lobby.applyReadyState(payload);
+  });
+
+  subscribe('player_kicked', (payload) => {
+    const name = payload?.displayName ?? 'A player';
+    context.renderSystemMessage?.('Player benched', `${name} was moved to the spectators for missing turns.`);
+  });
+
+  subscribe('player_replaced', (payload) => {
+    const name = payload?.previousDisplayName ?? 'A player';
+    const botName = payload?.player?.displayName ?? 'a bot';
+    context.renderSystemMessage?.('Player replaced', `${name} missed too many turns; ${botName} took the seat.`);
   });
 
   attachSocket('action_error', (payload) => {
+    if (payload?.action === 'add_bot' || payload?.action === 'remove_bot') {
+      context.renderSystemMessage?.('Bot update failed', payload?.message ?? 'Unable to update bots.');
+      return;
+    }
+
+    if (['kick_player', 'ban_player', 'transfer_host', 'mute_player'].includes(payload?.action)) {
+      context.renderSystemMessage?.('Moderation failed', payload?.message ?? 'Unable to moderate the room.');
+      return;
+    }
+
+    if (payload?.action === 'hand_over_seat') {
+      context.renderSystemMessage?.('Hand-over failed', payload?.message ?? 'Unable to hand over the seat.');
+      return;
+    }
+
+    if (['choose_seat', 'arrange_seats', 'shuffle_seats'].includes(payload?.action)) {
+      context.renderSystemMessage?.('Seat change failed', payload?.message ?? 'Unable to change seats.');
+      return;
+    }
+
+    if (payload?.action === 'join_seat_queue' || payload?.action === 'leave_seat_queue') {
+      context.renderSystemMessage?.('Seat queue update failed', payload?.message ?? 'Unable to update the seat queue.');
+      return;
+    }
+
+    if (payload?.action === 'set_ready') {
+      context.renderSystemMessage?.('Ready check failed', payload?.message ?? 'Unable to update your ready state.');
+      return;
+    }
+
+    if (payload?.action === 'update_room_access') {
+      context.renderSystemMessage?.('Access update failed', payload?.message ?? 'Unable to update room access.');
+      return;
+    }
+
+    if (payload?.action === 'update_host_settings') {
+      context.renderSystemMessage?.('Settings update failed', payload?.message ?? 'Unable to update settings.');
+      lobby.updateAll();
+      return;
+    }
+
     if (payload?.action !== 'start_game') {
       return;
     }
@@ -448,9 +1446,20 @@ export const init = async (context) => {
     context.renderSystemMessage?.('Game start failed', message);
   });
 
+  attachSocket('seat_assigned', (payload) => {
+    const name = payload?.displayName ?? 'an absent player';
+    context.renderSystemMessage?.('Your turn at the table', `The host handed you ${name}'s seat.`);
+  });
+
+  attachSocket('seat_released', (payload) => {
+    const name = lobby.state.players.find((player) => player.playerId === payload?.playerId)?.displayName;
+    context.renderSystemMessage?.('Seat handed back', `${name ?? 'The player'} is back; you are watching again.`);
+  });
+
   attachSocket('game_started', () => {
     lobby.state.isStarting = false;
     lobby.state.gameActive = true;
+    lobby.clearReadyState();
     lobby.updateAll();
     lobby.updateStatus('Game in progress — good luck!');
   });
@@ -470,6 +1479,20 @@ export const init = async (context) => {
   return {
     destroy: () => {
       startButton.removeEventListener('click', startGame);
+      readyButton.removeEventListener('click', toggleReady);
+      seatQueueButton.removeEventListener('click', toggleSeatQueue);
+      shuffleSeatsButton.removeEventListener('click', shuffleSeats);
+      playerListEl.removeEventListener('click', takeSeat);
+      playerListEl.removeEventListener('dragstart', startSeatDrag);
+      playerListEl.removeEventListener('dragover', allowSeatDrop);
+      playerListEl.removeEventListener('drop', dropOnSeat);
+      lobby.stopCountdown();
+      addBotButton.removeEventListener('click', addBot);
+      playerListEl.removeEventListener('click', removeBot);
+      playerListEl.removeEventListener('click', moderatePlayer);
+      playerListEl.removeEventListener('click', handOverSeat);
+      hostSettingsEl.removeEventListener('change', changeHostSetting);
+      accessForm.removeEventListener('submit', saveRoomAccess);
       disposers.forEach((dispose) => {
         try {
           dispose();
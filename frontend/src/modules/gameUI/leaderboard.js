@@ -0,0 +1,158 @@
+import '../../css/leaderboard.css';
+import { registerModule } from '../moduleRegistry.js';
+
+const API_BASE = import.meta.env.VITE_API_URL ? String(import.meta.env.VITE_API_URL).replace(/\/+$/, '') : '';
+const LEADERBOARD_ENDPOINT = (roomId) => {
+  const pathname = roomId ? `/api/leaderboard/rooms/${encodeURIComponent(roomId)}` : '/api/leaderboard';
+  return API_BASE ? `${API_BASE}${pathname}` : pathname;
+};
+
+const fetchLeaderboard = async (roomId) => {
+  const response = await fetch(LEADERBOARD_ENDPOINT(roomId), {
+    headers: { Accept: 'application/json' },
+  });
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => null);
+    throw new Error(body?.message ?? `Leaderboard request failed with status ${response.status}`);
+  }
+
+  return response.json();
+};
+
+const createTemplate = () => {
+  const section = document.createElement('section');
+  section.className = 'leaderboard';
+  section.dataset.testid = 'leaderboard';
+  section.hidden = true;
+
+  section.innerHTML = `
+    <header class="leaderboard__header">
+      <h2 class="leaderboard__title">Leaderboard</h2>
+      <button type="button" class="leaderboard__close" data-testid="leaderboard-close">Close</button>
+    </header>
+    <div class="leaderboard__scopes" role="tablist" aria-label="Leaderboard scope">
+      <button type="button" role="tab" data-scope="global" data-testid="leaderboard-global">Global</button>
+      <button type="button" role="tab" data-scope="room" data-testid="leaderboard-room" hidden></button>
+    </div>
+    <p class="leaderboard__status" data-testid="leaderboard-status"></p>
+    <ol class="leaderboard__list" data-testid="leaderboard-list" role="list"></ol>
+  `;
+
+  return section;
+};
+
+const renderEntries = (list, entries) => {
+  list.innerHTML = '';
+
+  entries.forEach((entry) => {
+    const item = document.createElement('li');
+    item.className = 'leaderboard__entry';
+    item.dataset.accountId = entry.accountId;
+
+    const rank = document.createElement('span');
+    rank.className = 'leaderboard__rank';
+    rank.textContent = `#${entry.rank}`;
+
+    const name = document.createElement('span');
+    name.className = 'leaderboard__name';
+    name.textContent = entry.displayName;
+
+    const rating = document.createElement('span');
+    rating.className = 'leaderboard__rating';
+    rating.textContent = `${entry.rating} (${entry.games} ${entry.games === 1 ? 'game' : 'games'})`;
+
+    item.append(rank, name, rating);
+    list.append(item);
+  });
+};
+
+export const init = async (context) => {
+  const moduleRoot = context?.appRoot?.querySelector('[data-testid="module-root"]');
+  if (!moduleRoot) {
+    throw new Error('Leaderboard module requires a module root container.');
+  }
+
+  const section = createTemplate();
+  moduleRoot.append(section);
+
+  const statusEl = section.querySelector('[data-testid="leaderboard-status"]');
+  const listEl = section.querySelector('[data-testid="leaderboard-list"]');
+  const globalTab = section.querySelector('[data-testid="leaderboard-global"]');
+  const roomTab = section.querySelector('[data-testid="leaderboard-room"]');
+  const closeButton = section.querySelector('[data-testid="leaderboard-close"]');
+
+  const view = { room: null, scope: 'global', requestId: 0 };
+
+  const renderTabs = () => {
+    globalTab.setAttribute('aria-selected', view.scope === 'global' ? 'true' : 'false');
+    roomTab.setAttribute('aria-selected', view.scope === 'room' ? 'true' : 'false');
+    roomTab.hidden = !view.room;
+    roomTab.textContent = view.room?.displayName ?? view.room?.roomId ?? '';
+  };
+
+  const load = async (scope) => {
+    view.scope = scope === 'room' && view.room ? 'room' : 'global';
+    renderTabs();
+
+    const requestId = view.requestId + 1;
+    view.requestId = requestId;
+    statusEl.textContent = 'Loading ratings…';
+    listEl.innerHTML = '';
+
+    try {
+      const data = await fetchLeaderboard(view.scope === 'room' ? view.room.roomId : null);
+      if (requestId !== view.requestId) {
+        return;
+      }
+
+      const entries = Array.isArray(data?.entries) ? data.entries : [];
+      renderEntries(listEl, entries);
+      statusEl.textContent = entries.length
+        ? ''
+        : 'No rated games yet. Join with a PIN to start earning a rating.';
+    } catch (error) {
+      if (requestId === view.requestId) {
+        statusEl.textContent = error?.message ?? 'Unable to load the leaderboard.';
+      }
+    }
+  };
+
+  // `room` is optional; when given, a tab for that room's ratings is offered
+  // and shown first.
+  const openLeaderboard = async ({ room = null } = {}) => {
+    view.room = room?.roomId ? room : null;
+    section.hidden = false;
+    await load(view.room ? 'room' : 'global');
+  };
+
+  const closeLeaderboard = () => {
+    view.requestId += 1;
+    section.hidden = true;
+  };
+
+  const handleGlobal = () => load('global');
+  const handleRoom = () => load('room');
+
+  globalTab.addEventListener('click', handleGlobal);
+  roomTab.addEventListener('click', handleRoom);
+  closeButton.addEventListener('click', closeLeaderboard);
+
+  context.openLeaderboard = openLeaderboard;
+
+  return {
+    openLeaderboard,
+    destroy: () => {
+      closeLeaderboard();
+      globalTab.removeEventListener('click', handleGlobal);
+      roomTab.removeEventListener('click', handleRoom);
+      closeButton.removeEventListener('click', closeLeaderboard);
+      if (context.openLeaderboard === openLeaderboard) {
+        delete context.openLeaderboard;
+      }
+      section.remove();
+    },
+  };
+};
+
+registerModule(async () => ({ init }));
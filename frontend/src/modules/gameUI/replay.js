@@ -0,0 +1,290 @@
+import '../../css/replay.css';
+import { registerModule } from '../moduleRegistry.js';
+import { applyReplayEvent, createGameStateStore } from '../gameState/index.js';
+
+import { init as initGameBoard } from './gameBoard.js';
+import { init as initBidding } from './bidding.js';
+import { init as initScoring } from './scoring.js';
+
+const API_BASE = import.meta.env.VITE_API_URL ? String(import.meta.env.VITE_API_URL).replace(/\/+$/, '') : '';
+const REPLAY_ENDPOINT = (gameId) =>
+  API_BASE
+    ? `${API_BASE}/api/games/${encodeURIComponent(gameId)}/replay`
+    : `/api/games/${encodeURIComponent(gameId)}/replay`;
+
+export const REPLAY_STEP_MS = 900;
+
+const RENDERERS = [initGameBoard, initBidding, initScoring];
+
+const describeEvent = (event, players) => {
+  const nameOf = (playerId) =>
+    players.find((player) => player.playerId === playerId)?.displayName ?? playerId ?? 'Unknown';
+  const payload = event?.payload ?? {};
+
+  switch (event?.type) {
+    case 'game_started':
+      return 'Game started';
+    case 'round_started':
+      return `Round ${payload.roundNumber ?? '?'} — ${payload.cardCount ?? '?'} card(s), ${nameOf(payload.dealerId)} deals`;
+    case 'hands_dealt':
+      return 'Cards dealt';
+    case 'bid_submitted':
+      return `${nameOf(payload.playerId)} bids ${payload.bid}`;
+    case 'trick_started':
+      return `Trick ${payload.trickNumber ?? '?'} — ${nameOf(payload.leadPlayer)} leads`;
+    case 'card_played':
+      return `${nameOf(payload.playerId)} plays ${payload.card?.rank ?? '?'} of ${payload.card?.suit ?? '?'}`;
+    case 'trick_completed':
+      return payload.winner ? `${nameOf(payload.winner)} takes the trick` : 'Trick cancelled — nobody wins it';
+    case 'round_completed':
+      return `Round ${payload.roundNumber ?? '?'} scored`;
+    case 'game_completed':
+      return payload.winner ? `${nameOf(payload.winner)} wins the game` : 'Game over';
+    default:
+      return event?.type ?? '';
+  }
+};
+
+// Drives a replay store through the recorded events. The store is rebuilt
+// from the start whenever playback has to go backwards.
+export const createReplayPlayer = ({ replay, onChange, stepMs = REPLAY_STEP_MS } = {}) => {
+  const events = Array.isArray(replay?.events) ? replay.events : [];
+  const players = Array.isArray(replay?.players) ? replay.players : [];
+  const store = createGameStateStore();
+  let position = 0;
+  let timer = null;
+
+  const seedStore = () => {
+    store.reset();
+    store.setState({
+      gameId: replay?.gameId ?? null,
+      playerDirectory: Object.fromEntries(
+        players.map((player) => [player.playerId, { ...player, isSpectator: false }]),
+      ),
+    });
+  };
+
+  const snapshot = () => ({
+    position,
+    total: events.length,
+    playing: Boolean(timer),
+    lastEvent: position > 0 ? events[position - 1] : null,
+    description: position > 0 ? describeEvent(events[position - 1], players) : 'Ready to play',
+  });
+
+  const notify = () => onChange?.(snapshot());
+
+  const pause = () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+    notify();
+  };
+
+  const step = () => {
+    if (position >= events.length) {
+      pause();
+      return false;
+    }
+
+    applyReplayEvent(store, events[position]);
+    position += 1;
+
+    if (position >= events.length && timer) {
+      pause();
+      return true;
+    }
+
+    notify();
+    return true;
+  };
+
+  const play = () => {
+    if (timer) {
+      return;
+    }
+
+    if (position >= events.length) {
+      seedStore();
+      position = 0;
+    }
+
+    timer = setInterval(step, stepMs);
+    notify();
+  };
+
+  const restart = () => {
+    pause();
+    seedStore();
+    position = 0;
+    notify();
+  };
+
+  seedStore();
+
+  return {
+    store,
+    players,
+    play,
+    pause,
+    step,
+    restart,
+    getStatus: snapshot,
+    destroy: () => {
+      if (timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+    },
+  };
+};
+
+const fetchReplay = async (gameId) => {
+  const response = await fetch(REPLAY_ENDPOINT(gameId), {
+    headers: { Accept: 'application/json' },
+  });
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => null);
+    throw new Error(body?.message ?? `Replay request failed with status ${response.status}`);
+  }
+
+  return response.json();
+};
+
+const createTemplate = () => {
+  const section = document.createElement('section');
+  section.className = 'replay';
+  section.dataset.testid = 'replay-viewer';
+  section.hidden = true;
+
+  section.innerHTML = `
+    <header class="replay__header">
+      <h2 class="replay__title">Game replay</h2>
+      <button type="button" class="replay__close" data-testid="replay-close">Close replay</button>
+    </header>
+    <div class="replay__controls" role="toolbar" aria-label="Replay controls">
+      <button type="button" data-testid="replay-restart">Restart</button>
+      <button type="button" data-testid="replay-play">Play</button>
+      <button type="button" data-testid="replay-pause">Pause</button>
+      <button type="button" data-testid="replay-step">Step</button>
+      <span class="replay__progress" data-testid="replay-progress">0 / 0</span>
+    </div>
+    <p class="replay__event" data-testid="replay-event" aria-live="polite"></p>
+    <div class="replay__table" data-testid="replay-table"></div>
+  `;
+
+  return section;
+};
+
+export const init = async (context) => {
+  const moduleRoot = context?.appRoot?.querySelector('[data-testid="module-root"]');
+  if (!moduleRoot) {
+    throw new Error('Replay module requires a module root container.');
+  }
+
+  const section = createTemplate();
+  moduleRoot.append(section);
+
+  const table = section.querySelector('[data-testid="replay-table"]');
+  const progressEl = section.querySelector('[data-testid="replay-progress"]');
+  const eventEl = section.querySelector('[data-testid="replay-event"]');
+  const playButton = section.querySelector('[data-testid="replay-play"]');
+  const pauseButton = section.querySelector('[data-testid="replay-pause"]');
+  const stepButton = section.querySelector('[data-testid="replay-step"]');
+  const restartButton = section.querySelector('[data-testid="replay-restart"]');
+  const closeButton = section.querySelector('[data-testid="replay-close"]');
+
+  let session = null;
+
+  const renderStatus = (status) => {
+    progressEl.textContent = `${status.position} / ${status.total}`;
+    eventEl.textContent = status.description;
+    playButton.disabled = status.playing;
+    pauseButton.disabled = !status.playing;
+    stepButton.disabled = status.playing || status.position >= status.total;
+  };
+
+  const closeReplay = () => {
+    if (session) {
+      session.player.destroy();
+      session.renderers.forEach((renderer) => renderer?.destroy?.());
+      session = null;
+    }
+
+    table.innerHTML = '';
+    section.hidden = true;
+  };
+
+  // The regular board, bidding and scoring renderers are mounted on a private
+  // module root and fed from the replay store instead of the live one.
+  const openReplay = async (gameId) => {
+    if (!gameId) {
+      return;
+    }
+
+    closeReplay();
+
+    let replay;
+    try {
+      replay = await fetchReplay(gameId);
+    } catch (error) {
+      context.renderSystemMessage?.('Replay unavailable', error?.message ?? 'Unable to load the replay.');
+      return;
+    }
+
+    const viewport = document.createElement('div');
+    viewport.className = 'replay__viewport';
+    viewport.dataset.testid = 'module-root';
+    table.append(viewport);
+
+    const player = createReplayPlayer({ replay, onChange: renderStatus });
+    const replayContext = {
+      appRoot: table,
+      gameState: player.store,
+      state: {
+        currentRoom: { players: player.players },
+        game: player.store.getState(),
+      },
+      renderSystemMessage: context.renderSystemMessage,
+    };
+
+    const renderers = await Promise.all(RENDERERS.map((initRenderer) => initRenderer(replayContext)));
+    session = { player, renderers };
+
+    section.hidden = false;
+    renderStatus(player.getStatus());
+  };
+
+  const handlePlay = () => session?.player.play();
+  const handlePause = () => session?.player.pause();
+  const handleStep = () => session?.player.step();
+  const handleRestart = () => session?.player.restart();
+
+  playButton.addEventListener('click', handlePlay);
+  pauseButton.addEventListener('click', handlePause);
+  stepButton.addEventListener('click', handleStep);
+  restartButton.addEventListener('click', handleRestart);
+  closeButton.addEventListener('click', closeReplay);
+
+  context.openReplay = openReplay;
+
+  return {
+    openReplay,
+    destroy: () => {
+      closeReplay();
+      playButton.removeEventListener('click', handlePlay);
+      pauseButton.removeEventListener('click', handlePause);
+      stepButton.removeEventListener('click', handleStep);
+      restartButton.removeEventListener('click', handleRestart);
+      closeButton.removeEventListener('click', closeReplay);
+      if (context.openReplay === openReplay) {
+        delete context.openReplay;
+      }
+      section.remove();
+    },
+  };
+};
+
+registerModule(async () => ({ init }));
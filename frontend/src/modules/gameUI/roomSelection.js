@@ -5,6 +5,8 @@ import { registerModule } from '../moduleRegistry.js';
 const API_BASE = import.meta.env.VITE_API_URL ? String(import.meta.env.VITE_API_URL).replace(/\/+$/, '') : '';
 const ROOM_ENDPOINT = API_BASE ? `${API_BASE}/api/rooms` : '/api/rooms';
 const NAME_PATTERN = /^[A-Za-zÀ-ÿ0-9 ]{3,20}$/u;
+const PIN_PATTERN = /^\d{4,8}$/;
+const SEAT_QUEUE_ERRORS = ['room_full', 'game_in_progress'];
 
 const createTemplate = () => `
   <section class="room-selection" data-testid="room-selection">
@@ -25,6 +27,30 @@ const createTemplate = () => `
           aria-describedby="player-name-hint"
         />
       </label>
+      <label class="room-selection__field">
+        <span class="room-selection__label">PIN (optional)</span>
+        <input
+          class="room-selection__input"
+          type="password"
+          name="pin"
+          autocomplete="current-password"
+          maxlength="8"
+          placeholder="4-8 digits to keep your stats"
+          inputmode="numeric"
+          aria-describedby="player-name-hint"
+        />
+      </label>
+      <label class="room-selection__field" data-testid="room-password-field" hidden>
+        <span class="room-selection__label">Room password</span>
+        <input
+          class="room-selection__input"
+          type="password"
+          name="roomPassword"
+          autocomplete="off"
+          maxlength="64"
+          placeholder="Ask the host for the password"
+        />
+      </label>
       <button class="room-selection__submit" data-testid="join-button" type="submit" disabled>
         Continue
       </button>
@@ -32,8 +58,39 @@ const createTemplate = () => `
         Enter 3-20 letters or numbers.
       </p>
     </form>
+    <button class="room-selection__leaderboard" data-testid="open-leaderboard" type="button">
+      View leaderboard
+    </button>
     <p class="room-selection__status" data-testid="room-status">Loading rooms…</p>
     <ul class="room-selection__list" data-testid="room-list" role="list"></ul>
+    <div class="room-selection__private" data-testid="private-room">
+      <h3 class="room-selection__subheading">Private table</h3>
+      <form class="room-selection__inline" data-testid="create-room-form" novalidate>
+        <input
+          class="room-selection__input"
+          type="text"
+          name="roomName"
+          maxlength="30"
+          placeholder="Name your table"
+          aria-label="Private table name"
+        />
+        <button class="room-selection__secondary" data-testid="create-room-button" type="submit">Create table</button>
+      </form>
+      <form class="room-selection__inline" data-testid="join-code-form" novalidate>
+        <input
+          class="room-selection__input"
+          type="text"
+          name="inviteCode"
+          maxlength="32"
+          placeholder="Invite code"
+          autocapitalize="characters"
+          aria-label="Invite code"
+        />
+        <button class="room-selection__secondary" data-testid="join-code-button" type="submit">Find table</button>
+      </form>
+      <p class="room-selection__privateStatus" data-testid="private-room-status" hidden></p>
+      <p class="room-selection__invite" data-testid="invite-link" hidden></p>
+    </div>
   </section>
 `;
 
@@ -55,6 +112,19 @@ const validateName = (value) => {
   return { valid: true };
 };
 
+// The PIN is optional: without one the player joins as a guest and no
+// statistics are kept for them.
+const validatePin = (value) => {
+  if (!value || PIN_PATTERN.test(value.trim())) {
+    return { valid: true };
+  }
+
+  return {
+    valid: false,
+    message: 'PIN must be 4-8 digits.',
+  };
+};
+
 const createRoomBadge = (room) => {
   const playerCount = room.playerCount ?? 0;
   const badge = document.createElement('span');
@@ -63,6 +133,34 @@ const createRoomBadge = (room) => {
   return badge;
 };
 
+// Rooms list only says whether a room is locked; invited names stay private.
+const describeRoomAccess = (access) => {
+  const locks = [];
+  if (access?.hasPassword) {
+    locks.push('Password');
+  }
+
+  if (access?.inviteOnly) {
+    locks.push('Invite only');
+  }
+
+  return locks.join(' · ');
+};
+
+const createAccessBadge = (room) => {
+  const label = describeRoomAccess(room.access);
+  if (!label) {
+    return null;
+  }
+
+  const badge = document.createElement('span');
+  badge.className = 'room-selection__badge room-selection__badge--locked';
+  badge.dataset.testid = 'room-lock-badge';
+  badge.textContent = label;
+  badge.setAttribute('aria-label', `Locked: ${label}`);
+  return badge;
+};
+
 const describeRoomStatus = (room) => {
   const status = room.gameStatus ?? 'waiting';
   if (status === 'playing') {
@@ -110,8 +208,12 @@ const renderRooms = ({ listEl, rooms, state, updateSubmitState }) => {
     `;
 
     const badge = createRoomBadge(room);
+    const accessBadge = createAccessBadge(room);
 
     button.append(details, badge);
+    if (accessBadge) {
+      button.append(accessBadge);
+    }
     item.appendChild(button);
     listEl.appendChild(item);
   });
@@ -151,6 +253,51 @@ const showNameError = (errorEl, message = '') => {
   errorEl.textContent = message;
 };
 
+const readJsonError = async (response, fallback) => {
+  const body = await response.json().catch(() => null);
+  return new Error(body?.message ?? fallback);
+};
+
+const createPrivateRoom = async (displayName) => {
+  const response = await fetch(ROOM_ENDPOINT, {
+    method: 'POST',
+    headers: {
+      Accept: 'application/json',
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ displayName }),
+  });
+
+  if (!response.ok) {
+    throw await readJsonError(response, `Unable to create table (${response.status})`);
+  }
+
+  return response.json();
+};
+
+const fetchRoomByCode = async (code) => {
+  const response = await fetch(`${ROOM_ENDPOINT}/${encodeURIComponent(code)}`, {
+    headers: {
+      Accept: 'application/json',
+    },
+  });
+
+  if (response.status === 404) {
+    throw new Error(`No table found for code ${code.toUpperCase()}.`);
+  }
+
+  if (!response.ok) {
+    throw await readJsonError(response, `Unable to find table (${response.status})`);
+  }
+
+  return response.json();
+};
+
+const buildInviteLink = (inviteCode) => {
+  const location = window.location;
+  return `${location.origin}${location.pathname}?room=${encodeURIComponent(inviteCode.toUpperCase())}`;
+};
+
 const fetchRooms = async (statusEl) => {
   statusEl.textContent = 'Loading rooms…';
 
@@ -181,21 +328,34 @@ export const init = async (context) => {
   const section = moduleRoot.querySelector('[data-testid="room-selection"]');
   const form = moduleRoot.querySelector('[data-testid="name-form"]');
   const nameInput = moduleRoot.querySelector('input[name="displayName"]');
+  const pinInput = moduleRoot.querySelector('input[name="pin"]');
+  const passwordField = moduleRoot.querySelector('[data-testid="room-password-field"]');
+  const passwordInput = moduleRoot.querySelector('input[name="roomPassword"]');
   const errorEl = moduleRoot.querySelector('[data-testid="name-error"]');
   const submitButton = moduleRoot.querySelector('[data-testid="join-button"]');
   const listEl = moduleRoot.querySelector('[data-testid="room-list"]');
   const statusEl = moduleRoot.querySelector('[data-testid="room-status"]');
+  const leaderboardButton = moduleRoot.querySelector('[data-testid="open-leaderboard"]');
+  const createRoomForm = moduleRoot.querySelector('[data-testid="create-room-form"]');
+  const roomNameInput = moduleRoot.querySelector('input[name="roomName"]');
+  const joinCodeForm = moduleRoot.querySelector('[data-testid="join-code-form"]');
+  const inviteCodeInput = moduleRoot.querySelector('input[name="inviteCode"]');
+  const privateStatusEl = moduleRoot.querySelector('[data-testid="private-room-status"]');
+  const inviteEl = moduleRoot.querySelector('[data-testid="invite-link"]');
 
   const state = {
     rooms: [],
     selectedRoom: null,
     isLoading: false,
     playerName: '',
+    pin: '',
     isNameValid: false,
+    isPinValid: true,
   };
 
   const updateSubmitState = () => {
-    submitButton.disabled = !state.isNameValid || !state.selectedRoom || state.isLoading;
+    passwordField.hidden = !state.selectedRoom?.access?.hasPassword;
+    submitButton.disabled = !state.isNameValid || !state.isPinValid || !state.selectedRoom || state.isLoading;
   };
 
   const handleNameInput = (event) => {
@@ -208,6 +368,15 @@ export const init = async (context) => {
     updateSubmitState();
   };
 
+  const handlePinInput = (event) => {
+    state.pin = event.target.value;
+    const validation = validatePin(state.pin);
+
+    state.isPinValid = validation.valid;
+    showNameError(errorEl, validation.valid ? '' : validation.message);
+    updateSubmitState();
+  };
+
   const handleSubmit = (event) => {
     event.preventDefault();
 
@@ -218,6 +387,13 @@ export const init = async (context) => {
       return;
     }
 
+    const pinValidation = validatePin(state.pin);
+    if (!pinValidation.valid) {
+      showNameError(errorEl, pinValidation.message);
+      updateSubmitState();
+      return;
+    }
+
     if (!state.selectedRoom) {
       showNameError(errorEl, 'Choose a room before continuing.');
       updateSubmitState();
@@ -246,16 +422,34 @@ export const init = async (context) => {
     state.isLoading = true;
     updateSubmitState();
 
+    const request = {
+      roomId,
+      displayName: state.playerName,
+      pin: state.pin.trim() || undefined,
+      password: passwordField.hidden ? undefined : passwordInput.value || undefined,
+    };
+
+    // A full or running table still lets the player wait in its seat queue.
     networkClient
-      .joinRoom({ roomId, displayName: state.playerName })
+      .joinRoom(request)
+      .catch((error) => {
+        if (!SEAT_QUEUE_ERRORS.includes(error?.code)) {
+          throw error;
+        }
+
+        return networkClient.joinRoom({ ...request, queueForSeat: true });
+      })
       .then((details) => {
         if (!details) {
           return;
         }
 
+        const position = details.seatQueue?.find?.((entry) => entry.playerId === details.playerId)?.position;
         context.renderSystemMessage(
-          'Joined lobby',
-          `You're in ${details.displayName ?? details.roomId}. Waiting for players…`,
+          position ? 'Waiting for a seat' : 'Joined lobby',
+          position
+            ? `${details.displayName ?? details.roomId} is full or mid-game. You're #${position} in line for the next seat.`
+            : `You're in ${details.displayName ?? details.roomId}. Waiting for players…`,
         );
       })
       .catch((error) => {
@@ -271,6 +465,79 @@ export const init = async (context) => {
 
   let alive = true;
 
+  const showPrivateStatus = (message = '') => {
+    privateStatusEl.hidden = !message;
+    privateStatusEl.textContent = message;
+  };
+
+  const selectPrivateRoom = (room) => {
+    state.selectedRoom = {
+      roomId: room.roomId,
+      displayName: room.displayName ?? room.roomId,
+      isPrivate: true,
+      access: room.access ?? null,
+    };
+
+    listEl.querySelectorAll('button[data-room-id]').forEach((node) => {
+      node.dataset.selected = 'false';
+      node.setAttribute('aria-pressed', 'false');
+    });
+
+    showPrivateStatus(`Selected ${state.selectedRoom.displayName} (code ${room.roomId.toUpperCase()}).`);
+    updateSubmitState();
+  };
+
+  const handleCreateRoom = async (event) => {
+    event.preventDefault();
+
+    const name = roomNameInput.value.trim();
+    if (name.length < 3) {
+      showPrivateStatus('Give your table a name of at least 3 characters.');
+      return;
+    }
+
+    try {
+      const room = await createPrivateRoom(name);
+      if (!alive) {
+        return;
+      }
+
+      selectPrivateRoom(room);
+      inviteEl.hidden = false;
+      inviteEl.textContent = `Invite code ${room.inviteCode.toUpperCase()} — share ${buildInviteLink(room.inviteCode)}`;
+    } catch (error) {
+      showPrivateStatus(error?.message ?? 'Unable to create table.');
+    }
+  };
+
+  const findRoomByCode = async (code) => {
+    const normalized = code.trim().toLowerCase();
+    if (!normalized) {
+      showPrivateStatus('Enter the invite code you were given.');
+      return;
+    }
+
+    try {
+      const room = await fetchRoomByCode(normalized);
+      if (alive) {
+        selectPrivateRoom(room);
+      }
+    } catch (error) {
+      showPrivateStatus(error?.message ?? 'Unable to find table.');
+    }
+  };
+
+  const handleJoinByCode = (event) => {
+    event.preventDefault();
+    return findRoomByCode(inviteCodeInput.value);
+  };
+
+  // The leaderboard module registers `context.openLeaderboard` once it is
+  // initialised; the selected room, if any, gets its own tab.
+  const handleOpenLeaderboard = () => {
+    context.openLeaderboard?.({ room: state.selectedRoom });
+  };
+
   const hydrateRooms = async () => {
     try {
       state.isLoading = true;
@@ -293,16 +560,31 @@ export const init = async (context) => {
   };
 
   nameInput.addEventListener('input', handleNameInput);
+  pinInput.addEventListener('input', handlePinInput);
   form.addEventListener('submit', handleSubmit);
+  leaderboardButton.addEventListener('click', handleOpenLeaderboard);
+  createRoomForm.addEventListener('submit', handleCreateRoom);
+  joinCodeForm.addEventListener('submit', handleJoinByCode);
   statusEl.addEventListener('click', () => hydrateRooms());
 
   await hydrateRooms();
 
+  // Invite links carry the code as `?room=`.
+  const invitedCode = new URLSearchParams(window.location.search).get('room');
+  if (invitedCode) {
+    inviteCodeInput.value = invitedCode.toUpperCase();
+    await findRoomByCode(invitedCode);
+  }
+
   return {
     destroy: () => {
       alive = false;
       nameInput.removeEventListener('input', handleNameInput);
+      pinInput.removeEventListener('input', handlePinInput);
       form.removeEventListener('submit', handleSubmit);
+      leaderboardButton.removeEventListener('click', handleOpenLeaderboard);
+      createRoomForm.removeEventListener('submit', handleCreateRoom);
+      joinCodeForm.removeEventListener('submit', handleJoinByCode);
       statusEl.replaceWith(statusEl.cloneNode(true));
       if (section?.parentElement) {
         section.parentElement.removeChild(section);
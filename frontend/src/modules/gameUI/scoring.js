@@ -1,8 +1,18 @@
 import '../../css/scoring.css';
+import { verifyDeal } from '../fairness/index.js';
 import { registerModule } from '../moduleRegistry.js';
 
 const VIBRATION_PATTERN = [60, 40, 80];
 
+const DEAL_CHECK_LABELS = {
+  verified: 'Deal verified against the revealed seeds',
+  hash_mismatch: 'Shuffle seed does not match its hash',
+  commitment_mismatch: 'Shuffle seed is not the one committed before the deal',
+  vira_mismatch: 'Deal does not match the revealed seeds',
+  hand_mismatch: 'Deal does not match the revealed seeds',
+  missing_seeds: 'Deal cannot be checked',
+};
+
 const createTemplate = () => {
   const section = document.createElement('section');
   section.className = 'scoring';
@@ -18,6 +28,8 @@ const createTemplate = () => {
       </div>
     </header>
     <ul class="scoring__list" data-testid="scoring-rows" role="list"></ul>
+    <p class="scoring__fairness" data-testid="scoring-fairness" hidden></p>
+    <p class="scoring__fairness" data-testid="scoring-deal-check" hidden></p>
   `;
 
   return section;
@@ -90,6 +102,46 @@ const pruneExtraRows = (list, presentIds) => {
   });
 };
 
+// Re-runs the shuffle once per scored round; the result lands after the
+// render that started it.
+const renderDealCheck = ({ state, label, viewState }) => {
+  const { roundResults } = state;
+  if (!roundResults.fairness?.serverSeed) {
+    label.hidden = true;
+    return;
+  }
+
+  if (viewState.dealCheck?.receivedAt !== roundResults.receivedAt) {
+    const check = { receivedAt: roundResults.receivedAt, text: 'Checking the deal…', status: 'pending' };
+    viewState.dealCheck = check;
+
+    verifyDeal({
+      fairness: roundResults.fairness,
+      committedServerSeedHash: state.round?.committedServerSeedHash ?? null,
+      round: state.round,
+      playerId: state.playerId,
+    })
+      .then(({ verified, reason }) => {
+        check.status = verified ? 'verified' : 'failed';
+        check.text = DEAL_CHECK_LABELS[verified ? 'verified' : reason];
+      })
+      .catch(() => {
+        check.status = 'failed';
+        check.text = DEAL_CHECK_LABELS.missing_seeds;
+      })
+      .finally(() => {
+        if (viewState.dealCheck === check) {
+          label.textContent = check.text;
+          label.dataset.status = check.status;
+        }
+      });
+  }
+
+  label.hidden = false;
+  label.textContent = viewState.dealCheck.text;
+  label.dataset.status = viewState.dealCheck.status;
+};
+
 const renderRound = ({ state, section, viewState }) => {
   const roundResults = state.roundResults;
   const hasResults = roundResults && roundResults.results && Object.keys(roundResults.results).length > 0;
@@ -113,6 +165,20 @@ const renderRound = ({ state, section, viewState }) => {
     statusLabel.textContent = eliminated > 0 ? `${eliminated} eliminated` : 'Next round starting…';
   }
 
+  // The revealed seed lets anyone re-run the shuffle and check the deal.
+  const fairnessLabel = section.querySelector('[data-testid="scoring-fairness"]');
+  if (fairnessLabel) {
+    const { serverSeed, serverSeedHash } = roundResults.fairness ?? {};
+    fairnessLabel.hidden = !serverSeed;
+    fairnessLabel.textContent = serverSeed ? `Shuffle seed ${serverSeed}` : '';
+    fairnessLabel.title = serverSeedHash ? `SHA-256 ${serverSeedHash}` : '';
+  }
+
+  const dealCheckLabel = section.querySelector('[data-testid="scoring-deal-check"]');
+  if (dealCheckLabel) {
+    renderDealCheck({ state, label: dealCheckLabel, viewState });
+  }
+
   const list = section.querySelector('[data-testid="scoring-rows"]');
   const order = Array.isArray(state.playerOrder) ? [...state.playerOrder] : [];
   const present = new Set(order);
@@ -223,6 +289,7 @@ export const init = async (context) => {
 
   const viewState = {
     lastResultTimestamp: null,
+    dealCheck: null,
   };
 
   const unsubscribe = store.subscribe((state) => {
@@ -17,6 +17,15 @@ const DEFAULT_SOCKET_OPTIONS = {
 };
 
 const CHAT_HISTORY_LIMIT = 100;
+const CLIENT_SEED_BYTES = 16;
+
+// Entropy this client mixes into the shuffle of every round it is dealt
+// (published in `round_started.fairness.clientSeeds`).
+const createClientSeed = () => {
+  const bytes = new Uint8Array(CLIENT_SEED_BYTES);
+  globalThis.crypto.getRandomValues(bytes);
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+};
 
 const createEventBus = () => {
   const listeners = new Map();
@@ -326,6 +335,10 @@ export const createNetworkClient = ({
 
       updateCurrentRoom(normalizedPayload);
       eventBus.emit('room_joined', normalizedPayload);
+
+      if (globalThis.crypto?.getRandomValues) {
+        socket.emit('set_client_seed', { clientSeed: createClientSeed() });
+      }
     });
 
     socket.on('room_left', (payload) => {
@@ -343,20 +356,94 @@ export const createNetworkClient = ({
         return;
       }
 
-      updatePlayers((players) => {
-        const next = players.filter((entry) => entry.playerId !== payload.player.playerId);
-        next.push(payload.player);
-        return next;
-      });
+      // A returning player keeps their place in the list; a queued spectator
+      // seated between games (`promoted`) may be this client.
+      const room = networkState.currentRoom;
+      if (room) {
+        const players = Array.isArray(room.currentPlayers) ? room.currentPlayers : [];
+        updateCurrentRoom({
+          ...room,
+          currentPlayers: players.some((entry) => entry.playerId === payload.player.playerId)
+            ? players.map((entry) => (entry.playerId === payload.player.playerId ? payload.player : entry))
+            : [...players, payload.player],
+          isSpectator:
+            payload.promoted && room.playerId === payload.player.playerId ? false : room.isSpectator,
+        });
+      }
 
       eventBus.emit('player_joined', payload.player);
     });
 
+    socket.on('spectator_left', (payload) => {
+      const room = networkState.currentRoom;
+      if (room && payload?.playerId) {
+        const queue = Array.isArray(room.seatQueue) ? room.seatQueue : [];
+        updateCurrentRoom({
+          ...room,
+          spectatorCount: Math.max(0, (Number.isFinite(room.spectatorCount) ? room.spectatorCount : 0) - 1),
+          seatQueue: queue
+            .filter((entry) => entry.playerId !== payload.playerId)
+            .map((entry, index) => ({ ...entry, position: index + 1 })),
+        });
+      }
+      eventBus.emit('spectator_left', payload);
+    });
+
+    socket.on('seat_queue_updated', (payload) => {
+      const room = networkState.currentRoom;
+      if (room && payload?.roomId === room.roomId && Array.isArray(payload.queue)) {
+        updateCurrentRoom({ ...room, seatQueue: payload.queue.map((entry) => ({ ...entry })) });
+      }
+      eventBus.emit('seat_queue_updated', payload);
+    });
+
+    // A disconnect with `expiresAt` keeps the seat until the player returns or
+    // the window runs out.
     socket.on('player_left', (payload) => {
-      updatePlayers((players) => players.filter((entry) => entry.playerId !== payload?.playerId));
+      updatePlayers((players) =>
+        payload?.expiresAt
+          ? players.map((entry) =>
+              entry.playerId === payload.playerId ? { ...entry, connectionStatus: 'disconnected' } : entry,
+            )
+          : players.filter((entry) => entry.playerId !== payload?.playerId),
+      );
       eventBus.emit('player_left', payload);
     });
 
+    socket.on('seat_stand_in', (payload) => {
+      updatePlayers((players) =>
+        players.map((entry) =>
+          entry.playerId === payload?.playerId
+            ? { ...entry, standIn: payload.standIn ? { ...payload.standIn } : null }
+            : entry,
+        ),
+      );
+      eventBus.emit('seat_stand_in', payload);
+    });
+
+    socket.on('player_kicked', (payload) => {
+      const room = networkState.currentRoom;
+      if (room && payload?.playerId) {
+        const players = Array.isArray(room.currentPlayers) ? room.currentPlayers : [];
+        updateCurrentRoom({
+          ...room,
+          currentPlayers: players.filter((entry) => entry.playerId !== payload.playerId),
+          spectatorCount: (Number.isFinite(room.spectatorCount) ? room.spectatorCount : 0) + 1,
+          isSpectator: room.playerId === payload.playerId ? true : room.isSpectator,
+        });
+      }
+      eventBus.emit('player_kicked', payload);
+    });
+
+    socket.on('player_replaced', (payload) => {
+      if (payload?.player) {
+        updatePlayers((players) =>
+          players.map((entry) => (entry.playerId === payload.playerId ? { ...entry, ...payload.player } : entry)),
+        );
+      }
+      eventBus.emit('player_replaced', payload);
+    });
+
     socket.on('chat_message_received', (payload) => {
       if (payload) {
         appendChatMessageToRoom(payload);
@@ -371,6 +458,85 @@ export const createNetworkClient = ({
       eventBus.emit('host_settings_updated', payload);
     });
 
+    socket.on('host_changed', (payload) => {
+      const room = networkState.currentRoom;
+      if (room && payload?.roomId === room.roomId) {
+        const players = Array.isArray(room.currentPlayers) ? room.currentPlayers : [];
+        updateCurrentRoom({
+          ...room,
+          isHost: room.playerId === payload.hostId,
+          currentPlayers: players.map((entry) => ({ ...entry, isHost: entry.playerId === payload.hostId })),
+        });
+      }
+      eventBus.emit('host_changed', payload);
+    });
+
+    socket.on('player_muted', (payload) => {
+      const room = networkState.currentRoom;
+      if (room && payload?.roomId === room.roomId) {
+        const players = Array.isArray(room.currentPlayers) ? room.currentPlayers : [];
+        updateCurrentRoom({
+          ...room,
+          isMuted: room.playerId === payload.playerId ? Boolean(payload.isMuted) : Boolean(room.isMuted),
+          currentPlayers: players.map((entry) =>
+            entry.playerId === payload.playerId ? { ...entry, isMuted: Boolean(payload.isMuted) } : entry,
+          ),
+        });
+      }
+      eventBus.emit('player_muted', payload);
+    });
+
+    // `seatOrder` lists every seated player; spectators are not in it.
+    socket.on('seats_updated', (payload) => {
+      const room = networkState.currentRoom;
+      if (room && payload?.roomId === room.roomId && Array.isArray(payload.seatOrder)) {
+        const players = Array.isArray(room.currentPlayers) ? room.currentPlayers : [];
+        const seatOf = (entry) => {
+          const index = payload.seatOrder.indexOf(entry.playerId);
+          return index === -1 ? payload.seatOrder.length : index;
+        };
+        updateCurrentRoom({
+          ...room,
+          currentPlayers: [...players].sort((left, right) => seatOf(left) - seatOf(right)),
+        });
+      }
+      eventBus.emit('seats_updated', payload);
+    });
+
+    socket.on('lobby_ready_state', (payload) => {
+      const room = networkState.currentRoom;
+      if (room && payload?.roomId === room.roomId && Array.isArray(payload.players)) {
+        const readiness = new Map(payload.players.map((entry) => [entry.playerId, Boolean(entry.isReady)]));
+        const players = Array.isArray(room.currentPlayers) ? room.currentPlayers : [];
+        updateCurrentRoom({
+          ...room,
+          currentPlayers: players.map((entry) =>
+            readiness.has(entry.playerId) ? { ...entry, isReady: readiness.get(entry.playerId) } : entry,
+          ),
+        });
+      }
+      eventBus.emit('lobby_ready_state', payload);
+    });
+
+    // Sent only to the removed player, just before `room_left`.
+    socket.on('removed_from_room', (payload) => {
+      const until = payload?.expiresAt ? new Date(payload.expiresAt) : null;
+      const message =
+        payload?.reason === 'banned'
+          ? `The host banned you from this room${until ? ` until ${until.toLocaleTimeString()}` : ''}.`
+          : 'The host removed you from this room.';
+      emitSystemMessage('Removed from room', message);
+      eventBus.emit('removed_from_room', payload);
+    });
+
+    socket.on('room_access_updated', (payload) => {
+      const room = networkState.currentRoom;
+      if (room && payload?.roomId === room.roomId && payload.access) {
+        updateCurrentRoom({ ...room, access: { ...payload.access } });
+      }
+      eventBus.emit('room_access_updated', payload);
+    });
+
     socket.on('turn_timer_update', (payload) => {
       eventBus.emit('turn_timer_update', payload);
     });
@@ -505,7 +671,9 @@ export const createNetworkClient = ({
     socket.emit(event, payload, ack);
   };
 
-  const joinRoom = ({ roomId, displayName }) => {
+  // `queueForSeat` joins a full or running table as a spectator waiting in
+  // its seat queue instead of failing.
+  const joinRoom = ({ roomId, displayName, pin, password, queueForSeat }) => {
     if (!socket) {
       throw new Error('Socket connection not established. Call connect() first.');
     }
@@ -515,6 +683,18 @@ export const createNetworkClient = ({
       displayName: displayName?.trim?.() ?? displayName,
     };
 
+    if (pin) {
+      payload.pin = String(pin).trim();
+    }
+
+    if (password) {
+      payload.password = String(password);
+    }
+
+    if (queueForSeat) {
+      payload.queueForSeat = true;
+    }
+
     return new Promise((resolve, reject) => {
       const disposeSuccess = eventBus.once('room_joined', (details) => {
         cleanup();
@@ -148,6 +148,53 @@ describe('bidding UI module', () => {
     expect(restricted.className).toMatch(/restricted/);
   });
 
+  it('explains the dealer rule with a tolerance', async () => {
+    const { context, store } = createContext();
+    document.body.append(context.appRoot);
+
+    await initBidding(context);
+    enterBiddingPhase(store, {
+      isLastBidder: false,
+      restrictedBid: 2,
+      validBids: [0],
+      biddingMetadata: {
+        existingBidTotal: 1,
+        restrictionApplied: true,
+        restrictedBids: [1, 2, 3],
+        bidRules: { restriction: 'dealer', tolerance: 1 },
+      },
+    });
+
+    const restriction = context.appRoot.querySelector('[data-testid="restriction-message"]');
+    expect(restriction.textContent).toBe('You cannot choose 1, 2 or 3 — dealer rule prevents total bids within 1 of 3.');
+
+    const restricted = Array.from(context.appRoot.querySelectorAll('[data-testid="bid-option"]')).filter(
+      (el) => el.className.includes('restricted'),
+    );
+    expect(restricted.map((el) => el.dataset.value)).toEqual(['1', '2', '3']);
+    expect(restricted[0].title).toBe('Restricted by dealer rule');
+  });
+
+  it('hides the restriction when the room plays without one', async () => {
+    const { context, store } = createContext();
+    document.body.append(context.appRoot);
+
+    await initBidding(context);
+    enterBiddingPhase(store, {
+      isLastBidder: true,
+      biddingMetadata: {
+        existingBidTotal: 2,
+        restrictionApplied: false,
+        restrictedBids: [],
+        bidRules: { restriction: 'none', tolerance: 0 },
+      },
+    });
+
+    const restriction = context.appRoot.querySelector('[data-testid="restriction-message"]');
+    expect(restriction.hidden).toBe(true);
+    expect(context.appRoot.textContent).toMatch(/No bid restriction/);
+  });
+
   it('displays latest bid error in the panel', async () => {
     const { context, store } = createContext();
     document.body.append(context.appRoot);
@@ -182,4 +229,28 @@ describe('bidding UI module', () => {
     const updated = timer.querySelector('.bidding__timerValue').textContent;
     expect(updated).toMatch(/2/);
   });
+
+  it('stops the countdown and the bid options while the game is paused', async () => {
+    const { context, store } = createContext();
+    document.body.append(context.appRoot);
+
+    await initBidding(context);
+    enterBiddingPhase(store, {
+      turnEndsAt: Date.now() + 15000,
+      paused: { pausedBy: 'player-2', reason: 'host', resumesAt: null, turnRemainingMs: 9000 },
+    });
+
+    const timer = context.appRoot.querySelector('[data-testid="bidding-timer"]');
+    const overlay = context.appRoot.querySelector('[data-testid="bidding-paused"]');
+    expect(overlay.hidden).toBe(false);
+    expect(timer.dataset.state).toBe('paused');
+    expect(timer.querySelector('.bidding__timerValue').textContent).toBe('9.0s');
+
+    vi.advanceTimersByTime(5000);
+    expect(timer.querySelector('.bidding__timerValue').textContent).toBe('9.0s');
+    context.appRoot.querySelectorAll('[data-testid="bid-option"]').forEach((button) => {
+      expect(button.disabled).toBe(true);
+    });
+    expect(context.appRoot.querySelector('[data-testid="bidding-status"]').textContent).toMatch(/paused/);
+  });
 });
@@ -53,6 +53,18 @@ describe('cardRenderer module', () => {
     expect(badge.textContent).toMatch(/manilha/i);
   });
 
+  it('badges the fixed manilhas by name and ignores the vira flag', () => {
+    const ruleSet = { deck: 'clean', manilhas: 'fixed' };
+    const zap = createCardElement({ ...baseCard, rank: '4', suit: 'clubs', isManilha: false }, { ruleSet });
+    const plainFour = createCardElement({ ...baseCard, rank: '4', suit: 'hearts', isManilha: true }, { ruleSet });
+
+    expect(zap.dataset.manilha).toBe('true');
+    expect(zap.querySelector('[data-testid="manilha-indicator"]').textContent).toBe('Manilha · Zap');
+    expect(zap.getAttribute('aria-label')).toMatch(/Manilha · Zap$/);
+    expect(plainFour.dataset.manilha).toBe('false');
+    expect(plainFour.querySelector('[data-testid="manilha-indicator"]')).toBeNull();
+  });
+
   it('wires tap and drag interactions when enabled', () => {
     if (typeof window.PointerEvent === 'undefined') {
       window.PointerEvent = class PointerEvent extends window.MouseEvent {
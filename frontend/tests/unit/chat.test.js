@@ -121,6 +121,23 @@ describe('chat UI module', () => {
     module.destroy();
   });
 
+  it('disables input while the host has muted the player', async () => {
+    const { context, store } = createContext();
+    document.body.append(context.appRoot);
+    store.setState({ isMuted: true });
+
+    const module = await initChat(context);
+
+    const input = context.appRoot.querySelector('[data-testid="chat-input"]');
+    const status = context.appRoot.querySelector('[data-testid="chat-status"]');
+
+    expect(input.disabled).toBe(true);
+    expect(status.hidden).toBe(false);
+    expect(status.textContent).toBe('The host has muted you.');
+
+    module.destroy();
+  });
+
   it('emits chat_message events and clears input on success', async () => {
     const { context, store, networkClient } = createContext();
     document.body.append(context.appRoot);
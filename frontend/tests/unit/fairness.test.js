@@ -0,0 +1,94 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+  combineSeeds,
+  hashSeed,
+  replayDeal,
+  verifyDeal,
+} from '../../src/modules/fairness/index.js';
+
+// Reference deal produced by the server's `createSeededDeck` for these seeds.
+const SERVER_SEED = 'table-seed';
+const SERVER_SEED_HASH = 'd7951cb6068755f7a3380c924574ad95099a8779c9f4831473c3bce30822db48';
+const CLIENT_SEEDS = { p2: 'zeta', p1: 'alpha' };
+
+const card = (key) => {
+  const [rank, suit] = key.split(':');
+  return { rank, suit };
+};
+
+const scoredFairness = (overrides = {}) => ({
+  serverSeed: SERVER_SEED,
+  serverSeedHash: SERVER_SEED_HASH,
+  clientSeeds: CLIENT_SEEDS,
+  dealOrder: ['p1', 'p2'],
+  ...overrides,
+});
+
+const seenRound = (overrides = {}) => ({
+  cardCount: 3,
+  ruleSet: { deck: 'full', manilhas: 'vira' },
+  viraCard: card('8:spades'),
+  dealtHand: ['2:hearts', '3:diamonds', '10:spades'].map(card),
+  ...overrides,
+});
+
+describe('deal verification', () => {
+  it('combines and hashes seeds the way the server does', async () => {
+    expect(combineSeeds({ serverSeed: SERVER_SEED, clientSeeds: CLIENT_SEEDS })).toBe(
+      'table-seed|p1:alpha|p2:zeta',
+    );
+    expect(await hashSeed(SERVER_SEED)).toBe(SERVER_SEED_HASH);
+  });
+
+  it('replays the server deal from the revealed seeds', async () => {
+    const { viraCard, hands } = await replayDeal({
+      serverSeed: SERVER_SEED,
+      clientSeeds: CLIENT_SEEDS,
+      dealOrder: ['p1', 'p2'],
+      cardCount: 3,
+    });
+
+    expect(viraCard).toEqual(card('8:spades'));
+    expect(hands.p1).toEqual(['2:hearts', '3:diamonds', '10:spades'].map(card));
+    expect(hands.p2).toEqual(['3:spades', '6:clubs', '10:diamonds'].map(card));
+  });
+
+  it('deals the clean deck without a vira under fixed manilhas', async () => {
+    const { viraCard, hands } = await replayDeal({
+      serverSeed: 'clean-seed',
+      clientSeeds: {},
+      dealOrder: ['p1'],
+      cardCount: 4,
+      ruleSet: { deck: 'clean', manilhas: 'fixed' },
+    });
+
+    expect(viraCard).toBeNull();
+    expect(hands.p1).toEqual(['6:clubs', '3:spades', 'J:diamonds', '7:diamonds'].map(card));
+  });
+
+  it('verifies the hand and vira this client was dealt', async () => {
+    await expect(
+      verifyDeal({
+        fairness: scoredFairness(),
+        committedServerSeedHash: SERVER_SEED_HASH,
+        round: seenRound(),
+        playerId: 'p1',
+      }),
+    ).resolves.toEqual({ verified: true, reason: null });
+  });
+
+  it('reports a deal that does not match its seeds or commitment', async () => {
+    const check = (options) =>
+      verifyDeal({ fairness: scoredFairness(), round: seenRound(), playerId: 'p1', ...options });
+
+    expect((await check({ fairness: scoredFairness({ serverSeedHash: 'f00' }) })).reason).toBe(
+      'hash_mismatch',
+    );
+    expect((await check({ committedServerSeedHash: 'f00' })).reason).toBe('commitment_mismatch');
+    expect((await check({ round: seenRound({ viraCard: card('4:clubs') }) })).reason).toBe(
+      'vira_mismatch',
+    );
+    expect((await check({ playerId: 'p2' })).reason).toBe('hand_mismatch');
+  });
+});
@@ -67,6 +67,8 @@ const createFakeStore = (initialState = {}) => {
       return () => listeners.delete(listener);
     },
     playCard: vi.fn(),
+    pauseGame: vi.fn(),
+    resumeGame: vi.fn(),
   };
 
   const setState = (nextState) => {
@@ -221,4 +223,173 @@ describe('game board module', () => {
 
     module.destroy();
   });
+
+  it('marks cancelled cards and explains how a fully cancelled trick was decided', async () => {
+    const cardsPlayed = { p1: { rank: 'K', suit: 'hearts' }, p2: { rank: 'K', suit: 'spades' } };
+    const { store, setState } = createFakeStore({
+      phase: 'playing',
+      playerId: 'p1',
+      currentTurn: 'p2',
+      playerOrder: ['p1', 'p2'],
+      hand: [{ rank: '2', suit: 'clubs', strength: 1 }],
+      currentTrick: {
+        number: 2,
+        leadPlayer: 'p2',
+        winner: 'p2',
+        cardsPlayed,
+        cancelledCards: Object.values(cardsPlayed),
+        resolution: 'lead-player',
+        carriedTricks: 0,
+        completedAt: Date.now(),
+      },
+    });
+
+    const context = setupContext({ gameState: store });
+
+    const module = await init(context);
+    const outcome = () => context.appRoot.querySelector('[data-testid="trick-outcome"]');
+
+    expect(context.appRoot.querySelectorAll('[data-testid="trick-slots"] [data-cancelled="true"]')).toHaveLength(2);
+    expect(context.appRoot.querySelectorAll('[data-testid="cancelled-tag"]')).toHaveLength(2);
+    expect(outcome().hidden).toBe(false);
+    expect(outcome().textContent).toBe('Every card cancelled: the trick goes to Bruno, who led it.');
+
+    setState({ currentTrick: { winner: null, resolution: 'carry-over' } });
+    expect(outcome().textContent).toContain('whoever wins the next trick takes this one too');
+
+    setState({
+      currentTrick: {
+        winner: 'p1',
+        cardsPlayed: { p1: { rank: 'A', suit: 'hearts' }, p2: { rank: '5', suit: 'spades' } },
+        cancelledCards: [],
+        resolution: 'highest-card',
+        carriedTricks: 2,
+      },
+    });
+    expect(context.appRoot.querySelectorAll('[data-testid="cancelled-tag"]')).toHaveLength(0);
+    expect(outcome().textContent).toBe('Alice also takes 2 cancelled tricks carried over.');
+
+    setState({ currentTrick: { completedAt: null } });
+    expect(outcome().hidden).toBe(true);
+
+    module.destroy();
+  });
+
+  it('marks the dealer seat and moves the marker with the round', async () => {
+    const { store, setState } = createFakeStore({
+      phase: 'bidding',
+      playerId: 'p1',
+      currentTurn: 'p1',
+      playerOrder: ['p1', 'p2'],
+      hand: [{ rank: '5', suit: 'diamonds', strength: 3 }],
+      round: { number: 1, cardCount: 1, dealerId: 'p2' },
+    });
+
+    const context = setupContext({ gameState: store });
+
+    const module = await init(context);
+
+    const dealerSeat = () => context.appRoot.querySelector('[data-testid="dealer-marker"]').closest('[data-player-id]');
+    expect(context.appRoot.querySelectorAll('[data-testid="dealer-marker"]')).toHaveLength(1);
+    expect(dealerSeat().dataset.playerId).toBe('p2');
+
+    setState({ round: { number: 2, cardCount: 2, dealerId: 'p1' } });
+    expect(dealerSeat().dataset.playerId).toBe('p1');
+
+    module.destroy();
+  });
+
+  it('seats players around the table in seat order with the local player at the bottom', async () => {
+    const { store } = createFakeStore({
+      phase: 'bidding',
+      playerId: 'p2',
+      currentTurn: 'p1',
+      playerOrder: ['p1', 'p2', 'p3', 'p4'],
+      hand: [],
+      round: { number: 1, cardCount: 1, dealerId: 'p4' },
+    });
+
+    const context = setupContext({ gameState: store });
+
+    const module = await init(context);
+
+    const players = context.appRoot.querySelector('[data-testid="board-players"]');
+    const seats = Array.from(players.querySelectorAll('[data-player-id]'));
+    expect(players.dataset.layout).toBe('ring');
+    expect(seats.map((seat) => seat.dataset.seat)).toEqual(['1', '2', '3', '4']);
+
+    const positionOf = (playerId) => {
+      const seat = players.querySelector(`[data-player-id="${playerId}"]`);
+      return { x: parseFloat(seat.style.getPropertyValue('--seat-x')), y: parseFloat(seat.style.getPropertyValue('--seat-y')) };
+    };
+
+    expect(positionOf('p2')).toEqual({ x: 50, y: 88 });
+    expect(positionOf('p3').x).toBeLessThan(50);
+    expect(positionOf('p4').y).toBeLessThan(50);
+    expect(positionOf('p1').x).toBeGreaterThan(50);
+
+    module.destroy();
+  });
+
+  it('shows the paused overlay with the frozen turn timer and lets the host resume', async () => {
+    const { store, setState } = createFakeStore({
+      phase: 'playing',
+      playerId: 'p1',
+      isHost: true,
+      currentTurn: 'p1',
+      playerOrder: ['p1', 'p2'],
+      hand: [{ rank: '5', suit: 'diamonds', strength: 3 }],
+      turnEndsAt: Date.now() + 20000,
+    });
+
+    const context = setupContext({ gameState: store });
+    const module = await init(context);
+
+    const overlay = context.appRoot.querySelector('[data-testid="board-paused"]');
+    const toggle = context.appRoot.querySelector('[data-testid="board-pause-toggle"]');
+    expect(overlay.hidden).toBe(true);
+    expect(toggle.textContent).toBe('Pause');
+
+    toggle.click();
+    expect(store.pauseGame).toHaveBeenCalledTimes(1);
+
+    setState({ paused: { pausedBy: 'p1', reason: 'host', resumesAt: null, turnRemainingMs: 12000 } });
+
+    expect(overlay.hidden).toBe(false);
+    expect(context.appRoot.querySelector('[data-testid="board-paused-detail"]').textContent).toBe('Paused by Alice');
+    expect(context.appRoot.querySelector('[data-testid="board-timer"]').textContent).toBe('12s');
+    expect(context.appRoot.querySelector('[data-testid="hand-cards"] button').disabled).toBe(true);
+    expect(toggle.textContent).toBe('Resume');
+
+    toggle.click();
+    expect(store.resumeGame).toHaveBeenCalledTimes(1);
+
+    module.destroy();
+  });
+
+  it('shows pause vote progress to players who are not the host', async () => {
+    const { store, setState } = createFakeStore({
+      phase: 'bidding',
+      playerId: 'p2',
+      currentTurn: 'p1',
+      playerOrder: ['p1', 'p2'],
+      hand: [{ rank: '5', suit: 'diamonds', strength: 3 }],
+    });
+
+    const context = setupContext({ gameState: store });
+    const module = await init(context);
+
+    const toggle = context.appRoot.querySelector('[data-testid="board-pause-toggle"]');
+    const voteEl = context.appRoot.querySelector('[data-testid="board-pause-vote"]');
+    expect(toggle.textContent).toBe('Vote to pause');
+    expect(voteEl.hidden).toBe(true);
+
+    setState({ pauseVote: { action: 'pause', votes: ['p2'], needed: 2, expiresAt: null } });
+
+    expect(voteEl.hidden).toBe(false);
+    expect(voteEl.textContent).toBe('1/2 votes to pause');
+    expect(toggle.disabled).toBe(true);
+
+    module.destroy();
+  });
 });
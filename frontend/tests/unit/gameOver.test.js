@@ -114,6 +114,35 @@ describe('game over UI module', () => {
     expect(startButton.disabled).toBe(false);
   });
 
+  it('explains how a game that ran out of time was decided', async () => {
+    const { context, store } = setupContext();
+    document.body.append(context.appRoot);
+
+    await initGameOver(context);
+    enterCompletedPhase(store, {
+      gameResult: {
+        winner: 'player-1',
+        reason: 'timeout',
+        tieBreak: {
+          decidedBy: 'bidAccuracy',
+          explanation: 'Time ran out with Ana and Bruno level on lives; Ana won on bid accuracy (80% vs 50%).',
+        },
+        standings: [
+          { playerId: 'player-1', displayName: 'Ana', livesRemaining: 2, bidAccuracy: 0.8, tricksWon: 9 },
+          { playerId: 'player-2', displayName: 'Bruno', livesRemaining: 2, bidAccuracy: 0.5, tricksWon: 12 },
+        ],
+        stats: { duration: 3_600_000, totalRounds: 12, totalTricks: 40 },
+        receivedAt: Date.now(),
+      },
+    });
+
+    const panel = context.appRoot.querySelector('[data-testid="game-over-panel"]');
+    expect(panel.querySelector('[data-testid="game-over-winner"]').textContent).toBe('Ana');
+    expect(panel.querySelector('[data-testid="game-over-message"]').textContent).toBe(
+      'Time ran out with Ana and Bruno level on lives; Ana won on bid accuracy (80% vs 50%).',
+    );
+  });
+
   it('hides start button for non-hosts and triggers share workflow', async () => {
     const { context, store } = setupContext();
     document.body.append(context.appRoot);
@@ -155,4 +184,141 @@ describe('game over UI module', () => {
       );
     });
   });
+
+  it('offers the replay of the finished game when a replay viewer is available', async () => {
+    const { context, store } = setupContext();
+    document.body.append(context.appRoot);
+
+    await initGameOver(context);
+    enterCompletedPhase(store, { gameId: 'game-1' });
+
+    const replayButton = context.appRoot.querySelector('[data-testid="watch-replay"]');
+    expect(replayButton.hidden).toBe(true);
+
+    context.openReplay = vi.fn();
+    enterCompletedPhase(store, { gameId: 'game-1' });
+    vi.advanceTimersByTime(50);
+    expect(replayButton.hidden).toBe(false);
+
+    replayButton.click();
+    expect(context.openReplay).toHaveBeenCalledWith('game-1');
+  });
+
+  it('shows rating changes for the local player and in the standings', async () => {
+    const { context, store } = setupContext();
+    document.body.append(context.appRoot);
+
+    await initGameOver(context);
+
+    enterCompletedPhase(store, {
+      gameResult: {
+        winner: 'player-1',
+        standings: [
+          { playerId: 'player-1', displayName: 'Ana', livesRemaining: 3 },
+          { playerId: 'player-2', displayName: 'Bruno', livesRemaining: 0 },
+        ],
+        stats: { duration: 19_500, totalRounds: 7, totalTricks: 21 },
+        ratingChanges: {
+          'player-1': { rating: 1516, delta: 16, roomRating: 1516, roomDelta: 16 },
+          'player-2': { rating: 1484, delta: -16, roomRating: 1490, roomDelta: -10 },
+        },
+      },
+    });
+
+    const panel = context.appRoot.querySelector('[data-testid="game-over-panel"]');
+    const ratingEl = panel.querySelector('[data-testid="game-over-rating"]');
+    expect(ratingEl.hidden).toBe(false);
+    expect(ratingEl.textContent).toBe('Your rating: 1484 (-16) · this room: 1490 (-10)');
+
+    const meta = panel.querySelectorAll('[data-testid="standing-meta"]');
+    expect(meta[0].textContent).toBe('Rank #1 · 1516 (+16)');
+    expect(meta[1].textContent).toBe('Rank #2 · 1484 (-16)');
+  });
+
+  it('collects rematch votes and lets the host force the rematch', async () => {
+    const { context, store } = setupContext();
+    document.body.append(context.appRoot);
+
+    await initGameOver(context);
+    enterCompletedPhase(store, {
+      rematch: {
+        players: [
+          { playerId: 'player-1', vote: 'accepted' },
+          { playerId: 'player-2', vote: 'pending' },
+        ],
+        acceptedCount: 1,
+        canStart: true,
+        series: { gamesPlayed: 1, wins: { 'player-1': 1 } },
+      },
+    });
+
+    const panel = context.appRoot.querySelector('[data-testid="rematch-panel"]');
+    expect(panel.hidden).toBe(false);
+    expect(panel.querySelector('[data-testid="rematch-status"]').textContent).toBe('1 of 2 players want a rematch.');
+    expect(panel.querySelector('[data-testid="rematch-force"]').hidden).toBe(true);
+
+    panel.querySelector('[data-testid="rematch-accept"]').click();
+    expect(context.networkClient.emit).toHaveBeenCalledWith('vote_rematch', { accept: true });
+
+    panel.querySelector('[data-testid="rematch-decline"]').click();
+    expect(context.networkClient.emit).toHaveBeenCalledWith('vote_rematch', { accept: false });
+
+    enterCompletedPhase(store, {
+      isHost: true,
+      playerId: 'player-1',
+      rematch: { players: [{ playerId: 'player-1', vote: 'accepted' }], acceptedCount: 1, canStart: false, series: null },
+    });
+    vi.advanceTimersByTime(50);
+
+    const forceButton = panel.querySelector('[data-testid="rematch-force"]');
+    expect(panel.querySelector('[data-testid="rematch-status"]').textContent).toBe(
+      'Not enough players left for a rematch.',
+    );
+    expect(forceButton.hidden).toBe(false);
+    expect(forceButton.disabled).toBe(true);
+
+    enterCompletedPhase(store, {
+      isHost: true,
+      playerId: 'player-1',
+      rematch: {
+        players: [
+          { playerId: 'player-1', vote: 'accepted' },
+          { playerId: 'player-2', vote: 'declined' },
+        ],
+        acceptedCount: 1,
+        canStart: true,
+        series: null,
+      },
+    });
+    vi.advanceTimersByTime(50);
+    forceButton.click();
+    expect(context.networkClient.emit).toHaveBeenCalledWith('force_rematch', {});
+  });
+
+  it('shows the running series score once a rematch has been played', async () => {
+    const { context, store } = setupContext();
+    document.body.append(context.appRoot);
+
+    await initGameOver(context);
+    enterCompletedPhase(store);
+
+    const seriesEl = context.appRoot.querySelector('[data-testid="series-score"]');
+    expect(seriesEl.hidden).toBe(true);
+
+    enterCompletedPhase(store, {
+      rematch: {
+        players: [],
+        acceptedCount: 0,
+        canStart: true,
+        series: { gamesPlayed: 3, wins: { 'player-2': 1, 'player-1': 2 } },
+      },
+    });
+    vi.advanceTimersByTime(50);
+
+    expect(seriesEl.hidden).toBe(false);
+    expect(seriesEl.querySelector('[data-testid="series-title"]').textContent).toBe('Series · 3 games');
+    expect(
+      Array.from(seriesEl.querySelectorAll('[data-testid="series-list"] li')).map((item) => item.textContent),
+    ).toEqual(['Ana — 2 wins', 'Bruno — 1 win']);
+  });
 });
@@ -317,4 +317,574 @@ describe('gameSetup module', () => {
       'At least two connected players are required to start the game.',
     );
   });
+
+  it('lets the host add and remove bots from the lobby', async () => {
+    const context = createContext();
+    document.body.append(context.appRoot);
+
+    await init(context);
+
+    const payload = sampleRoomPayload({
+      players: [
+        {
+          playerId: 'player-1',
+          displayName: 'Ana Host',
+          isHost: true,
+          lives: 5,
+          connectionStatus: 'connected',
+        },
+        {
+          playerId: 'bot-1',
+          displayName: 'Bot Ze',
+          isHost: false,
+          isBot: true,
+          lives: 5,
+          connectionStatus: 'connected',
+        },
+      ],
+    });
+
+    context.networkClient.trigger('room_joined', payload);
+    await flushAsync();
+
+    const section = context.appRoot.querySelector('[data-testid="game-setup"]');
+    expect(section.querySelector('[data-testid="bot-controls"]').hidden).toBe(false);
+    expect(section.querySelectorAll('[data-testid="bot-badge"]').length).toBe(1);
+
+    section.querySelector('[data-testid="bot-difficulty"]').value = 'hard';
+    section.querySelector('[data-testid="add-bot"]').click();
+    expect(context.networkClient.emit).toHaveBeenCalledWith('add_bot', { difficulty: 'hard' });
+
+    section.querySelector('[data-testid="remove-bot"]').click();
+    expect(context.networkClient.emit).toHaveBeenCalledWith('remove_bot', { playerId: 'bot-1' });
+  });
+
+  it('lets the host pick a game speed and reflects updates from the server', async () => {
+    const context = createContext();
+    document.body.append(context.appRoot);
+
+    await init(context);
+
+    context.networkClient.trigger('room_joined', sampleRoomPayload());
+    await flushAsync();
+
+    const section = context.appRoot.querySelector('[data-testid="game-setup"]');
+    const select = section.querySelector('[data-testid="game-speed-select"]');
+    expect(select.value).toBe('normal');
+
+    select.value = 'blitz';
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+    expect(context.networkClient.emit).toHaveBeenCalledWith('update_host_settings', { gameSpeed: 'blitz' });
+
+    context.networkClient.trigger('host_settings_updated', {
+      roomId: 'itajuba',
+      hostSettings: { gameSpeed: 'blitz' },
+    });
+
+    expect(section.querySelector('[data-testid="game-speed-select"]').value).toBe('blitz');
+  });
+
+  it('lets the host lock the room and shows the lock state to everyone', async () => {
+    const context = createContext();
+    document.body.append(context.appRoot);
+
+    await init(context);
+
+    context.networkClient.trigger('room_joined', {
+      ...sampleRoomPayload(),
+      access: { hasPassword: false, inviteOnly: false, invitedNames: [], spectators: 'open' },
+    });
+    await flushAsync();
+
+    const section = context.appRoot.querySelector('[data-testid="game-setup"]');
+    const summary = section.querySelector('[data-testid="room-access-summary"]');
+    const form = section.querySelector('[data-testid="room-access-form"]');
+    expect(summary.textContent).toBe('Open to everyone');
+    expect(form.hidden).toBe(false);
+
+    form.elements.accessPassword.value = 'segredo';
+    form.elements.inviteOnly.checked = true;
+    form.elements.invitedNames.value = 'Bia, , Caio ';
+    form.elements.spectators.value = 'closed';
+    form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+
+    expect(context.networkClient.emit).toHaveBeenCalledWith('update_room_access', {
+      password: 'segredo',
+      inviteOnly: true,
+      invitedNames: ['Bia', 'Caio'],
+      spectators: 'closed',
+    });
+    expect(form.elements.accessPassword.value).toBe('');
+
+    context.networkClient.trigger('room_access_updated', {
+      roomId: 'itajuba',
+      access: { hasPassword: true, inviteOnly: true, invitedNames: ['Bia', 'Caio'], spectators: 'closed' },
+    });
+
+    expect(summary.textContent).toBe('Password · Invite only (2 names) · Spectators: No spectators');
+  });
+
+  it('hides the room access form from non-host players', async () => {
+    const context = createContext();
+    document.body.append(context.appRoot);
+
+    await init(context);
+
+    context.networkClient.trigger('room_joined', {
+      ...sampleRoomPayload({ playerId: 'player-2', isHost: false }),
+      access: { hasPassword: true, inviteOnly: false, invitedNames: [], spectators: 'open' },
+    });
+    await flushAsync();
+
+    const section = context.appRoot.querySelector('[data-testid="game-setup"]');
+    expect(section.querySelector('[data-testid="room-access-form"]').hidden).toBe(true);
+    expect(section.querySelector('[data-testid="room-access-summary"]').textContent).toBe('Password');
+  });
+
+  it('gives the host moderation controls for other human players', async () => {
+    const context = createContext();
+    document.body.append(context.appRoot);
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+
+    await init(context);
+
+    context.networkClient.trigger(
+      'room_joined',
+      sampleRoomPayload({
+        players: [
+          { playerId: 'player-1', displayName: 'Ana Host', isHost: true, connectionStatus: 'connected' },
+          { playerId: 'player-2', displayName: 'Bia', isMuted: true, connectionStatus: 'connected' },
+          { playerId: 'bot-1', displayName: 'Bot Ze', isBot: true, connectionStatus: 'connected' },
+        ],
+      }),
+    );
+    await flushAsync();
+
+    const section = context.appRoot.querySelector('[data-testid="game-setup"]');
+    const controls = section.querySelectorAll('[data-testid="moderation-controls"]');
+    expect(controls).toHaveLength(1);
+    expect(section.querySelector('[data-testid="muted-badge"]')).not.toBeNull();
+
+    const click = (action) =>
+      controls[0]
+        .querySelector(`[data-moderation="${action}"]`)
+        .dispatchEvent(new Event('click', { bubbles: true }));
+
+    click('mute_player');
+    click('transfer_host');
+    click('ban_player');
+
+    expect(controls[0].querySelector('[data-moderation="mute_player"]').textContent).toBe('Unmute');
+    expect(context.networkClient.emit).toHaveBeenCalledWith('mute_player', { playerId: 'player-2', muted: false });
+    expect(context.networkClient.emit).toHaveBeenCalledWith('transfer_host', { playerId: 'player-2' });
+    expect(context.networkClient.emit).toHaveBeenCalledWith('ban_player', { playerId: 'player-2' });
+    expect(window.confirm).toHaveBeenCalledWith('Ban Bia from the room?');
+
+    window.confirm.mockReturnValue(false);
+    click('kick_player');
+    expect(context.networkClient.emit).not.toHaveBeenCalledWith('kick_player', expect.anything());
+  });
+
+  it('lets the host hand a disconnected seat to a spectator or a bot mid-game', async () => {
+    const context = createContext();
+    document.body.append(context.appRoot);
+
+    await init(context);
+
+    const players = [
+      { playerId: 'player-1', displayName: 'Ana Host', isHost: true, connectionStatus: 'connected' },
+      { playerId: 'player-2', displayName: 'Bia', connectionStatus: 'disconnected' },
+      { playerId: 'player-3', displayName: 'Caio', connectionStatus: 'connected' },
+      { playerId: 'watcher-1', displayName: 'Duda', isSpectator: true, connectionStatus: 'connected' },
+    ];
+    context.networkClient.trigger(
+      'room_joined',
+      sampleRoomPayload({ players, gameState: { currentPhase: 'bidding' } }),
+    );
+    await flushAsync();
+
+    const section = context.appRoot.querySelector('[data-testid="game-setup"]');
+    const controls = section.querySelectorAll('[data-testid="hand-over-controls"]');
+    expect(controls).toHaveLength(1);
+    expect(controls[0].dataset.playerId).toBe('player-2');
+    expect(controls[0].querySelector('[data-testid="hand-over-spectator"]').value).toBe('watcher-1');
+
+    const click = (target) =>
+      controls[0].querySelector(`[data-hand-over="${target}"]`).dispatchEvent(new Event('click', { bubbles: true }));
+
+    click('spectator');
+    click('bot');
+    expect(context.networkClient.emit).toHaveBeenCalledWith('hand_over_seat', {
+      playerId: 'player-2',
+      spectatorId: 'watcher-1',
+    });
+    expect(context.networkClient.emit).toHaveBeenCalledWith('hand_over_seat', { playerId: 'player-2' });
+
+    players[1] = { ...players[1], standIn: { type: 'spectator', playerId: 'watcher-1', displayName: 'Duda' } };
+    context.networkClient.trigger('room_state', sampleRoomPayload({ players, gameState: { currentPhase: 'bidding' } }));
+
+    expect(section.querySelector('[data-testid="hand-over-controls"]')).toBeNull();
+    expect(section.querySelector('[data-testid="stand-in-badge"]').textContent).toBe('Played by Duda');
+  });
+
+  it('shows ready badges, toggles readiness and counts down to the auto-start', async () => {
+    const context = createContext();
+    document.body.append(context.appRoot);
+
+    await init(context);
+
+    context.networkClient.trigger(
+      'room_joined',
+      sampleRoomPayload({
+        players: [
+          { playerId: 'player-1', displayName: 'Ana Host', isHost: true, connectionStatus: 'connected' },
+          { playerId: 'player-2', displayName: 'Bia', connectionStatus: 'connected' },
+        ],
+      }),
+    );
+    await flushAsync();
+
+    const section = context.appRoot.querySelector('[data-testid="game-setup"]');
+    const readyButton = section.querySelector('[data-testid="ready-toggle"]');
+    const countdown = section.querySelector('[data-testid="ready-countdown"]');
+    expect(readyButton.hidden).toBe(false);
+
+    readyButton.dispatchEvent(new Event('click', { bubbles: true }));
+    expect(context.networkClient.emit).toHaveBeenCalledWith('set_ready', { ready: true });
+
+    context.networkClient.trigger('lobby_ready_state', {
+      roomId: 'itajuba',
+      players: [
+        { playerId: 'player-1', isReady: true },
+        { playerId: 'player-2', isReady: false },
+      ],
+      readyCount: 1,
+      allReady: false,
+      countdown: null,
+    });
+
+    expect(section.querySelectorAll('[data-testid="ready-badge"]')).toHaveLength(1);
+    expect(readyButton.getAttribute('aria-pressed')).toBe('true');
+    expect(section.querySelector('[data-testid="start-hint"]').textContent).toMatch(/1 of 2 players ready/);
+    expect(countdown.hidden).toBe(true);
+
+    context.networkClient.trigger('lobby_ready_state', {
+      roomId: 'itajuba',
+      players: [
+        { playerId: 'player-1', isReady: true },
+        { playerId: 'player-2', isReady: true },
+      ],
+      readyCount: 2,
+      allReady: true,
+      countdown: { seconds: 5, endsAt: new Date(Date.now() + 5000).toISOString(), remainingMs: 5000 },
+    });
+
+    expect(countdown.hidden).toBe(false);
+    expect(countdown.textContent).toBe('Everyone is ready — starting in 5s');
+
+    context.networkClient.__socket.trigger('game_started', { gameId: 'game-1' });
+    expect(countdown.hidden).toBe(true);
+    expect(readyButton.hidden).toBe(true);
+    expect(section.querySelectorAll('[data-testid="ready-badge"]')).toHaveLength(0);
+  });
+
+  it('lets a spectator wait in the seat queue and shows their place in line', async () => {
+    const context = createContext();
+    document.body.append(context.appRoot);
+
+    await init(context);
+
+    context.networkClient.trigger('room_joined', {
+      ...sampleRoomPayload({ playerId: 'player-3', isHost: false }),
+      isSpectator: true,
+      seatQueue: [{ playerId: 'player-2', displayName: 'Bia', position: 1 }],
+    });
+    await flushAsync();
+
+    const section = context.appRoot.querySelector('[data-testid="game-setup"]');
+    const queue = section.querySelector('[data-testid="seat-queue"]');
+    const status = section.querySelector('[data-testid="seat-queue-status"]');
+    const toggle = section.querySelector('[data-testid="seat-queue-toggle"]');
+    expect(queue.hidden).toBe(false);
+    expect(status.textContent).toBe('1 spectator waiting for a seat.');
+
+    toggle.dispatchEvent(new Event('click', { bubbles: true }));
+    expect(context.networkClient.emit).toHaveBeenCalledWith('join_seat_queue', {});
+
+    context.networkClient.trigger('room_state', {
+      roomId: 'itajuba',
+      seatQueue: [
+        { playerId: 'player-2', displayName: 'Bia', position: 1 },
+        { playerId: 'player-3', displayName: 'Caio', position: 2 },
+      ],
+    });
+    expect(status.textContent).toBe('You are #2 in line for a seat.');
+    expect(toggle.textContent).toBe('Leave the queue');
+
+    toggle.dispatchEvent(new Event('click', { bubbles: true }));
+    expect(context.networkClient.emit).toHaveBeenCalledWith('leave_seat_queue', {});
+
+    context.networkClient.trigger('player_joined', {
+      player: { playerId: 'player-3', displayName: 'Caio', connectionStatus: 'connected' },
+      promoted: true,
+    });
+    context.networkClient.trigger('room_state', { roomId: 'itajuba', isSpectator: false, seatQueue: [] });
+    expect(queue.hidden).toBe(true);
+    expect(context.renderSystemMessage).toHaveBeenCalledWith('You have a seat', expect.any(String));
+  });
+
+  it('lists players by seat and lets them pick or rearrange seats', async () => {
+    const context = createContext();
+    document.body.append(context.appRoot);
+
+    await init(context);
+
+    context.networkClient.trigger(
+      'room_joined',
+      sampleRoomPayload({
+        players: [
+          { playerId: 'player-2', displayName: 'Bia', connectionStatus: 'connected' },
+          { playerId: 'player-1', displayName: 'Ana Host', isHost: true, connectionStatus: 'connected' },
+          { playerId: 'player-3', displayName: 'Caio', connectionStatus: 'connected' },
+        ],
+      }),
+    );
+    await flushAsync();
+
+    const section = context.appRoot.querySelector('[data-testid="game-setup"]');
+    const items = Array.from(section.querySelectorAll('[data-testid="player-item"]'));
+    expect(items.map((item) => item.querySelector('[data-testid="seat-label"]').textContent)).toEqual([
+      'Seat 1',
+      'Seat 2',
+      'Seat 3',
+    ]);
+    expect(items.map((item) => item.dataset.playerId)).toEqual(['player-2', 'player-1', 'player-3']);
+    expect(section.querySelectorAll('[data-testid="take-seat"]')).toHaveLength(2);
+
+    items[0].querySelector('[data-testid="take-seat"]').dispatchEvent(new Event('click', { bubbles: true }));
+    expect(context.networkClient.emit).toHaveBeenCalledWith('choose_seat', { seatIndex: 0 });
+
+    section.querySelector('[data-testid="shuffle-seats"]').dispatchEvent(new Event('click', { bubbles: true }));
+    expect(context.networkClient.emit).toHaveBeenCalledWith('shuffle_seats', {});
+
+    items[2].dispatchEvent(new Event('dragstart', { bubbles: true }));
+    items[0].dispatchEvent(new Event('drop', { bubbles: true, cancelable: true }));
+    expect(context.networkClient.emit).toHaveBeenCalledWith('arrange_seats', {
+      order: ['player-3', 'player-2', 'player-1'],
+    });
+  });
+
+  it('lets the host turn on the lobby auto-start', async () => {
+    const context = createContext();
+    document.body.append(context.appRoot);
+
+    await init(context);
+
+    context.networkClient.trigger('room_joined', sampleRoomPayload());
+    await flushAsync();
+
+    const select = context.appRoot.querySelector('[data-testid="auto-start-select"]');
+    expect(select.value).toBe('off');
+
+    select.value = '15';
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+    expect(context.networkClient.emit).toHaveBeenCalledWith('update_host_settings', {
+      autoStart: true,
+      autoStartSeconds: 15,
+    });
+  });
+
+  it('lets the host configure auto-kick for idle players', async () => {
+    const context = createContext();
+    document.body.append(context.appRoot);
+
+    await init(context);
+
+    context.networkClient.trigger('room_joined', sampleRoomPayload());
+    await flushAsync();
+
+    const section = context.appRoot.querySelector('[data-testid="game-setup"]');
+    const strikes = section.querySelector('[data-testid="auto-kick-select"]');
+    expect(strikes.value).toBe('3');
+
+    strikes.value = 'off';
+    strikes.dispatchEvent(new Event('change', { bubbles: true }));
+    expect(context.networkClient.emit).toHaveBeenCalledWith('update_host_settings', { autoKickInactive: false });
+
+    strikes.value = '2';
+    strikes.dispatchEvent(new Event('change', { bubbles: true }));
+    expect(context.networkClient.emit).toHaveBeenCalledWith('update_host_settings', {
+      autoKickInactive: true,
+      inactiveStrikeLimit: 2,
+    });
+
+    const action = section.querySelector('[data-testid="inactive-action-select"]');
+    action.value = 'bot';
+    action.dispatchEvent(new Event('change', { bubbles: true }));
+    expect(context.networkClient.emit).toHaveBeenCalledWith('update_host_settings', { inactiveAction: 'bot' });
+  });
+
+  it('lets the host pick rule variants', async () => {
+    const context = createContext();
+    document.body.append(context.appRoot);
+
+    await init(context);
+
+    context.networkClient.trigger('room_joined', sampleRoomPayload());
+    await flushAsync();
+
+    const section = context.appRoot.querySelector('[data-testid="game-setup"]');
+    const progression = section.querySelector('[data-testid="card-progression-select"]');
+    expect(progression.value).toBe('ascending');
+
+    progression.value = 'up-down';
+    progression.dispatchEvent(new Event('change', { bubbles: true }));
+    expect(context.networkClient.emit).toHaveBeenCalledWith('update_host_settings', {
+      ruleSet: { progression: 'up-down' },
+    });
+
+    const maxCards = section.querySelector('[data-testid="max-cards-select"]');
+    maxCards.value = '5';
+    maxCards.dispatchEvent(new Event('change', { bubbles: true }));
+    expect(context.networkClient.emit).toHaveBeenCalledWith('update_host_settings', { ruleSet: { maxCards: 5 } });
+
+    context.networkClient.trigger('host_settings_updated', {
+      roomId: 'itajuba',
+      hostSettings: { ruleSet: { progression: 'descending', maxCards: null, blindRounds: 'single-card' } },
+    });
+
+    expect(section.querySelector('[data-testid="blind-rounds-select"]').value).toBe('single-card');
+    expect(section.querySelector('[data-testid="max-cards-select"]').value).toBe('');
+  });
+
+  it('lets the host pick the deck and manilha variant', async () => {
+    const context = createContext();
+    document.body.append(context.appRoot);
+
+    await init(context);
+
+    context.networkClient.trigger('room_joined', sampleRoomPayload());
+    await flushAsync();
+
+    const section = context.appRoot.querySelector('[data-testid="game-setup"]');
+    const deck = section.querySelector('[data-testid="deck-select"]');
+    expect(deck.value).toBe('full');
+
+    deck.value = 'clean';
+    deck.dispatchEvent(new Event('change', { bubbles: true }));
+    expect(context.networkClient.emit).toHaveBeenCalledWith('update_host_settings', { ruleSet: { deck: 'clean' } });
+
+    const manilhas = section.querySelector('[data-testid="manilhas-select"]');
+    manilhas.value = 'fixed';
+    manilhas.dispatchEvent(new Event('change', { bubbles: true }));
+    expect(context.networkClient.emit).toHaveBeenCalledWith('update_host_settings', {
+      ruleSet: { manilhas: 'fixed' },
+    });
+  });
+
+  it('lets the host pick what happens when every card in a trick cancels', async () => {
+    const context = createContext();
+    document.body.append(context.appRoot);
+
+    await init(context);
+
+    context.networkClient.trigger('room_joined', sampleRoomPayload());
+    await flushAsync();
+
+    const section = context.appRoot.querySelector('[data-testid="game-setup"]');
+    const rule = section.querySelector('[data-testid="cancelled-tricks-select"]');
+    expect(rule.value).toBe('nobody');
+
+    rule.value = 'carry-over';
+    rule.dispatchEvent(new Event('change', { bubbles: true }));
+    expect(context.networkClient.emit).toHaveBeenCalledWith('update_host_settings', {
+      ruleSet: { cancelledTricks: 'carry-over' },
+    });
+  });
+
+  it('lets the host change the bid restriction', async () => {
+    const context = createContext();
+    document.body.append(context.appRoot);
+
+    await init(context);
+
+    context.networkClient.trigger('room_joined', sampleRoomPayload());
+    await flushAsync();
+
+    const section = context.appRoot.querySelector('[data-testid="game-setup"]');
+    const restriction = section.querySelector('[data-testid="bid-restriction-select"]');
+    expect(restriction.value).toBe('last-bidder');
+
+    restriction.value = 'dealer';
+    restriction.dispatchEvent(new Event('change', { bubbles: true }));
+    expect(context.networkClient.emit).toHaveBeenCalledWith('update_host_settings', {
+      bidRules: { restriction: 'dealer' },
+    });
+
+    const tolerance = section.querySelector('[data-testid="bid-tolerance-select"]');
+    tolerance.value = '1';
+    tolerance.dispatchEvent(new Event('change', { bubbles: true }));
+    expect(context.networkClient.emit).toHaveBeenCalledWith('update_host_settings', { bidRules: { tolerance: 1 } });
+  });
+
+  it('lets the host set or turn off the game time limit', async () => {
+    const context = createContext();
+    document.body.append(context.appRoot);
+
+    await init(context);
+
+    context.networkClient.trigger('room_joined', sampleRoomPayload());
+    await flushAsync();
+
+    const section = context.appRoot.querySelector('[data-testid="game-setup"]');
+    const minutes = section.querySelector('[data-testid="time-limit-select"]');
+    expect(minutes.value).toBe('60');
+
+    minutes.value = '';
+    minutes.dispatchEvent(new Event('change', { bubbles: true }));
+    expect(context.networkClient.emit).toHaveBeenCalledWith('update_host_settings', { timeLimit: { minutes: null } });
+
+    const onExpiry = section.querySelector('[data-testid="time-limit-expiry-select"]');
+    onExpiry.value = 'sudden-death';
+    onExpiry.dispatchEvent(new Event('change', { bubbles: true }));
+    expect(context.networkClient.emit).toHaveBeenCalledWith('update_host_settings', {
+      timeLimit: { onExpiry: 'sudden-death' },
+    });
+  });
+
+  it('drops benched players from the lobby list', async () => {
+    const context = createContext();
+    document.body.append(context.appRoot);
+
+    await init(context);
+
+    const players = [
+      { playerId: 'player-1', displayName: 'Ana Host', isHost: true, connectionStatus: 'connected' },
+      { playerId: 'player-2', displayName: 'Idle Bia', isHost: false, connectionStatus: 'connected' },
+    ];
+    context.networkClient.trigger('room_joined', sampleRoomPayload({ players }));
+    await flushAsync();
+
+    context.networkClient.trigger('room_state', sampleRoomPayload({ players: [players[0]], spectatorCount: 1 }));
+    context.networkClient.trigger('player_kicked', { playerId: 'player-2', displayName: 'Idle Bia' });
+
+    const section = context.appRoot.querySelector('[data-testid="game-setup"]');
+    expect(section.querySelectorAll('[data-testid="player-item"]')).toHaveLength(1);
+    expect(section.querySelector('[data-testid="player-count"]').textContent).toBe('1 player · 1 spectator');
+    expect(context.renderSystemMessage).toHaveBeenCalledWith('Player benched', expect.stringContaining('Idle Bia'));
+  });
+
+  it('shows the game speed read-only for non-host players', async () => {
+    const context = createContext();
+    document.body.append(context.appRoot);
+
+    await init(context);
+
+    context.networkClient.trigger('room_joined', sampleRoomPayload({ isHost: false }));
+    await flushAsync();
+
+    const section = context.appRoot.querySelector('[data-testid="game-setup"]');
+    expect(section.querySelector('[data-testid="game-speed-select"]')).toBeNull();
+    expect(section.querySelector('[data-testid="host-settings"]').textContent).toMatch(/Normal/);
+  });
 });
@@ -0,0 +1,95 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+
+import { init as initLeaderboard } from '../../src/modules/gameUI/leaderboard.js';
+
+const createContext = () => {
+  const appRoot = document.createElement('div');
+  appRoot.innerHTML = '<section data-testid="module-root"></section>';
+  document.body.append(appRoot);
+
+  return { appRoot, renderSystemMessage: vi.fn() };
+};
+
+const respondWith = (body, { ok = true, status = 200 } = {}) => ({
+  ok,
+  status,
+  json: async () => body,
+});
+
+describe('leaderboard module', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+    delete globalThis.fetch;
+  });
+
+  it('shows the selected room first and switches to the global ratings', async () => {
+    globalThis.fetch = vi
+      .fn()
+      .mockResolvedValueOnce(
+        respondWith({
+          scope: 'room',
+          roomId: 'itajuba',
+          entries: [{ rank: 1, accountId: 'a1', displayName: 'Ana', rating: 1516, games: 1 }],
+        }),
+      )
+      .mockResolvedValueOnce(
+        respondWith({
+          scope: 'global',
+          entries: [
+            { rank: 1, accountId: 'a2', displayName: 'Bruno', rating: 1540, games: 3 },
+            { rank: 2, accountId: 'a1', displayName: 'Ana', rating: 1516, games: 1 },
+          ],
+        }),
+      );
+
+    const context = createContext();
+    await initLeaderboard(context);
+    await context.openLeaderboard({ room: { roomId: 'itajuba', displayName: 'Itajubá' } });
+
+    const panel = context.appRoot.querySelector('[data-testid="leaderboard"]');
+    const roomTab = panel.querySelector('[data-testid="leaderboard-room"]');
+    expect(panel.hidden).toBe(false);
+    expect(roomTab.hidden).toBe(false);
+    expect(roomTab.textContent).toBe('Itajubá');
+    expect(roomTab.getAttribute('aria-selected')).toBe('true');
+    expect(globalThis.fetch).toHaveBeenLastCalledWith(
+      expect.stringContaining('/api/leaderboard/rooms/itajuba'),
+      expect.any(Object),
+    );
+    expect(panel.querySelector('[data-testid="leaderboard-list"]').textContent).toContain('Ana');
+
+    panel.querySelector('[data-testid="leaderboard-global"]').click();
+    await vi.waitFor(() => {
+      expect(panel.querySelectorAll('.leaderboard__entry')).toHaveLength(2);
+    });
+
+    const entries = panel.querySelectorAll('.leaderboard__entry');
+    expect(entries[0].textContent).toContain('#1');
+    expect(entries[0].textContent).toContain('Bruno');
+    expect(entries[0].textContent).toContain('1540 (3 games)');
+
+    panel.querySelector('[data-testid="leaderboard-close"]').click();
+    expect(panel.hidden).toBe(true);
+  });
+
+  it('explains empty and failed leaderboards', async () => {
+    globalThis.fetch = vi
+      .fn()
+      .mockResolvedValueOnce(respondWith({ scope: 'global', entries: [] }))
+      .mockResolvedValueOnce(
+        respondWith({ error: 'room_not_found', message: 'Room atlantis was not found' }, { ok: false, status: 404 }),
+      );
+
+    const context = createContext();
+    await initLeaderboard(context);
+
+    await context.openLeaderboard();
+    const panel = context.appRoot.querySelector('[data-testid="leaderboard"]');
+    const status = panel.querySelector('[data-testid="leaderboard-status"]');
+    expect(panel.querySelector('[data-testid="leaderboard-room"]').hidden).toBe(true);
+    expect(status.textContent).toMatch(/No rated games yet/);
+
+    await context.openLeaderboard({ room: { roomId: 'atlantis' } });
+    expect(status.textContent).toBe('Room atlantis was not found');
+  });
+});
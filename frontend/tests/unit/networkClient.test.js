@@ -119,6 +119,16 @@ describe('networkClient', () => {
     expect(client.getState().currentRoom).toEqual(expectedPayload);
   });
 
+  it('contributes a random shuffle seed once the room is joined', () => {
+    const client = createNetworkClient({ ioFactory, storage });
+
+    client.connect();
+    mockSocket.__listeners.get('room_joined')({ roomId: 'mesa', currentPlayers: [] });
+
+    const seedCall = mockSocket.emit.mock.calls.find(([event]) => event === 'set_client_seed');
+    expect(seedCall[1].clientSeed).toMatch(/^[0-9a-f]{32}$/);
+  });
+
   it('rejects joinRoom when join_error event received', async () => {
     const client = createNetworkClient({ ioFactory, storage });
 
@@ -170,6 +180,126 @@ describe('networkClient', () => {
     expect(stateUpdateHandler).toHaveBeenCalledWith(statePayload);
   });
 
+  it('updates the lobby roster when idle players are benched or replaced', async () => {
+    const client = createNetworkClient({ ioFactory, storage });
+    client.connect();
+
+    const joinPromise = client.joinRoom({ roomId: 'mesa', displayName: 'Ada' });
+    mockSocket.__listeners.get('room_joined')({
+      roomId: 'mesa',
+      playerId: 'p1',
+      sessionId: 'session-1',
+      spectatorCount: 0,
+      currentPlayers: [
+        { playerId: 'p1', displayName: 'Ada' },
+        { playerId: 'p2', displayName: 'Bia' },
+        { playerId: 'p3', displayName: 'Caio' },
+      ],
+    });
+    await joinPromise;
+
+    mockSocket.__listeners.get('player_kicked')({ playerId: 'p2', player: { playerId: 'p2', isSpectator: true } });
+    mockSocket.__listeners.get('player_replaced')({
+      playerId: 'p3',
+      player: { playerId: 'p3', displayName: 'Bot Ze', isBot: true },
+    });
+
+    const room = client.getState().currentRoom;
+    expect(room.spectatorCount).toBe(1);
+    expect(room.currentPlayers).toEqual([
+      { playerId: 'p1', displayName: 'Ada' },
+      { playerId: 'p3', displayName: 'Bot Ze', isBot: true },
+    ]);
+  });
+
+  it('tracks host hand-overs and mutes for the current room', async () => {
+    const onSystemMessage = vi.fn();
+    const client = createNetworkClient({ ioFactory, storage, onSystemMessage });
+    client.connect();
+
+    const joinPromise = client.joinRoom({ roomId: 'mesa', displayName: 'Bia' });
+    mockSocket.__listeners.get('room_joined')({
+      roomId: 'mesa',
+      playerId: 'p2',
+      isHost: false,
+      sessionId: 'session-2',
+      currentPlayers: [
+        { playerId: 'p1', displayName: 'Ada', isHost: true },
+        { playerId: 'p2', displayName: 'Bia', isHost: false },
+      ],
+    });
+    await joinPromise;
+
+    mockSocket.__listeners.get('host_changed')({ roomId: 'mesa', hostId: 'p2', previousHostId: 'p1' });
+    mockSocket.__listeners.get('player_muted')({ roomId: 'mesa', playerId: 'p1', isMuted: true });
+
+    const room = client.getState().currentRoom;
+    expect(room.isHost).toBe(true);
+    expect(room.isMuted).toBe(false);
+    expect(room.currentPlayers).toEqual([
+      { playerId: 'p1', displayName: 'Ada', isHost: false, isMuted: true },
+      { playerId: 'p2', displayName: 'Bia', isHost: true },
+    ]);
+
+    mockSocket.__listeners.get('removed_from_room')({ roomId: 'mesa', reason: 'kicked', expiresAt: null });
+    expect(onSystemMessage).toHaveBeenCalledWith('Removed from room', 'The host removed you from this room.');
+  });
+
+  it('keeps lobby ready flags on the current room players', async () => {
+    const client = createNetworkClient({ ioFactory, storage });
+    client.connect();
+
+    const joinPromise = client.joinRoom({ roomId: 'mesa', displayName: 'Bia' });
+    mockSocket.__listeners.get('room_joined')({
+      roomId: 'mesa',
+      playerId: 'p2',
+      sessionId: 'session-2',
+      currentPlayers: [
+        { playerId: 'p1', displayName: 'Ada' },
+        { playerId: 'p2', displayName: 'Bia' },
+      ],
+    });
+    await joinPromise;
+
+    mockSocket.__listeners.get('lobby_ready_state')({
+      roomId: 'mesa',
+      players: [
+        { playerId: 'p1', isReady: true },
+        { playerId: 'p2', isReady: false },
+      ],
+      readyCount: 1,
+      allReady: false,
+      countdown: null,
+    });
+
+    expect(client.getState().currentRoom.currentPlayers).toEqual([
+      { playerId: 'p1', displayName: 'Ada', isReady: true },
+      { playerId: 'p2', displayName: 'Bia', isReady: false },
+    ]);
+  });
+
+  it('reorders the current room players when seats change', async () => {
+    const client = createNetworkClient({ ioFactory, storage });
+    client.connect();
+
+    const joinPromise = client.joinRoom({ roomId: 'mesa', displayName: 'Bia' });
+    mockSocket.__listeners.get('room_joined')({
+      roomId: 'mesa',
+      playerId: 'p2',
+      sessionId: 'session-2',
+      currentPlayers: [
+        { playerId: 'p1', displayName: 'Ada' },
+        { playerId: 'p2', displayName: 'Bia' },
+        { playerId: 'p3', displayName: 'Caio' },
+      ],
+    });
+    await joinPromise;
+
+    mockSocket.__listeners.get('seats_updated')({ roomId: 'mesa', seatOrder: ['p3', 'p1', 'p2'] });
+
+    expect(client.getState().currentRoom.currentPlayers.map((player) => player.playerId)).toEqual(['p3', 'p1', 'p2']);
+  });
+
   it('destroy cleans listeners and disconnects socket', () => {
     const logger = { warn: vi.fn() };
     const client = createNetworkClient({ ioFactory, storage, logger });
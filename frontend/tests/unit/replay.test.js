@@ -0,0 +1,164 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { createReplayPlayer, init as initReplay, REPLAY_STEP_MS } from '../../src/modules/gameUI/replay.js';
+
+const createReplay = () => ({
+  gameId: 'game-1',
+  roomId: 'itajuba',
+  completedAt: '2025-01-01T00:10:00.000Z',
+  players: [
+    { playerId: 'p1', displayName: 'Ana' },
+    { playerId: 'p2', displayName: 'Bruno' },
+  ],
+  events: [
+    { seq: 1, type: 'game_started', payload: { gameId: 'game-1', playerOrder: ['p1', 'p2'] } },
+    {
+      seq: 2,
+      type: 'round_started',
+      payload: { roundNumber: 1, cardCount: 1, viraCard: { rank: '4', suit: 'clubs' }, dealerId: 'p2' },
+    },
+    {
+      seq: 3,
+      type: 'hands_dealt',
+      payload: {
+        roundNumber: 1,
+        hands: { p1: [{ rank: 'K', suit: 'hearts' }], p2: [{ rank: '7', suit: 'spades' }] },
+      },
+    },
+    { seq: 4, type: 'bid_submitted', payload: { playerId: 'p1', bid: 1 } },
+    { seq: 5, type: 'bid_submitted', payload: { playerId: 'p2', bid: 1, allBids: { p1: 1, p2: 1 } } },
+    { seq: 6, type: 'trick_started', payload: { trickNumber: 1, leadPlayer: 'p1' } },
+    {
+      seq: 7,
+      type: 'card_played',
+      payload: { playerId: 'p1', card: { rank: 'K', suit: 'hearts' }, nextPlayer: 'p2', currentLeader: 'p1' },
+    },
+  ],
+});
+
+const flushRender = () => vi.advanceTimersByTime(50);
+
+describe('replay viewer', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.clearAllTimers();
+    vi.useRealTimers();
+    document.body.innerHTML = '';
+    delete globalThis.fetch;
+  });
+
+  it('steps through recorded events with the live state handlers', () => {
+    const onChange = vi.fn();
+    const player = createReplayPlayer({ replay: createReplay(), onChange });
+
+    player.step();
+    player.step();
+    player.step();
+
+    let state = player.store.getState();
+    expect(state.gameId).toBe('game-1');
+    expect(state.playerOrder).toEqual(['p1', 'p2']);
+    expect(state.round).toEqual(expect.objectContaining({ number: 1, dealerId: 'p2' }));
+    expect(state.visibleCards).toEqual([
+      { rank: 'K', suit: 'hearts', ownerId: 'p1' },
+      { rank: '7', suit: 'spades', ownerId: 'p2' },
+    ]);
+    expect(onChange).toHaveBeenLastCalledWith(
+      expect.objectContaining({ position: 3, total: 7, playing: false, description: 'Cards dealt' }),
+    );
+
+    player.step();
+    player.step();
+    player.step();
+    player.step();
+
+    state = player.store.getState();
+    expect(state.bids).toEqual({ p1: 1, p2: 1 });
+    expect(state.currentTrick.cardsPlayed).toEqual({ p1: { rank: 'K', suit: 'hearts' } });
+    expect(state.visibleCards).toEqual([{ rank: '7', suit: 'spades', ownerId: 'p2' }]);
+    expect(player.getStatus().description).toBe('Ana plays K of hearts');
+    expect(player.step()).toBe(false);
+  });
+
+  it('plays on a timer, pauses, and restarts from the first event', () => {
+    const player = createReplayPlayer({ replay: createReplay() });
+
+    player.play();
+    vi.advanceTimersByTime(REPLAY_STEP_MS * 2);
+    expect(player.getStatus()).toEqual(expect.objectContaining({ position: 2, playing: true }));
+
+    player.pause();
+    vi.advanceTimersByTime(REPLAY_STEP_MS * 3);
+    expect(player.getStatus()).toEqual(expect.objectContaining({ position: 2, playing: false }));
+
+    player.play();
+    vi.advanceTimersByTime(REPLAY_STEP_MS * 10);
+    expect(player.getStatus()).toEqual(expect.objectContaining({ position: 7, playing: false }));
+
+    player.restart();
+    expect(player.getStatus().position).toBe(0);
+    expect(player.store.getState().bids).toEqual({});
+    expect(player.store.getState().playerDirectory.p1.displayName).toBe('Ana');
+  });
+
+  it('loads a replay and renders it on the regular game board', async () => {
+    globalThis.fetch = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => createReplay(),
+    });
+
+    const appRoot = document.createElement('div');
+    appRoot.innerHTML = '<section data-testid="module-root"></section>';
+    document.body.append(appRoot);
+
+    const context = { appRoot, renderSystemMessage: vi.fn() };
+    await initReplay(context);
+    expect(typeof context.openReplay).toBe('function');
+
+    await context.openReplay('game-1');
+
+    expect(globalThis.fetch).toHaveBeenCalledWith(
+      expect.stringContaining('/api/games/game-1/replay'),
+      expect.any(Object),
+    );
+
+    const viewer = appRoot.querySelector('[data-testid="replay-viewer"]');
+    expect(viewer.hidden).toBe(false);
+    expect(viewer.querySelector('[data-testid="replay-progress"]').textContent).toBe('0 / 7');
+
+    const stepButton = viewer.querySelector('[data-testid="replay-step"]');
+    stepButton.click();
+    stepButton.click();
+    stepButton.click();
+    flushRender();
+
+    expect(viewer.querySelector('[data-testid="replay-progress"]').textContent).toBe('3 / 7');
+    expect(viewer.querySelector('[data-testid="game-board"]')).toBeTruthy();
+    expect(viewer.querySelector('[data-testid="visible-cards"]').textContent).toContain('Bruno');
+
+    viewer.querySelector('[data-testid="replay-close"]').click();
+    expect(viewer.hidden).toBe(true);
+    expect(viewer.querySelector('[data-testid="game-board"]')).toBeNull();
+  });
+
+  it('reports when a replay cannot be loaded', async () => {
+    globalThis.fetch = vi.fn().mockResolvedValue({
+      ok: false,
+      status: 409,
+      json: async () => ({ error: 'replay_not_ready', message: 'Game game-1 is still in progress' }),
+    });
+
+    const appRoot = document.createElement('div');
+    appRoot.innerHTML = '<section data-testid="module-root"></section>';
+    const context = { appRoot, renderSystemMessage: vi.fn() };
+
+    await initReplay(context);
+    await context.openReplay('game-1');
+
+    expect(context.renderSystemMessage).toHaveBeenCalledWith('Replay unavailable', 'Game game-1 is still in progress');
+    expect(appRoot.querySelector('[data-testid="replay-viewer"]').hidden).toBe(true);
+  });
+});
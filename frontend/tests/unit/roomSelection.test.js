@@ -109,6 +109,224 @@ describe('roomSelection module', () => {
     expect(submitButton.disabled).toBe(false);
   });
 
+  it('sends an optional PIN with the join request', async () => {
+    const context = createContext();
+    context.networkClient = {
+      joinRoom: vi.fn().mockResolvedValue({ roomId: 'itajuba', displayName: 'Itajubá' }),
+    };
+    document.body.appendChild(context.appRoot);
+
+    await init(context);
+
+    const nameInput = context.appRoot.querySelector('input[name="displayName"]');
+    const pinInput = context.appRoot.querySelector('input[name="pin"]');
+    const submitButton = context.appRoot.querySelector('[data-testid="join-button"]');
+    const form = context.appRoot.querySelector('[data-testid="name-form"]');
+
+    nameInput.value = 'Carlos';
+    nameInput.dispatchEvent(new Event('input', { bubbles: true }));
+    context.appRoot.querySelector('button[data-room-id]').dispatchEvent(new Event('click', { bubbles: true }));
+
+    pinInput.value = '12';
+    pinInput.dispatchEvent(new Event('input', { bubbles: true }));
+    expect(submitButton.disabled).toBe(true);
+    expect(context.appRoot.querySelector('[data-testid="name-error"]').textContent).toBe('PIN must be 4-8 digits.');
+
+    pinInput.value = '2468';
+    pinInput.dispatchEvent(new Event('input', { bubbles: true }));
+    expect(submitButton.disabled).toBe(false);
+
+    form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+
+    expect(context.networkClient.joinRoom).toHaveBeenCalledWith({
+      roomId: 'itajuba',
+      displayName: 'Carlos',
+      pin: '2468',
+    });
+  });
+
+  it('queues for a seat when the chosen table is full or mid-game', async () => {
+    const context = createContext();
+    const busy = Object.assign(new Error('Room is currently in play'), { code: 'game_in_progress' });
+    context.networkClient = {
+      joinRoom: vi
+        .fn()
+        .mockRejectedValueOnce(busy)
+        .mockResolvedValueOnce({
+          roomId: 'piranguinho',
+          displayName: 'Piranguinho',
+          playerId: 'player-9',
+          seatQueue: [{ playerId: 'player-9', displayName: 'Carlos', position: 1 }],
+        }),
+    };
+    document.body.appendChild(context.appRoot);
+
+    await init(context);
+
+    const nameInput = context.appRoot.querySelector('input[name="displayName"]');
+    nameInput.value = 'Carlos';
+    nameInput.dispatchEvent(new Event('input', { bubbles: true }));
+    context.appRoot
+      .querySelector('button[data-room-id="piranguinho"]')
+      .dispatchEvent(new Event('click', { bubbles: true }));
+    context.appRoot
+      .querySelector('[data-testid="name-form"]')
+      .dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(context.networkClient.joinRoom).toHaveBeenLastCalledWith(
+      expect.objectContaining({ roomId: 'piranguinho', displayName: 'Carlos', queueForSeat: true }),
+    );
+    expect(context.renderSystemMessage).toHaveBeenCalledWith(
+      'Waiting for a seat',
+      expect.stringContaining("You're #1 in line"),
+    );
+  });
+
+  it('shows lock badges and asks for the password of locked rooms', async () => {
+    globalThis.fetch = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => [
+        { ...mockRooms[0], access: { hasPassword: false, inviteOnly: false, spectators: 'open' } },
+        { ...mockRooms[1], roomId: 'campinas', canJoin: true, access: { hasPassword: true, inviteOnly: true } },
+      ],
+    });
+    const context = createContext();
+    context.networkClient = {
+      joinRoom: vi.fn().mockResolvedValue({ roomId: 'campinas', displayName: 'Campinas' }),
+    };
+    document.body.appendChild(context.appRoot);
+
+    await init(context);
+
+    const badges = context.appRoot.querySelectorAll('[data-testid="room-lock-badge"]');
+    const passwordField = context.appRoot.querySelector('[data-testid="room-password-field"]');
+    const [openRoom, lockedRoom] = context.appRoot.querySelectorAll('button[data-room-id]');
+
+    expect(badges).toHaveLength(1);
+    expect(badges[0].textContent).toBe('Password · Invite only');
+    expect(lockedRoom.contains(badges[0])).toBe(true);
+
+    openRoom.dispatchEvent(new Event('click', { bubbles: true }));
+    expect(passwordField.hidden).toBe(true);
+
+    lockedRoom.dispatchEvent(new Event('click', { bubbles: true }));
+    expect(passwordField.hidden).toBe(false);
+
+    const nameInput = context.appRoot.querySelector('input[name="displayName"]');
+    nameInput.value = 'Carlos';
+    nameInput.dispatchEvent(new Event('input', { bubbles: true }));
+    context.appRoot.querySelector('input[name="roomPassword"]').value = 'segredo';
+
+    context.appRoot
+      .querySelector('[data-testid="name-form"]')
+      .dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+
+    expect(context.networkClient.joinRoom).toHaveBeenCalledWith(
+      expect.objectContaining({ roomId: 'campinas', displayName: 'Carlos', password: 'segredo' }),
+    );
+  });
+
+  it('opens the leaderboard for the selected room', async () => {
+    const context = createContext();
+    context.openLeaderboard = vi.fn();
+    document.body.appendChild(context.appRoot);
+
+    await init(context);
+
+    const leaderboardButton = context.appRoot.querySelector('[data-testid="open-leaderboard"]');
+    leaderboardButton.click();
+    expect(context.openLeaderboard).toHaveBeenLastCalledWith({ room: null });
+
+    context.appRoot.querySelector('button[data-room-id]').dispatchEvent(new Event('click', { bubbles: true }));
+    leaderboardButton.click();
+    expect(context.openLeaderboard).toHaveBeenLastCalledWith({ room: mockRooms[0] });
+  });
+
+  it('creates a private table, selects it and shows the invite link', async () => {
+    const privateRoom = { roomId: 'k7m2qx', inviteCode: 'k7m2qx', displayName: 'Mesa da Ana', isPrivate: true };
+    globalThis.fetch = vi.fn((url, options = {}) =>
+      Promise.resolve(
+        options.method === 'POST'
+          ? { ok: true, status: 201, json: async () => privateRoom }
+          : { ok: true, json: async () => mockRooms },
+      ),
+    );
+
+    const context = createContext();
+    context.networkClient = { joinRoom: vi.fn().mockResolvedValue(privateRoom) };
+    document.body.appendChild(context.appRoot);
+
+    await init(context);
+
+    context.appRoot.querySelector('input[name="roomName"]').value = 'Mesa da Ana';
+    context.appRoot
+      .querySelector('[data-testid="create-room-form"]')
+      .dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+
+    await vi.waitFor(() => {
+      expect(context.appRoot.querySelector('[data-testid="invite-link"]').hidden).toBe(false);
+    });
+
+    expect(globalThis.fetch).toHaveBeenCalledWith(
+      '/api/rooms',
+      expect.objectContaining({ method: 'POST', body: JSON.stringify({ displayName: 'Mesa da Ana' }) }),
+    );
+    expect(context.appRoot.querySelector('[data-testid="invite-link"]').textContent).toContain('?room=K7M2QX');
+    expect(context.appRoot.querySelector('[data-testid="private-room-status"]').textContent).toContain(
+      'Mesa da Ana (code K7M2QX)',
+    );
+
+    const nameInput = context.appRoot.querySelector('input[name="displayName"]');
+    nameInput.value = 'Ana';
+    nameInput.dispatchEvent(new Event('input', { bubbles: true }));
+    context.appRoot
+      .querySelector('[data-testid="name-form"]')
+      .dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+
+    expect(context.networkClient.joinRoom).toHaveBeenCalledWith({ roomId: 'k7m2qx', displayName: 'Ana', pin: undefined });
+  });
+
+  it('looks up tables by invite code, including codes from an invite link', async () => {
+    window.history.replaceState(null, '', '/?room=ABC234');
+    globalThis.fetch = vi.fn((url) => {
+      if (url === '/api/rooms/abc234') {
+        return Promise.resolve({
+          ok: true,
+          json: async () => ({ roomId: 'abc234', displayName: 'Mesa do Bruno', isPrivate: true }),
+        });
+      }
+
+      if (url === '/api/rooms/zzz999') {
+        return Promise.resolve({ ok: false, status: 404, json: async () => ({ error: 'room_not_found' }) });
+      }
+
+      return Promise.resolve({ ok: true, json: async () => mockRooms });
+    });
+
+    const context = createContext();
+    document.body.appendChild(context.appRoot);
+
+    try {
+      await init(context);
+    } finally {
+      window.history.replaceState(null, '', '/');
+    }
+
+    const statusEl = context.appRoot.querySelector('[data-testid="private-room-status"]');
+    expect(context.appRoot.querySelector('input[name="inviteCode"]').value).toBe('ABC234');
+    expect(statusEl.textContent).toBe('Selected Mesa do Bruno (code ABC234).');
+
+    context.appRoot.querySelector('input[name="inviteCode"]').value = 'ZZZ999';
+    context.appRoot
+      .querySelector('[data-testid="join-code-form"]')
+      .dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+
+    await vi.waitFor(() => {
+      expect(statusEl.textContent).toBe('No table found for code ZZZ999.');
+    });
+  });
+
   it('shows error message when rooms cannot be loaded', async () => {
   globalThis.fetch = vi.fn().mockResolvedValue({ ok: false, status: 500 });
     const context = createContext();
@@ -89,6 +89,77 @@ describe('scoring UI module', () => {
     expect(anaRow.querySelector('[data-testid="scoring-lives-value"]').textContent).toBe('2');
   });
 
+  it('shows the revealed shuffle seed so the deal can be checked', async () => {
+    const { context, store } = createContext();
+    document.body.append(context.appRoot);
+
+    await initScoring(context);
+
+    const fairnessLabel = context.appRoot.querySelector('[data-testid="scoring-fairness"]');
+    enterScoringPhase(store);
+    expect(fairnessLabel.hidden).toBe(true);
+
+    enterScoringPhase(store, {
+      roundResults: {
+        roundNumber: 4,
+        results: { 'player-1': { bid: 0, actual: 0, livesLost: 0, livesRemaining: 2 } },
+        eliminatedPlayers: [],
+        fairness: { serverSeed: 'c0ffee', serverSeedHash: 'abc123', clientSeeds: {} },
+        receivedAt: Date.now() + 1,
+      },
+    });
+    vi.advanceTimersByTime(100);
+
+    expect(fairnessLabel.hidden).toBe(false);
+    expect(fairnessLabel.textContent).toBe('Shuffle seed c0ffee');
+    expect(fairnessLabel.title).toBe('SHA-256 abc123');
+  });
+
+  it('checks the revealed deal against the cards this client was dealt', async () => {
+    const { context, store } = createContext();
+    document.body.append(context.appRoot);
+
+    await initScoring(context);
+
+    const serverSeedHash = 'd7951cb6068755f7a3380c924574ad95099a8779c9f4831473c3bce30822db48';
+    const scoreRound = (dealtHand) =>
+      enterScoringPhase(store, {
+        round: {
+          ...createInitialState().round,
+          cardCount: 1,
+          ruleSet: { deck: 'full', manilhas: 'vira' },
+          viraCard: { rank: 'A', suit: 'diamonds' },
+          committedServerSeedHash: serverSeedHash,
+          dealtHand,
+        },
+        roundResults: {
+          roundNumber: 1,
+          results: { 'player-1': { bid: 0, actual: 0, livesLost: 0, livesRemaining: 3 } },
+          eliminatedPlayers: [],
+          fairness: {
+            serverSeed: 'table-seed',
+            serverSeedHash,
+            clientSeeds: {},
+            dealOrder: ['player-1', 'player-2'],
+          },
+          receivedAt: Date.now() + dealtHand.length,
+        },
+      });
+    const dealCheck = context.appRoot.querySelector('[data-testid="scoring-deal-check"]');
+
+    scoreRound([{ rank: '6', suit: 'hearts' }]);
+    expect(dealCheck.textContent).toBe('Checking the deal…');
+    await vi.waitFor(() => expect(dealCheck.dataset.status).toBe('verified'));
+    expect(dealCheck.textContent).toBe('Deal verified against the revealed seeds');
+
+    scoreRound([
+      { rank: '5', suit: 'clubs' },
+      { rank: '7', suit: 'clubs' },
+    ]);
+    await vi.waitFor(() => expect(dealCheck.dataset.status).toBe('failed'));
+    expect(dealCheck.textContent).toBe('Deal does not match the revealed seeds');
+  });
+
   it('marks eliminated players and avoids duplicate rows', async () => {
     const { context, store } = createContext();
     document.body.append(context.appRoot);